@@ -0,0 +1,105 @@
+// Approval state of pending changes and the gate git_push applies before committing
+
+const crypto = require('crypto');
+
+const CHANGE_STATUSES = ['pending', 'approved', 'rejected', 'needs_rework'];
+const REJECT_STATUSES = ['rejected', 'needs_rework'];
+
+// review: calling get_pending_changes is enough (the original behaviour)
+// all_approved: every pending change must be approved with approve_changes
+// token: like all_approved, but approve_changes needs the APPROVAL_TOKEN a human hands out
+const APPROVAL_MODES = ['review', 'all_approved', 'token'];
+
+// Entries saved before approvals existed only have `reviewed`
+const normalizeChangeEntry = (change) => {
+  const { reviewed, ...entry } = change;
+  return {
+    ...entry,
+    status: CHANGE_STATUSES.includes(entry.status) ? entry.status : 'pending',
+    reviewer: entry.reviewer || null,
+    review_comment: entry.review_comment || null,
+    reviewed_at: entry.reviewed_at || null,
+    token_verified: Boolean(entry.token_verified),
+    review_history: Array.isArray(entry.review_history) ? entry.review_history : []
+  };
+};
+
+const verifyApprovalToken = (supplied, expected) => {
+  if (typeof supplied !== 'string' || !supplied || !expected) {
+    return false;
+  }
+  // Compare digests so the check takes the same time for every input
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(supplied), digest(expected));
+};
+
+// Record a decision on a change entry (mutates it) and keep the previous ones in review_history
+const applyReview = (change, { status, reviewer, comment, tokenVerified = false }) => {
+  const reviewedAt = new Date().toISOString();
+  change.status = status;
+  change.reviewer = reviewer || null;
+  change.review_comment = comment || null;
+  change.reviewed_at = reviewedAt;
+  change.token_verified = status === 'approved' && tokenVerified;
+  change.review_history.push({
+    status,
+    reviewer: change.reviewer,
+    comment: change.review_comment,
+    token_verified: change.token_verified,
+    at: reviewedAt
+  });
+  return change;
+};
+
+const summarizeApprovals = (changes) => {
+  const summary = { pending: 0, approved: 0, rejected: 0, needs_rework: 0 };
+  changes.forEach(change => {
+    summary[change.status] = (summary[change.status] || 0) + 1;
+  });
+  return summary;
+};
+
+// Decide whether git_push may proceed. Returns { allowed, code, change_ids }.
+// drift: detectDrift result for what git_push would commit. The approval modes refuse files that no
+// pending change lists, or that changed after their change was saved (and approved).
+const checkApproval = (changes, { mode, reviewed, drift = null }) => {
+  const rejected = changes.filter(change => REJECT_STATUSES.includes(change.status));
+  if (rejected.length > 0) {
+    return { allowed: false, code: 'CHANGES_REJECTED', change_ids: rejected.map(change => change.id) };
+  }
+
+  if (mode === 'review') {
+    return reviewed || changes.length === 0
+      ? { allowed: true, code: null, change_ids: [] }
+      : { allowed: false, code: 'CHANGES_NOT_REVIEWED', change_ids: changes.map(change => change.id) };
+  }
+
+  const unapproved = changes.filter(change => change.status !== 'approved' || (mode === 'token' && !change.token_verified));
+  if (unapproved.length > 0) {
+    return { allowed: false, code: 'CHANGES_NOT_APPROVED', change_ids: unapproved.map(change => change.id) };
+  }
+
+  const changedFiles = drift ? drift.changed_since_save : [];
+  const uncoveredFiles = drift ? drift.uncovered_files : [];
+  if (changedFiles.length > 0 || uncoveredFiles.length > 0) {
+    return {
+      allowed: false,
+      code: 'WORKING_TREE_NOT_APPROVED',
+      change_ids: Array.from(new Set(changedFiles.map(entry => entry.change_id))),
+      changed_files: changedFiles.map(entry => entry.file),
+      uncovered_files: uncoveredFiles
+    };
+  }
+  return { allowed: true, code: null, change_ids: [] };
+};
+
+module.exports = {
+  CHANGE_STATUSES,
+  REJECT_STATUSES,
+  APPROVAL_MODES,
+  normalizeChangeEntry,
+  verifyApprovalToken,
+  applyReview,
+  summarizeApprovals,
+  checkApproval
+};
@@ -0,0 +1,93 @@
+// Parser for `git blame --porcelain`
+
+const UNCOMMITTED_HASH = /^0{40}$/;
+
+// author-time is a unix timestamp, author-tz an offset like "+0200"
+const toIsoDate = (time, tz) => {
+  if (!time) {
+    return null;
+  }
+  const match = (tz || '').match(/^([+-])(\d{2})(\d{2})$/);
+  const offsetMinutes = match ? (match[1] === '-' ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3], 10)) : 0;
+  const local = new Date((parseInt(time, 10) + offsetMinutes * 60) * 1000).toISOString().replace(/\.000Z$/, '');
+  return match ? `${local}${match[1]}${match[2]}:${match[3]}` : `${local}Z`;
+};
+
+// Porcelain output prints the commit details only the first time a commit
+// appears, so they are collected per commit and joined to every line.
+const parseBlame = (stdout) => {
+  const commits = new Map();
+  const lines = [];
+  const records = stdout.split('\n');
+  let current = null;
+
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+
+    if (record.startsWith('\t')) {
+      if (current) {
+        lines.push({ ...current, content: record.substring(1) });
+        current = null;
+      }
+      continue;
+    }
+
+    const header = record.match(/^([0-9a-f]{40}) (\d+) (\d+)(?: \d+)?$/);
+    if (header) {
+      const hash = header[1];
+      if (!commits.has(hash)) {
+        commits.set(hash, { hash, uncommitted: UNCOMMITTED_HASH.test(hash), boundary: false });
+      }
+      current = { hash, line: parseInt(header[3], 10), original_line: parseInt(header[2], 10) };
+      continue;
+    }
+
+    if (!current || !record) {
+      continue;
+    }
+    const commit = commits.get(current.hash);
+    const spaceIndex = record.indexOf(' ');
+    const key = spaceIndex === -1 ? record : record.substring(0, spaceIndex);
+    const value = spaceIndex === -1 ? '' : record.substring(spaceIndex + 1);
+
+    if (key === 'boundary') {
+      commit.boundary = true;
+    } else if (key === 'previous') {
+      const [previousHash, ...previousPath] = value.split(' ');
+      commit.previous = { hash: previousHash, path: previousPath.join(' ') };
+    } else {
+      commit[key] = value;
+    }
+  }
+
+  const details = new Map();
+  commits.forEach((commit, hash) => {
+    details.set(hash, {
+      commit: hash,
+      short_hash: hash.substring(0, 7),
+      author: commit.author || '',
+      email: (commit['author-mail'] || '').replace(/^<|>$/g, ''),
+      date: toIsoDate(commit['author-time'], commit['author-tz']),
+      summary: commit.summary || '',
+      filename: commit.filename || null,
+      uncommitted: commit.uncommitted,
+      boundary: commit.boundary
+    });
+  });
+
+  return lines.map(({ hash, line, original_line: originalLine, content }) => {
+    const { filename, ...info } = details.get(hash);
+    return {
+      line,
+      original_line: originalLine,
+      // Path in the originating commit; differs from the blamed path after renames
+      original_path: filename,
+      ...info,
+      content
+    };
+  });
+};
+
+module.exports = {
+  parseBlame
+};
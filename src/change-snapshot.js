@@ -0,0 +1,130 @@
+// Working tree snapshots of pending change entries and drift detection.
+// runGit(args, timeout) must resolve/reject like executeGitCommand.
+
+const { normalizeRepoPath, isPathCovered } = require('./git-utils');
+const { STATUS_ARGS, parseStatus } = require('./status-parser');
+const { limitRawDiff } = require('./diff-parser');
+
+// Diff kept per saved file; larger diffs are truncated
+const SNAPSHOT_MAX_DIFF_BYTES = 20 * 1024;
+
+const isDeleted = (entry) => entry.worktree_status === 'D' || (entry.index_status === 'D' && entry.worktree_status === ' ');
+
+const coversEntry = (file, entry) => isPathCovered(entry.path, [file]) || Boolean(entry.orig_path && isPathCovered(entry.orig_path, [file]));
+
+// Changed paths of the working tree (untracked files listed one by one) with their blob hash
+const readWorkingTree = async (runGit) => {
+  const status = await runGit([...STATUS_ARGS, '--untracked-files=all']);
+  const entries = parseStatus(status.stdout).entries.filter(entry => entry.type !== 'ignored');
+
+  // Deleted files and submodules have no blob to hash
+  const hashable = entries.filter(entry => !isDeleted(entry) && !entry.submodule).map(entry => entry.path);
+  const blobs = new Map();
+  if (hashable.length > 0) {
+    const result = await runGit(['hash-object', '--', ...hashable]);
+    result.stdout.split('\n').filter(Boolean).forEach((hash, index) => blobs.set(hashable[index], hash));
+  }
+
+  return entries.map(entry => ({
+    path: entry.path,
+    orig_path: entry.orig_path,
+    index_status: entry.index_status,
+    worktree_status: entry.worktree_status,
+    untracked: entry.type === 'untracked',
+    blob: blobs.get(entry.path) || null
+  }));
+};
+
+// Diff of the working tree against HEAD; untracked files are shown as added
+const readFileDiff = async (runGit, file, entries) => {
+  let diff = '';
+  if (entries.some(entry => !entry.untracked)) {
+    try {
+      diff += (await runGit(['diff', '--no-color', '-M', 'HEAD', '--', file])).stdout;
+    } catch (err) {
+      // No commit yet: fall back to the staged changes
+      diff += (await runGit(['diff', '--no-color', '--cached', '--', file]).catch(() => ({ stdout: '' }))).stdout;
+    }
+  }
+  for (const entry of entries.filter(e => e.untracked)) {
+    try {
+      diff += (await runGit(['diff', '--no-color', '--no-index', '--', '/dev/null', entry.path])).stdout;
+    } catch (err) {
+      // --no-index exits with 1 when the files differ
+      diff += err.exitCode === 1 ? err.stdout : '';
+    }
+  }
+  return limitRawDiff(diff, { maxFileBytes: SNAPSHOT_MAX_DIFF_BYTES, maxTotalBytes: SNAPSHOT_MAX_DIFF_BYTES });
+};
+
+// One snapshot per saved file: the changed paths it covers with their blob hash, and the diff
+const snapshotFiles = async (runGit, files) => {
+  const workingTree = await readWorkingTree(runGit);
+  const snapshots = [];
+  for (const file of files.map(normalizeRepoPath)) {
+    const entries = workingTree.filter(entry => coversEntry(file, entry));
+    const { diff, truncated } = entries.length > 0 ? await readFileDiff(runGit, file, entries) : { diff: '', truncated: false };
+    snapshots.push({
+      file,
+      changed: entries.length > 0,
+      paths: entries.map(({ path, index_status, worktree_status, blob }) => ({ path, index_status, worktree_status, blob })),
+      diff,
+      diff_truncated: truncated
+    });
+  }
+  return snapshots;
+};
+
+const samePaths = (saved, current) => {
+  if (saved.length !== current.length) {
+    return false;
+  }
+  return saved.every(p => current.some(c => c.path === p.path && c.blob === p.blob && c.worktree_status === p.worktree_status));
+};
+
+// Compare the pending changes with the working tree:
+// - unchanged_files: saved files that have no changes now
+// - changed_since_save: saved files whose changes differ from the snapshot taken by save_changes
+// - uncovered_files: changed paths that no pending change lists
+const detectDrift = async (runGit, changes) => {
+  const workingTree = await readWorkingTree(runGit);
+  const unchangedFiles = [];
+  const changedSinceSave = [];
+  const listedFiles = new Set();
+
+  changes.forEach(change => {
+    (change.files || []).map(normalizeRepoPath).forEach(file => {
+      listedFiles.add(file);
+      const current = workingTree.filter(entry => coversEntry(file, entry));
+      if (current.length === 0) {
+        unchangedFiles.push({ change_id: change.id, file });
+      }
+      // Entries saved before snapshots existed cannot be compared
+      const snapshot = (change.snapshots || []).find(s => s.file === file);
+      if (snapshot && !samePaths(snapshot.paths, current)) {
+        changedSinceSave.push({
+          change_id: change.id,
+          file,
+          saved: snapshot.paths.map(p => ({ path: p.path, blob: p.blob })),
+          current: current.map(p => ({ path: p.path, blob: p.blob }))
+        });
+      }
+    });
+  });
+
+  const listed = Array.from(listedFiles);
+  const uncoveredFiles = workingTree.filter(entry => !listed.some(file => coversEntry(file, entry))).map(entry => entry.path);
+
+  return {
+    in_sync: unchangedFiles.length === 0 && changedSinceSave.length === 0 && uncoveredFiles.length === 0,
+    unchanged_files: unchangedFiles,
+    changed_since_save: changedSinceSave,
+    uncovered_files: uncoveredFiles
+  };
+};
+
+module.exports = {
+  SNAPSHOT_MAX_DIFF_BYTES,
+  snapshotFiles,
+  detectDrift
+};
@@ -0,0 +1,72 @@
+// Author/committer identity and trailers for the commits the server creates
+
+// Settings come from env vars or a MULTI_INSTANCE entry. Unset values fall back to
+// the git configuration (user.name / user.email), like a plain `git commit`.
+const resolveCommitIdentity = ({ authorName, authorEmail, committerName, committerEmail } = {}) => {
+  const identity = {
+    author_name: authorName || null,
+    author_email: authorEmail || null,
+    committer_name: committerName || null,
+    committer_email: committerEmail || null
+  };
+  Object.keys(identity).forEach(key => {
+    if (identity[key] && /[<>\n]/.test(identity[key])) {
+      throw new Error(`COMMIT_${key.toUpperCase()} must not contain "<", ">" or line breaks`);
+    }
+  });
+  return identity;
+};
+
+// `-c` options placed before the git subcommand (author.* / committer.* need git 2.22+).
+// The tagger of annotated tags is the committer.
+const identityConfigArgs = (identity) => {
+  const args = [];
+  [['author.name', identity.author_name], ['author.email', identity.author_email],
+    ['committer.name', identity.committer_name], ['committer.email', identity.committer_email]].forEach(([key, value]) => {
+    if (value) {
+      args.push('-c', `${key}=${value}`);
+    }
+  });
+  return args;
+};
+
+// "Name <email> 1700000000 +0100" from `git var GIT_AUTHOR_IDENT`
+const parseIdent = (ident) => {
+  const match = String(ident).trim().match(/^(.*) <(.*)> \d+ [+-]\d{4}$/);
+  return match ? { name: match[1], email: match[2] } : null;
+};
+
+// "Token: value" lines such as "Co-authored-by: Name <email>" or "Reviewed-by: Name <email>"
+const TRAILER_REGEX = /^[A-Za-z0-9][A-Za-z0-9-]*: \S.*$/;
+
+const validateTrailers = (trailers) => {
+  if (!Array.isArray(trailers) || trailers.some(trailer => typeof trailer !== 'string' || !TRAILER_REGEX.test(trailer.trim()) || trailer.includes('\n'))) {
+    throw new Error('trailers parameter must be an array of "Token: value" strings, e.g. "Co-authored-by: Name <email>"');
+  }
+  return trailers.map(trailer => trailer.trim());
+};
+
+// Trailers form the last paragraph of the message; an existing trailer block is extended
+const appendTrailers = (message, trailers) => {
+  if (trailers.length === 0) {
+    return message;
+  }
+  const text = message.trimEnd();
+  const paragraphs = text.split(/\n\s*\n/);
+  const lastParagraph = paragraphs[paragraphs.length - 1].split('\n');
+  const endsWithTrailers = paragraphs.length > 1 && lastParagraph.every(line => TRAILER_REGEX.test(line));
+  const existing = endsWithTrailers ? lastParagraph : [];
+  const added = trailers.filter(trailer => !existing.includes(trailer));
+  if (added.length === 0) {
+    return text;
+  }
+  return `${text}${endsWithTrailers ? '\n' : '\n\n'}${added.join('\n')}`;
+};
+
+module.exports = {
+  resolveCommitIdentity,
+  identityConfigArgs,
+  parseIdent,
+  validateTrailers,
+  appendTrailers
+};
@@ -0,0 +1,201 @@
+// Commit message policy (Conventional Commits and friends) and type/scope suggestions
+
+const CONVENTIONAL_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'];
+
+// "type(scope)!: subject"
+const HEADER_REGEX = /^([A-Za-z]+)(?:\(([^()\r\n]*)\))?(!)?: (.*)$/;
+
+const parseConventionalHeader = (header) => {
+  const match = String(header).match(HEADER_REGEX);
+  if (!match) {
+    return null;
+  }
+  return {
+    type: match[1],
+    scope: match[2] === undefined ? null : match[2],
+    breaking: Boolean(match[3]),
+    subject: match[4]
+  };
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Check a message against the commit_message section of the push policy.
+// Returns a list of { rule, message } problems (empty when the message is fine).
+const validateCommitMessage = (message, rules) => {
+  const problems = [];
+  const lines = String(message).split('\n');
+  const header = lines[0].trim();
+
+  if (rules.conventional) {
+    const parsed = parseConventionalHeader(header);
+    if (!parsed) {
+      problems.push({ rule: 'conventional', message: `"${header}" is not in Conventional Commits format "type(scope): subject"` });
+    } else {
+      if (!rules.types.includes(parsed.type)) {
+        problems.push({ rule: 'type', message: `Type "${parsed.type}" is not allowed. Use one of: ${rules.types.join(', ')}` });
+      }
+      if (rules.require_scope && !parsed.scope) {
+        problems.push({ rule: 'scope', message: 'A scope is required, e.g. "feat(api): ..."' });
+      }
+      if (!parsed.subject.trim()) {
+        problems.push({ rule: 'conventional', message: 'The subject after "type: " is empty' });
+      }
+    }
+    if (lines.length > 1 && lines[1].trim()) {
+      problems.push({ rule: 'body_separator', message: 'The subject line must be followed by a blank line before the body' });
+    }
+  }
+
+  if (rules.max_subject_length > 0 && header.length > rules.max_subject_length) {
+    problems.push({ rule: 'subject_length', message: `The subject line is ${header.length} characters, longer than ${rules.max_subject_length}` });
+  }
+
+  if (rules.issue_regex && !rules.issue_regex.test(message)) {
+    problems.push({ rule: 'issue_reference', message: `The message must reference an issue matching /${rules.issue_pattern}/` });
+  }
+
+  (rules.forbidden_words || []).forEach(word => {
+    if (new RegExp(`(^|[^A-Za-z0-9_])${escapeRegExp(word)}($|[^A-Za-z0-9_])`, 'i').test(message)) {
+      problems.push({ rule: 'forbidden_word', message: `The message contains the forbidden word "${word}"` });
+    }
+  });
+
+  return problems;
+};
+
+// File based guesses, checked in order; a type applies when every file matches
+const PATH_TYPES = [
+  { type: 'docs', pattern: /(^|\/)(docs?\/|README|CHANGELOG|LICENSE)|\.(md|mdx|rst|txt|adoc)$/i },
+  { type: 'test', pattern: /(^|\/)(tests?|__tests__|spec)\/|\.(test|spec)\.[^/]+$/i },
+  { type: 'ci', pattern: /(^|\/)(\.github\/workflows|\.gitlab-ci\.yml|\.circleci|Jenkinsfile|\.travis\.yml|azure-pipelines\.yml)/ },
+  { type: 'build', pattern: /(^|\/)(package(-lock)?\.json|yarn\.lock|pnpm-lock\.yaml|Dockerfile|Makefile|webpack\.config\.[^/]+|rollup\.config\.[^/]+|vite\.config\.[^/]+|tsconfig[^/]*\.json|pom\.xml|build\.gradle|go\.mod|go\.sum|Cargo\.toml|requirements[^/]*\.txt)$/ },
+  { type: 'style', pattern: /\.(css|scss|sass|less|styl)$/i }
+];
+
+// Description based guesses, checked in order
+const CONTENT_TYPES = [
+  { type: 'revert', pattern: /\brevert/i },
+  { type: 'fix', pattern: /\b(fix(e[sd])?|bug|crash|broken|regression|error|issue|hotfix)\b|修复|修正/i },
+  { type: 'perf', pattern: /\b(perf|performance|faster|speed( up)?|optimi[sz]e[sd]?|latency|memory usage)\b|性能/i },
+  { type: 'refactor', pattern: /\b(refactor(ed|ing)?|restructure[sd]?|rename[sd]?|clean ?up|simplif(y|ied|ies)|extract(ed)?)\b|重构/i },
+  { type: 'docs', pattern: /\b(docs?|documentation|readme|comments?)\b|文档/i },
+  { type: 'test', pattern: /\b(tests?|specs?|coverage)\b|测试/i },
+  { type: 'feat', pattern: /\b(add(s|ed)?|new|introduce[sd]?|implement(s|ed)?|support(s|ed)?|allow(s|ed)?|feature)\b|新增|添加|支持|实现/i }
+];
+
+// Directories that only group code, so the next path segment is the real scope
+const CONTAINER_DIRS = ['src', 'lib', 'app', 'apps', 'packages', 'modules', 'components', 'pkg', 'internal', 'cmd'];
+
+const guessScope = (files) => {
+  const scopes = files.map(file => {
+    const segments = file.replace(/\\/g, '/').replace(/^\.\//, '').split('/');
+    if (segments.length === 1) {
+      return null;
+    }
+    if (CONTAINER_DIRS.includes(segments[0]) && segments.length > 2) {
+      return segments[1];
+    }
+    return CONTAINER_DIRS.includes(segments[0]) ? segments[1].replace(/\.[^.]+$/, '') : segments[0];
+  });
+  const unique = [...new Set(scopes)];
+  // Only suggest a scope when every file lives under it
+  return unique.length === 1 && unique[0] ? unique[0].toLowerCase().replace(/[^a-z0-9_-]/g, '-') : null;
+};
+
+const guessType = (files, contents) => {
+  if (files.length > 0) {
+    const pathType = PATH_TYPES.find(({ pattern }) => files.every(file => pattern.test(file)));
+    if (pathType) {
+      return pathType.type;
+    }
+  }
+  const text = contents.join('\n');
+  const contentType = CONTENT_TYPES.find(({ pattern }) => pattern.test(text));
+  return contentType ? contentType.type : 'chore';
+};
+
+// Leading past-tense verbs rewritten to the imperative mood ("Added X" -> "add X")
+const IMPERATIVE_VERBS = {
+  added: 'add', adds: 'add', fixed: 'fix', fixes: 'fix', updated: 'update', updates: 'update',
+  removed: 'remove', removes: 'remove', changed: 'change', changes: 'change', improved: 'improve',
+  improves: 'improve', implemented: 'implement', implements: 'implement', refactored: 'refactor',
+  renamed: 'rename', moved: 'move', created: 'create', deleted: 'delete', replaced: 'replace'
+};
+
+// Turn the first line of a description into a conventional subject ("Added X." -> "add X")
+const toSubject = (text, forbiddenWords = []) => {
+  const line = String(text || '').split('\n').map(l => l.trim()).find(Boolean) || '';
+  const parsed = parseConventionalHeader(line);
+  let subject = (parsed ? parsed.subject : line).replace(/^[-*]\s+/, '').replace(/[.。]+$/, '');
+
+  forbiddenWords.forEach(word => {
+    subject = subject.replace(new RegExp(`(^|[^A-Za-z0-9_])${escapeRegExp(word)}(?=$|[^A-Za-z0-9_])`, 'gi'), '$1');
+  });
+  subject = subject.replace(/\s{2,}/g, ' ').replace(/^[\s:,-]+/, '').trim();
+
+  const firstWord = subject.split(' ')[0];
+  if (IMPERATIVE_VERBS[firstWord.toLowerCase()]) {
+    return `${IMPERATIVE_VERBS[firstWord.toLowerCase()]}${subject.substring(firstWord.length)}`;
+  }
+  // Keep acronyms such as "API" as they are
+  return /^[A-Z][a-z]/.test(subject) ? subject.charAt(0).toLowerCase() + subject.slice(1) : subject;
+};
+
+// Cut a subject on a word boundary so the header fits maxLength
+const shortenSubject = (subject, maxLength) => {
+  if (subject.length <= maxLength) {
+    return subject;
+  }
+  const cut = subject.substring(0, maxLength + 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > maxLength / 2 ? cut.substring(0, lastSpace) : subject.substring(0, maxLength)).replace(/[\s,;:-]+$/, '');
+};
+
+// Propose a Conventional Commits message from the pending changes (files + descriptions).
+// An agent supplied message is kept as the subject when given.
+const suggestCommitMessage = (changes, { message, rules } = {}) => {
+  const files = [...new Set(changes.flatMap(change => change.files || []))];
+  const contents = changes.map(change => change.content || '');
+  const allowedTypes = rules && rules.types ? rules.types : CONVENTIONAL_TYPES;
+
+  let type = guessType(files, contents);
+  if (!allowedTypes.includes(type)) {
+    type = allowedTypes.includes('chore') ? 'chore' : allowedTypes[0];
+  }
+  const scope = guessScope(files);
+
+  const forbiddenWords = rules && rules.forbidden_words ? rules.forbidden_words : [];
+  let subject = toSubject(message, forbiddenWords) || toSubject(contents[contents.length - 1], forbiddenWords) || 'update files';
+  // "fix: fix crash" reads better as "fix: crash"
+  subject = subject.replace(new RegExp(`^${type}(e[sd]|s|ed)?\\s+(?=\\S)`, 'i'), '');
+  const prefix = `${type}${scope ? `(${scope})` : ''}: `;
+  const maxLength = rules && rules.max_subject_length > 0 ? Math.max(rules.max_subject_length - prefix.length, 10) : Infinity;
+  const shortened = shortenSubject(subject, maxLength);
+
+  // Reuse an issue reference from the message or the descriptions when the policy requires one
+  const issueMatch = rules && rules.issue_regex && !rules.issue_regex.test(shortened)
+    ? [message || '', ...contents].join('\n').match(rules.issue_regex)
+    : null;
+  subject = issueMatch
+    ? `${shortenSubject(subject.replace(issueMatch[0], '').replace(/[\s,;:(-]+(see|refs?|closes|fixes)?[\s)]*$/i, ''), Math.max(maxLength - issueMatch[0].length - 3, 10))} (${issueMatch[0]})`
+    : shortened;
+
+  return {
+    type,
+    scope,
+    subject,
+    message: `${prefix}${subject}`,
+    based_on: {
+      pending_changes: changes.length,
+      files: files.length
+    }
+  };
+};
+
+module.exports = {
+  CONVENTIONAL_TYPES,
+  parseConventionalHeader,
+  validateCommitMessage,
+  suggestCommitMessage
+};
@@ -0,0 +1,289 @@
+// Parsing and size limiting of `git diff` output
+
+const DEFAULT_MAX_FILE_BYTES = 50 * 1024;
+const DEFAULT_MAX_TOTAL_BYTES = 200 * 1024;
+
+const DIFF_FORMATS = ['raw', 'parsed', 'stat'];
+
+// Revisions like "HEAD~3..HEAD", "origin/main...HEAD" or "abc123"
+const RANGE_REGEX = /^[A-Za-z0-9_./@^~{}+-]+(\.\.\.?[A-Za-z0-9_./@^~{}+-]+)?$/;
+
+const isValidRange = (range) => typeof range === 'string' && !range.startsWith('-') && RANGE_REGEX.test(range);
+
+// Undo git's C-style quoting of unusual paths ("a/t\303\251st.txt")
+const unquotePath = (value) => {
+  if (!value.startsWith('"') || !value.endsWith('"')) {
+    return value;
+  }
+  const bytes = [];
+  const inner = value.substring(1, value.length - 1);
+  const escapes = { n: 10, t: 9, r: 13, '"': 34, '\\': 92, a: 7, b: 8, f: 12, v: 11 };
+  for (let i = 0; i < inner.length; i++) {
+    if (inner[i] !== '\\') {
+      bytes.push(...Buffer.from(inner[i]));
+    } else if (/[0-7]/.test(inner[i + 1])) {
+      bytes.push(parseInt(inner.substring(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      bytes.push(escapes[inner[i + 1]] !== undefined ? escapes[inner[i + 1]] : inner.charCodeAt(i + 1));
+      i += 1;
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+};
+
+// git appends a tab to ---/+++ paths that contain spaces
+const stripPrefix = (value) => {
+  const path = unquotePath(value.replace(/\t$/, ''));
+  return path.replace(/^[ab]\//, '');
+};
+
+// "diff --git a/x b/x" is ambiguous when paths contain spaces; only trust it when both sides match
+const parseDiffGitLine = (line) => {
+  const rest = line.substring('diff --git '.length);
+  const quoted = rest.match(/^("(?:[^"\\]|\\.)*"|\S+) ("(?:[^"\\]|\\.)*"|\S+)$/);
+  if (quoted) {
+    return { oldPath: stripPrefix(quoted[1]), newPath: stripPrefix(quoted[2]) };
+  }
+  const length = (rest.length - 5) / 2;
+  const candidate = rest.substring(2, 2 + length);
+  if (Number.isInteger(length) && rest === `a/${candidate} b/${candidate}`) {
+    return { oldPath: candidate, newPath: candidate };
+  }
+  return { oldPath: null, newPath: null };
+};
+
+const byteLength = (text) => Buffer.byteLength(text, 'utf8');
+
+// Cut text to at most maxBytes, ending on a line boundary when possible
+const truncateBytes = (text, maxBytes) => {
+  const cut = Buffer.from(text, 'utf8').subarray(0, maxBytes).toString('utf8').replace(/\uFFFD$/, '');
+  const lastNewline = cut.lastIndexOf('\n');
+  return lastNewline > 0 ? cut.substring(0, lastNewline + 1) : cut;
+};
+
+// Split a patch into one chunk of text per file
+const splitDiffByFile = (diff) => {
+  const chunks = [];
+  let current = null;
+  diff.split('\n').forEach((line, index, lines) => {
+    if (line.startsWith('diff --git ')) {
+      current = [];
+      chunks.push(current);
+    }
+    if (current && !(index === lines.length - 1 && line === '')) {
+      current.push(line);
+    }
+  });
+  return chunks.map(lines => `${lines.join('\n')}\n`);
+};
+
+const parseFileChunk = (chunk) => {
+  const lines = chunk.replace(/\n$/, '').split('\n');
+  const { oldPath, newPath } = parseDiffGitLine(lines[0]);
+  const file = {
+    path: newPath,
+    old_path: oldPath,
+    change_type: 'modified',
+    binary: false,
+    additions: 0,
+    deletions: 0,
+    hunks: []
+  };
+
+  let hunk = null;
+  let inHeader = true;
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('@@')) {
+      inHeader = false;
+      const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/);
+      hunk = {
+        old_start: match ? parseInt(match[1], 10) : 0,
+        old_lines: match ? (match[2] === undefined ? 1 : parseInt(match[2], 10)) : 0,
+        new_start: match ? parseInt(match[3], 10) : 0,
+        new_lines: match ? (match[4] === undefined ? 1 : parseInt(match[4], 10)) : 0,
+        section: match ? match[5] : '',
+        lines: []
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (!inHeader) {
+      if (line.startsWith('+')) {
+        file.additions++;
+      } else if (line.startsWith('-')) {
+        file.deletions++;
+      }
+      hunk.lines.push(line);
+      continue;
+    }
+
+    if (line.startsWith('new file mode ')) {
+      file.change_type = 'added';
+      file.new_mode = line.substring('new file mode '.length);
+    } else if (line.startsWith('deleted file mode ')) {
+      file.change_type = 'deleted';
+      file.old_mode = line.substring('deleted file mode '.length);
+    } else if (line.startsWith('old mode ')) {
+      file.old_mode = line.substring('old mode '.length);
+    } else if (line.startsWith('new mode ')) {
+      file.new_mode = line.substring('new mode '.length);
+    } else if (line.startsWith('rename from ') || line.startsWith('copy from ')) {
+      file.change_type = line.startsWith('rename') ? 'renamed' : 'copied';
+      file.old_path = unquotePath(line.substring(line.indexOf(' from ') + 6));
+    } else if (line.startsWith('rename to ') || line.startsWith('copy to ')) {
+      file.path = unquotePath(line.substring(line.indexOf(' to ') + 4));
+    } else if (line.startsWith('similarity index ')) {
+      file.similarity = parseInt(line.substring('similarity index '.length), 10);
+    } else if (line.startsWith('--- ') && line !== '--- /dev/null') {
+      file.old_path = stripPrefix(line.substring(4));
+    } else if (line.startsWith('+++ ') && line !== '+++ /dev/null') {
+      file.path = stripPrefix(line.substring(4));
+    } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+      file.binary = true;
+    }
+  }
+
+  // old_path is only reported for renames and copies, like in the stat format
+  if (file.change_type === 'deleted') {
+    file.path = file.old_path;
+  }
+  if (file.change_type !== 'renamed' && file.change_type !== 'copied') {
+    file.old_path = null;
+  }
+  return file;
+};
+
+const sumTotals = (files) => files.reduce((totals, file) => {
+  totals.additions += file.additions;
+  totals.deletions += file.deletions;
+  return totals;
+}, { files: files.length, additions: 0, deletions: 0 });
+
+// Parse a unified diff into per-file objects. Hunks are dropped once a file
+// exceeds maxFileBytes or the whole result exceeds maxTotalBytes (0 = no limit);
+// stats stay complete so the agent still sees what changed.
+const parseDiff = (diff, { maxFileBytes = 0, maxTotalBytes = 0 } = {}) => {
+  let totalBytes = 0;
+  let truncated = false;
+
+  const files = splitDiffByFile(diff).map(chunk => {
+    const file = parseFileChunk(chunk);
+    const hunks = file.hunks;
+    file.hunks = [];
+    file.truncated = false;
+
+    let fileBytes = 0;
+    for (let i = 0; i < hunks.length; i++) {
+      const hunkBytes = byteLength(hunks[i].lines.join('\n'));
+      const overFile = maxFileBytes > 0 && fileBytes + hunkBytes > maxFileBytes;
+      const overTotal = maxTotalBytes > 0 && totalBytes + hunkBytes > maxTotalBytes;
+      if (overFile || overTotal) {
+        file.truncated = true;
+        file.omitted_hunks = hunks.length - i;
+        file.truncation_reason = overTotal ? 'max_total_bytes' : 'max_file_bytes';
+        truncated = true;
+        break;
+      }
+      fileBytes += hunkBytes;
+      totalBytes += hunkBytes;
+      file.hunks.push(hunks[i]);
+    }
+    return file;
+  });
+
+  return { files, totals: sumTotals(files), truncated };
+};
+
+// Apply the same limits to the raw patch text, with visible truncation markers
+const limitRawDiff = (diff, { maxFileBytes = 0, maxTotalBytes = 0 } = {}) => {
+  const chunks = splitDiffByFile(diff);
+  let output = '';
+  let truncated = false;
+
+  for (let i = 0; i < chunks.length; i++) {
+    let chunk = chunks[i];
+    const size = byteLength(chunk);
+
+    if (maxFileBytes > 0 && size > maxFileBytes) {
+      const kept = truncateBytes(chunk, maxFileBytes);
+      chunk = `${kept}... [diff truncated: ${size - byteLength(kept)} more bytes in this file]\n`;
+      truncated = true;
+    }
+
+    if (maxTotalBytes > 0 && byteLength(output) + byteLength(chunk) > maxTotalBytes) {
+      const remaining = maxTotalBytes - byteLength(output);
+      if (remaining > 0) {
+        output += `${truncateBytes(chunk, remaining)}... [diff truncated]\n`;
+      }
+      output += `... [diff truncated: ${chunks.length - i - (remaining > 0 ? 1 : 0)} more file(s) omitted, total size limit of ${maxTotalBytes} bytes reached]\n`;
+      truncated = true;
+      break;
+    }
+
+    output += chunk;
+  }
+
+  return { diff: chunks.length > 0 ? output : diff, truncated };
+};
+
+// Merge `git diff --numstat -z` and `git diff --name-status -z` output
+const parseDiffStat = (numstat, nameStatus) => {
+  const types = { A: 'added', D: 'deleted', M: 'modified', R: 'renamed', C: 'copied', T: 'type_changed', U: 'unmerged' };
+  const statuses = new Map();
+  const statusParts = nameStatus.split('\0');
+  for (let i = 0; i < statusParts.length; i++) {
+    const code = statusParts[i];
+    if (!code) {
+      continue;
+    }
+    if (code[0] === 'R' || code[0] === 'C') {
+      const oldPath = statusParts[++i];
+      const newPath = statusParts[++i];
+      statuses.set(newPath, { change_type: types[code[0]], old_path: oldPath, similarity: parseInt(code.substring(1), 10) || null });
+    } else {
+      statuses.set(statusParts[++i], { change_type: types[code[0]] || 'modified', old_path: null });
+    }
+  }
+
+  const files = [];
+  const parts = numstat.split('\0');
+  for (let i = 0; i < parts.length; i++) {
+    const record = parts[i];
+    if (!record) {
+      continue;
+    }
+    const [added, deleted, inlinePath] = record.split('\t');
+    let filePath = inlinePath;
+    if (!inlinePath) {
+      // Renames and copies: empty path followed by the old and new paths
+      i += 2;
+      filePath = parts[i];
+    }
+    const status = statuses.get(filePath) || { change_type: 'modified', old_path: null };
+    const binary = added === '-' && deleted === '-';
+    files.push({
+      path: filePath,
+      old_path: status.old_path,
+      change_type: status.change_type,
+      binary,
+      additions: binary ? 0 : parseInt(added, 10) || 0,
+      deletions: binary ? 0 : parseInt(deleted, 10) || 0
+    });
+  }
+
+  return { files, totals: sumTotals(files) };
+};
+
+module.exports = {
+  DEFAULT_MAX_FILE_BYTES,
+  DEFAULT_MAX_TOTAL_BYTES,
+  DIFF_FORMATS,
+  isValidRange,
+  parseDiff,
+  limitRawDiff,
+  parseDiffStat
+};
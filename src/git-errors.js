@@ -0,0 +1,142 @@
+// Classification of git failures into machine-readable error codes
+
+// Checked in order; the first matching type wins
+const GIT_ERROR_TYPES = [
+  {
+    code: 'LOCK_FILE_EXISTS',
+    patterns: [/Unable to create '.*\.lock'/, /\.lock': File exists/, /Another git process seems to be running/],
+    hint: 'Another git process is running or crashed and left a lock file. Wait for it to finish, or remove the reported .lock file if no git process is running.'
+  },
+  {
+    code: 'NOT_A_REPOSITORY',
+    patterns: [/not a git repository/i],
+    hint: 'PROJECT_PATH does not point to a git repository. Check the configured PROJECT_PATH.'
+  },
+  {
+    code: 'SIGNING_FAILED',
+    patterns: [/gpg failed to sign the data/, /failed to sign the data/i, /unable to sign the tag/, /No secret key/, /Couldn't (load|find) public key/i, /signing failed/i],
+    hint: 'Git could not sign the commit or tag. Check SIGNING_FORMAT and SIGNING_KEY, that the key is available to gpg or ssh-agent, and that gpg can run without a passphrase prompt.'
+  },
+  {
+    code: 'REMOTE_NOT_FOUND',
+    patterns: [/does not appear to be a git repository/, /No such remote/, /couldn't find remote ref/],
+    hint: 'The remote or remote branch does not exist. Check REMOTE_NAME, REMOTE_BRANCH and PULL_SOURCE_BRANCH.'
+  },
+  {
+    code: 'WORKING_TREE_DIRTY',
+    patterns: [/your local changes (to the following files )?would be overwritten/i, /untracked working tree files would be (overwritten|removed)/, /cannot (pull with rebase|rebase): You have unstaged changes/, /Please commit or stash them/],
+    hint: 'Uncommitted changes are in the way. Commit them or stash them with git_stash_save (git_pull also accepts autostash: true), then try again.'
+  },
+  {
+    code: 'MERGE_CONFLICT',
+    patterns: [/^CONFLICT \(/m, /Automatic merge failed/, /Merge conflict in/, /you need to resolve your current index first/, /could not apply [0-9a-f]+/, /unmerged files/i, /needs merge/],
+    hint: 'Merge conflicts must be resolved. Inspect the conflicted files, resolve them, and commit, or abort the merge/rebase.'
+  },
+  {
+    code: 'PROTECTED_BRANCH',
+    patterns: [/protected branch/i, /GH006/, /not allowed to (push|force push|force-push)/i, /Cannot force-push to this protected branch/i],
+    hint: 'The remote branch is protected. Push to a feature branch and open a pull/merge request, or ask a maintainer for access.'
+  },
+  {
+    code: 'HOOK_REJECTED',
+    patterns: [/hook declined/i, /\[remote rejected\]/, /hook exited with/i, /hook failed/i],
+    hint: 'A git hook rejected the operation. Read the hook output in stderr, fix the reported problems, and try again.'
+  },
+  {
+    code: 'NON_FAST_FORWARD',
+    patterns: [/\(non-fast-forward\)/, /\(fetch first\)/, /Updates were rejected because/, /tip of your current branch is behind/, /Not possible to fast-forward/],
+    hint: 'The remote branch has commits that are not in the local branch. Pull (or enable PRE_PUSH_SYNC) to integrate them, then push again.'
+  },
+  {
+    code: 'AUTH_FAILED',
+    patterns: [/Authentication failed/i, /could not read (Username|Password)/i, /Permission denied \(publickey/, /Invalid username or password/i, /HTTP Basic: Access denied/, /The requested URL returned error: 40[13]/, /Permission to .* denied/, /Repository not found/],
+    hint: 'Git could not authenticate with the remote. Check the stored credentials, access token or SSH key and that the account has access to the repository.'
+  },
+  {
+    code: 'NETWORK_ERROR',
+    patterns: [/Could not resolve host/i, /Could not resolve proxy/i, /Failed to connect to/i, /Connection (timed out|refused|reset)/i, /Proxy CONNECT aborted/i, /Received HTTP code \d+ from proxy/, /SSL certificate problem/i, /gnutls_handshake/, /OpenSSL SSL_/, /The remote end hung up unexpectedly/, /early EOF/, /Operation timed out/i, /Network is unreachable/i, /Could not read from remote repository/],
+    hint: 'The remote could not be reached. Check the network connection, the remote URL and the HTTP_PROXY/HTTPS_PROXY/SOCKS_PROXY settings.'
+  },
+  {
+    code: 'PATH_NOT_FOUND',
+    patterns: [/path '.*' does not exist in '/, /path '.*' exists on disk, but not in '/, /no such path '.*' in /],
+    hint: 'The file does not exist at the requested revision. Check the path (relative to PROJECT_PATH) and the ref, or use git_log with files to find when it was added or removed.'
+  },
+  {
+    code: 'REVISION_NOT_FOUND',
+    patterns: [/unknown revision or path not in the working tree/, /invalid object name/i, /bad revision '/, /Needed a single revision/, /not a valid object name/i],
+    hint: 'The branch, tag or commit does not exist. Check the ref with git_log or git_branch_list.'
+  }
+];
+
+const UNKNOWN_ERROR = {
+  code: 'GIT_COMMAND_FAILED',
+  hint: 'Git exited with an error. Read the stderr output for details.'
+};
+
+const MAX_STDERR_LENGTH = 2000;
+
+const classifyGitError = (stderr = '', stdout = '') => {
+  const output = `${stderr}\n${stdout}`;
+  const type = GIT_ERROR_TYPES.find(t => t.patterns.some(pattern => pattern.test(output)));
+  return type ? { code: type.code, hint: type.hint } : { ...UNKNOWN_ERROR };
+};
+
+// Pick the line that explains the failure, preferring fatal/error lines
+const summarizeStderr = (stderr = '') => {
+  const lines = stderr.split(/[\r\n]+/).map(line => line.trim()).filter(Boolean);
+  const important = lines.find(line => /^(fatal|error|remote: error|CONFLICT)\b/i.test(line) || line.includes('[rejected]') || line.includes('[remote rejected]'));
+  return important || lines[lines.length - 1] || '';
+};
+
+// Rejection value of executeGitCommand. Keeps the legacy `success`, `error`,
+// `stdout`, `stderr` and `exitCode` fields so existing callers keep working.
+class GitCommandError extends Error {
+  constructor({ args = [], stdout = '', stderr = '', exitCode = null, code, hint, message }) {
+    const classification = code ? { code, hint: hint || UNKNOWN_ERROR.hint } : classifyGitError(stderr, stdout);
+    const summary = summarizeStderr(stderr);
+    const fullMessage = message || `Command exited with code ${exitCode} [${classification.code}]${summary ? `: ${summary}` : ''}`;
+
+    super(fullMessage);
+    this.name = 'GitCommandError';
+    this.success = false;
+    this.error = fullMessage;
+    this.args = args;
+    this.stdout = stdout;
+    this.stderr = stderr;
+    this.exitCode = exitCode;
+    this.code = classification.code;
+    this.hint = classification.hint;
+  }
+
+  // Payload exposed to clients through JSON-RPC error.data
+  toData() {
+    return {
+      git_error_code: this.code,
+      hint: this.hint,
+      command: `git ${this.args.join(' ')}`,
+      exit_code: this.exitCode,
+      stderr: this.stderr.length > MAX_STDERR_LENGTH
+        ? `...${this.stderr.substring(this.stderr.length - MAX_STDERR_LENGTH)}`
+        : this.stderr
+    };
+  }
+}
+
+// Wrap a failure inside a tool ("Git push failed: ...") without losing the classification
+const toToolError = (prefix, err) => {
+  const error = new Error(`${prefix}: ${err.error || err.message}`);
+  if (err instanceof GitCommandError) {
+    error.data = err.toData();
+  } else if (err.data) {
+    error.data = err.data;
+  }
+  return error;
+};
+
+module.exports = {
+  GIT_ERROR_TYPES,
+  GitCommandError,
+  classifyGitError,
+  toToolError
+};
@@ -0,0 +1,280 @@
+// Shared helpers used by both the single and multi-instance servers
+
+const path = require('path');
+
+// Normalize a path given by the agent so it can be compared with git output
+const normalizeRepoPath = (file) => {
+  return String(file)
+    .trim()
+    .replace(/\\/g, '/')
+    .replace(/^(\.\/)+/, '')
+    .replace(/\/+$/, '');
+};
+
+// Resolve a path given by the agent against the project directory. Returns the
+// path relative to projectPath, or null when it points outside of it.
+const resolveProjectFile = (projectPath, file) => {
+  if (typeof file !== 'string' || !file.trim() || file.includes('\0')) {
+    return null;
+  }
+  const root = path.resolve(projectPath);
+  const relative = path.relative(root, path.resolve(root, file.trim()));
+  if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    return null;
+  }
+  return relative.split(path.sep).join('/');
+};
+
+// A single revision such as "HEAD~2", "v1.2.0", "origin/main" or a commit hash (no ranges)
+const isValidRef = (ref) => {
+  return typeof ref === 'string' && !ref.startsWith('-') && !ref.includes('..') && /^[A-Za-z0-9_./@^~{}+-]+$/.test(ref);
+};
+
+const DEFAULT_SHOW_FILE_MAX_BYTES = 200 * 1024;
+// git_show_file treats a file with a NUL byte in this many leading bytes as binary (like git)
+const BINARY_CHECK_BYTES = 8000;
+
+// git_show_file result as written to the operation log: everything but the file contents
+const omitShowFileContent = (result) => result && typeof result.content === 'string'
+  ? { ...result, content: `[${Buffer.byteLength(result.content, 'utf8')} bytes omitted]` }
+  : result;
+
+// Unpushed commits listed by a git_push dry run; the total is always reported
+const DRY_RUN_MAX_COMMITS = 100;
+
+// Check whether a path equals one of the given paths or lives under one of them
+const isPathCovered = (file, paths) => {
+  return paths.some(p => p === '.' || p === '' || file === p || file.startsWith(`${p}/`));
+};
+
+// Union of all files recorded in pending change entries
+const collectPendingFiles = (changes) => {
+  const files = new Set();
+  changes.forEach(change => {
+    (change.files || []).forEach(file => files.add(normalizeRepoPath(file)));
+  });
+  return Array.from(files);
+};
+
+const COMMIT_BODY_MODES = ['none', 'pending_changes'];
+
+// Commit body with one bullet per pending change (oldest first) and its files
+const buildPendingChangesBody = (changes) => {
+  return changes.slice().reverse().map(change => {
+    const lines = String(change.content || '').trim().split('\n').map(line => line.trimEnd());
+    const bullet = [`- ${lines[0]}`, ...lines.slice(1).map(line => (line ? `  ${line}` : ''))];
+    if (change.files && change.files.length > 0) {
+      bullet.push(`  Files: ${change.files.join(', ')}`);
+    }
+    return bullet.join('\n');
+  }).join('\n');
+};
+
+// Final commit message for git_push: the given message, plus the pending changes as body when asked
+const composeCommitMessage = (message, changes, commitBody = 'none') => {
+  if (commitBody !== 'pending_changes' || changes.length === 0) {
+    return message;
+  }
+  return `${message.trimEnd()}\n\n${buildPendingChangesBody(changes)}`;
+};
+
+// Split the working tree status into the paths to commit and the paths left out
+const selectCommitPaths = (statusEntries, selectedFiles) => {
+  const commitPaths = new Set();
+  const addPaths = [];
+  const excludedFiles = [];
+
+  statusEntries.forEach(entry => {
+    const covered = isPathCovered(entry.path, selectedFiles) ||
+      (entry.orig_path && isPathCovered(entry.orig_path, selectedFiles));
+
+    if (covered) {
+      commitPaths.add(entry.path);
+      if (entry.orig_path) {
+        commitPaths.add(entry.orig_path);
+      }
+      // Fully staged entries (e.g. `git rm`) must not be passed to git add again
+      if (entry.worktree_status !== ' ') {
+        addPaths.push(entry.path);
+      }
+    } else {
+      excludedFiles.push(entry.path);
+    }
+  });
+
+  const unchangedFiles = selectedFiles.filter(file => !statusEntries.some(entry =>
+    isPathCovered(entry.path, [file]) || (entry.orig_path && isPathCovered(entry.orig_path, [file]))
+  ));
+
+  return {
+    commitPaths: Array.from(commitPaths),
+    addPaths,
+    excludedFiles,
+    unchangedFiles
+  };
+};
+
+// Parse `%(upstream:track)` output such as "[ahead 1, behind 2]" or "[gone]"
+const parseTrackInfo = (track) => {
+  const ahead = track.match(/ahead (\d+)/);
+  const behind = track.match(/behind (\d+)/);
+  return {
+    ahead: ahead ? parseInt(ahead[1], 10) : 0,
+    behind: behind ? parseInt(behind[1], 10) : 0,
+    upstream_gone: track.includes('gone')
+  };
+};
+
+// Format string for `git for-each-ref` matching parseBranchList
+const BRANCH_LIST_FORMAT = [
+  '%(refname)',
+  '%(refname:short)',
+  '%(HEAD)',
+  '%(objectname:short)',
+  '%(upstream:short)',
+  '%(upstream:track)',
+  '%(committerdate:iso8601)',
+  '%(contents:subject)'
+].join('%00');
+
+const parseBranchList = (stdout) => {
+  return stdout.split('\n').filter(line => line.trim()).map(line => {
+    const [ref, name, head, commit, upstream, track, date, subject] = line.split('\0');
+    const remote = ref.startsWith('refs/remotes/');
+    const tracking = upstream ? parseTrackInfo(track || '') : null;
+    return {
+      name,
+      remote,
+      current: head === '*',
+      commit,
+      upstream: upstream || null,
+      ahead: tracking ? tracking.ahead : null,
+      behind: tracking ? tracking.behind : null,
+      upstream_gone: tracking ? tracking.upstream_gone : false,
+      last_commit_date: date,
+      last_commit_subject: subject
+    };
+  }).filter(branch => !(branch.remote && branch.name.endsWith('/HEAD')));
+};
+
+const PUSH_MODES = ['direct', 'feature_branch'];
+
+const DEFAULT_FEATURE_BRANCH_TEMPLATE = 'agent/{date}-{slug}';
+
+// Turn a commit message into a short branch-name friendly slug
+const slugify = (text, maxLength = 40) => {
+  const slug = String(text)
+    .split('\n')[0]
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, maxLength)
+    .replace(/-+$/, '');
+  return slug || 'changes';
+};
+
+// Expand a branch template such as "agent/{date}-{slug}".
+// Supported placeholders: {date} (YYYYMMDD), {time} (HHMMSS), {slug}, {repo}
+const buildFeatureBranchName = (template, { message, repoName = '', date = new Date() }) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  const values = {
+    date: `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`,
+    slug: slugify(message),
+    repo: slugify(repoName || 'repo')
+  };
+  return template.replace(/\{(date|time|slug|repo)\}/g, (match, key) => values[key]);
+};
+
+// URLs printed by hosting services after a push, most specific first
+const MERGE_REQUEST_URL_PATTERNS = [
+  /\/-\/merge_requests\b/,
+  /\/pull\/new\//,
+  /\/pull-requests\//,
+  /\/pulls?\/\d+/,
+  /\/compare\//
+];
+
+// Extract the pull/merge request URL from the "remote:" lines of git push stderr
+const extractMergeRequestUrl = (stderr = '') => {
+  const urls = [];
+  stderr.split(/[\r\n]+/).forEach(line => {
+    if (!/^\s*remote:/.test(line)) {
+      return;
+    }
+    const matches = line.match(/https?:\/\/[^\s'"<>]+/g);
+    if (matches) {
+      urls.push(...matches);
+    }
+  });
+
+  for (const pattern of MERGE_REQUEST_URL_PATTERNS) {
+    const url = urls.find(u => pattern.test(u));
+    if (url) {
+      return url;
+    }
+  }
+  return null;
+};
+
+// Accept "stash@{2}", "2" or 2 and return the canonical stash ref, or null when invalid
+const normalizeStashRef = (stash = 0) => {
+  if (typeof stash === 'number' && Number.isInteger(stash) && stash >= 0) {
+    return `stash@{${stash}}`;
+  }
+  if (typeof stash !== 'string') {
+    return null;
+  }
+  const value = stash.trim();
+  if (/^\d+$/.test(value)) {
+    return `stash@{${value}}`;
+  }
+  return /^stash@\{\d+\}$/.test(value) ? value : null;
+};
+
+// Format string for `git stash list` matching parseStashList
+const STASH_LIST_FORMAT = '%gd%x00%H%x00%ci%x00%gs';
+
+const parseStashList = (stdout) => {
+  return stdout.split('\n').filter(line => line.trim()).map(line => {
+    const [ref, commit, date, subject] = line.split('\0');
+    const index = ref.match(/\{(\d+)\}/);
+    // Subjects look like "On main: message" or "WIP on main: abc123 subject"
+    const branch = (subject || '').match(/^(?:WIP on|On) ([^:]+):/);
+    return {
+      ref,
+      index: index ? parseInt(index[1], 10) : null,
+      commit,
+      branch: branch ? branch[1] : null,
+      date,
+      message: subject
+    };
+  });
+};
+
+module.exports = {
+  normalizeRepoPath,
+  resolveProjectFile,
+  isValidRef,
+  DEFAULT_SHOW_FILE_MAX_BYTES,
+  BINARY_CHECK_BYTES,
+  omitShowFileContent,
+  DRY_RUN_MAX_COMMITS,
+  isPathCovered,
+  collectPendingFiles,
+  selectCommitPaths,
+  COMMIT_BODY_MODES,
+  buildPendingChangesBody,
+  composeCommitMessage,
+  parseTrackInfo,
+  BRANCH_LIST_FORMAT,
+  parseBranchList,
+  PUSH_MODES,
+  DEFAULT_FEATURE_BRANCH_TEMPLATE,
+  slugify,
+  buildFeatureBranchName,
+  extractMergeRequestUrl,
+  normalizeStashRef,
+  STASH_LIST_FORMAT,
+  parseStashList
+};
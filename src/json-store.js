@@ -0,0 +1,248 @@
+// Crash-safe JSON state files (push history, pending changes) that several server
+// processes may share through the same log directory.
+//
+// Files are written to a temporary file and renamed over the old one, under an
+// advisory <file>.lock. The previous good version is kept as <file>.bak and used
+// when the primary file cannot be parsed.
+
+const fs = require('fs');
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 25;
+// A lock older than this was left behind by a crashed process
+const LOCK_STALE_MS = 30000;
+
+// Current schema_version per state file and the migrations from each older version.
+// Version 0 is the bare array written before schema_version existed.
+const STATE_SCHEMAS = {
+  push_history: {
+    version: 1,
+    migrations: {
+      0: (data) => data
+    }
+  },
+  pending_changes: {
+    version: 1,
+    migrations: {
+      0: (data) => data
+    }
+  }
+};
+
+const backupPathOf = (filePath) => `${filePath}.bak`;
+const corruptPathOf = (filePath) => `${filePath}.corrupt-${Date.now()}`;
+
+// Synchronous sleep: the servers save state synchronously
+const sleep = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+const acquireLock = (filePath) => {
+  const lockPath = `${filePath}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, `${process.pid}\n`);
+      fs.closeSync(fd);
+      return lockPath;
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err;
+      }
+    }
+
+    try {
+      if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+        fs.unlinkSync(lockPath);
+        continue;
+      }
+    } catch (err) {
+      // Released in the meantime
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out after ${LOCK_TIMEOUT_MS}ms waiting for ${lockPath}. Remove it if no other server process is running.`);
+    }
+    sleep(LOCK_RETRY_MS);
+  }
+};
+
+const withFileLock = (filePath, fn) => {
+  const lockPath = acquireLock(filePath);
+  try {
+    return fn();
+  } finally {
+    try {
+      fs.unlinkSync(lockPath);
+    } catch (err) {
+      // Already removed as stale by another process
+    }
+  }
+};
+
+// Bring the parsed file content to the current schema version and return its entries
+const migrateState = (raw, kind) => {
+  const schema = STATE_SCHEMAS[kind];
+  let version;
+  let data;
+  if (Array.isArray(raw)) {
+    version = 0;
+    data = raw;
+  } else if (raw && typeof raw === 'object' && Number.isInteger(raw.schema_version)) {
+    version = raw.schema_version;
+    data = raw.data;
+  } else {
+    throw new Error('unrecognized file format');
+  }
+
+  if (version > schema.version) {
+    const error = new Error(`schema_version ${version} was written by a newer server (supported: ${schema.version})`);
+    error.code = 'SCHEMA_TOO_NEW';
+    throw error;
+  }
+  for (; version < schema.version; version++) {
+    data = schema.migrations[version](data);
+  }
+  if (!Array.isArray(data)) {
+    throw new Error('data must be an array');
+  }
+  return data;
+};
+
+const parseStateFile = (filePath, kind) => migrateState(JSON.parse(fs.readFileSync(filePath, 'utf8')), kind);
+
+const writeFileAtomic = (filePath, content) => {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+};
+
+const serializeState = (kind, data) => JSON.stringify({
+  schema_version: STATE_SCHEMAS[kind].version,
+  kind,
+  saved_at: new Date().toISOString(),
+  data
+}, null, 2);
+
+// Read a state file. Returns { data, source } where source is "primary", "backup" or "empty";
+// after a recovery from the backup, error holds the reason the primary file was rejected.
+const readJsonState = (filePath, kind) => {
+  if (!fs.existsSync(filePath)) {
+    return { data: [], source: 'empty', error: null };
+  }
+
+  let primaryError;
+  try {
+    return { data: parseStateFile(filePath, kind), source: 'primary', error: null };
+  } catch (err) {
+    primaryError = err;
+  }
+
+  // The backup of a newer server would not be readable either, and must not be overwritten
+  if (primaryError.code === 'SCHEMA_TOO_NEW') {
+    throw new Error(`${filePath}: ${primaryError.message}`);
+  }
+  const backupPath = backupPathOf(filePath);
+  if (!fs.existsSync(backupPath)) {
+    throw new Error(`${filePath}: ${primaryError.message} (no backup to recover from)`);
+  }
+
+  let data;
+  try {
+    data = parseStateFile(backupPath, kind);
+  } catch (err) {
+    throw new Error(`${filePath}: ${primaryError.message} (backup is unusable too: ${err.message})`);
+  }
+
+  // Keep the broken file for inspection and put the backup in its place
+  withFileLock(filePath, () => {
+    fs.renameSync(filePath, corruptPathOf(filePath));
+    writeFileAtomic(filePath, serializeState(kind, data));
+  });
+  return { data, source: 'backup', error: primaryError.message };
+};
+
+// Write a state file and return the entries written. With merge(stored, data) the entries
+// another process saved in the meantime can be combined with ours while the lock is held.
+const writeJsonState = (filePath, kind, data, { merge = null } = {}) => {
+  return withFileLock(filePath, () => {
+    let stored = null;
+    if (fs.existsSync(filePath)) {
+      try {
+        stored = parseStateFile(filePath, kind);
+      } catch (err) {
+        if (err.code === 'SCHEMA_TOO_NEW') {
+          throw new Error(`${filePath}: ${err.message}`);
+        }
+        // An unreadable file is kept for inspection instead of being overwritten or
+        // backed up over the last good copy
+        fs.renameSync(filePath, corruptPathOf(filePath));
+      }
+    }
+
+    const entries = merge && stored ? merge(stored, data) : data;
+    if (stored) {
+      fs.copyFileSync(filePath, backupPathOf(filePath));
+    }
+    writeFileAtomic(filePath, serializeState(kind, entries));
+    return entries;
+  });
+};
+
+// Merge helper for append-only lists (newest first): entries of both sides, ours winning
+// on equal ids, limited to the newest `limit`
+const mergeEntriesById = (stored, current, limit) => {
+  const ids = new Set(current.map(entry => entry.id));
+  return [...current, ...stored.filter(entry => !ids.has(entry.id))]
+    .sort((a, b) => (b.id || 0) - (a.id || 0))
+    .slice(0, limit);
+};
+
+// Merge helper for lists edited in place (pending changes, newest first). base is the list as
+// this process last read or wrote it: an entry only one side changed keeps that side's version,
+// new entries of both sides are kept and an entry either side removed stays removed. An entry
+// both sides changed differently fails the write with code PENDING_CHANGES_CONFLICT.
+const mergeEditedEntries = (base, stored, current) => {
+  const serialize = (entry) => JSON.stringify(entry);
+  const baseById = new Map(base.map(entry => [entry.id, serialize(entry)]));
+  const storedById = new Map(stored.map(entry => [entry.id, entry]));
+  const currentById = new Map(current.map(entry => [entry.id, entry]));
+  const conflicts = [];
+  const merged = [];
+
+  new Set([...currentById.keys(), ...storedById.keys()]).forEach(id => {
+    const ours = currentById.get(id);
+    const theirs = storedById.get(id);
+    if (baseById.has(id) && (!ours || !theirs)) {
+      return;
+    }
+    const oursChanged = Boolean(ours) && serialize(ours) !== baseById.get(id);
+    const theirsChanged = Boolean(theirs) && serialize(theirs) !== baseById.get(id);
+    if (oursChanged && theirsChanged && serialize(ours) !== serialize(theirs)) {
+      conflicts.push(id);
+    }
+    merged.push(oursChanged || !theirs ? ours : theirs);
+  });
+
+  if (conflicts.length > 0) {
+    const err = new Error(`change ${conflicts.join(', ')} was also changed by another server process`);
+    err.code = 'PENDING_CHANGES_CONFLICT';
+    err.change_ids = conflicts;
+    throw err;
+  }
+  return merged.sort((a, b) => (b.id || 0) - (a.id || 0));
+};
+
+module.exports = {
+  STATE_SCHEMAS,
+  readJsonState,
+  writeJsonState,
+  mergeEntriesById,
+  mergeEditedEntries
+};
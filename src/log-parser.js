@@ -0,0 +1,84 @@
+// Parser for `git log` output using control characters as delimiters,
+// so subjects and bodies can contain any printable text (including "|").
+
+const RECORD_START = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+const HEADER_END = '\x1d';
+
+const LOG_FIELDS = [
+  ['hash', '%H'],
+  ['short_hash', '%h'],
+  ['parents', '%P'],
+  ['author', '%an'],
+  ['email', '%ae'],
+  ['date', '%aI'],
+  ['committer', '%cn'],
+  ['committer_email', '%ce'],
+  ['committer_date', '%cI'],
+  ['message', '%s']
+];
+
+const buildLogFormat = (includeBody = false) => {
+  const placeholders = LOG_FIELDS.map(([, placeholder]) => placeholder);
+  if (includeBody) {
+    placeholders.push('%b');
+  }
+  return `--format=%x1e${placeholders.join('%x1f')}%x1d`;
+};
+
+// Expand numstat rename notation: "old => new" or "src/{a => b}/file.js"
+const expandRenamePath = (value) => {
+  const braces = value.match(/^(.*)\{(.*) => (.*)\}(.*)$/);
+  if (braces) {
+    const [, prefix, from, to, suffix] = braces;
+    const join = (part) => `${prefix}${part}${suffix}`.replace(/\/\//g, '/');
+    return { path: join(to), old_path: join(from) };
+  }
+  const plain = value.match(/^(.*) => (.*)$/);
+  if (plain) {
+    return { path: plain[2], old_path: plain[1] };
+  }
+  return { path: value, old_path: null };
+};
+
+const parseNumstat = (text) => {
+  return text.split('\n').filter(line => line.trim()).map(line => {
+    const [added, deleted, ...pathParts] = line.split('\t');
+    const binary = added === '-' && deleted === '-';
+    return {
+      ...expandRenamePath(pathParts.join('\t')),
+      binary,
+      additions: binary ? 0 : parseInt(added, 10) || 0,
+      deletions: binary ? 0 : parseInt(deleted, 10) || 0
+    };
+  });
+};
+
+const parseLog = (stdout, { includeBody = false, includeFiles = false } = {}) => {
+  return stdout.split(RECORD_START).filter(record => record.trim()).map(record => {
+    const headerEnd = record.indexOf(HEADER_END);
+    const values = record.substring(0, headerEnd).split(FIELD_SEPARATOR);
+    const commit = {};
+
+    LOG_FIELDS.forEach(([name], index) => {
+      commit[name] = values[index] || '';
+    });
+    commit.parents = commit.parents ? commit.parents.split(' ') : [];
+    commit.is_merge = commit.parents.length > 1;
+
+    if (includeBody) {
+      commit.body = (values[LOG_FIELDS.length] || '').trim();
+    }
+    if (includeFiles) {
+      commit.files = parseNumstat(record.substring(headerEnd + 1));
+      commit.additions = commit.files.reduce((sum, file) => sum + file.additions, 0);
+      commit.deletions = commit.files.reduce((sum, file) => sum + file.deletions, 0);
+    }
+    return commit;
+  });
+};
+
+module.exports = {
+  buildLogFormat,
+  parseLog
+};
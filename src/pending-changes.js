@@ -0,0 +1,167 @@
+// Editing of pending change entries. Every edit is kept in the entry's edit_history.
+
+const { normalizeRepoPath } = require('./git-utils');
+const { normalizeChangeEntry, applyReview } = require('./approval');
+
+const DEFAULT_MAX_PENDING_CHANGES = 50;
+
+// save_changes warns once this share of MAX_PENDING_CHANGES is used
+const PENDING_CHANGES_WARN_RATIO = 0.8;
+
+const resolveMaxPendingChanges = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_MAX_PENDING_CHANGES;
+  }
+  const max = Number(value);
+  if (!Number.isInteger(max) || max < 1) {
+    throw new Error('MAX_PENDING_CHANGES must be a positive integer');
+  }
+  return max;
+};
+
+const validateChangeId = (changeId, name = 'change_id') => {
+  const id = Number(changeId);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new Error(`${name} parameter must be a change id from get_pending_changes`);
+  }
+  return id;
+};
+
+const validateFiles = (files) => {
+  if (!Array.isArray(files) || files.length === 0 || !files.every(file => typeof file === 'string' && file.trim())) {
+    throw new Error('files parameter must be a non-empty array of non-empty strings');
+  }
+  return files.map(file => file.trim());
+};
+
+const validateContent = (content) => {
+  if (!content || typeof content !== 'string' || !content.trim()) {
+    throw new Error('content parameter must be a non-empty string');
+  }
+  return content.trim();
+};
+
+// Push the previous description onto edit_history (mutates the entry)
+const recordEdit = (change, action, details = {}) => {
+  change.edit_history = Array.isArray(change.edit_history) ? change.edit_history : [];
+  change.edit_history.push({
+    action,
+    at: new Date().toISOString(),
+    previous_files: change.files,
+    previous_content: change.content,
+    ...details
+  });
+  return change;
+};
+
+// An edited description has not been reviewed, so earlier approvals no longer apply
+const resetApproval = (change, reason) => {
+  if (change.status !== 'pending' || change.token_verified) {
+    applyReview(change, { status: 'pending', comment: reason });
+  }
+  return change;
+};
+
+const updateChangeEntry = (change, { files, content }) => {
+  recordEdit(change, 'update');
+  if (files !== undefined) {
+    change.files = files;
+  }
+  if (content !== undefined) {
+    change.content = content;
+  }
+  change.updated_at = new Date().toISOString();
+  return resetApproval(change, 'Approval reset: the change was edited');
+};
+
+// Merge entries (newest first, like pendingChanges) into the newest one. Files keep their
+// first appearance order, descriptions are joined oldest first unless content is given.
+const squashChangeEntries = (entries, content, action = 'squash') => {
+  const [target] = entries;
+  const oldestFirst = entries.slice().reverse();
+  const files = [];
+  oldestFirst.forEach(entry => (entry.files || []).forEach(file => {
+    if (!files.some(existing => normalizeRepoPath(existing) === normalizeRepoPath(file))) {
+      files.push(file);
+    }
+  }));
+
+  const merged = normalizeChangeEntry({
+    ...target,
+    files,
+    content: content || oldestFirst.map(entry => entry.content).join('\n'),
+    // Histories of the squashed entries are kept, oldest entry first
+    edit_history: oldestFirst.flatMap(entry => entry.edit_history || []),
+    review_history: oldestFirst.flatMap(entry => entry.review_history || []),
+    // The newest snapshot of each file wins
+    snapshots: entries.flatMap(entry => entry.snapshots || []).filter((snapshot, index, all) => all.findIndex(other => other.file === snapshot.file) === index)
+  });
+  merged.edit_history.push({
+    action,
+    at: new Date().toISOString(),
+    squashed_changes: oldestFirst.map(entry => ({ id: entry.id, timestamp: entry.timestamp, files: entry.files, content: entry.content }))
+  });
+  merged.updated_at = new Date().toISOString();
+  return resetApproval(merged, 'Approval reset: changes were squashed');
+};
+
+const sharesFile = (a, b) => {
+  const files = (a.files || []).map(normalizeRepoPath);
+  return (b.files || []).some(file => files.includes(normalizeRepoPath(file)));
+};
+
+// Oldest pending entry that shares a file with a newer pending entry, as [newerIndex, olderIndex]
+const findConsolidationPair = (changes) => {
+  for (let older = changes.length - 1; older > 0; older--) {
+    if (changes[older].status !== 'pending') {
+      continue;
+    }
+    for (let newer = older - 1; newer >= 0; newer--) {
+      if (changes[newer].status === 'pending' && sharesFile(changes[newer], changes[older])) {
+        return [newer, older];
+      }
+    }
+  }
+  return null;
+};
+
+// Bring the list (newest first) down to maxChanges by merging old pending entries that touch
+// the same files. Descriptions are never dropped; approved, rejected and needs_rework entries
+// are left alone. Mutates the list and returns what was merged.
+const consolidateChanges = (changes, maxChanges) => {
+  const consolidated = [];
+  while (changes.length > maxChanges) {
+    const pair = findConsolidationPair(changes);
+    if (!pair) {
+      break;
+    }
+    const [newer, older] = pair;
+    const merged = squashChangeEntries([changes[newer], changes[older]], undefined, 'consolidate');
+    consolidated.push({ change_id: merged.id, merged_change_id: changes[older].id });
+    changes.splice(older, 1);
+    changes[newer] = merged;
+  }
+  return consolidated;
+};
+
+const describeCapacity = (count, maxChanges) => ({
+  max_pending_changes: maxChanges,
+  pending_changes: count,
+  remaining: Math.max(maxChanges - count, 0),
+  near_limit: count >= Math.ceil(maxChanges * PENDING_CHANGES_WARN_RATIO),
+  over_limit: count > maxChanges
+});
+
+module.exports = {
+  DEFAULT_MAX_PENDING_CHANGES,
+  resolveMaxPendingChanges,
+  consolidateChanges,
+  describeCapacity,
+  validateChangeId,
+  validateFiles,
+  validateContent,
+  recordEdit,
+  resetApproval,
+  updateChangeEntry,
+  squashChangeEntries
+};
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const { CONVENTIONAL_TYPES } = require('./commit-message');
+
+// Hash of the empty tree, used as diff base when the remote branch does not exist yet
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+// Defaults applied to every check that appears in the policy file.
+// Checks missing from the file are switched off.
+const DEFAULT_POLICY = {
+  max_file_size: {
+    action: 'block',
+    limit_bytes: 5 * 1024 * 1024
+  },
+  secrets: {
+    action: 'block',
+    patterns: [
+      'AKIA[0-9A-Z]{16}',
+      '-----BEGIN [A-Z ]*PRIVATE KEY-----',
+      'gh[pousr]_[A-Za-z0-9]{36,}',
+      'xox[baprs]-[A-Za-z0-9-]{10,}',
+      '(?:[Pp]assword|[Pp]asswd|[Ss]ecret|[Aa]pi[_-]?[Kk]ey|[Tt]oken|PASSWORD|SECRET|API_KEY|TOKEN)\\s*[:=]\\s*["\'][^"\'\\s]{8,}["\']'
+    ]
+  },
+  forbidden_paths: {
+    action: 'block',
+    patterns: ['.env', '.env.*', '*.pem', '*.key', 'id_rsa', 'id_ed25519']
+  },
+  conflict_markers: {
+    action: 'block'
+  },
+  // Checked against the git_push message before anything is committed
+  commit_message: {
+    action: 'block',
+    conventional: true,
+    types: CONVENTIONAL_TYPES,
+    require_scope: false,
+    max_subject_length: 72,
+    issue_pattern: null,
+    forbidden_words: []
+  }
+};
+
+const POLICY_ACTIONS = ['block', 'warn', 'off'];
+
+const CONFLICT_MARKER_REGEX = /^(<{7}|>{7})(\s|$)|^={7}$/;
+
+// Convert a gitignore-like glob into a regular expression.
+// Patterns without a slash match the file name in any directory.
+const globToRegExp = (pattern) => {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      regex += '.*';
+      i++;
+      if (pattern[i + 1] === '/') {
+        i++;
+      }
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  const prefix = pattern.includes('/') ? '^' : '(^|/)';
+  return new RegExp(`${prefix}${regex.replace(/^\//, '')}$`);
+};
+
+const normalizePolicy = (raw, filePath) => {
+  const policy = {};
+
+  Object.keys(DEFAULT_POLICY).forEach(check => {
+    if (raw[check] === undefined || raw[check] === null) {
+      policy[check] = { ...DEFAULT_POLICY[check], action: 'off' };
+      return;
+    }
+
+    policy[check] = { ...DEFAULT_POLICY[check], ...raw[check] };
+    if (!POLICY_ACTIONS.includes(policy[check].action)) {
+      throw new Error(`Invalid action "${policy[check].action}" for "${check}" in ${filePath}. Use one of: ${POLICY_ACTIONS.join(', ')}`);
+    }
+  });
+
+  policy.secrets.regexes = policy.secrets.patterns.map(pattern => {
+    try {
+      return new RegExp(pattern);
+    } catch (err) {
+      throw new Error(`Invalid secret pattern "${pattern}" in ${filePath}: ${err.message}`);
+    }
+  });
+  policy.forbidden_paths.regexes = policy.forbidden_paths.patterns.map(globToRegExp);
+
+  if (policy.commit_message.issue_pattern) {
+    try {
+      policy.commit_message.issue_regex = new RegExp(policy.commit_message.issue_pattern);
+    } catch (err) {
+      throw new Error(`Invalid commit_message.issue_pattern "${policy.commit_message.issue_pattern}" in ${filePath}: ${err.message}`);
+    }
+  }
+
+  return policy;
+};
+
+// Load the push policy file. Returns null when no policy is configured.
+const loadPushPolicy = (filePath) => {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to parse push policy ${filePath}: ${err.message}`);
+  }
+
+  return normalizePolicy(raw || {}, filePath);
+};
+
+const isCheckEnabled = (policy, check) => policy[check] && policy[check].action !== 'off';
+
+// Collect the added lines of a zero-context unified diff, grouped by file
+const parseAddedLines = (diff) => {
+  const added = [];
+  let currentFile = null;
+  let lineNumber = 0;
+  let inHeader = false;
+
+  diff.split('\n').forEach(line => {
+    if (line.startsWith('diff --git ')) {
+      inHeader = true;
+      currentFile = null;
+    } else if (inHeader && line.startsWith('+++ ')) {
+      currentFile = line === '+++ /dev/null' ? null : line.substring(4).replace(/^b\//, '');
+    } else if (line.startsWith('@@')) {
+      inHeader = false;
+      const match = line.match(/\+(\d+)/);
+      lineNumber = match ? parseInt(match[1], 10) : 0;
+    } else if (!inHeader && line.startsWith('+') && currentFile) {
+      added.push({ file: currentFile, line: lineNumber, text: line.substring(1) });
+      lineNumber++;
+    }
+  });
+
+  return added;
+};
+
+const maskSecret = (value) => {
+  return value.length <= 8 ? '********' : `${value.substring(0, 4)}********`;
+};
+
+// Run every enabled check against the commits that would be pushed.
+// runGit(args) must resolve with { stdout } like executeGitCommand.
+const checkPushPolicy = async (policy, runGit, { localBranch, remoteRef }) => {
+  const findings = [];
+  const addFinding = (check, details) => {
+    findings.push({ check, action: policy[check].action, ...details });
+  };
+
+  let base = EMPTY_TREE;
+  try {
+    await runGit(['rev-parse', '--verify', '--quiet', `${remoteRef}^{commit}`]);
+    const mergeBase = await runGit(['merge-base', remoteRef, localBranch]);
+    base = mergeBase.stdout.trim() || EMPTY_TREE;
+  } catch (err) {
+    // Remote branch does not exist yet: everything on the local branch will be pushed
+  }
+
+  const filesResult = await runGit(['diff', '--name-only', '-z', '--no-renames', '--diff-filter=ACMR', base, localBranch]);
+  const files = filesResult.stdout.split('\0').filter(Boolean);
+
+  if (files.length === 0) {
+    return { base, files, violations: [], warnings: [], blocked: false };
+  }
+
+  if (isCheckEnabled(policy, 'forbidden_paths')) {
+    files.forEach(file => {
+      const regex = policy.forbidden_paths.regexes.find(r => r.test(file));
+      if (regex) {
+        const pattern = policy.forbidden_paths.patterns[policy.forbidden_paths.regexes.indexOf(regex)];
+        addFinding('forbidden_paths', { file, message: `${file} matches forbidden path pattern "${pattern}"` });
+      }
+    });
+  }
+
+  if (isCheckEnabled(policy, 'max_file_size')) {
+    const fileSet = new Set(files);
+    const treeResult = await runGit(['ls-tree', '-r', '-l', '-z', localBranch]);
+    treeResult.stdout.split('\0').filter(Boolean).forEach(line => {
+      const match = line.match(/^\d+ blob [0-9a-f]+\s+(\d+)\t(.+)$/);
+      if (match && fileSet.has(match[2]) && parseInt(match[1], 10) > policy.max_file_size.limit_bytes) {
+        addFinding('max_file_size', {
+          file: match[2],
+          size_bytes: parseInt(match[1], 10),
+          message: `${match[2]} is ${match[1]} bytes, larger than the ${policy.max_file_size.limit_bytes} byte limit`
+        });
+      }
+    });
+  }
+
+  if (isCheckEnabled(policy, 'secrets') || isCheckEnabled(policy, 'conflict_markers')) {
+    const diffResult = await runGit(['diff', '--no-color', '--no-ext-diff', '-U0', '--no-renames', '--diff-filter=ACMR', base, localBranch]);
+
+    parseAddedLines(diffResult.stdout).forEach(({ file, line, text }) => {
+      if (isCheckEnabled(policy, 'secrets')) {
+        for (let i = 0; i < policy.secrets.regexes.length; i++) {
+          const match = text.match(policy.secrets.regexes[i]);
+          if (match) {
+            addFinding('secrets', {
+              file,
+              line,
+              pattern: policy.secrets.patterns[i],
+              match: maskSecret(match[0]),
+              message: `Possible secret in ${file}:${line} (pattern "${policy.secrets.patterns[i]}")`
+            });
+            break;
+          }
+        }
+      }
+
+      if (isCheckEnabled(policy, 'conflict_markers') && CONFLICT_MARKER_REGEX.test(text)) {
+        addFinding('conflict_markers', { file, line, message: `Merge conflict marker left in ${file}:${line}` });
+      }
+    });
+  }
+
+  const violations = findings.filter(f => f.action === 'block');
+  const warnings = findings.filter(f => f.action === 'warn');
+
+  return {
+    base,
+    files,
+    violations,
+    warnings,
+    blocked: violations.length > 0
+  };
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  loadPushPolicy,
+  isCheckEnabled,
+  checkPushPolicy
+};
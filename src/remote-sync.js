@@ -0,0 +1,133 @@
+// Pre-push synchronisation with the remote branch.
+// runGit(args, timeout) must resolve/reject like executeGitCommand.
+
+const SYNC_STRATEGIES = ['off', 'rebase', 'merge'];
+
+// Count commits the local branch is ahead of / behind the remote branch
+const getAheadBehind = async (runGit, remoteRef, localBranch) => {
+  try {
+    await runGit(['rev-parse', '--verify', '--quiet', `${remoteRef}^{commit}`]);
+  } catch (err) {
+    // Remote branch does not exist yet
+    return { ahead: null, behind: 0, remote_exists: false };
+  }
+
+  const result = await runGit(['rev-list', '--left-right', '--count', `${remoteRef}...${localBranch}`]);
+  const [behind, ahead] = result.stdout.trim().split(/\s+/).map(n => parseInt(n, 10) || 0);
+  return { ahead, behind, remote_exists: true };
+};
+
+const getConflictedFiles = async (runGit) => {
+  try {
+    const result = await runGit(['diff', '--name-only', '-z', '--diff-filter=U']);
+    return result.stdout.split('\0').filter(Boolean);
+  } catch (err) {
+    return [];
+  }
+};
+
+// Check whether a commit is already reachable from the remote branch (i.e. pushed)
+const isCommitOnRemote = async (runGit, commit, remoteRef) => {
+  try {
+    await runGit(['rev-parse', '--verify', '--quiet', `${remoteRef}^{commit}`]);
+  } catch (err) {
+    return { remote_exists: false, pushed: false };
+  }
+
+  try {
+    await runGit(['merge-base', '--is-ancestor', commit, remoteRef]);
+    return { remote_exists: true, pushed: true };
+  } catch (err) {
+    // Exit code 1 means "not an ancestor"; anything else is a real failure
+    if (err.exitCode === 1) {
+      return { remote_exists: true, pushed: false };
+    }
+    throw err;
+  }
+};
+
+// Of the given commits, return those not reachable from the remote branch (not yet pushed)
+const getUnpushedCommits = async (runGit, commits, remoteRef) => {
+  try {
+    await runGit(['rev-parse', '--verify', '--quiet', `${remoteRef}^{commit}`]);
+  } catch (err) {
+    return { remote_exists: false, unpushed: new Set(commits) };
+  }
+
+  if (commits.length === 0) {
+    return { remote_exists: true, unpushed: new Set() };
+  }
+  const result = await runGit(['rev-list', ...commits, '--not', remoteRef]);
+  const reachable = new Set(result.stdout.split('\n').filter(Boolean));
+  return { remote_exists: true, unpushed: new Set(commits.filter(commit => reachable.has(commit))) };
+};
+
+// Fetch the remote and, when the local branch is behind, rebase onto or merge
+// the pull source branch. Conflicts are aborted so the repo is never left mid-rebase.
+const syncWithRemote = async (runGit, { strategy, remoteName, remoteBranch, pullSourceBranch, localBranch }) => {
+  const remoteRef = `${remoteName}/${remoteBranch}`;
+  const sourceRef = `${remoteName}/${pullSourceBranch || remoteBranch}`;
+
+  await runGit(['fetch', remoteName], 300000);
+
+  const before = await getAheadBehind(runGit, remoteRef, localBranch);
+  const sync = {
+    strategy,
+    remote_ref: remoteRef,
+    source_ref: sourceRef,
+    ahead: before.ahead,
+    behind: before.behind,
+    action: 'none',
+    conflict: false,
+    conflicted_files: []
+  };
+
+  if (before.behind === 0) {
+    return sync;
+  }
+
+  const headResult = await runGit(['symbolic-ref', '--short', '-q', 'HEAD']);
+  const currentBranch = headResult.stdout.trim();
+  if (currentBranch !== localBranch) {
+    throw new Error(`Cannot ${strategy} before push: current branch is "${currentBranch}", expected "${localBranch}"`);
+  }
+
+  const args = strategy === 'rebase'
+    ? ['rebase', '--autostash', sourceRef]
+    : ['merge', '--autostash', '--no-edit', sourceRef];
+
+  try {
+    await runGit(args, 120000);
+    sync.action = strategy === 'rebase' ? 'rebased' : 'merged';
+  } catch (err) {
+    const conflictedFiles = await getConflictedFiles(runGit);
+    try {
+      await runGit([strategy, '--abort']);
+    } catch (abortErr) {
+      console.error(`Warning: git ${strategy} --abort failed:`, abortErr.message || abortErr.error);
+    }
+
+    if (conflictedFiles.length === 0) {
+      throw err;
+    }
+
+    sync.action = 'aborted';
+    sync.conflict = true;
+    sync.conflicted_files = conflictedFiles;
+    return sync;
+  }
+
+  const after = await getAheadBehind(runGit, remoteRef, localBranch);
+  sync.ahead = after.ahead;
+  sync.behind = after.behind;
+  return sync;
+};
+
+module.exports = {
+  SYNC_STRATEGIES,
+  getAheadBehind,
+  getConflictedFiles,
+  isCommitOnRemote,
+  getUnpushedCommits,
+  syncWithRemote
+};
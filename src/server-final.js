@@ -2,6 +2,22 @@ const { spawn, exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
+const { resolveProjectFile, DEFAULT_SHOW_FILE_MAX_BYTES, BINARY_CHECK_BYTES, omitShowFileContent, DRY_RUN_MAX_COMMITS, isValidRef, collectPendingFiles, selectCommitPaths, COMMIT_BODY_MODES, composeCommitMessage, BRANCH_LIST_FORMAT, parseBranchList, STASH_LIST_FORMAT, parseStashList, normalizeStashRef, PUSH_MODES, DEFAULT_FEATURE_BRANCH_TEMPLATE, buildFeatureBranchName, extractMergeRequestUrl } = require('./git-utils');
+const { DEFAULT_POLICY, loadPushPolicy, isCheckEnabled, checkPushPolicy } = require('./push-policy');
+const { validateCommitMessage, suggestCommitMessage } = require('./commit-message');
+const { STATUS_ARGS, parseStatus, isStaged, hasStagedChanges, summarizeStatus } = require('./status-parser');
+const { DEFAULT_MAX_FILE_BYTES, DEFAULT_MAX_TOTAL_BYTES, DIFF_FORMATS, isValidRange, parseDiff, limitRawDiff, parseDiffStat } = require('./diff-parser');
+const { buildLogFormat, parseLog } = require('./log-parser');
+const { resolveSigningConfig, signingConfigArgs, commitSigningArgs, describeSigningConfig, SIGNATURE_LOG_FORMAT, parseSignatureHeaders, parseSignatureLog } = require('./signing');
+const { resolveCommitIdentity, identityConfigArgs, parseIdent, validateTrailers, appendTrailers } = require('./commit-identity');
+const { APPROVAL_MODES, normalizeChangeEntry, verifyApprovalToken, applyReview, summarizeApprovals, checkApproval } = require('./approval');
+const { snapshotFiles, detectDrift } = require('./change-snapshot');
+const { resolveMaxPendingChanges, consolidateChanges, describeCapacity, validateChangeId, validateFiles, validateContent, updateChangeEntry, squashChangeEntries } = require('./pending-changes');
+const { DEFAULT_DB_FILE, nextEntryId, checkStorageBackend, createStorage, resolveQueryFilters } = require('./storage');
+const { parseBlame } = require('./blame-parser');
+const { TAG_BUMPS, TAG_LIST_FORMAT, parseTagList, findLatestSemverTag, bumpSemverTag, buildChangelog } = require('./tag-utils');
+const { SYNC_STRATEGIES, syncWithRemote, isCommitOnRemote, getUnpushedCommits, getConflictedFiles } = require('./remote-sync');
+const { GitCommandError, toToolError } = require('./git-errors');
 
 const execAsync = promisify(exec);
 
@@ -13,9 +29,8 @@ const MAX_LOGS = 1000;
 const pushHistory = [];
 const MAX_PUSH_HISTORY = 100;
 
-// Changes tracking storage
+// Changes tracking storage (limited by MAX_PENDING_CHANGES, see getMaxPendingChanges)
 const pendingChanges = [];
-const MAX_PENDING_CHANGES = 50;
 
 // Review status tracking
 let changesReviewed = false;
@@ -27,6 +42,17 @@ const LOCAL_BRANCH = process.env.LOCAL_BRANCH || '';
 const REMOTE_BRANCH = process.env.REMOTE_BRANCH || '';
 const PULL_SOURCE_BRANCH = process.env.PULL_SOURCE_BRANCH || REMOTE_BRANCH;
 const GIT_PUSH_FLAGS = process.env.GIT_PUSH_FLAGS || '--progress';
+const COMMIT_SCOPE = process.env.COMMIT_SCOPE || 'all'; // 'all' or 'pending_changes'
+const COMMIT_BODY = process.env.COMMIT_BODY || 'none'; // 'none' or 'pending_changes'
+const PRE_PUSH_SYNC = process.env.PRE_PUSH_SYNC || 'off'; // 'off', 'rebase' or 'merge'
+const DIFF_MAX_FILE_BYTES = parseInt(process.env.DIFF_MAX_FILE_BYTES || DEFAULT_MAX_FILE_BYTES, 10); // 0 = no limit
+const DIFF_MAX_TOTAL_BYTES = parseInt(process.env.DIFF_MAX_TOTAL_BYTES || DEFAULT_MAX_TOTAL_BYTES, 10);
+const PULL_AUTOSTASH = process.env.PULL_AUTOSTASH === 'true'; // Stash local changes around git_pull
+const PUSH_MODE = process.env.PUSH_MODE || 'direct'; // 'direct' or 'feature_branch'
+const APPROVAL_MODE = process.env.APPROVAL_MODE || 'review'; // 'review', 'all_approved' or 'token'
+const APPROVAL_TOKEN = process.env.APPROVAL_TOKEN || '';
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json'; // 'json' or 'sqlite'
+const FEATURE_BRANCH_TEMPLATE = process.env.FEATURE_BRANCH_TEMPLATE || DEFAULT_FEATURE_BRANCH_TEMPLATE;
 const TOOL_PREFIX = process.env.TOOL_PREFIX || '';
 const REPO_NAME = process.env.REPO_NAME || '';
 const LANGUAGE = process.env.LANGUAGE || 'en'; // Default to English
@@ -60,6 +86,13 @@ if (!REMOTE_BRANCH || REMOTE_BRANCH.trim() === '') {
   process.exit(1);
 }
 
+try {
+  checkStorageBackend(STORAGE_BACKEND);
+} catch (err) {
+  console.error(`ERROR: ${err.message}`);
+  process.exit(1);
+}
+
 // Get log directory and filename
 const getLogConfig = () => {
   // Default log directory: .setting/ or .setting.<REPO_NAME>/
@@ -72,6 +105,8 @@ const getLogConfig = () => {
   const logFile = process.env.MCP_LOG_FILE || 'mcp-git.log';
   const pushHistoryFile = process.env.MCP_PUSH_HISTORY_FILE || 'push-history.json';
   const changesFile = process.env.MCP_CHANGES_FILE || 'pending-changes.json';
+  const policyFile = process.env.MCP_POLICY_FILE || 'push-policy.json';
+  const dbFile = process.env.MCP_DB_FILE || DEFAULT_DB_FILE;
   return {
     dir: logDir,
     file: logFile,
@@ -79,10 +114,34 @@ const getLogConfig = () => {
     pushHistoryFile: pushHistoryFile,
     pushHistoryFullPath: path.join(logDir, pushHistoryFile),
     changesFile: changesFile,
-    changesFullPath: path.join(logDir, changesFile)
+    changesFullPath: path.join(logDir, changesFile),
+    policyFile: policyFile,
+    policyFullPath: path.join(logDir, policyFile),
+    dbFile: dbFile,
+    dbFullPath: path.join(logDir, dbFile)
   };
 };
 
+// Commit and tag signing, read on every call so a bad SIGNING_FORMAT is reported by the tool that uses it
+const getSigningConfig = () => resolveSigningConfig({
+  signCommits: process.env.SIGN_COMMITS,
+  signTags: process.env.SIGN_TAGS,
+  format: process.env.SIGNING_FORMAT,
+  key: process.env.SIGNING_KEY,
+  allowedSignersFile: process.env.ALLOWED_SIGNERS_FILE
+});
+
+// Author/committer of the commits the server creates; unset values fall back to the git config
+const getCommitIdentity = () => resolveCommitIdentity({
+  authorName: process.env.COMMIT_AUTHOR_NAME,
+  authorEmail: process.env.COMMIT_AUTHOR_EMAIL,
+  committerName: process.env.COMMIT_COMMITTER_NAME,
+  committerEmail: process.env.COMMIT_COMMITTER_EMAIL
+});
+
+// Pending changes kept before save_changes consolidates them and git_push refuses to run
+const getMaxPendingChanges = () => resolveMaxPendingChanges(process.env.MAX_PENDING_CHANGES);
+
 // Ensure log directory exists
 const ensureLogDir = () => {
   const { dir } = getLogConfig();
@@ -91,10 +150,27 @@ const ensureLogDir = () => {
   }
 };
 
+// Push history, pending changes and operation logs go to JSON files or SQLite (STORAGE_BACKEND)
+const storage = createStorage(STORAGE_BACKEND, {
+  paths: () => {
+    const { pushHistoryFullPath, changesFullPath, fullPath } = getLogConfig();
+    return { pushHistory: pushHistoryFullPath, changes: changesFullPath, log: fullPath };
+  },
+  dbPath: () => getLogConfig().dbFullPath,
+  // This server only holds the entries of its own repository
+  memory: (kind, repoName) => {
+    if (repoName !== REPO_NAME) {
+      return [];
+    }
+    return { push_history: pushHistory, pending_changes: pendingChanges, operation_logs: operationLogs }[kind];
+  }
+});
+
 // Log recording function - record all requests and responses
 const logRequest = (method, params, result, error = null) => {
   const logEntry = {
-    id: Date.now(),
+    id: nextEntryId(operationLogs),
+    repo_name: REPO_NAME,
     method,
     params: JSON.stringify(params),
     result: result ? JSON.stringify(result) : null,
@@ -108,47 +184,44 @@ const logRequest = (method, params, result, error = null) => {
   }
 
   // Record request and response data
-  const logLine = `${logEntry.created_at} | ${method} | ${logEntry.params} | ${error || 'SUCCESS'} | RESPONSE: ${logEntry.result || 'null'}\n`;
-
   try {
     ensureLogDir();
-    const { fullPath } = getLogConfig();
-    fs.appendFileSync(fullPath, logLine, 'utf8');
+    storage.appendOperationLog(REPO_NAME, logEntry);
   } catch (err) {
-    console.error('Failed to write log file:', err.message);
+    console.error('Failed to write operation log:', err.message);
   }
 };
 
-// Load push history from file
+// Load push history from storage
 const loadPushHistory = () => {
   try {
-    const { pushHistoryFullPath } = getLogConfig();
-    if (fs.existsSync(pushHistoryFullPath)) {
-      const data = fs.readFileSync(pushHistoryFullPath, 'utf8');
-      const history = JSON.parse(data);
-      pushHistory.length = 0;
-      pushHistory.push(...history);
+    const state = storage.loadPushHistory(REPO_NAME, MAX_PUSH_HISTORY);
+    if (state.source === 'backup') {
+      console.error(`Push history restored from ${getLogConfig().pushHistoryFullPath}.bak: ${state.error}`);
     }
+    pushHistory.length = 0;
+    pushHistory.push(...state.data);
   } catch (err) {
     console.error('Failed to load push history:', err.message);
   }
 };
 
-// Save push history to file
+// Save push history to storage
 const savePushHistory = () => {
   try {
     ensureLogDir();
-    const { pushHistoryFullPath } = getLogConfig();
-    fs.writeFileSync(pushHistoryFullPath, JSON.stringify(pushHistory, null, 2), 'utf8');
+    // Also picks up pushes another server process recorded since the history was loaded
+    const saved = storage.savePushHistory(REPO_NAME, pushHistory, MAX_PUSH_HISTORY);
+    pushHistory.splice(0, pushHistory.length, ...saved);
   } catch (err) {
     console.error('Failed to save push history:', err.message);
   }
 };
 
 // Record push history
-const recordPushHistory = (message, result, error = null) => {
+const recordPushHistory = (message, result, error = null, details = {}) => {
   const pushEntry = {
-    id: Date.now(),
+    id: nextEntryId(pushHistory),
     timestamp: new Date().toISOString(),
     repo_name: REPO_NAME,
     project_path: PROJECT_PATH,
@@ -158,7 +231,8 @@ const recordPushHistory = (message, result, error = null) => {
     message: message,
     success: !error,
     error: error ? error.toString() : null,
-    exit_code: result ? result.exitCode : null
+    exit_code: result ? result.exitCode : null,
+    ...details
   };
 
   pushHistory.unshift(pushEntry);
@@ -172,28 +246,34 @@ const recordPushHistory = (message, result, error = null) => {
 // Load push history on startup
 loadPushHistory();
 
-// Load pending changes from file
+// Load pending changes from storage
 const loadPendingChanges = () => {
   try {
-    const { changesFullPath } = getLogConfig();
-    if (fs.existsSync(changesFullPath)) {
-      const data = fs.readFileSync(changesFullPath, 'utf8');
-      const changes = JSON.parse(data);
-      pendingChanges.length = 0;
-      pendingChanges.push(...changes);
+    const state = storage.loadPendingChanges(REPO_NAME);
+    if (state.source === 'backup') {
+      console.error(`Pending changes restored from ${getLogConfig().changesFullPath}.bak: ${state.error}`);
     }
+    pendingChanges.length = 0;
+    pendingChanges.push(...state.data.map(normalizeChangeEntry));
   } catch (err) {
     console.error('Failed to load pending changes:', err.message);
   }
 };
 
-// Save pending changes to file
+// Save pending changes to storage. Changes another server process saved since the list was
+// loaded are kept; when both edited the same change, the stored list is reloaded and the tool fails.
 const savePendingChanges = () => {
   try {
     ensureLogDir();
-    const { changesFullPath } = getLogConfig();
-    fs.writeFileSync(changesFullPath, JSON.stringify(pendingChanges, null, 2), 'utf8');
+    const saved = storage.savePendingChanges(REPO_NAME, pendingChanges);
+    pendingChanges.splice(0, pendingChanges.length, ...saved);
   } catch (err) {
+    if (err.code === 'PENDING_CHANGES_CONFLICT') {
+      loadPendingChanges();
+      const error = new Error(`Pending changes were not saved: ${err.message}. The stored changes were reloaded; check them with get_pending_changes and try again`);
+      error.data = { change_ids: err.change_ids };
+      throw error;
+    }
     console.error('Failed to save pending changes:', err.message);
   }
 };
@@ -220,33 +300,86 @@ class FinalMCPServer {
 
   // Execute git pull
   async git_pull(params) {
+    const { autostash = PULL_AUTOSTASH } = params || {};
+
     try {
-      const args = ['pull', REMOTE_NAME, PULL_SOURCE_BRANCH];
+      const args = [...this.commitConfigArgs(), 'pull', REMOTE_NAME, PULL_SOURCE_BRANCH];
+      if (autostash) {
+        // Let git stash the dirty tree before the pull and re-apply it afterwards
+        args.push('--autostash');
+      }
       const result = await this.executeGitCommand(args, 'git_pull');
       
       return {
         success: true,
         remote_name: REMOTE_NAME,
         pull_source_branch: PULL_SOURCE_BRANCH,
+        autostash: autostash,
         output: result.stdout,
         error_output: result.stderr,
         message: `Successfully pulled from ${REMOTE_NAME}/${PULL_SOURCE_BRANCH}`
       };
     } catch (err) {
-      throw new Error(`Git pull failed: ${err.error || err.message}`);
+      throw toToolError('Git pull failed', err);
     }
   }
 
   // Execute git push
   async git_push(params) {
-    const { message } = params;
+    const { message, commit_scope: commitScope = COMMIT_SCOPE, commit_body: commitBody = COMMIT_BODY, push_mode: pushMode = PUSH_MODE, dry_run: dryRun = false, trailers = [] } = params;
 
     if (!message || typeof message !== 'string') {
       throw new Error('Missing message parameter');
     }
 
-    // Check if changes have been reviewed
-    if (!changesReviewed && pendingChanges.length > 0) {
+    if (commitScope !== 'all' && commitScope !== 'pending_changes') {
+      throw new Error('commit_scope parameter must be "all" or "pending_changes"');
+    }
+
+    if (!COMMIT_BODY_MODES.includes(commitBody)) {
+      throw new Error(`commit_body parameter must be one of: ${COMMIT_BODY_MODES.join(', ')}`);
+    }
+
+    if (typeof dryRun !== 'boolean') {
+      throw new Error('dry_run parameter must be a boolean');
+    }
+
+    const commitTrailers = validateTrailers(trailers);
+    const signing = getSigningConfig();
+    const commitArgs = [...identityConfigArgs(getCommitIdentity()), ...commitSigningArgs(signing)];
+
+    if (!SYNC_STRATEGIES.includes(PRE_PUSH_SYNC)) {
+      throw new Error(`PRE_PUSH_SYNC must be one of: ${SYNC_STRATEGIES.join(', ')}`);
+    }
+
+    if (!PUSH_MODES.includes(pushMode)) {
+      throw new Error(`push_mode parameter must be one of: ${PUSH_MODES.join(', ')}`);
+    }
+
+    // Agents must not bypass a configured feature branch workflow
+    if (PUSH_MODE === 'feature_branch' && pushMode !== 'feature_branch') {
+      throw new Error('push_mode "direct" is not allowed: PUSH_MODE is set to "feature_branch"');
+    }
+
+    if (!APPROVAL_MODES.includes(APPROVAL_MODE)) {
+      throw new Error(`APPROVAL_MODE must be one of: ${APPROVAL_MODES.join(', ')}`);
+    }
+
+    // Committing on another branch would push nothing; a dry run reports it in blocked_by instead
+    if (!dryRun) {
+      const branchError = await this.localBranchErrorResult('git_push');
+      if (branchError) {
+        return branchError;
+      }
+    }
+
+    // Check if changes have been reviewed (APPROVAL_MODE "review") or approved
+    // A dry run changes nothing, so it is allowed before the review and reports the missing review instead
+    const approval = await this.checkPushApproval(commitScope);
+    if (!dryRun && !approval.allowed && approval.code !== 'CHANGES_NOT_REVIEWED') {
+      return this.approvalErrorResult(approval);
+    }
+    if (!dryRun && !approval.allowed) {
       // Get the actual tool name (with prefix if TOOL_PREFIX is set)
       const getPendingChangesToolName = TOOL_PREFIX ? `${TOOL_PREFIX}_get_pending_changes` : 'get_pending_changes';
 
@@ -291,52 +424,212 @@ class FinalMCPServer {
       };
     }
 
+    // Entries are never dropped, so an overlong list blocks the push until it is squashed
+    const maxChanges = getMaxPendingChanges();
+    if (!dryRun && pendingChanges.length > maxChanges) {
+      return this.toolErrorResult('PENDING_CHANGES_OVERFLOW', [
+        `⛔ ERROR: There are ${pendingChanges.length} pending changes, more than MAX_PENDING_CHANGES (${maxChanges}). Nothing was committed or pushed.`,
+        '🔧 REQUIRED ACTION: Merge related entries with squash_changes or remove wrong ones with delete_change, then call git_push again.'
+      ], { capacity: describeCapacity(pendingChanges.length, maxChanges) });
+    }
+
+    // With commit_body "pending_changes" the reviewed change descriptions become the commit body
+    const commitMessage = appendTrailers(composeCommitMessage(message, pendingChanges, commitBody), commitTrailers);
+
+    // The policy is loaded up front so the commit message is checked before anything is committed
+    const { policyFullPath } = getLogConfig();
+    const policy = loadPushPolicy(policyFullPath);
+    let messageProblems = [];
+    if (policy && isCheckEnabled(policy, 'commit_message')) {
+      messageProblems = validateCommitMessage(commitMessage, policy.commit_message);
+      if (messageProblems.length > 0 && policy.commit_message.action === 'block' && !dryRun) {
+        const suggestion = suggestCommitMessage(pendingChanges, { message, rules: policy.commit_message });
+        return this.toolErrorResult('COMMIT_MESSAGE_INVALID', [
+          '⛔ ERROR: The commit message does not follow the commit message policy. Nothing was committed or pushed.',
+          ...messageProblems.map(problem => `❌ [${problem.rule}] ${problem.message}`),
+          `💡 SUGGESTED MESSAGE: ${suggestion.message}`,
+          '🔧 REQUIRED ACTION: Call git_push again with a corrected message. You can use the suggestion as is or edit it.',
+          `📋 Policy file: ${policyFullPath}`
+        ], { problems: messageProblems, suggested_message: suggestion.message, suggestion: suggestion });
+      }
+    }
+
+    if (dryRun) {
+      return this.dryRunPush({ message, commitMessage, commitScope, commitBody, pushMode, policy, messageProblems });
+    }
+
+    // In feature_branch mode the commit goes to a new branch instead of LOCAL_BRANCH
+    let featureBranch = null;
+    // Result or error git_push ends with; the finally block adds where the repository was left
+    let outcome = null;
+    const historyDetails = { action: 'push', push_mode: pushMode };
+
     try {
+      // Identity recorded in the push history, as git resolves it with the configured overrides
+      const identity = await this.readCommitIdentity(commitArgs);
+      historyDetails.author = identity.author;
+      historyDetails.committer = identity.committer;
+      historyDetails.trailers = commitTrailers;
+
+      if (pushMode === 'feature_branch') {
+        featureBranch = await this.createFeatureBranch(message);
+        historyDetails.feature_branch = featureBranch;
+        console.error(`✓ Created feature branch ${featureBranch}`);
+      }
+      const sourceBranch = featureBranch || LOCAL_BRANCH;
+      const targetBranch = featureBranch || REMOTE_BRANCH;
+
       // Auto-add and commit changes before push
       console.error('Auto-adding and committing changes before push...');
 
-      // Check if there are already staged changes
-      try {
-        const statusResult = await this.executeGitCommand(['status', '--porcelain'], 'git_status_check');
-        const hasStagedChanges = statusResult.stdout.split('\n').some(line => line.startsWith('A ') || line.startsWith('M ') || line.startsWith('D '));
-
-        if (!hasStagedChanges) {
-          // git add . only if no staged changes, with longer timeout for large repos
-          await this.executeGitCommand(['add', '.'], 'git_add_auto', 60000); // 60 second timeout
-          console.error('✓ Changes added to staging area');
-        } else {
-          console.error('✓ Staged changes already exist, skipping git add');
+      let selection = null;
+      if (commitScope === 'pending_changes') {
+        // Commit exactly the files recorded through save_changes
+        selection = await this.commitSelectedFiles(collectPendingFiles(pendingChanges), commitMessage);
+      } else {
+        // Check if there are already staged changes
+        try {
+          const statusResult = await this.executeGitCommand(STATUS_ARGS, 'git_status_check');
+          const { entries } = parseStatus(statusResult.stdout);
+
+          if (!hasStagedChanges(entries)) {
+            // git add . only if no staged changes, with longer timeout for large repos
+            await this.executeGitCommand(['add', '.'], 'git_add_auto', 60000); // 60 second timeout
+            console.error('✓ Changes added to staging area');
+          } else {
+            console.error('✓ Staged changes already exist, skipping git add');
+          }
+        } catch (statusErr) {
+          console.error('Warning: git status check failed, proceeding with git add:', statusErr.message);
+          // If status check fails, still try to add
+          try {
+            await this.executeGitCommand(['add', '.'], 'git_add_auto');
+            console.error('✓ Changes added to staging area');
+          } catch (addErr) {
+            console.error('Warning: git add failed, but continuing with push:', addErr.message);
+          }
         }
-      } catch (statusErr) {
-        console.error('Warning: git status check failed, proceeding with git add:', statusErr.message);
-        // If status check fails, still try to add
+
+        // git commit
         try {
-          await this.executeGitCommand(['add', '.'], 'git_add_auto');
-          console.error('✓ Changes added to staging area');
-        } catch (addErr) {
-          console.error('Warning: git add failed, but continuing with push:', addErr.message);
+          await this.executeGitCommand([...commitArgs, 'commit', '-m', commitMessage], 'git_commit_auto');
+          console.error('✓ Changes committed');
+        } catch (commitErr) {
+          // If commit fails because "nothing to commit", that's OK for push
+          if (commitErr.code === 'SIGNING_FAILED') {
+            // Never push the work without the signed commit
+            throw commitErr;
+          }
+          if (commitErr.stderr && commitErr.stderr.includes('nothing to commit')) {
+            console.error('✓ No changes to commit, proceeding with push');
+          } else {
+            console.error('Warning: git commit failed, but continuing with push:', commitErr.message);
+          }
         }
       }
 
-      // git commit
-      try {
-        await this.executeGitCommand(['commit', '-m', message], 'git_commit_auto');
-        console.error('✓ Changes committed');
-      } catch (commitErr) {
-        // If commit fails because "nothing to commit", that's OK for push
-        if (commitErr.stderr && commitErr.stderr.includes('nothing to commit')) {
-          console.error('✓ No changes to commit, proceeding with push');
-        } else {
-          console.error('Warning: git commit failed, but continuing with push:', commitErr.message);
+      // Bring the local branch up to date with the remote before pushing
+      let syncResult = null;
+      if (PRE_PUSH_SYNC !== 'off') {
+        syncResult = await syncWithRemote((args, timeout) => this.executeGitCommand([...commitArgs, ...args], 'git_pre_push_sync', timeout), {
+          strategy: PRE_PUSH_SYNC,
+          remoteName: REMOTE_NAME,
+          remoteBranch: REMOTE_BRANCH,
+          pullSourceBranch: PULL_SOURCE_BRANCH,
+          localBranch: sourceBranch
+        });
+
+        if (syncResult.conflict) {
+          changesReviewed = false;
+          const syncError = `Push stopped: ${PRE_PUSH_SYNC} onto ${syncResult.source_ref} has conflicts in ${syncResult.conflicted_files.length} file(s)`;
+          // The auto-commit was already made and stays on the branch; tell where to find it
+          const localCommit = (await this.executeGitCommand(['rev-parse', sourceBranch], 'git_pre_push_sync', 30000)).stdout.trim();
+
+          logRequest('git_push', {
+            repo_name: REPO_NAME,
+            project_path: PROJECT_PATH,
+            remote_name: REMOTE_NAME,
+            local_branch: LOCAL_BRANCH,
+            remote_branch: REMOTE_BRANCH,
+            git_push_flags: GIT_PUSH_FLAGS,
+            push_mode: pushMode,
+            feature_branch: featureBranch,
+            message
+          }, { sync: syncResult }, syncError);
+
+          recordPushHistory(message, null, syncError, historyDetails);
+
+          outcome = {
+            content: [
+              { type: 'text', text: `⛔ ERROR: ${REMOTE_NAME}/${REMOTE_BRANCH} is ${syncResult.behind} commit(s) ahead and the ${PRE_PUSH_SYNC} onto ${syncResult.source_ref} produced conflicts. Nothing was pushed.` },
+              { type: 'text', text: `📄 Conflicted files: ${syncResult.conflicted_files.join(', ')}` },
+              { type: 'text', text: `↩️ The ${PRE_PUSH_SYNC} was aborted. The changes were committed locally on ${sourceBranch} as ${localCommit.substring(0, 12)}, but that commit was not pushed.` },
+              { type: 'text', text: '🔧 REQUIRED ACTION: Resolve the conflicts manually (or ask the user), then call git_push again.' }
+            ],
+            isError: true,
+            errorCode: 'SYNC_CONFLICT',
+            sync: syncResult,
+            local_commit: localCommit,
+            feature_branch: featureBranch
+          };
+          return outcome;
+        }
+      }
+
+      // Run pre-push policy checks on everything that would be pushed
+      let policyResult = null;
+      if (policy) {
+        policyResult = await checkPushPolicy(policy, (args) => this.executeGitCommand(args, 'git_policy_check', 60000), {
+          localBranch: sourceBranch,
+          remoteRef: `${REMOTE_NAME}/${REMOTE_BRANCH}`
+        });
+
+        if (policyResult.blocked) {
+          changesReviewed = false;
+          const policyError = `Push blocked by policy: ${policyResult.violations.length} violation(s)`;
+
+          logRequest('git_push', {
+            repo_name: REPO_NAME,
+            project_path: PROJECT_PATH,
+            remote_name: REMOTE_NAME,
+            local_branch: LOCAL_BRANCH,
+            remote_branch: REMOTE_BRANCH,
+            git_push_flags: GIT_PUSH_FLAGS,
+            push_mode: pushMode,
+            feature_branch: featureBranch,
+            message
+          }, { violations: policyResult.violations }, policyError);
+
+          recordPushHistory(message, null, policyError, historyDetails);
+
+          outcome = {
+            content: [
+              { type: 'text', text: '⛔ ERROR: Push blocked by the pre-push policy. Changes were committed locally but nothing was pushed.' },
+              ...policyResult.violations.map(v => ({ type: 'text', text: `❌ [${v.check}] ${v.message}` })),
+              ...policyResult.warnings.map(w => ({ type: 'text', text: `⚠️ [${w.check}] ${w.message}` })),
+              { type: 'text', text: '🔧 REQUIRED ACTION: Remove or fix the offending files in a new commit, then call git_push again.' },
+              { type: 'text', text: `📋 Policy file: ${policyFullPath}` }
+            ],
+            isError: true,
+            errorCode: 'PUSH_POLICY_VIOLATION',
+            violations: policyResult.violations,
+            warnings: policyResult.warnings,
+            feature_branch: featureBranch
+          };
+          return outcome;
         }
       }
 
       // Build git push command arguments
       const pushFlags = GIT_PUSH_FLAGS.trim() ? GIT_PUSH_FLAGS.trim().split(/\s+/) : [];
-      const pushArgs = ['push', REMOTE_NAME, `${LOCAL_BRANCH}:${REMOTE_BRANCH}`].concat(pushFlags);
+      const pushArgs = ['push']
+        .concat(featureBranch ? ['--set-upstream'] : [])
+        .concat([REMOTE_NAME, `${sourceBranch}:${targetBranch}`], pushFlags);
       
       // Execute push with a longer timeout (5 minutes)
       const result = await this.executeGitCommand(pushArgs, 'git_push_final', 300000);
+      const mergeRequestUrl = extractMergeRequestUrl(result.stderr);
+      historyDetails.merge_request_url = mergeRequestUrl;
 
       // Log operation
       logRequest('git_push', {
@@ -346,11 +639,13 @@ class FinalMCPServer {
         local_branch: LOCAL_BRANCH,
         remote_branch: REMOTE_BRANCH,
         git_push_flags: GIT_PUSH_FLAGS,
+        push_mode: pushMode,
+        feature_branch: featureBranch,
         message
       }, result);
 
       // Record push history
-      recordPushHistory(message, result, null);
+      recordPushHistory(message, result, null, historyDetails);
 
       // Clear all pending changes after successful push
       clearPendingChanges();
@@ -358,21 +653,55 @@ class FinalMCPServer {
       // Reset review status after successful push
       changesReviewed = false;
 
-      return {
+      const response = {
         success: true,
         repo_name: REPO_NAME,
         project_path: PROJECT_PATH,
         remote_name: REMOTE_NAME,
         local_branch: LOCAL_BRANCH,
-        remote_branch: REMOTE_BRANCH,
+        remote_branch: targetBranch,
         git_push_flags: GIT_PUSH_FLAGS,
         message: message,
+        commit_message: commitMessage,
+        commit_scope: commitScope,
+        commit_body: commitBody,
+        signed_commit: signing.sign_commits,
+        author: historyDetails.author,
+        committer: historyDetails.committer,
+        trailers: commitTrailers,
+        push_mode: pushMode,
+        merge_request_url: mergeRequestUrl,
         cleared_changes: pendingChanges.length,
         review_status_reset: true,
         output: result.stdout,
         error_output: result.stderr,
         exit_code: result.exitCode
       };
+
+      if (selection) {
+        response.committed_files = selection.commitPaths;
+        response.excluded_files = selection.excludedFiles;
+        response.unchanged_files = selection.unchangedFiles;
+      }
+
+      if (syncResult) {
+        response.sync = syncResult;
+      }
+
+      if (policyResult) {
+        response.policy_warnings = policyResult.warnings;
+      }
+
+      if (messageProblems.length > 0) {
+        response.commit_message_warnings = messageProblems;
+      }
+
+      if (featureBranch) {
+        response.feature_branch = featureBranch;
+      }
+
+      outcome = response;
+      return response;
     } catch (err) {
       // Reset review status even on push failure
       changesReviewed = false;
@@ -385,27 +714,281 @@ class FinalMCPServer {
         local_branch: LOCAL_BRANCH,
         remote_branch: REMOTE_BRANCH,
         git_push_flags: GIT_PUSH_FLAGS,
+        push_mode: pushMode,
+        feature_branch: featureBranch,
         message
       }, null, err.error || err.message);
 
       // Record push history even on error
-      recordPushHistory(message, null, err.error || err.message);
+      recordPushHistory(message, null, err.error || err.message, historyDetails);
+
+      outcome = toToolError(featureBranch ? `Git push of feature branch ${featureBranch} failed` : 'Git push failed', err);
+      throw outcome;
+    } finally {
+      // Every attempt, failed or not, must leave the repository on the local branch again
+      if (featureBranch) {
+        const returnedTo = await this.returnToLocalBranch(featureBranch);
+        const branchState = { returned_to_branch: returnedTo };
+        if (!returnedTo) {
+          branchState.left_on_branch = featureBranch;
+        }
+        if (outcome instanceof Error) {
+          outcome.data = { ...(outcome.data || {}), feature_branch: featureBranch, ...branchState };
+        } else if (outcome) {
+          Object.assign(outcome, branchState);
+        }
+      }
+    }
+  }
+
+  // git_push with dry_run: report the files, message and commits a push would involve and
+  // let `git push --dry-run` check the remote. The repository, pending changes and review status are left alone.
+  async dryRunPush({ message, commitMessage, commitScope, commitBody, pushMode, policy, messageProblems }) {
+    let featureBranch = null;
+    try {
+      const preview = await this.previewCommitFiles(commitScope, pendingChanges);
+
+      // A feature branch would be created from the current HEAD
+      featureBranch = pushMode === 'feature_branch' ? await this.resolveFeatureBranchName(message) : null;
+      const sourceRef = featureBranch ? 'HEAD' : LOCAL_BRANCH;
+      const targetBranch = featureBranch || REMOTE_BRANCH;
+
+      // Commits that are already on the branch but not on the remote (`git log REMOTE/REMOTE_BRANCH..LOCAL_BRANCH`)
+      const remoteRef = `${REMOTE_NAME}/${REMOTE_BRANCH}`;
+      const remoteExists = await this.refExists(`refs/remotes/${remoteRef}`);
+      const range = remoteExists ? `${remoteRef}..${sourceRef}` : sourceRef;
+      const countResult = await this.executeGitCommand(['rev-list', '--count', range], 'git_push_dry_run');
+      const logResult = await this.executeGitCommand(['log', buildLogFormat(), `--max-count=${DRY_RUN_MAX_COMMITS}`, range, '--'], 'git_push_dry_run');
+      const commits = parseLog(logResult.stdout).map(commit => ({
+        hash: commit.hash,
+        short_hash: commit.short_hash,
+        author: commit.author,
+        date: commit.date,
+        message: commit.message
+      }));
+      const commitCount = parseInt(countResult.stdout.trim(), 10) || 0;
+
+      // The new commit does not exist yet, so the remote only sees the commits above
+      const pushFlags = GIT_PUSH_FLAGS.trim() ? GIT_PUSH_FLAGS.trim().split(/\s+/) : [];
+      const pushArgs = ['push', '--dry-run', REMOTE_NAME, `${sourceRef}:${featureBranch ? `refs/heads/${featureBranch}` : targetBranch}`, ...pushFlags];
+      let pushCheck;
+      try {
+        const result = await this.executeGitCommand(pushArgs, 'git_push_dry_run', 300000);
+        pushCheck = { success: true, output: result.stdout, error_output: result.stderr };
+      } catch (err) {
+        pushCheck = { success: false, code: err.code || null, hint: err.hint || null, output: err.stdout || '', error_output: err.stderr || err.message };
+      }
+
+      logRequest('git_push', {
+        repo_name: REPO_NAME,
+        project_path: PROJECT_PATH,
+        remote_name: REMOTE_NAME,
+        local_branch: LOCAL_BRANCH,
+        remote_branch: REMOTE_BRANCH,
+        git_push_flags: GIT_PUSH_FLAGS,
+        push_mode: pushMode,
+        feature_branch: featureBranch,
+        dry_run: true,
+        message
+      }, pushCheck, pushCheck.success ? null : pushCheck.error_output);
+
+      // Everything that would stop the real git_push
+      const blockedBy = [];
+      const approval = await this.checkPushApproval(commitScope);
+      if (!approval.allowed) {
+        blockedBy.push(approval.code);
+      }
+      const currentBranch = await this.readCurrentBranch();
+      if (currentBranch !== LOCAL_BRANCH) {
+        blockedBy.push('NOT_ON_LOCAL_BRANCH');
+      }
+      if (pendingChanges.length > getMaxPendingChanges()) {
+        blockedBy.push('PENDING_CHANGES_OVERFLOW');
+      }
+      if (messageProblems.length > 0 && policy.commit_message.action === 'block') {
+        blockedBy.push('COMMIT_MESSAGE_INVALID');
+      }
+      // PRE_PUSH_SYNC would integrate the remote commits before the real push
+      if (!pushCheck.success && !(PRE_PUSH_SYNC !== 'off' && pushCheck.code === 'NON_FAST_FORWARD')) {
+        blockedBy.push(pushCheck.code || 'PUSH_DRY_RUN_FAILED');
+      }
+
+      const response = {
+        success: true,
+        dry_run: true,
+        repo_name: REPO_NAME,
+        project_path: PROJECT_PATH,
+        remote_name: REMOTE_NAME,
+        local_branch: LOCAL_BRANCH,
+        remote_branch: targetBranch,
+        git_push_flags: GIT_PUSH_FLAGS,
+        message: message,
+        commit_message: commitMessage,
+        commit_scope: commitScope,
+        commit_body: commitBody,
+        push_mode: pushMode,
+        runs_git_add: preview.runs_git_add,
+        files: preview.files,
+        excluded_files: preview.excluded_files,
+        unchanged_files: preview.unchanged_files,
+        will_commit: preview.files.length > 0,
+        remote_ref: remoteRef,
+        remote_exists: remoteExists,
+        commits_to_push: commits,
+        commits_to_push_count: commitCount,
+        commits_truncated: commitCount > commits.length,
+        push_check: pushCheck,
+        pre_push_sync: PRE_PUSH_SYNC,
+        pending_changes: pendingChanges.length,
+        changes_reviewed: changesReviewed,
+        approval_mode: APPROVAL_MODE,
+        approvals: summarizeApprovals(pendingChanges),
+        would_push: blockedBy.length === 0,
+        current_branch: currentBranch,
+        blocked_by: blockedBy
+      };
+
+      if (featureBranch) {
+        response.feature_branch = featureBranch;
+      }
+
+      if (messageProblems.length > 0) {
+        response.commit_message_warnings = messageProblems;
+      }
+
+      return response;
+    } catch (err) {
+      throw toToolError(featureBranch ? `Git push dry run of feature branch ${featureBranch} failed` : 'Git push dry run failed', err);
+    }
+  }
+
+  // Create and switch to a new branch named after FEATURE_BRANCH_TEMPLATE.
+  // Uncommitted changes are carried over to the new branch.
+  async createFeatureBranch(message) {
+    const name = await this.resolveFeatureBranchName(message);
+    await this.executeGitCommand(['checkout', '-b', name], 'git_feature_branch_create');
+    return name;
+  }
+
+  // First free branch name for FEATURE_BRANCH_TEMPLATE ("name", "name-2", ...)
+  async resolveFeatureBranchName(message) {
+    const baseName = buildFeatureBranchName(FEATURE_BRANCH_TEMPLATE, { message, repoName: REPO_NAME });
+    await this.validateBranchName(baseName);
+
+    const branchExists = async (name) => {
+      for (const ref of [`refs/heads/${name}`, `refs/remotes/${REMOTE_NAME}/${name}`]) {
+        try {
+          await this.executeGitCommand(['rev-parse', '--verify', '--quiet', ref], 'git_branch_exists');
+          return true;
+        } catch (err) {
+          // Ref does not exist
+        }
+      }
+      return false;
+    };
 
-      throw new Error(`Git push failed: ${err.error || err.message}`);
+    let name = baseName;
+    for (let i = 2; await branchExists(name); i++) {
+      if (i > 100) {
+        throw new Error(`Could not find a free branch name for ${baseName}`);
+      }
+      name = `${baseName}-${i}`;
+    }
+    return name;
+  }
+
+  // Branch checked out in PROJECT_PATH, or null for a detached HEAD
+  async readCurrentBranch() {
+    try {
+      const result = await this.executeGitCommand(['symbolic-ref', '--short', '-q', 'HEAD'], 'git_branch_check');
+      return result.stdout.trim() || null;
+    } catch (err) {
+      if (err.exitCode === 1) {
+        return null;
+      }
+      throw toToolError('Git branch check failed', err);
+    }
+  }
+
+  // Tools that commit on or push LOCAL_BRANCH refuse to run while another branch is checked out;
+  // returns null when LOCAL_BRANCH is checked out
+  async localBranchErrorResult(toolName) {
+    const currentBranch = await this.readCurrentBranch();
+    if (currentBranch === LOCAL_BRANCH) {
+      return null;
+    }
+    const checkoutToolName = TOOL_PREFIX ? `${TOOL_PREFIX}_git_checkout` : 'git_checkout';
+    return this.toolErrorResult('NOT_ON_LOCAL_BRANCH', [
+      `⛔ ERROR: ${currentBranch ? `Branch "${currentBranch}"` : 'A detached HEAD'} is checked out, but ${toolName} works on LOCAL_BRANCH "${LOCAL_BRANCH}". Nothing was changed.`,
+      `🔧 REQUIRED ACTION: Switch back with "${checkoutToolName}" {"branch": "${LOCAL_BRANCH}"}, then call ${toolName} again.`
+    ], { current_branch: currentBranch, local_branch: LOCAL_BRANCH });
+  }
+
+  // Switch back to LOCAL_BRANCH after a feature branch push so the next push starts from it again
+  async returnToLocalBranch(featureBranch) {
+    try {
+      await this.executeGitCommand(['checkout', LOCAL_BRANCH], 'git_checkout_local_branch');
+      return LOCAL_BRANCH;
+    } catch (err) {
+      console.error(`Warning: could not switch back to ${LOCAL_BRANCH}, staying on ${featureBranch}:`, err.message);
+      return null;
     }
   }
 
-  // Get push history (last 5 records)
+  // Stage and commit only the selected files, leaving other modifications out of the commit
+  async commitSelectedFiles(selectedFiles, message) {
+    const statusResult = await this.executeGitCommand([...STATUS_ARGS, '--untracked-files=all'], 'git_status_check');
+    const selection = selectCommitPaths(parseStatus(statusResult.stdout).entries, selectedFiles);
+
+    if (selection.commitPaths.length === 0) {
+      console.error('✓ No recorded files have changes, proceeding with push');
+      return selection;
+    }
+
+    if (selection.addPaths.length > 0) {
+      await this.executeGitCommand(['add', '-A', '--', ...selection.addPaths], 'git_add_selected', 60000);
+    }
+    await this.executeGitCommand([...this.commitConfigArgs(), 'commit', '-m', message, '--', ...selection.commitPaths], 'git_commit_selected');
+    console.error(`✓ Committed ${selection.commitPaths.length} recorded file(s)`);
+
+    if (selection.excludedFiles.length > 0) {
+      console.error(`✓ Left ${selection.excludedFiles.length} unrecorded modified file(s) out of the commit`);
+    }
+
+    return selection;
+  }
+
+  // Get push history (last 5 records unless a limit or filters are given)
   async get_push_history(params) {
-    // Return last 5 push records
-    const last5Records = pushHistory.slice(0, 5);
+    const { limit = 5, offset = 0 } = params || {};
+
+    if (typeof limit !== 'number' || limit < 1 || limit > 1000) {
+      throw new Error('limit parameter must be between 1-1000');
+    }
+
+    if (typeof offset !== 'number' || offset < 0) {
+      throw new Error('offset parameter must be greater than or equal to 0');
+    }
+
+    const filters = resolveQueryFilters(params, { kind: 'push_history', repo: REPO_NAME });
+    const { total, entries: records } = storage.query('push_history', filters, { limit, offset });
+
+    let message;
+    if (records.length > 0) {
+      message = `Found ${records.length} recent push record(s). Please review them to ensure your current changes have not been pushed before. After reviewing, you can proceed with git_push.`;
+    } else if (filters.active) {
+      message = 'No push records match the filters.';
+    } else {
+      message = 'No push history found. This appears to be the first push. You can now proceed with git_push.';
+    }
 
     return {
-      total: pushHistory.length,
-      records: last5Records,
-      message: last5Records.length > 0
-        ? `Found ${last5Records.length} recent push record(s). Please review them to ensure your current changes have not been pushed before. After reviewing, you can proceed with git_push.`
-        : 'No push history found. This appears to be the first push. You can now proceed with git_push.'
+      total: total,
+      records: records,
+      limit: limit,
+      offset: offset,
+      hasMore: offset + limit < total,
+      message: message
     };
   }
 
@@ -422,15 +1005,16 @@ class FinalMCPServer {
       throw new Error('offset parameter must be greater than or equal to 0');
     }
 
-    // Return logs from memory
-    const logs = operationLogs.slice(offset, offset + limit);
+    // From memory with the json backend, from the database with sqlite
+    const filters = resolveQueryFilters(params, { kind: 'operation_logs', repo: REPO_NAME });
+    const { total, entries: logs } = storage.query('operation_logs', filters, { limit, offset });
 
     return {
       logs: logs,
-      total: operationLogs.length,
+      total: total,
       limit: limit,
       offset: offset,
-      hasMore: offset + limit < operationLogs.length
+      hasMore: offset + limit < total
     };
   }
 
@@ -446,27 +1030,30 @@ class FinalMCPServer {
       throw new Error('content parameter must be a non-empty string');
     }
 
+    const maxChanges = getMaxPendingChanges();
+
     // Validate files array contains strings
     if (!files.every(file => typeof file === 'string' && file.trim())) {
       throw new Error('all files must be non-empty strings');
     }
 
     // Create change entry
-    const changeEntry = {
-      id: Date.now(),
+    const changeEntry = normalizeChangeEntry({
+      id: nextEntryId(pendingChanges),
       timestamp: new Date().toISOString(),
       repo_name: REPO_NAME,
       project_path: PROJECT_PATH,
       files: files.map(f => f.trim()),
-      content: content.trim(),
-      reviewed: false
-    };
+      content: content.trim()
+    });
+
+    // Record what the files look like now so get_pending_changes can detect drift
+    const snapshotError = await this.snapshotChange(changeEntry);
 
-    // Add to pending changes
+    // Add to pending changes. Over the limit, old pending entries for the same files are merged;
+    // nothing is dropped, and git_push is blocked while the list is still too long.
     pendingChanges.unshift(changeEntry);
-    if (pendingChanges.length > MAX_PENDING_CHANGES) {
-      pendingChanges.splice(MAX_PENDING_CHANGES);
-    }
+    const consolidated = consolidateChanges(pendingChanges, maxChanges);
 
     // Save to file
     savePendingChanges();
@@ -478,13 +1065,31 @@ class FinalMCPServer {
       change_id: changeEntry.id
     }, { success: true });
 
-    return {
+    const unchangedFiles = (changeEntry.snapshots || []).filter(snapshot => !snapshot.changed).map(snapshot => snapshot.file);
+    const response = {
       success: true,
       change_id: changeEntry.id,
       message: `Successfully saved ${files.length} file changes. Total pending changes: ${pendingChanges.length}`,
       files_count: files.length,
-      content_length: content.length
+      content_length: content.length,
+      unchanged_files: unchangedFiles,
+      capacity: describeCapacity(pendingChanges.length, maxChanges)
     };
+    if (consolidated.length > 0) {
+      response.consolidated = consolidated;
+    }
+    if (response.capacity.over_limit) {
+      response.limit_warning = `${pendingChanges.length} pending changes exceed MAX_PENDING_CHANGES (${maxChanges}) and could not be consolidated. git_push is blocked until you squash_changes or delete_change entries.`;
+    } else if (response.capacity.near_limit) {
+      response.limit_warning = `${pendingChanges.length} of ${maxChanges} pending changes used. Squash related entries with squash_changes; further saves merge old pending entries for the same files.`;
+    }
+    if (unchangedFiles.length > 0) {
+      response.warning = `${unchangedFiles.length} file(s) have no changes in the working tree: ${unchangedFiles.join(', ')}. Check that the description matches the actual changes.`;
+    }
+    if (snapshotError) {
+      response.snapshot_error = snapshotError;
+    }
+    return response;
   }
 
   // Get pending changes
@@ -500,8 +1105,13 @@ class FinalMCPServer {
       throw new Error('offset parameter must be greater than or equal to 0');
     }
 
-    // Mark changes as reviewed
-    changesReviewed = true;
+    const filters = resolveQueryFilters(params, { kind: 'pending_changes', repo: REPO_NAME });
+
+    // Viewing the changes only counts as the review in APPROVAL_MODE "review";
+    // the other modes need approve_changes
+    if (APPROVAL_MODE === 'review') {
+      changesReviewed = true;
+    }
 
     // Log operation
     logRequest('get_pending_changes', {
@@ -510,211 +1120,2733 @@ class FinalMCPServer {
       total_changes: pendingChanges.length
     }, { success: true });
 
-    // Return pending changes
-    const changes = pendingChanges.slice(offset, offset + limit);
+    // Return the matching pending changes; drift, capacity and approvals cover all of them
+    const { total, entries: changes } = storage.query('pending_changes', filters, { limit, offset });
+    const drift = await this.checkChangeDrift(pendingChanges);
 
     return {
       changes: changes,
-      total: pendingChanges.length,
+      total: total,
       limit: limit,
       offset: offset,
-      hasMore: offset + limit < pendingChanges.length,
-      message: pendingChanges.length > 0
-        ? `Found ${pendingChanges.length} pending change(s). Changes have been marked as reviewed. You can now proceed with git_push.`
-        : 'No pending changes found.'
+      hasMore: offset + limit < total,
+      drift: drift,
+      capacity: describeCapacity(pendingChanges.length, getMaxPendingChanges()),
+      approval_mode: APPROVAL_MODE,
+      approvals: summarizeApprovals(pendingChanges),
+      message: this.pendingChangesMessage(pendingChanges, APPROVAL_MODE)
     };
   }
 
-  // Execute git status
-  async git_status(params) {
-    try {
-      const result = await this.executeGitCommand(['status', '--porcelain'], 'git_status');
-      return {
-        success: true,
-        status: result.stdout.trim(),
-        has_changes: result.stdout.trim().length > 0,
-        message: result.stdout.trim().length > 0
-          ? 'Working directory has uncommitted changes'
-          : 'Working directory is clean'
-      };
-    } catch (err) {
-      throw new Error(`Git status failed: ${err.error || err.message}`);
+  // Edit the files or description of a pending change; the previous version goes to edit_history
+  async update_change(params) {
+    const { change_id, files, content } = params || {};
+    const id = validateChangeId(change_id);
+
+    if (files === undefined && content === undefined) {
+      throw new Error('files or content parameter is required');
     }
-  }
 
-  // Execute git diff
-  async git_diff(params) {
-    const { staged = false, files = [] } = params || {};
+    const [change] = this.findChangesById([id]);
+    updateChangeEntry(change, {
+      files: files === undefined ? undefined : validateFiles(files),
+      content: content === undefined ? undefined : validateContent(content)
+    });
+    const snapshotError = await this.snapshotChange(change);
 
-    try {
-      const args = ['diff'];
-      if (staged) {
-        args.push('--cached');
-      }
-      if (files && files.length > 0) {
-        args.push('--', ...files);
-      }
+    // The edited description has to be reviewed again
+    changesReviewed = false;
+    savePendingChanges();
 
-      const result = await this.executeGitCommand(args, 'git_diff');
-      return {
-        success: true,
-        diff: result.stdout,
-        has_changes: result.stdout.trim().length > 0,
-        staged: staged,
-        files: files || []
-      };
-    } catch (err) {
-      throw new Error(`Git diff failed: ${err.error || err.message}`);
+    logRequest('update_change', {
+      change_id: id,
+      files: change.files,
+      content_length: change.content.length
+    }, { success: true });
+
+    const response = {
+      success: true,
+      change: change,
+      message: `Updated change ${id}. It has to be reviewed${APPROVAL_MODE !== 'review' ? ' and approved' : ''} again before git_push.`
+    };
+    if (snapshotError) {
+      response.snapshot_error = snapshotError;
     }
+    return response;
   }
 
-  // Execute git add
-  async git_add(params) {
-    const { files = ['.'] } = params || {};
+  // Remove a pending change; the removed entry is kept in the operation log
+  async delete_change(params) {
+    const { change_id, reason, approval_token } = params || {};
+    const id = validateChangeId(change_id);
 
-    try {
-      const args = ['add', ...files];
-      const result = await this.executeGitCommand(args, 'git_add');
+    if (reason !== undefined && typeof reason !== 'string') {
+      throw new Error('reason parameter must be a string');
+    }
 
-      return {
-        success: true,
-        files_added: files,
-        output: result.stdout,
-        message: `Successfully added ${files.length} file(s) to staging area`
-      };
-    } catch (err) {
-      throw new Error(`Git add failed: ${err.error || err.message}`);
+    const [change] = this.findChangesById([id]);
+
+    // A reviewed change carries a reviewer's decision (a rejection blocks git_push), so outside the
+    // review mode only the approval token may discard it. Reworked changes are pending again but keep their review_history.
+    if (APPROVAL_MODE !== 'review' && change.review_history.length > 0 && !verifyApprovalToken(approval_token, APPROVAL_TOKEN)) {
+      logRequest('delete_change', { change_id: id, status: change.status, reason: reason || null }, null, 'Approval token required to delete a reviewed change');
+      return this.toolErrorResult('CHANGE_DELETE_NOT_ALLOWED', [
+        `⛔ ERROR: Change ${id} was reviewed (status ${change.status}, APPROVAL_MODE "${APPROVAL_MODE}"). Nothing was deleted.`,
+        APPROVAL_TOKEN
+          ? '🔧 REQUIRED ACTION: Rework the change with update_change and have it approved again, or ask the user for the approval token to delete it. Do not guess it.'
+          : '🔧 REQUIRED ACTION: Rework the change with update_change and have it approved again. Deleting it needs an APPROVAL_TOKEN for this server, which only the user can set.'
+      ], { change_id: id, status: change.status });
     }
+
+    pendingChanges.splice(pendingChanges.indexOf(change), 1);
+    savePendingChanges();
+
+    logRequest('delete_change', {
+      change_id: id,
+      reason: reason || null,
+      deleted_change: change
+    }, { success: true });
+
+    return {
+      success: true,
+      deleted: change,
+      total: pendingChanges.length,
+      message: `Deleted change ${id}. Remaining pending changes: ${pendingChanges.length}`
+    };
   }
 
-  // Execute git log
-  async git_log(params) {
-    const { limit = 10, oneline = false } = params || {};
+  // Merge several pending changes into the newest of them
+  async squash_changes(params) {
+    const { change_ids, content } = params || {};
 
-    if (typeof limit !== 'number' || limit < 1 || limit > 100) {
-      throw new Error('limit parameter must be between 1-100');
+    if (!Array.isArray(change_ids) || new Set(change_ids.map(id => validateChangeId(id, 'change_ids'))).size < 2) {
+      throw new Error('change_ids parameter must list at least two different change ids');
     }
 
-    try {
-      const args = ['log', `--max-count=${limit}`];
-      if (oneline) {
-        args.push('--oneline');
-      } else {
-        args.push('--pretty=format:%H|%an|%ae|%ad|%s', '--date=short');
-      }
+    const entries = this.findChangesById(change_ids);
+    const merged = squashChangeEntries(entries, content === undefined ? undefined : validateContent(content));
+    const snapshotError = await this.snapshotChange(merged);
 
-      const result = await this.executeGitCommand(args, 'git_log');
+    const index = pendingChanges.indexOf(entries[0]);
+    pendingChanges[index] = merged;
+    entries.slice(1).forEach(entry => pendingChanges.splice(pendingChanges.indexOf(entry), 1));
 
-      const commits = result.stdout.trim().split('\n').filter(line => line.trim()).map(line => {
-        if (oneline) {
-          const match = line.match(/^(\w+)\s+(.+)$/);
-          return match ? { hash: match[1], message: match[2] } : { hash: '', message: line };
-        } else {
-          const parts = line.split('|');
-          return {
-            hash: parts[0] || '',
-            author: parts[1] || '',
-            email: parts[2] || '',
-            date: parts[3] || '',
-            message: parts[4] || ''
-          };
-        }
-      });
+    changesReviewed = false;
+    savePendingChanges();
 
-      return {
-        success: true,
-        commits: commits,
-        total: commits.length,
-        oneline: oneline
-      };
-    } catch (err) {
-      throw new Error(`Git log failed: ${err.error || err.message}`);
+    logRequest('squash_changes', {
+      change_ids: entries.map(entry => entry.id),
+      change_id: merged.id,
+      files: merged.files
+    }, { success: true });
+
+    const response = {
+      success: true,
+      change: merged,
+      squashed: entries.map(entry => entry.id),
+      total: pendingChanges.length,
+      message: `Squashed ${entries.length} changes into change ${merged.id}. It has to be reviewed${APPROVAL_MODE !== 'review' ? ' and approved' : ''} again before git_push.`
+    };
+    if (snapshotError) {
+      response.snapshot_error = snapshotError;
+    }
+    return response;
+  }
+
+  // Attach working tree snapshots to a change entry; returns the error message when git fails
+  async snapshotChange(changeEntry) {
+    try {
+      changeEntry.snapshots = await snapshotFiles((args, timeout = 30000) => this.executeGitCommand(args, 'save_changes_snapshot', timeout), changeEntry.files);
+      return null;
+    } catch (err) {
+      console.error('Failed to snapshot changed files:', err.message);
+      return err.message;
+    }
+  }
+
+  // Compare the pending changes with the working tree (null when there are none)
+  async checkChangeDrift(changes) {
+    if (changes.length === 0) {
+      return null;
+    }
+    try {
+      return await detectDrift((args, timeout = 30000) => this.executeGitCommand(args, 'get_pending_changes_drift', timeout), changes);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  pendingChangesMessage(changes, mode) {
+    if (changes.length === 0) {
+      return 'No pending changes found.';
+    }
+    const approval = checkApproval(changes, { mode, reviewed: true });
+    if (approval.allowed) {
+      return mode === 'review'
+        ? `Found ${changes.length} pending change(s). Changes have been marked as reviewed. You can now proceed with git_push.`
+        : `Found ${changes.length} pending change(s). All changes are approved. You can now proceed with git_push.`;
+    }
+    if (approval.code === 'CHANGES_REJECTED') {
+      return `Found ${changes.length} pending change(s). ${approval.change_ids.length} change(s) were rejected or need rework; git_push is blocked until they are approved again.`;
+    }
+    return mode === 'token'
+      ? `Found ${changes.length} pending change(s). ${approval.change_ids.length} change(s) still need approval with approve_changes and the approval token from a human reviewer.`
+      : `Found ${changes.length} pending change(s). ${approval.change_ids.length} change(s) still need approval with approve_changes before git_push.`;
+  }
+
+  // Select change entries by id; every id must exist
+  findChangesById(changeIds) {
+    if (!Array.isArray(changeIds) || changeIds.length === 0) {
+      throw new Error('change_ids parameter must be a non-empty array of change ids');
+    }
+    const ids = changeIds.map(id => Number(id));
+    const missing = changeIds.filter((id, index) => !pendingChanges.some(change => change.id === ids[index]));
+    if (missing.length > 0) {
+      throw new Error(`Unknown change id(s): ${missing.join(', ')}`);
+    }
+    return pendingChanges.filter(change => ids.includes(change.id));
+  }
+
+  // Approve pending changes; in APPROVAL_MODE "token" the token handed out by a human is required
+  async approve_changes(params) {
+    const { change_ids, reviewer, comment, approval_token } = params || {};
+
+    if (reviewer !== undefined && (typeof reviewer !== 'string' || !reviewer.trim())) {
+      throw new Error('reviewer parameter must be a non-empty string');
+    }
+
+    if (comment !== undefined && typeof comment !== 'string') {
+      throw new Error('comment parameter must be a string');
+    }
+
+    // Without change_ids every change still waiting for a decision is approved
+    const changes = change_ids === undefined
+      ? pendingChanges.filter(change => change.status === 'pending')
+      : this.findChangesById(change_ids);
+
+    let tokenVerified = false;
+    if (APPROVAL_MODE === 'token') {
+      if (!APPROVAL_TOKEN) {
+        return this.toolErrorResult('APPROVAL_TOKEN_NOT_CONFIGURED', [
+          '⛔ ERROR: APPROVAL_MODE is "token" but no APPROVAL_TOKEN is configured. Nothing was approved.',
+          '🔧 REQUIRED ACTION: Ask the user to set APPROVAL_TOKEN for this server.'
+        ]);
+      }
+      tokenVerified = verifyApprovalToken(approval_token, APPROVAL_TOKEN);
+      if (!tokenVerified) {
+        logRequest('approve_changes', { change_ids: changes.map(change => change.id), reviewer }, null, 'Invalid approval token');
+        return this.toolErrorResult('APPROVAL_TOKEN_INVALID', [
+          '⛔ ERROR: The approval token is missing or invalid. Nothing was approved.',
+          '🔧 REQUIRED ACTION: Ask the user to review the pending changes and provide the approval token. Do not guess it.'
+        ]);
+      }
+    }
+
+    changes.forEach(change => applyReview(change, { status: 'approved', reviewer: reviewer ? reviewer.trim() : null, comment, tokenVerified }));
+    savePendingChanges();
+
+    logRequest('approve_changes', {
+      change_ids: changes.map(change => change.id),
+      reviewer,
+      token_verified: tokenVerified
+    }, { success: true });
+
+    // push_allowed also reflects working tree changes the approved entries do not cover
+    const approval = await this.checkPushApproval(COMMIT_SCOPE);
+    return {
+      success: true,
+      approved: changes.map(change => change.id),
+      approval_mode: APPROVAL_MODE,
+      approvals: summarizeApprovals(pendingChanges),
+      push_allowed: approval.allowed,
+      blocked_by: approval.code,
+      message: changes.length > 0
+        ? `Approved ${changes.length} change(s).${approval.allowed ? ' You can now proceed with git_push.' : ''}`
+        : 'No pending changes to approve.'
+    };
+  }
+
+  // Reject changes or send them back for rework; either blocks git_push until they are approved again
+  async reject_changes(params) {
+    const { change_ids, reviewer, comment, status = 'rejected' } = params || {};
+
+    if (!['rejected', 'needs_rework'].includes(status)) {
+      throw new Error('status parameter must be one of: rejected, needs_rework');
+    }
+
+    if (reviewer !== undefined && (typeof reviewer !== 'string' || !reviewer.trim())) {
+      throw new Error('reviewer parameter must be a non-empty string');
+    }
+
+    if (!comment || typeof comment !== 'string' || !comment.trim()) {
+      throw new Error('comment parameter must be a non-empty string explaining the decision');
+    }
+
+    const changes = this.findChangesById(change_ids);
+    changes.forEach(change => applyReview(change, { status, reviewer: reviewer ? reviewer.trim() : null, comment: comment.trim() }));
+    savePendingChanges();
+
+    logRequest('reject_changes', {
+      change_ids: changes.map(change => change.id),
+      reviewer,
+      status
+    }, { success: true });
+
+    return {
+      success: true,
+      status: status,
+      changes: changes.map(change => change.id),
+      approval_mode: APPROVAL_MODE,
+      approvals: summarizeApprovals(pendingChanges),
+      push_allowed: false,
+      message: `Marked ${changes.length} change(s) as ${status}. git_push is blocked until they are approved again.`
+    };
+  }
+
+  // Identity and signing options for commands that create commits
+  commitConfigArgs() {
+    return [...identityConfigArgs(getCommitIdentity()), ...commitSigningArgs(getSigningConfig())];
+  }
+
+  // Author and committer git would use with the given -c options (null when not configured)
+  async readCommitIdentity(configArgs) {
+    const read = async (variable) => {
+      try {
+        const result = await this.executeGitCommand([...configArgs, 'var', variable], 'git_commit_identity');
+        return parseIdent(result.stdout);
+      } catch (err) {
+        // user.name / user.email are not configured
+        return null;
+      }
+    };
+    return { author: await read('GIT_AUTHOR_IDENT'), committer: await read('GIT_COMMITTER_IDENT') };
+  }
+
+  // Work out which files git_push would stage and commit, using the same rules but without touching the index
+  async previewCommitFiles(commitScope, changes) {
+    const statusResult = await this.executeGitCommand([...STATUS_ARGS, '--untracked-files=all'], 'git_commit_preview');
+    const { branch, entries } = parseStatus(statusResult.stdout);
+    const preview = { branch: branch.head, runs_git_add: true, excluded_files: [], unchanged_files: [] };
+
+    if (commitScope === 'pending_changes') {
+      const selection = selectCommitPaths(entries, collectPendingFiles(changes));
+      preview.files = selection.commitPaths;
+      preview.excluded_files = selection.excludedFiles;
+      preview.unchanged_files = selection.unchangedFiles;
+    } else if (hasStagedChanges(entries)) {
+      // git_push commits what is already staged and does not run git add
+      preview.runs_git_add = false;
+      preview.files = entries.filter(isStaged).map(entry => entry.path);
+      preview.excluded_files = entries.filter(entry => !preview.files.includes(entry.path) && entry.type !== 'ignored').map(entry => entry.path);
+    } else {
+      preview.files = entries.filter(entry => entry.type !== 'ignored').map(entry => entry.path);
+    }
+    return preview;
+  }
+
+  // Show the message, author and files git_push would commit, without committing anything
+  async get_commit_preview(params) {
+    const { message, commit_scope: commitScope = COMMIT_SCOPE, commit_body: commitBody = COMMIT_BODY, trailers = [] } = params || {};
+
+    if (message !== undefined && (typeof message !== 'string' || !message.trim())) {
+      throw new Error('message parameter must be a non-empty string');
+    }
+    if (commitScope !== 'all' && commitScope !== 'pending_changes') {
+      throw new Error('commit_scope parameter must be "all" or "pending_changes"');
+    }
+    if (!COMMIT_BODY_MODES.includes(commitBody)) {
+      throw new Error(`commit_body parameter must be one of: ${COMMIT_BODY_MODES.join(', ')}`);
+    }
+    const commitTrailers = validateTrailers(trailers);
+
+    const { policyFullPath } = getLogConfig();
+    const policy = loadPushPolicy(policyFullPath);
+    const policyEnabled = Boolean(policy && isCheckEnabled(policy, 'commit_message'));
+    // Without a message, preview the one suggest_commit_message would propose
+    const subject = message || suggestCommitMessage(pendingChanges, { rules: policyEnabled ? policy.commit_message : DEFAULT_POLICY.commit_message }).message;
+    const commitMessage = appendTrailers(composeCommitMessage(subject, pendingChanges, commitBody), commitTrailers);
+
+    try {
+      const identity = await this.readCommitIdentity(this.commitConfigArgs());
+      const preview = await this.previewCommitFiles(commitScope, pendingChanges);
+
+      return {
+        success: true,
+        message: commitMessage,
+        message_source: message ? 'parameter' : 'suggested',
+        author: identity.author,
+        committer: identity.committer,
+        trailers: commitTrailers,
+        branch: preview.branch,
+        push_mode: PUSH_MODE,
+        commit_scope: commitScope,
+        commit_body: commitBody,
+        files: preview.files,
+        excluded_files: preview.excluded_files,
+        unchanged_files: preview.unchanged_files,
+        will_commit: preview.files.length > 0,
+        pending_changes: pendingChanges.length,
+        changes_reviewed: changesReviewed,
+        approval_mode: APPROVAL_MODE,
+        approvals: summarizeApprovals(pendingChanges),
+        message_problems: policyEnabled ? validateCommitMessage(commitMessage, policy.commit_message) : []
+      };
+    } catch (err) {
+      throw toToolError('Commit preview failed', err);
+    }
+  }
+
+  // Propose a Conventional Commits message from the pending changes, using the commit_message policy when configured
+  async suggest_commit_message(params) {
+    const { message } = params || {};
+
+    if (message !== undefined && typeof message !== 'string') {
+      throw new Error('message parameter must be a string');
+    }
+
+    const { policyFullPath } = getLogConfig();
+    const policy = loadPushPolicy(policyFullPath);
+    const policyEnabled = Boolean(policy && isCheckEnabled(policy, 'commit_message'));
+    const rules = policyEnabled ? policy.commit_message : DEFAULT_POLICY.commit_message;
+    const suggestion = suggestCommitMessage(pendingChanges, { message, rules });
+
+    return {
+      success: true,
+      policy_enabled: policyEnabled,
+      suggested_message: suggestion.message,
+      type: suggestion.type,
+      scope: suggestion.scope,
+      subject: suggestion.subject,
+      based_on: suggestion.based_on,
+      // Problems the suggestion still has, e.g. a missing issue reference only the agent can add
+      suggestion_problems: validateCommitMessage(suggestion.message, rules),
+      message_problems: message ? validateCommitMessage(message, rules) : []
+    };
+  }
+
+  // Execute git status
+  async git_status(params) {
+    const { include_untracked = false } = params || {};
+
+    try {
+      const result = await this.executeGitCommand([...STATUS_ARGS, `--untracked-files=${include_untracked ? 'all' : 'normal'}`], 'git_status');
+      const { branch, entries } = parseStatus(result.stdout);
+      const summary = summarizeStatus(entries);
+
+      return {
+        success: true,
+        branch: branch,
+        entries: entries,
+        summary: summary,
+        has_changes: entries.length > 0,
+        message: summary.conflicted > 0
+          ? `Working directory has ${summary.conflicted} conflicted file(s)`
+          : entries.length > 0
+            ? 'Working directory has uncommitted changes'
+            : 'Working directory is clean'
+      };
+    } catch (err) {
+      throw toToolError('Git status failed', err);
+    }
+  }
+
+  // Execute git diff
+  async git_diff(params) {
+    const {
+      staged = false,
+      files = [],
+      range,
+      format = 'raw',
+      max_file_bytes: maxFileBytes = DIFF_MAX_FILE_BYTES,
+      max_total_bytes: maxTotalBytes = DIFF_MAX_TOTAL_BYTES
+    } = params || {};
+
+    if (!DIFF_FORMATS.includes(format)) {
+      throw new Error(`format parameter must be one of: ${DIFF_FORMATS.join(', ')}`);
+    }
+    if (range !== undefined && !isValidRange(range)) {
+      throw new Error('range parameter must be a revision or range such as "HEAD~3..HEAD" or "origin/main...HEAD"');
+    }
+    if (range && staged) {
+      throw new Error('range and staged cannot be combined');
+    }
+    [maxFileBytes, maxTotalBytes].forEach(limit => {
+      if (!Number.isInteger(limit) || limit < 0) {
+        throw new Error('max_file_bytes and max_total_bytes must be non-negative integers (0 = no limit)');
+      }
+    });
+
+    const buildArgs = (extraArgs) => {
+      const args = ['diff', '--no-color', '--no-ext-diff', ...extraArgs];
+      if (staged) {
+        args.push('--cached');
+      }
+      if (range) {
+        args.push(range);
+      }
+      if (files && files.length > 0) {
+        args.push('--', ...files);
+      }
+      return args;
+    };
+
+    const response = {
+      success: true,
+      format: format,
+      staged: staged,
+      range: range || null,
+      files: files || []
+    };
+
+    try {
+      if (format === 'stat') {
+        const numstat = await this.executeGitCommand(buildArgs(['-M', '--numstat', '-z']), 'git_diff_stat', 60000);
+        const nameStatus = await this.executeGitCommand(buildArgs(['-M', '--name-status', '-z']), 'git_diff_stat', 60000);
+        const stat = parseDiffStat(numstat.stdout, nameStatus.stdout);
+        return { ...response, has_changes: stat.files.length > 0, changed_files: stat.files, totals: stat.totals };
+      }
+
+      const result = await this.executeGitCommand(buildArgs(format === 'parsed' ? ['-M'] : []), 'git_diff', 60000);
+      const limits = { maxFileBytes, maxTotalBytes };
+
+      if (format === 'parsed') {
+        const parsed = parseDiff(result.stdout, limits);
+        return { ...response, has_changes: parsed.files.length > 0, changed_files: parsed.files, totals: parsed.totals, truncated: parsed.truncated };
+      }
+
+      const limited = limitRawDiff(result.stdout, limits);
+      return { ...response, diff: limited.diff, has_changes: result.stdout.trim().length > 0, truncated: limited.truncated };
+    } catch (err) {
+      throw toToolError('Git diff failed', err);
+    }
+  }
+
+  // Execute git add
+  async git_add(params) {
+    const { files = ['.'] } = params || {};
+
+    try {
+      const args = ['add', ...files];
+      const result = await this.executeGitCommand(args, 'git_add');
+
+      return {
+        success: true,
+        files_added: files,
+        output: result.stdout,
+        message: `Successfully added ${files.length} file(s) to staging area`
+      };
+    } catch (err) {
+      throw toToolError('Git add failed', err);
+    }
+  }
+
+  // Execute git log
+  async git_log(params) {
+    const {
+      limit = 10,
+      oneline = false,
+      author,
+      since,
+      until,
+      grep,
+      range,
+      files = [],
+      follow = false,
+      include_files: includeFiles = false,
+      include_body: includeBody = false
+    } = params || {};
+
+    if (typeof limit !== 'number' || limit < 1 || limit > 100) {
+      throw new Error('limit parameter must be between 1-100');
+    }
+    if (range !== undefined && !isValidRange(range)) {
+      throw new Error('range parameter must be a revision or range such as "HEAD~3..HEAD" or "origin/main..HEAD"');
+    }
+    for (const [name, value] of Object.entries({ author, since, until, grep })) {
+      if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+        throw new Error(`${name} parameter must be a non-empty string`);
+      }
+    }
+    if (!Array.isArray(files)) {
+      throw new Error('files parameter must be an array of paths');
+    }
+    if (follow && files.length !== 1) {
+      throw new Error('follow requires exactly one path in files');
+    }
+
+    try {
+      // core.quotePath=false keeps non-ASCII paths readable in --numstat output
+      const args = ['-c', 'core.quotePath=false', 'log', `--max-count=${limit}`, buildLogFormat(includeBody && !oneline)];
+      if (includeFiles && !oneline) {
+        args.push('--numstat');
+      }
+      if (author) {
+        args.push(`--author=${author}`);
+      }
+      if (since) {
+        args.push(`--since=${since}`);
+      }
+      if (until) {
+        args.push(`--until=${until}`);
+      }
+      if (grep) {
+        args.push(`--grep=${grep}`, '--regexp-ignore-case');
+      }
+      if (follow) {
+        args.push('--follow');
+      }
+      if (range) {
+        args.push(range);
+      }
+      if (files.length > 0) {
+        args.push('--', ...files);
+      }
+
+      const result = await this.executeGitCommand(args, 'git_log');
+      const parsed = parseLog(result.stdout, { includeBody: includeBody && !oneline, includeFiles: includeFiles && !oneline });
+
+      // Mark commits that are not yet on the configured remote branch
+      const remoteRef = `${REMOTE_NAME}/${REMOTE_BRANCH}`;
+      const { remote_exists: remoteExists, unpushed } = await getUnpushedCommits(this.createGitRunner('git_log_pushed'), parsed.map(commit => commit.hash), remoteRef);
+
+      const commits = parsed.map(commit => {
+        if (oneline) {
+          return { hash: commit.short_hash, message: commit.message, pushed: !unpushed.has(commit.hash) };
+        }
+        return { ...commit, pushed: !unpushed.has(commit.hash) };
+      });
+
+      return {
+        success: true,
+        commits: commits,
+        total: commits.length,
+        oneline: oneline,
+        remote_ref: remoteRef,
+        remote_exists: remoteExists,
+        unpushed_count: commits.filter(commit => !commit.pushed).length
+      };
+    } catch (err) {
+      throw toToolError('Git log failed', err);
+    }
+  }
+
+  // Show who last changed each line of a file
+  async git_blame(params) {
+    const { path: file, start_line: startLine, end_line: endLine, ref } = params || {};
+
+    const relativePath = resolveProjectFile(PROJECT_PATH, file);
+    if (!relativePath) {
+      return this.toolErrorResult('PATH_OUTSIDE_PROJECT', [
+        `⛔ ERROR: path must be a file inside the project directory (${PROJECT_PATH}).`
+      ], { path: file || null });
+    }
+    for (const value of [startLine, endLine]) {
+      if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+        throw new Error('start_line and end_line must be positive integers');
+      }
+    }
+    if (startLine !== undefined && endLine !== undefined && endLine < startLine) {
+      throw new Error('end_line must be greater than or equal to start_line');
+    }
+    if (ref !== undefined && !isValidRef(ref)) {
+      throw new Error('ref parameter must be a branch, tag or commit such as "HEAD~1" or "v1.2.0"');
+    }
+
+    try {
+      const args = ['blame', '--porcelain'];
+      if (startLine !== undefined || endLine !== undefined) {
+        args.push('-L', `${startLine || 1},${endLine || ''}`);
+      }
+      if (ref) {
+        args.push(ref);
+      }
+      args.push('--', relativePath);
+
+      const result = await this.executeGitCommand(args, 'git_blame', 60000);
+      const lines = parseBlame(result.stdout);
+
+      return {
+        success: true,
+        path: relativePath,
+        ref: ref || null,
+        start_line: lines.length > 0 ? lines[0].line : null,
+        end_line: lines.length > 0 ? lines[lines.length - 1].line : null,
+        lines: lines,
+        total: lines.length
+      };
+    } catch (err) {
+      throw toToolError('Git blame failed', err);
+    }
+  }
+
+  // Return the contents of a file at any ref
+  async git_show_file(params) {
+    const { path: file, ref = 'HEAD', max_bytes: maxBytes = DEFAULT_SHOW_FILE_MAX_BYTES } = params || {};
+
+    const relativePath = resolveProjectFile(PROJECT_PATH, file);
+    if (!relativePath) {
+      return this.toolErrorResult('PATH_OUTSIDE_PROJECT', [
+        `⛔ ERROR: path must be a file inside the project directory (${PROJECT_PATH}).`
+      ], { path: file || null });
+    }
+    if (!isValidRef(ref)) {
+      throw new Error('ref parameter must be a branch, tag or commit such as "HEAD~1" or "v1.2.0"');
+    }
+    if (!Number.isInteger(maxBytes) || maxBytes < 0) {
+      throw new Error('max_bytes must be a non-negative integer (0 = no limit)');
+    }
+
+    // "./" makes the path relative to PROJECT_PATH rather than the repository root
+    const object = `${ref}:./${relativePath}`;
+
+    try {
+      const typeResult = await this.executeGitCommand(['cat-file', '-t', object], 'git_show_file');
+      const type = typeResult.stdout.trim();
+      if (type !== 'blob') {
+        return this.toolErrorResult('NOT_A_FILE', [
+          `⛔ ERROR: ${relativePath} is a ${type === 'tree' ? 'directory' : type} at ${ref}, not a file.`
+        ], { path: relativePath, ref: ref, object_type: type });
+      }
+
+      const sizeResult = await this.executeGitCommand(['cat-file', '-s', object], 'git_show_file');
+      const size = parseInt(sizeResult.stdout.trim(), 10) || 0;
+      // Only the bytes that can be shown are read (at least enough for the binary check), and never logged
+      const readLimit = maxBytes > 0 ? Math.max(maxBytes, BINARY_CHECK_BYTES) : 0;
+      const result = await this.executeGitCommand(['cat-file', 'blob', object], 'git_show_file', 60000, { rawStdout: true, maxStdoutBytes: readLimit });
+
+      // Same heuristic as git: a NUL byte near the start means binary
+      const binary = result.stdout.subarray(0, BINARY_CHECK_BYTES).includes(0);
+      const truncated = !binary && maxBytes > 0 && size > maxBytes;
+      let content = null;
+      if (!binary) {
+        content = truncated
+          ? result.stdout.subarray(0, maxBytes).toString('utf8').replace(/\uFFFD$/, '')
+          : result.stdout.toString('utf8');
+      }
+
+      return {
+        success: true,
+        path: relativePath,
+        ref: ref,
+        size: size,
+        binary: binary,
+        truncated: truncated,
+        content: content,
+        message: binary
+          ? `${relativePath} is a binary file (${size} bytes); content is not shown`
+          : truncated
+            ? `Showing the first ${maxBytes} of ${size} bytes of ${relativePath} at ${ref}`
+            : `Contents of ${relativePath} at ${ref}`
+      };
+    } catch (err) {
+      throw toToolError('Git show file failed', err);
+    }
+  }
+
+  // List local (and optionally remote) branches with upstream tracking info
+  async git_branch_list(params) {
+    const { include_remote = false } = params || {};
+
+    try {
+      const refs = include_remote ? ['refs/heads', 'refs/remotes'] : ['refs/heads'];
+      const result = await this.executeGitCommand(['for-each-ref', `--format=${BRANCH_LIST_FORMAT}`, ...refs], 'git_branch_list');
+      const branches = parseBranchList(result.stdout);
+      const current = branches.find(b => b.current);
+
+      return {
+        success: true,
+        current_branch: current ? current.name : null,
+        local_branch: LOCAL_BRANCH,
+        branches: branches,
+        total: branches.length
+      };
+    } catch (err) {
+      throw toToolError('Git branch list failed', err);
+    }
+  }
+
+  // Create a new branch
+  async git_branch_create(params) {
+    const { name, start_point, checkout = false } = params || {};
+
+    await this.validateBranchName(name);
+    if (start_point !== undefined && (typeof start_point !== 'string' || !start_point.trim() || start_point.startsWith('-'))) {
+      throw new Error('start_point parameter must be a valid ref');
+    }
+
+    try {
+      const args = checkout ? ['checkout', '-b', name] : ['branch', name];
+      if (start_point) {
+        args.push(start_point);
+      }
+      const result = await this.executeGitCommand(args, 'git_branch_create');
+
+      return {
+        success: true,
+        branch: name,
+        start_point: start_point || 'HEAD',
+        checked_out: checkout,
+        output: result.stdout,
+        error_output: result.stderr,
+        message: `Created branch ${name}${checkout ? ' and switched to it' : ''}`
+      };
+    } catch (err) {
+      throw toToolError('Git branch create failed', err);
+    }
+  }
+
+  // Switch to another branch, refusing when tracked files have uncommitted changes
+  async git_checkout(params) {
+    const { branch, allow_dirty = false } = params || {};
+
+    await this.validateBranchName(branch);
+
+    try {
+      const statusResult = await this.executeGitCommand([...STATUS_ARGS, '--untracked-files=no'], 'git_status_check');
+      const dirtyFiles = parseStatus(statusResult.stdout).entries.map(entry => entry.path);
+
+      if (dirtyFiles.length > 0 && !allow_dirty) {
+        return {
+          content: [
+            { type: 'text', text: `⚠️ ERROR: The working tree has ${dirtyFiles.length} uncommitted change(s); refusing to switch to "${branch}".` },
+            { type: 'text', text: `📄 Modified files: ${dirtyFiles.join(', ')}` },
+            { type: 'text', text: '🔧 REQUIRED ACTION: Commit or stash the changes first, or call this tool again with {"allow_dirty": true} to carry them over to the other branch.' }
+          ],
+          isError: true,
+          errorCode: 'WORKING_TREE_DIRTY',
+          dirty_files: dirtyFiles
+        };
+      }
+
+      const result = await this.executeGitCommand(['checkout', branch], 'git_checkout');
+
+      return {
+        success: true,
+        branch: branch,
+        carried_changes: dirtyFiles,
+        output: result.stdout,
+        error_output: result.stderr,
+        message: `Switched to branch ${branch}`
+      };
+    } catch (err) {
+      throw toToolError('Git checkout failed', err);
+    }
+  }
+
+  // Delete a local branch (never the configured LOCAL_BRANCH)
+  async git_branch_delete(params) {
+    const { name, force = false } = params || {};
+
+    await this.validateBranchName(name);
+
+    if (name === LOCAL_BRANCH) {
+      throw new Error(`Refusing to delete the configured LOCAL_BRANCH "${LOCAL_BRANCH}"`);
+    }
+
+    try {
+      const result = await this.executeGitCommand(['branch', force ? '-D' : '-d', name], 'git_branch_delete');
+
+      return {
+        success: true,
+        branch: name,
+        forced: force,
+        output: result.stdout,
+        message: `Deleted branch ${name}`
+      };
+    } catch (err) {
+      throw toToolError('Git branch delete failed', err);
+    }
+  }
+
+  // Stash uncommitted changes
+  async git_stash_save(params) {
+    const { message, include_untracked = false } = params || {};
+
+    if (message !== undefined && typeof message !== 'string') {
+      throw new Error('message parameter must be a string');
+    }
+
+    try {
+      const args = ['stash', 'push'];
+      if (include_untracked) {
+        args.push('--include-untracked');
+      }
+      if (message) {
+        args.push('-m', message);
+      }
+      const result = await this.executeGitCommand(args, 'git_stash_save');
+
+      // git exits with 0 and prints a notice when there is nothing to stash
+      const created = !result.stdout.includes('No local changes to save');
+      let stash = null;
+      if (created) {
+        const listResult = await this.executeGitCommand(['stash', 'list', '-1', `--format=${STASH_LIST_FORMAT}`], 'git_stash_list');
+        stash = parseStashList(listResult.stdout)[0] || null;
+      }
+
+      return {
+        success: true,
+        created: created,
+        stash: stash,
+        include_untracked: include_untracked,
+        output: result.stdout,
+        error_output: result.stderr,
+        message: created ? `Saved working tree changes to ${stash ? stash.ref : 'stash@{0}'}` : 'No local changes to save'
+      };
+    } catch (err) {
+      throw toToolError('Git stash save failed', err);
+    }
+  }
+
+  // List stash entries
+  async git_stash_list(params) {
+    try {
+      const result = await this.executeGitCommand(['stash', 'list', `--format=${STASH_LIST_FORMAT}`], 'git_stash_list');
+      const stashes = parseStashList(result.stdout);
+
+      return {
+        success: true,
+        stashes: stashes,
+        total: stashes.length
+      };
+    } catch (err) {
+      throw toToolError('Git stash list failed', err);
+    }
+  }
+
+  // Show the diff recorded in a stash entry
+  async git_stash_show(params) {
+    const { stash = 0, include_untracked = false } = params || {};
+    const ref = this.validateStashRef(stash);
+
+    try {
+      const extraArgs = include_untracked ? ['--include-untracked'] : [];
+      const filesResult = await this.executeGitCommand(['stash', 'show', '--name-only', '-z', ...extraArgs, ref], 'git_stash_show');
+      const diffResult = await this.executeGitCommand(['stash', 'show', '-p', '--no-color', ...extraArgs, ref], 'git_stash_show');
+
+      return {
+        success: true,
+        stash: ref,
+        files: filesResult.stdout.split('\0').filter(Boolean),
+        diff: diffResult.stdout
+      };
+    } catch (err) {
+      throw toToolError('Git stash show failed', err);
+    }
+  }
+
+  // Apply a stash entry and keep it in the stash list
+  async git_stash_apply(params) {
+    return this.applyStash(params, false);
+  }
+
+  // Apply a stash entry and remove it from the stash list
+  async git_stash_pop(params) {
+    return this.applyStash(params, true);
+  }
+
+  async applyStash(params, pop) {
+    const { stash = 0, restore_index = false } = params || {};
+    const ref = this.validateStashRef(stash);
+    const operation = pop ? 'pop' : 'apply';
+
+    try {
+      const args = ['stash', operation];
+      if (restore_index) {
+        args.push('--index');
+      }
+      args.push(ref);
+      const result = await this.executeGitCommand(args, `git_stash_${operation}`);
+
+      return {
+        success: true,
+        stash: ref,
+        dropped: pop,
+        output: result.stdout,
+        error_output: result.stderr,
+        message: pop ? `Applied and dropped ${ref}` : `Applied ${ref}; the entry is kept in the stash list`
+      };
+    } catch (err) {
+      // A conflicting pop keeps the entry, so the agent can retry after resolving
+      throw toToolError(`Git stash ${operation} failed${pop ? ` (${ref} was kept)` : ''}`, err);
+    }
+  }
+
+  // Delete a stash entry
+  async git_stash_drop(params) {
+    const { stash } = params || {};
+
+    if (stash === undefined || stash === null || stash === '') {
+      throw new Error('Missing stash parameter');
+    }
+    const ref = this.validateStashRef(stash);
+
+    try {
+      const result = await this.executeGitCommand(['stash', 'drop', ref], 'git_stash_drop');
+
+      return {
+        success: true,
+        stash: ref,
+        output: result.stdout,
+        message: `Dropped ${ref}`
+      };
+    } catch (err) {
+      throw toToolError('Git stash drop failed', err);
+    }
+  }
+
+  validateStashRef(stash) {
+    const ref = normalizeStashRef(stash);
+    if (!ref) {
+      throw new Error('stash parameter must be a stash index (e.g. 0) or a ref like "stash@{0}"');
+    }
+    return ref;
+  }
+
+  // Amend the last commit (message and/or extra files). Refused once HEAD is on the remote branch.
+  async git_commit_amend(params) {
+    const { message, files = [] } = params || {};
+    const remoteRef = `${REMOTE_NAME}/${REMOTE_BRANCH}`;
+
+    if (message !== undefined && (typeof message !== 'string' || !message.trim())) {
+      throw new Error('message parameter must be a non-empty string');
+    }
+    if (!Array.isArray(files) || files.some(file => typeof file !== 'string' || !file.trim() || file.startsWith('-'))) {
+      throw new Error('files parameter must be an array of file paths');
+    }
+    if (!message && files.length === 0) {
+      throw new Error('Provide a new message, files to add, or both');
+    }
+
+    const branchError = await this.localBranchErrorResult('git_commit_amend');
+    if (branchError) {
+      return branchError;
+    }
+
+    const head = await this.resolveCommit('HEAD');
+    const remoteState = await isCommitOnRemote(this.createGitRunner('git_undo_check'), head.commit, remoteRef);
+    if (remoteState.pushed) {
+      return this.toolErrorResult('COMMIT_ALREADY_PUSHED', [
+        `⛔ ERROR: HEAD ${head.short} ("${head.subject}") is already on ${remoteRef}. Amending it would rewrite published history.`,
+        '🔧 REQUIRED ACTION: Use git_revert to undo a pushed commit, or create a new commit with the fix.'
+      ], { commit: head.commit });
+    }
+
+    try {
+      if (files.length > 0) {
+        await this.executeGitCommand(['add', '-A', '--', ...files], 'git_add_amend');
+      }
+      const args = [...this.commitConfigArgs(), 'commit', '--amend'].concat(message ? ['-m', message] : ['--no-edit']);
+      const result = await this.executeGitCommand(args, 'git_commit_amend');
+      const amended = await this.resolveCommit('HEAD');
+
+      recordPushHistory(amended.subject, result, null, {
+        action: 'amend',
+        previous_commit: head.commit,
+        commit: amended.commit
+      });
+
+      return {
+        success: true,
+        previous_commit: head.commit,
+        commit: amended.commit,
+        subject: amended.subject,
+        added_files: files,
+        output: result.stdout,
+        message: `Amended ${head.short} into ${amended.short}`
+      };
+    } catch (err) {
+      throw toToolError('Git commit amend failed', err);
+    }
+  }
+
+  // Move HEAD back by `count` commits, keeping their changes staged. Refused for pushed commits.
+  async git_reset_soft(params) {
+    const { count = 1 } = params || {};
+    const remoteRef = `${REMOTE_NAME}/${REMOTE_BRANCH}`;
+
+    if (!Number.isInteger(count) || count < 1 || count > 50) {
+      throw new Error('count parameter must be an integer between 1 and 50');
+    }
+
+    const branchError = await this.localBranchErrorResult('git_reset_soft');
+    if (branchError) {
+      return branchError;
+    }
+
+    const head = await this.resolveCommit('HEAD');
+    const target = await this.resolveCommit(`HEAD~${count}`).catch(() => {
+      throw new Error(`HEAD~${count} does not exist: the branch has fewer than ${count + 1} commits`);
+    });
+
+    // If the oldest removed commit is not on the remote, none of the newer ones are either
+    const oldest = await this.resolveCommit(`HEAD~${count - 1}`);
+    const remoteState = await isCommitOnRemote(this.createGitRunner('git_undo_check'), oldest.commit, remoteRef);
+    if (remoteState.pushed) {
+      return this.toolErrorResult('COMMIT_ALREADY_PUSHED', [
+        `⛔ ERROR: ${oldest.short} ("${oldest.subject}") is already on ${remoteRef}. Resetting past it would rewrite published history.`,
+        '🔧 REQUIRED ACTION: Use git_revert for pushed commits, or reset fewer commits.'
+      ], { commit: oldest.commit });
+    }
+
+    try {
+      const logResult = await this.executeGitCommand(['log', '--format=%H%x00%s', `${target.commit}..${head.commit}`], 'git_log_reset');
+      const removedCommits = logResult.stdout.split('\n').filter(Boolean).map(line => {
+        const [commit, subject] = line.split('\0');
+        return { commit, subject };
+      });
+
+      const result = await this.executeGitCommand(['reset', '--soft', target.commit], 'git_reset_soft');
+
+      recordPushHistory(`Soft reset ${count} commit(s) to ${target.short}`, result, null, {
+        action: 'reset_soft',
+        previous_commit: head.commit,
+        commit: target.commit,
+        removed_commits: removedCommits
+      });
+
+      return {
+        success: true,
+        previous_commit: head.commit,
+        commit: target.commit,
+        removed_commits: removedCommits,
+        message: `Moved HEAD back ${count} commit(s) to ${target.short}; their changes are staged`
+      };
+    } catch (err) {
+      throw toToolError('Git reset failed', err);
+    }
+  }
+
+  // Create a commit that undoes a pushed commit. Unpushed commits should use git_reset_soft instead.
+  async git_revert(params) {
+    const { commit, mainline } = params || {};
+    const remoteRef = `${REMOTE_NAME}/${REMOTE_BRANCH}`;
+
+    if (!commit || typeof commit !== 'string' || commit.startsWith('-')) {
+      throw new Error('Missing commit parameter');
+    }
+    if (mainline !== undefined && (!Number.isInteger(mainline) || mainline < 1)) {
+      throw new Error('mainline parameter must be a positive integer');
+    }
+
+    const branchError = await this.localBranchErrorResult('git_revert');
+    if (branchError) {
+      return branchError;
+    }
+
+    const target = await this.resolveCommit(commit);
+    const remoteState = await isCommitOnRemote(this.createGitRunner('git_undo_check'), target.commit, remoteRef);
+    if (!remoteState.pushed) {
+      return this.toolErrorResult('COMMIT_NOT_PUSHED', [
+        `⚠️ ERROR: ${target.short} ("${target.subject}") is not on ${remoteRef}. Reverting is only needed for pushed commits.`,
+        '🔧 REQUIRED ACTION: Use git_reset_soft (or git_commit_amend for HEAD) to change commits that were not pushed yet.'
+      ], { commit: target.commit });
+    }
+    if (target.parents > 1 && !mainline) {
+      throw new Error(`${target.short} is a merge commit; pass mainline (usually 1) to choose the parent to revert to`);
+    }
+
+    const args = [...this.commitConfigArgs(), 'revert', '--no-edit'].concat(mainline ? ['-m', String(mainline)] : [], [target.commit]);
+    try {
+      const result = await this.executeGitCommand(args, 'git_revert');
+      const revertCommit = await this.resolveCommit('HEAD');
+
+      recordPushHistory(revertCommit.subject, result, null, {
+        action: 'revert',
+        reverted_commit: target.commit,
+        commit: revertCommit.commit
+      });
+
+      return {
+        success: true,
+        reverted_commit: target.commit,
+        commit: revertCommit.commit,
+        subject: revertCommit.subject,
+        output: result.stdout,
+        message: `Created ${revertCommit.short} reverting ${target.short}. Call git_push to publish it.`
+      };
+    } catch (err) {
+      const conflictedFiles = await getConflictedFiles(this.createGitRunner('git_revert'));
+      if (conflictedFiles.length === 0) {
+        throw toToolError('Git revert failed', err);
+      }
+
+      try {
+        await this.executeGitCommand(['revert', '--abort'], 'git_revert_abort');
+      } catch (abortErr) {
+        console.error('Warning: git revert --abort failed:', abortErr.message);
+      }
+
+      return this.toolErrorResult('REVERT_CONFLICT', [
+        `⛔ ERROR: Reverting ${target.short} conflicts with later changes. The revert was aborted; nothing was changed.`,
+        `📄 Conflicted files: ${conflictedFiles.join(', ')}`
+      ], { commit: target.commit, conflicted_files: conflictedFiles });
+    }
+  }
+
+  // List tags with their target commit and annotation message, newest first
+  async git_tag_list(params) {
+    const { pattern, limit = 50, merged } = params || {};
+
+    if (typeof limit !== 'number' || limit < 1 || limit > 500) {
+      throw new Error('limit parameter must be between 1-500');
+    }
+    if (pattern !== undefined && (typeof pattern !== 'string' || !pattern.trim() || pattern.startsWith('-') || /\s/.test(pattern))) {
+      throw new Error('pattern parameter must be a glob such as "v1.*"');
+    }
+    if (merged !== undefined && !isValidRef(merged)) {
+      throw new Error('merged parameter must be a branch, tag or commit');
+    }
+
+    try {
+      const args = ['for-each-ref', '--sort=-version:refname', '--sort=-creatordate', `--format=${TAG_LIST_FORMAT}`, `--count=${limit}`];
+      if (merged) {
+        args.push(`--merged=${merged}`);
+      }
+      args.push(pattern ? `refs/tags/${pattern}` : 'refs/tags');
+      const result = await this.executeGitCommand(args, 'git_tag_list');
+      const tags = parseTagList(result.stdout);
+      const latest = findLatestSemverTag(tags.map(tag => tag.name));
+
+      return {
+        success: true,
+        tags: tags,
+        total: tags.length,
+        latest_version: latest ? latest.tag : null
+      };
+    } catch (err) {
+      throw toToolError('Git tag list failed', err);
+    }
+  }
+
+  // Create a lightweight or annotated tag, optionally named by bumping the latest semver tag
+  async git_tag_create(params) {
+    const signing = getSigningConfig();
+    const { name, bump, ref = 'HEAD', message, annotated = false, sign: requestedSign = false } = params || {};
+
+    if (!name && !bump) {
+      throw new Error(`Provide a tag name or a bump (${TAG_BUMPS.join(', ')})`);
+    }
+    if (name && bump) {
+      throw new Error('name and bump cannot be combined');
+    }
+    if (bump && !TAG_BUMPS.includes(bump)) {
+      throw new Error(`bump parameter must be one of: ${TAG_BUMPS.join(', ')}`);
+    }
+    if (!isValidRef(ref)) {
+      throw new Error('ref parameter must be a branch, tag or commit');
+    }
+    if (message !== undefined && (typeof message !== 'string' || !message.trim())) {
+      throw new Error('message parameter must be a non-empty string');
+    }
+    if (typeof requestedSign !== 'boolean') {
+      throw new Error('sign parameter must be a boolean');
+    }
+    // SIGN_TAGS is the operator's policy; the parameter can only add signing
+    const sign = signing.sign_tags || requestedSign;
+
+    const target = await this.resolveCommit(ref);
+
+    try {
+      // Only tags reachable from the target count as "previous" releases
+      const mergedResult = await this.executeGitCommand(['tag', '--list', '--merged', target.commit], 'git_tag_list');
+      const latest = bump ? findLatestSemverTag(mergedResult.stdout.split('\n').filter(Boolean)) : null;
+      const tagName = bump ? bumpSemverTag(latest, bump) : name;
+
+      await this.validateTagName(tagName);
+      if (await this.refExists(`refs/tags/${tagName}`)) {
+        return this.toolErrorResult('TAG_EXISTS', [
+          `⛔ ERROR: Tag ${tagName} already exists. Pick another name, or delete it first with git_tag_delete.`
+        ], { tag: tagName });
+      }
+
+      const changelog = await this.buildTagChangelog(target.commit, latest ? latest.tag : null);
+      // Signed tags are always annotated
+      const isAnnotated = annotated || sign || Boolean(message);
+      const args = isAnnotated
+        ? [...identityConfigArgs(getCommitIdentity()), ...(sign ? signingConfigArgs(signing) : []), 'tag', sign ? '-s' : '-a', tagName, '-m', message || `Release ${tagName}\n\n${changelog.text}`.trim(), target.commit]
+        : ['tag', tagName, target.commit];
+      const result = await this.executeGitCommand(args, 'git_tag_create');
+
+      return {
+        success: true,
+        tag: tagName,
+        annotated: isAnnotated,
+        signed: sign,
+        commit: target.commit,
+        subject: target.subject,
+        bump: bump || null,
+        bumped_from: bump ? (latest ? latest.tag : null) : null,
+        changelog: changelog,
+        pushed: false,
+        output: result.stdout,
+        message: `Created ${sign ? 'signed' : isAnnotated ? 'annotated' : 'lightweight'} tag ${tagName} at ${target.short}. Use git_tag_push to publish it.`
+      };
+    } catch (err) {
+      throw toToolError('Git tag create failed', err);
+    }
+  }
+
+  // Signature status of the unpushed commits (or of a given range)
+  async git_verify_commits(params) {
+    const { range, limit = 100 } = params || {};
+
+    if (range !== undefined && !isValidRange(range)) {
+      throw new Error('range parameter must be a revision range such as "origin/main..HEAD"');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      throw new Error('limit parameter must be an integer between 1 and 1000');
+    }
+
+    const signing = getSigningConfig();
+
+    try {
+      let revisions = range;
+      if (!revisions) {
+        // Default: what git_push would send, i.e. REMOTE/REMOTE_BRANCH..LOCAL_BRANCH
+        const remoteRef = `${REMOTE_NAME}/${REMOTE_BRANCH}`;
+        revisions = await this.refExists(`refs/remotes/${remoteRef}`) ? `${remoteRef}..${LOCAL_BRANCH}` : LOCAL_BRANCH;
+      }
+
+      // The allowed signers file is needed to verify SSH signatures
+      const result = await this.executeGitCommand([...signingConfigArgs(signing), 'log', SIGNATURE_LOG_FORMAT, `--max-count=${limit}`, revisions, '--'], 'git_verify_commits');
+      const headers = await this.executeGitCommand(['rev-list', '--header', `--max-count=${limit}`, revisions, '--'], 'git_verify_commits');
+      const commits = parseSignatureLog(result.stdout, parseSignatureHeaders(headers.stdout));
+      const summary = {};
+      commits.forEach(commit => {
+        summary[commit.status] = (summary[commit.status] || 0) + 1;
+      });
+
+      return {
+        success: true,
+        range: revisions,
+        commits: commits,
+        total: commits.length,
+        summary: summary,
+        all_signed: commits.every(commit => commit.signed),
+        all_verified: commits.every(commit => commit.verified),
+        unsigned_commits: commits.filter(commit => !commit.signed).map(commit => commit.short_hash),
+        unverified_commits: commits.filter(commit => commit.signed && !commit.verified).map(commit => commit.short_hash),
+        signing: describeSigningConfig(signing)
+      };
+    } catch (err) {
+      throw toToolError('Git verify commits failed', err);
+    }
+  }
+
+  // Push one tag (or all tags) to the remote
+  async git_tag_push(params) {
+    const { name, all = false } = params || {};
+    const remoteName = REMOTE_NAME;
+
+    if (!name && !all) {
+      throw new Error('Provide a tag name, or all: true to push every tag');
+    }
+    if (name) {
+      await this.validateTagName(name);
+      if (!(await this.refExists(`refs/tags/${name}`))) {
+        return this.toolErrorResult('TAG_NOT_FOUND', [
+          `⛔ ERROR: Tag ${name} does not exist locally. Create it with git_tag_create first.`
+        ], { tag: name });
+      }
+    }
+
+    try {
+      const args = name ? ['push', remoteName, `refs/tags/${name}`] : ['push', remoteName, '--tags'];
+      const result = await this.executeGitCommand(args, 'git_tag_push', 300000);
+
+      recordPushHistory(name ? `Push tag ${name}` : 'Push all tags', result, null, {
+        action: 'tag_push',
+        tag: name || null
+      });
+
+      return {
+        success: true,
+        tag: name || null,
+        all: !name,
+        remote_name: remoteName,
+        output: result.stdout,
+        error_output: result.stderr,
+        message: name ? `Pushed tag ${name} to ${remoteName}` : `Pushed all tags to ${remoteName}`
+      };
+    } catch (err) {
+      recordPushHistory(name ? `Push tag ${name}` : 'Push all tags', null, err.error || err.message, {
+        action: 'tag_push',
+        tag: name || null
+      });
+      throw toToolError('Git tag push failed', err);
+    }
+  }
+
+  // Delete a tag locally and, when asked, on the remote
+  async git_tag_delete(params) {
+    const { name, remote = false } = params || {};
+    const remoteName = REMOTE_NAME;
+
+    await this.validateTagName(name);
+    const localExists = await this.refExists(`refs/tags/${name}`);
+    if (!localExists && !remote) {
+      return this.toolErrorResult('TAG_NOT_FOUND', [
+        `⛔ ERROR: Tag ${name} does not exist locally. Pass remote: true to delete it only on ${remoteName}.`
+      ], { tag: name });
+    }
+
+    try {
+      if (localExists) {
+        await this.executeGitCommand(['tag', '-d', name], 'git_tag_delete');
+      }
+
+      let remoteResult = null;
+      if (remote) {
+        remoteResult = await this.executeGitCommand(['push', remoteName, '--delete', `refs/tags/${name}`], 'git_tag_delete_remote', 300000);
+        recordPushHistory(`Delete tag ${name}`, remoteResult, null, {
+          action: 'tag_delete',
+          tag: name
+        });
+      }
+
+      return {
+        success: true,
+        tag: name,
+        deleted_local: localExists,
+        deleted_remote: remote,
+        remote_name: remote ? remoteName : null,
+        message: `Deleted tag ${name}${localExists ? ' locally' : ''}${localExists && remote ? ' and' : ''}${remote ? ` on ${remoteName}` : ''}`
+      };
+    } catch (err) {
+      throw toToolError('Git tag delete failed', err);
+    }
+  }
+
+  // Resolve a revision to its full hash, subject and parent count
+  async resolveCommit(rev) {
+    const result = await this.executeGitCommand(['log', '-1', '--format=%H%x00%h%x00%P%x00%s', `${rev}^{commit}`, '--'], 'git_resolve_commit')
+      .catch(err => {
+        throw toToolError(`Unknown commit ${rev}`, err);
+      });
+    const [commit, short, parents, subject] = result.stdout.replace(/\n$/, '').split('\0');
+    return { commit, short, subject, parents: parents ? parents.split(' ').length : 0 };
+  }
+
+  // Adapter for the helpers that take a runGit(args, timeout) callback
+  createGitRunner(operation) {
+    return (args, timeout) => this.executeGitCommand(args, operation, timeout);
+  }
+
+  // Structured tool error in the same shape as the review and policy errors
+  toolErrorResult(errorCode, messages, extra = {}) {
+    return {
+      content: messages.map(text => ({ type: 'text', text })),
+      isError: true,
+      errorCode,
+      ...extra
+    };
+  }
+
+  // checkApproval for git_push. The approval modes also compare the working tree with the pending changes,
+  // so git_push cannot commit files nobody approved; commit_scope "pending_changes" leaves unlisted files out anyway.
+  async checkPushApproval(commitScope) {
+    let drift = null;
+    if (APPROVAL_MODE !== 'review') {
+      drift = await detectDrift((args, timeout = 30000) => this.executeGitCommand(args, 'git_push_drift_check', timeout), pendingChanges);
+      if (commitScope === 'pending_changes') {
+        drift = { ...drift, uncovered_files: [] };
+      }
+    }
+    return checkApproval(pendingChanges, { mode: APPROVAL_MODE, reviewed: changesReviewed, drift });
+  }
+
+  // git_push result for changes that are rejected or not approved yet
+  approvalErrorResult(approval) {
+    const approveToolName = TOOL_PREFIX ? `${TOOL_PREFIX}_approve_changes` : 'approve_changes';
+    const extra = { change_ids: approval.change_ids, approval_mode: APPROVAL_MODE, approvals: summarizeApprovals(pendingChanges) };
+    if (approval.code === 'WORKING_TREE_NOT_APPROVED') {
+      return this.toolErrorResult('WORKING_TREE_NOT_APPROVED', [
+        `⛔ ERROR: The working tree has changes that no approved pending change covers (APPROVAL_MODE "${APPROVAL_MODE}"). Nothing was committed or pushed.`,
+        ...(approval.uncovered_files.length > 0 ? [`📄 Not listed in any pending change: ${approval.uncovered_files.join(', ')}`] : []),
+        ...(approval.changed_files.length > 0 ? [`📄 Changed since their change was saved: ${approval.changed_files.join(', ')}`] : []),
+        `🔧 REQUIRED ACTION: Record new files with save_changes and edited ones with update_change, then have them approved with "${approveToolName}". Or undo the changes that do not belong in this push.`
+      ], { ...extra, uncovered_files: approval.uncovered_files, changed_files: approval.changed_files });
+    }
+    if (approval.code === 'CHANGES_REJECTED') {
+      return this.toolErrorResult('CHANGES_REJECTED', [
+        `⛔ ERROR: ${approval.change_ids.length} pending change(s) were rejected or need rework. Nothing was committed or pushed.`,
+        `📋 Change ids: ${approval.change_ids.join(', ')}`,
+        `🔧 REQUIRED ACTION: Read the review comments with get_pending_changes, rework the changes, and have them approved again with "${approveToolName}".`
+      ], extra);
+    }
+    return this.toolErrorResult('CHANGES_NOT_APPROVED', [
+      `⛔ ERROR: ${approval.change_ids.length} pending change(s) are not approved. Nothing was committed or pushed.`,
+      `📋 Change ids: ${approval.change_ids.join(', ')}`,
+      APPROVAL_MODE === 'token'
+        ? `🔧 REQUIRED ACTION: Ask the user to review the pending changes. Call "${approveToolName}" with the approval token they give you.`
+        : `🔧 REQUIRED ACTION: Review the pending changes with get_pending_changes, then call "${approveToolName}".`
+    ], extra);
+  }
+
+  // Subjects of the commits since previousTag, or else the closest earlier tag (at most 200)
+  async buildTagChangelog(commit, previousTag = null) {
+    if (!previousTag) {
+      try {
+        const describe = await this.executeGitCommand(['describe', '--tags', '--abbrev=0', commit], 'git_tag_changelog');
+        previousTag = describe.stdout.trim() || null;
+      } catch (err) {
+        // No earlier tag: the changelog covers the whole history
+      }
+    }
+
+    const range = previousTag ? `${previousTag}..${commit}` : commit;
+    const result = await this.executeGitCommand(['log', '--max-count=201', '--format=%H%x1f%h%x1f%s', range, '--'], 'git_tag_changelog');
+    const commits = result.stdout.split('\n').filter(Boolean).map(line => {
+      const [hash, shortHash, subject] = line.split('\x1f');
+      return { hash, short_hash: shortHash, subject };
+    });
+    const truncated = commits.length > 200;
+    if (truncated) {
+      commits.pop();
+    }
+
+    return {
+      previous_tag: previousTag,
+      commits: commits,
+      truncated: truncated,
+      text: buildChangelog(commits)
+    };
+  }
+
+  async refExists(ref) {
+    try {
+      await this.executeGitCommand(['rev-parse', '--verify', '--quiet', ref], 'git_ref_exists');
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // Reject names git would not accept as a tag (and option-like names)
+  async validateTagName(name) {
+    if (!name || typeof name !== 'string' || name.startsWith('-')) {
+      throw new Error('tag name parameter must be a non-empty string');
+    }
+    try {
+      await this.executeGitCommand(['check-ref-format', `refs/tags/${name}`], 'git_check_ref_format');
+    } catch (err) {
+      throw new Error(`Invalid tag name: ${name}`);
+    }
+  }
+
+  // Reject names git would not accept as a branch (and option-like names)
+  async validateBranchName(name) {
+    if (!name || typeof name !== 'string' || name.startsWith('-')) {
+      throw new Error('branch name parameter must be a non-empty string');
+    }
+    try {
+      await this.executeGitCommand(['check-ref-format', '--branch', name], 'git_check_ref_format');
+    } catch (err) {
+      throw new Error(`Invalid branch name: ${name}`);
     }
   }
 
   // Execute git command helper
-  async executeGitCommand(args, operation, timeout = 30000) { // 30 second default timeout
+  // options.rawStdout: return stdout as a Buffer without echoing it (file contents); options.maxStdoutBytes caps how much is read
+  async executeGitCommand(args, operation, timeout = 30000, options = {}) { // 30 second default timeout
     return new Promise((resolve, reject) => {
       const command = 'git';
 
-      console.error(`Executing: cd ${PROJECT_PATH} && ${command} ${args.map(arg => arg.includes(' ') ? `"${arg}"` : arg).join(' ')}`);
+      console.error(`Executing: cd ${PROJECT_PATH} && ${command} ${args.map(arg => arg.includes(' ') ? `"${arg}"` : arg).join(' ')}`);
+
+      // Prepare environment variables including proxy settings
+      const env = { ...process.env };
+
+      // Apply proxy settings if configured
+      if (HTTP_PROXY) env.HTTP_PROXY = HTTP_PROXY;
+      if (HTTPS_PROXY) env.HTTPS_PROXY = HTTPS_PROXY;
+      if (NO_PROXY) env.NO_PROXY = NO_PROXY;
+      if (ALL_PROXY) env.ALL_PROXY = ALL_PROXY;
+      if (SOCKS_PROXY) env.SOCKS_PROXY = SOCKS_PROXY;
+
+      // Also set lowercase versions (some tools prefer these)
+      if (HTTP_PROXY) env.http_proxy = HTTP_PROXY;
+      if (HTTPS_PROXY) env.https_proxy = HTTPS_PROXY;
+      if (NO_PROXY) env.no_proxy = NO_PROXY;
+      if (ALL_PROXY) env.all_proxy = ALL_PROXY;
+      if (SOCKS_PROXY) env.socks_proxy = SOCKS_PROXY;
+
+      const child = spawn(command, args, {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        shell: false,
+        cwd: PROJECT_PATH,
+        env: env
+      });
+
+      // Set up timeout
+      const timeoutId = setTimeout(() => {
+        console.error(`Command timed out after ${timeout}ms: ${command} ${args.join(' ')}`);
+        child.kill('SIGTERM');
+        reject(new GitCommandError({
+          args,
+          code: 'TIMEOUT',
+          hint: 'The git command took too long. Check the network/proxy settings or retry; large repositories may need more time.',
+          message: `Command timed out after ${timeout}ms`
+        }));
+      }, timeout);
+
+      let stdout = '';
+      let stderr = '';
+      // Used instead of stdout with options.rawStdout
+      const stdoutChunks = [];
+      let stdoutBytes = 0;
+      let stdoutCapped = false;
+
+      child.stdout.on('data', (data) => {
+        if (options.rawStdout) {
+          if (stdoutCapped) {
+            return;
+          }
+          const chunk = options.maxStdoutBytes > 0 ? data.subarray(0, options.maxStdoutBytes - stdoutBytes) : data;
+          stdoutChunks.push(chunk);
+          stdoutBytes += chunk.length;
+          if (options.maxStdoutBytes > 0 && stdoutBytes >= options.maxStdoutBytes) {
+            // Enough read; the rest is not needed
+            stdoutCapped = true;
+            child.kill('SIGTERM');
+          }
+          return;
+        }
+        const output = data.toString();
+        stdout += output;
+        console.error(output);
+      });
+
+      child.stderr.on('data', (data) => {
+        const output = data.toString();
+        stderr += output;
+        console.error(output);
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timeoutId); // Clear timeout on completion
+        if (code === 0 || stdoutCapped) {
+          resolve({
+            success: true,
+            stdout: options.rawStdout ? Buffer.concat(stdoutChunks) : stdout,
+            stderr: stderr,
+            exitCode: code
+          });
+        } else {
+          // Classify stderr into a machine-readable error code
+          reject(new GitCommandError({
+            args,
+            stdout: stdout,
+            stderr: stderr,
+            exitCode: code
+          }));
+        }
+      });
+
+      child.on('error', (err) => {
+        clearTimeout(timeoutId); // Clear timeout on error
+        reject(new GitCommandError({
+          args,
+          stdout: stdout,
+          stderr: stderr,
+          code: 'SPAWN_FAILED',
+          hint: 'The git executable could not be started. Make sure git is installed and on PATH, and that PROJECT_PATH exists.',
+          message: err.message
+        }));
+      });
+    });
+  }
+
+  // Tool definitions announced by tools/list; tools/call dispatches only these
+  listTools() {
+    // Build tool name with prefix
+    const getToolName = (baseName) => {
+      return TOOL_PREFIX ? `${TOOL_PREFIX}_${baseName}` : baseName;
+    };
+
+    // Build tool description with project information
+    const getToolDescription = (baseDescription) => {
+      let description = baseDescription;
+      if (REPO_NAME) {
+        description = `[${REPO_NAME}] ${description}`;
+      }
+      return description;
+    };
+
+    // Build tools array
+    const tools = [
+      {
+        name: getToolName('git_pull'),
+        description: getToolDescription(`Execute git pull command from "${REMOTE_NAME}/${PULL_SOURCE_BRANCH}" to the current branch.
+              
+Pull command: git pull ${REMOTE_NAME} ${PULL_SOURCE_BRANCH}
+
+With autostash: true, uncommitted changes are stashed before the pull and re-applied afterwards. If re-applying conflicts, the changes stay in the stash list (see git_stash_list).`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            autostash: {
+              type: 'boolean',
+              description: `Stash uncommitted changes before pulling and re-apply them afterwards (git pull --autostash). Default: ${PULL_AUTOSTASH}`
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('git_push'),
+        description: getToolDescription(`Execute git push command from "${LOCAL_BRANCH}" to "${REMOTE_NAME}/${REMOTE_BRANCH}" in project path "${PROJECT_PATH}".
+
+Push command: ${PUSH_MODE === 'feature_branch'
+  ? `git push --set-upstream ${REMOTE_NAME} <feature-branch>:<feature-branch> ${GIT_PUSH_FLAGS}`
+  : `git push ${REMOTE_NAME} ${LOCAL_BRANCH}:${REMOTE_BRANCH} ${GIT_PUSH_FLAGS}`}
+
+⚠️ REQUIREMENT: You MUST call get_pending_changes to review changes before using this tool.${APPROVAL_MODE !== 'review' ? ` Every pending change must also be approved with approve_changes (APPROVAL_MODE "${APPROVAL_MODE}"); rejected changes block the push (errorCode CHANGES_REJECTED).` : ''}
+
+USAGE:
+1. First call get_pending_changes to review pending changes
+2. Then call this tool with the commit message parameter. Example:
+{message: "${LANGUAGE === 'en' ? 'Update project files' : LANGUAGE === 'zh' || LANGUAGE === 'zh-CN' ? '更新项目文件' : LANGUAGE === 'zh-TW' ? '更新專案檔案' : 'Update project files'}"}
+
+Please provide the commit message in ${LANGUAGE === 'en' ? 'English' : LANGUAGE === 'zh' || LANGUAGE === 'zh-CN' ? 'Chinese' : LANGUAGE === 'zh-TW' ? 'Traditional Chinese' : LANGUAGE} language.
+
+${PRE_PUSH_SYNC !== 'off' ? `SYNC: Before pushing, the server fetches "${REMOTE_NAME}" and, if "${REMOTE_NAME}/${REMOTE_BRANCH}" has new commits, runs git ${PRE_PUSH_SYNC} with "${REMOTE_NAME}/${PULL_SOURCE_BRANCH}". On conflicts the ${PRE_PUSH_SYNC} is aborted and the conflicted files are returned (errorCode SYNC_CONFLICT).
+
+` : ''}COMMIT SCOPE: With commit_scope "pending_changes" only the files recorded through save_changes are committed; other modified files are left out and listed in excluded_files.
+
+DRY RUN: With dry_run true nothing is committed or pushed: the response lists the files that would be staged, the commit message, the unpushed commits and the result of git push --dry-run, and blocked_by names anything that would stop the real push. It can be called before reviewing the pending changes.
+
+COMMIT BODY: With commit_body "pending_changes" the pending change descriptions are appended as the commit body, one bullet per change with its files. Use get_commit_preview to see the exact message and files before pushing.
+
+PUSH MODE: With push_mode "feature_branch" the changes are committed to a new branch named from "${FEATURE_BRANCH_TEMPLATE}" (instead of "${LOCAL_BRANCH}"), that branch is pushed with upstream tracking, and the server switches back to "${LOCAL_BRANCH}" afterwards. Default: "${PUSH_MODE}".
+
+NOTE: If the result has a merge_request_url (the pull/merge request link printed by the remote), please output it to the user. If you can open a browser, you may also automatically open the URL.
+
+The review status is reset after each push attempt (success or failure).`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            message: {
+              type: 'string',
+              description: `Commit message in ${LANGUAGE === 'en' ? 'English' : LANGUAGE === 'zh' || LANGUAGE === 'zh-CN' ? 'Chinese' : LANGUAGE === 'zh-TW' ? 'Traditional Chinese' : LANGUAGE} language. Example: {message: "${LANGUAGE === 'en' ? 'Update project files' : LANGUAGE === 'zh' || LANGUAGE === 'zh-CN' ? '更新项目文件' : LANGUAGE === 'zh-TW' ? '更新專案檔案' : 'Update project files'}"}`
+            },
+            commit_scope: {
+              type: 'string',
+              enum: ['all', 'pending_changes'],
+              description: `Which files to commit: "all" stages every change (git add .), "pending_changes" commits only the files recorded through save_changes. Default: "${COMMIT_SCOPE}"`
+            },
+            commit_body: {
+              type: 'string',
+              enum: COMMIT_BODY_MODES,
+              description: `"none" adds no body, "pending_changes" adds one bullet per pending change description with its files. Default: "${COMMIT_BODY}"`
+            },
+            push_mode: {
+              type: 'string',
+              enum: PUSH_MODES,
+              description: `"direct" pushes ${LOCAL_BRANCH} to ${REMOTE_NAME}/${REMOTE_BRANCH}, "feature_branch" commits to a new branch (${FEATURE_BRANCH_TEMPLATE}) and pushes that instead. Default: "${PUSH_MODE}"${PUSH_MODE === 'feature_branch' ? ' (direct pushes are disabled)' : ''}`
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'Only report the files that would be staged, the commit message and the commits that would be pushed, and run git push --dry-run. Nothing is committed or pushed and pending changes and the review status are kept. Default: false'
+            },
+            trailers: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Trailers added to the commit message, e.g. ["Co-authored-by: Name <email>", "Reviewed-by: Name <email>"]'
+            }
+          },
+          required: ['message']
+        }
+      },
+      {
+        name: getToolName('get_push_history'),
+        description: getToolDescription(`Get the last 5 push history records for the git repository. This tool should be called before using ${getToolName('git_push')} to ensure the current changes have not been pushed before.
+
+Older records can be searched with since/until, success and search. With STORAGE_BACKEND "sqlite" the whole history is kept; the JSON backend keeps the last 100 records.
+
+Example:
+{"since": "2026-01-01", "success": false, "search": "rejected", "limit": 20}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: {
+              type: 'number',
+              description: 'Limit count (1-1000), default 5'
+            },
+            offset: {
+              type: 'number',
+              description: 'Offset, default 0'
+            },
+            since: {
+              type: 'string',
+              description: 'Only entries at or after this date or ISO timestamp, e.g. "2026-01-01"'
+            },
+            until: {
+              type: 'string',
+              description: 'Only entries at or before this date (the whole day) or ISO timestamp'
+            },
+            repos: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Repository names (REPO_NAME) to include. Default: this server\'s repository; others are only found in a shared SQLite database'
+            },
+            success: {
+              type: 'boolean',
+              description: 'Only successful (true) or failed (false) operations'
+            },
+            search: {
+              type: 'string',
+              description: 'Case-insensitive text to look for in the record (message, error, branches, commits)'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('get_operation_logs'),
+        description: getToolDescription(`Get operation logs for debugging and monitoring purposes.
+
+Logs can be filtered with since/until, success and search. With STORAGE_BACKEND "sqlite" all logs are kept; the JSON backend only returns the last 1000 entries since the server started.
+
+Example:
+{"since": "2026-01-31T08:00:00Z", "success": false, "search": "git_push"}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: {
+              type: 'number',
+              description: 'Limit count, default 50'
+            },
+            offset: {
+              type: 'number',
+              description: 'Offset, default 0'
+            },
+            since: {
+              type: 'string',
+              description: 'Only entries at or after this date or ISO timestamp, e.g. "2026-01-01"'
+            },
+            until: {
+              type: 'string',
+              description: 'Only entries at or before this date (the whole day) or ISO timestamp'
+            },
+            repos: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Repository names (REPO_NAME) to include. Default: this server\'s repository; others are only found in a shared SQLite database'
+            },
+            success: {
+              type: 'boolean',
+              description: 'Only requests that succeeded (true) or failed (false)'
+            },
+            search: {
+              type: 'string',
+              description: 'Case-insensitive text to look for in the method, parameters, response and error'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('save_changes'),
+        description: getToolDescription(`Save pending changes before pushing. This tool records modified files and change content for review before git push.
+
+The working tree state of each file (blob hash and diff) is recorded with the entry; files without changes are reported in unchanged_files.
+
+Entries are never dropped. Above MAX_PENDING_CHANGES, old pending entries for the same files are merged automatically; if that is not enough, git_push is blocked (errorCode PENDING_CHANGES_OVERFLOW) until you squash_changes or delete_change entries. Watch capacity and limit_warning in the response.
+
+USAGE:
+Call this tool to save your changes before pushing. The saved changes must be reviewed using get_pending_changes before git_push can proceed.
+
+Please provide the change description in ${LANGUAGE === 'en' ? 'English' : LANGUAGE === 'zh' || LANGUAGE === 'zh-CN' ? 'Chinese' : LANGUAGE === 'zh-TW' ? 'Traditional Chinese' : LANGUAGE} language.
+
+Example:
+{"files": ["src/main.js", "src/utils.js"], "content": "${LANGUAGE === 'en' ? 'Fixed bug in user authentication' : LANGUAGE === 'zh' || LANGUAGE === 'zh-CN' ? '修复用户认证中的bug' : LANGUAGE === 'zh-TW' ? '修復用戶認證中的錯誤' : 'Fixed bug in user authentication'}"}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            files: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Array of modified file paths'
+            },
+            content: {
+              type: 'string',
+              description: `Description of the changes made in ${LANGUAGE === 'en' ? 'English' : LANGUAGE === 'zh' || LANGUAGE === 'zh-CN' ? 'Chinese' : LANGUAGE === 'zh-TW' ? 'Traditional Chinese' : LANGUAGE} language`
+            }
+          },
+          required: ['files', 'content']
+        }
+      },
+      {
+        name: getToolName('get_pending_changes'),
+        description: getToolDescription(`Get pending changes that need to be reviewed before pushing. This tool MUST be called before git_push to enable pushing.
+
+The drift field compares the entries with the working tree: unchanged_files (saved files without changes), changed_since_save (files changed after their description was saved) and uncovered_files (modified files no entry lists). Check it before approving.
+
+USAGE:
+Call this tool to view and review all pending changes. This will mark changes as reviewed, allowing git_push to proceed. The review status is reset after each push attempt.
+
+By default, this tool returns ALL pending changes (limit=1000). Use smaller limit values for pagination if needed.
+
+Examples:
+{} - View and review ALL changes (default)
+{"limit": 10, "offset": 0} - View and review first 10 changes
+{"limit": 50} - View and review first 50 changes
+{"search": "login", "status": "needs_rework"} - Changes mentioning "login" that need rework
+
+NOTE: Review status is valid only for the next push attempt. You may need to review again for subsequent pushes.${APPROVAL_MODE !== 'review' ? `
+
+APPROVAL: APPROVAL_MODE is "${APPROVAL_MODE}", so viewing the changes is not enough: every change must be approved with approve_changes${APPROVAL_MODE === 'token' ? ' using the approval token a human reviewer gives you' : ''}. Each change has a status (pending, approved, rejected, needs_rework), reviewer and review_comment.` : ''}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: {
+              type: 'number',
+              description: 'Limit count (1-1000), default 1000 (shows all changes).'
+            },
+            offset: {
+              type: 'number',
+              description: 'Offset, default 0'
+            },
+            since: {
+              type: 'string',
+              description: 'Only entries at or after this date or ISO timestamp, e.g. "2026-01-01"'
+            },
+            until: {
+              type: 'string',
+              description: 'Only entries at or before this date (the whole day) or ISO timestamp'
+            },
+            repos: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Repository names (REPO_NAME) to include. Default: this server\'s repository; others are only found in a shared SQLite database'
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'approved', 'rejected', 'needs_rework'],
+              description: 'Only changes with this approval status'
+            },
+            search: {
+              type: 'string',
+              description: 'Case-insensitive text to look for in the description and file paths'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('approve_changes'),
+        description: getToolDescription(`Approve pending changes so git_push can proceed (APPROVAL_MODE "${APPROVAL_MODE}").
+
+USAGE:
+Without change_ids every change with status "pending" is approved. Rejected changes and changes that need rework must be listed in change_ids explicitly.
+${APPROVAL_MODE === 'token' ? `
+⚠️ REQUIREMENT: approval_token must be the token a human reviewer gives you after reviewing the changes. Never guess it; ask the user.
+` : ''}
+Examples:
+{"reviewer": "alice", "comment": "Looks good"}
+{"change_ids": [1700000000000], "reviewer": "alice"${APPROVAL_MODE === 'token' ? ', "approval_token": "<token from the user>"' : ''}}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            change_ids: {
+              type: 'array',
+              items: { type: 'number' },
+              description: 'Ids of the changes to approve (see get_pending_changes). Default: all changes with status "pending"'
+            },
+            reviewer: {
+              type: 'string',
+              description: 'Name of the reviewer'
+            },
+            comment: {
+              type: 'string',
+              description: 'Review comment'
+            },
+            approval_token: {
+              type: 'string',
+              description: 'Approval token supplied by a human reviewer (required when APPROVAL_MODE is "token")'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('reject_changes'),
+        description: getToolDescription(`Reject pending changes or send them back for rework. git_push is blocked (errorCode CHANGES_REJECTED) until the changes are approved again.
+
+Examples:
+{"change_ids": [1700000000000], "reviewer": "alice", "comment": "Breaks the login flow"}
+{"change_ids": [1700000000000], "status": "needs_rework", "comment": "Add tests for the new parser"}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            change_ids: {
+              type: 'array',
+              items: { type: 'number' },
+              description: 'Ids of the changes to reject (see get_pending_changes)'
+            },
+            status: {
+              type: 'string',
+              enum: ['rejected', 'needs_rework'],
+              description: 'New status of the changes. Default: "rejected"'
+            },
+            reviewer: {
+              type: 'string',
+              description: 'Name of the reviewer'
+            },
+            comment: {
+              type: 'string',
+              description: 'Reason for the decision'
+            }
+          },
+          required: ['change_ids', 'comment']
+        }
+      },
+      {
+        name: getToolName('update_change'),
+        description: getToolDescription(`Edit the files or description of a pending change, e.g. after saving a wrong description. The previous version is kept in the edit_history of the entry, the files are snapshotted again and the change has to be reviewed${APPROVAL_MODE !== 'review' ? ' and approved' : ''} again.
+
+Example:
+{"change_id": 1700000000000, "content": "Fix token refresh in the login flow"}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            change_id: {
+              type: 'number',
+              description: 'Id of the change (see get_pending_changes)'
+            },
+            files: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'New list of modified file paths'
+            },
+            content: {
+              type: 'string',
+              description: 'New description of the changes'
+            }
+          },
+          required: ['change_id']
+        }
+      },
+      {
+        name: getToolName('delete_change'),
+        description: getToolDescription(`Delete a pending change that was saved by mistake. The deleted entry is returned and kept in the operation log. Unless APPROVAL_MODE is "review", a change that was already reviewed (approved, rejected or reworked) can only be deleted with the approval_token from the user.
+
+Example:
+{"change_id": 1700000000000, "reason": "Saved twice"}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            change_id: {
+              type: 'number',
+              description: 'Id of the change (see get_pending_changes)'
+            },
+            reason: {
+              type: 'string',
+              description: 'Why the change is deleted'
+            },
+            approval_token: {
+              type: 'string',
+              description: 'Token from a human reviewer; required to delete a change that was already reviewed unless APPROVAL_MODE is "review"'
+            }
+          },
+          required: ['change_id']
+        }
+      },
+      {
+        name: getToolName('squash_changes'),
+        description: getToolDescription(`Merge several pending changes (e.g. the same file saved five times) into one. The result keeps the id of the newest change, the files of all of them and their descriptions joined oldest first (or the given content); the squashed entries are kept in edit_history.
+
+Example:
+{"change_ids": [1700000000000, 1700000005000], "content": "Rewrite the config loader"}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            change_ids: {
+              type: 'array',
+              items: { type: 'number' },
+              description: 'Ids of the changes to merge (at least two)'
+            },
+            content: {
+              type: 'string',
+              description: 'Description of the merged change. Default: the descriptions joined oldest first'
+            }
+          },
+          required: ['change_ids']
+        }
+      },
+      {
+        name: getToolName('git_status'),
+        description: getToolDescription(`Show the working directory and staging area status.
+
+USAGE:
+Call this tool to see which files have been modified, added, or deleted in your working directory and staging area.
+
+The result contains the current branch (head, upstream, ahead/behind) and one entry per file with path, orig_path (renames/copies), index_status, worktree_status, submodule and conflict information.
+
+Example:
+{}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            include_untracked: {
+              type: 'boolean',
+              description: 'List every untracked file instead of collapsing untracked directories, default false'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('git_diff'),
+        description: getToolDescription(`Show changes between working directory and HEAD or staging area, or between commits.
+
+USAGE:
+Call this tool to see the differences between your working directory and the last commit, or between staging area and HEAD.
+
+FORMATS:
+- "raw" (default): unified diff text
+- "parsed": one object per file with path, old_path, change_type, binary, additions, deletions and hunks (with line numbers)
+- "stat": only per-file additions/deletions and totals - use this first on large changes
+
+Large diffs are cut at max_file_bytes per file (default ${DIFF_MAX_FILE_BYTES}) and max_total_bytes overall (default ${DIFF_MAX_TOTAL_BYTES}); truncated output is marked (truncated: true). Use 0 for no limit.
+
+Examples:
+{} - Show all unstaged changes
+{"staged": true} - Show staged changes
+{"files": ["src/main.js"]} - Show changes for specific file(s)
+{"range": "HEAD~3..HEAD", "format": "stat"} - Summarize the last 3 commits
+{"range": "${REMOTE_NAME}/${REMOTE_BRANCH}...HEAD", "format": "parsed"} - Changes not pushed yet`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            staged: {
+              type: 'boolean',
+              description: 'Show staged changes instead of unstaged, default false'
+            },
+            files: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Specific files to show diff for'
+            },
+            range: {
+              type: 'string',
+              description: 'Commit or range to diff, e.g. "HEAD~3..HEAD" or "origin/main...HEAD". Cannot be combined with staged'
+            },
+            format: {
+              type: 'string',
+              enum: DIFF_FORMATS,
+              description: 'Output format: "raw", "parsed" or "stat", default "raw"'
+            },
+            max_file_bytes: {
+              type: 'integer',
+              description: `Maximum diff bytes per file, 0 for no limit, default ${DIFF_MAX_FILE_BYTES}`
+            },
+            max_total_bytes: {
+              type: 'integer',
+              description: `Maximum diff bytes in total, 0 for no limit, default ${DIFF_MAX_TOTAL_BYTES}`
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('git_add'),
+        description: getToolDescription(`Add file contents to the staging area.
+
+USAGE:
+Call this tool to stage files for commit. Use "." to add all changes, or specify specific files.
+
+Examples:
+{} - Add all changes (equivalent to "git add .")
+{"files": ["src/main.js", "src/utils.js"]} - Add specific files
+{"files": ["*.js"]} - Add files matching pattern (use shell expansion)`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            files: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Files to add (default: ["."] for all files)'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('git_log'),
+        description: getToolDescription(`Show commit history with optional filters, ranges and per-file stats.
+
+Each commit includes hash, short_hash, parents, author, email, date (ISO 8601), committer, message (subject) and "pushed" (whether it is already on the configured remote branch).
+
+Examples:
+{} - Show last 10 commits
+{"limit": 20, "oneline": true} - Show last 20 commits in oneline format
+{"author": "alice", "since": "2 weeks ago"} - Commits by an author in the last two weeks
+{"grep": "fix", "include_body": true} - Commits whose message matches "fix", with full message body
+{"range": "origin/main..HEAD"} - Commits not yet on origin/main
+{"files": ["src/app.js"], "follow": true, "include_files": true} - History of one file (across renames) with per-file stats`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: {
+              type: 'number',
+              description: 'Number of commits to show (1-100), default 10'
+            },
+            oneline: {
+              type: 'boolean',
+              description: 'Only return short hash, subject and pushed flag, default false'
+            },
+            author: {
+              type: 'string',
+              description: 'Only commits whose author name or email matches this pattern'
+            },
+            since: {
+              type: 'string',
+              description: 'Only commits after this date (e.g. "2024-01-31", "2 weeks ago")'
+            },
+            until: {
+              type: 'string',
+              description: 'Only commits before this date'
+            },
+            grep: {
+              type: 'string',
+              description: 'Only commits whose message matches this pattern (case-insensitive)'
+            },
+            range: {
+              type: 'string',
+              description: 'Revision or range to list, e.g. "v1.0..HEAD" or "origin/main..HEAD" (default: HEAD)'
+            },
+            files: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Only commits touching these paths'
+            },
+            follow: {
+              type: 'boolean',
+              description: 'Follow renames (requires exactly one path in files), default false'
+            },
+            include_files: {
+              type: 'boolean',
+              description: 'Include changed files with additions/deletions per commit, default false'
+            },
+            include_body: {
+              type: 'boolean',
+              description: 'Include the full commit message body, default false'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('git_blame'),
+        description: getToolDescription(`Show who last changed each line of a file (git blame), optionally for a line range or at an older ref.
+
+Each line includes line number, commit, short_hash, author, email, date (ISO 8601), summary (commit subject), uncommitted flag and content. Paths are relative to the project directory and must stay inside it.
+
+Examples:
+{"path": "src/app.js"} - Blame the whole file
+{"path": "src/app.js", "start_line": 10, "end_line": 30} - Blame lines 10-30
+{"path": "src/app.js", "ref": "HEAD~5"} - Blame the file as it was five commits ago`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'File path relative to the project directory (required)'
+            },
+            start_line: {
+              type: 'number',
+              description: 'First line to blame (1-based)'
+            },
+            end_line: {
+              type: 'number',
+              description: 'Last line to blame'
+            },
+            ref: {
+              type: 'string',
+              description: 'Blame the file as of this branch, tag or commit (default: working tree)'
+            }
+          },
+          required: ['path']
+        }
+      },
+      {
+        name: getToolName('git_show_file'),
+        description: getToolDescription(`Return the contents of a file at any branch, tag or commit (default HEAD), e.g. to see what it looked like before a change.
+
+Paths are relative to the project directory and must stay inside it. Binary files are reported without content; large files are cut at max_bytes (truncated: true).
+
+Examples:
+{"path": "src/app.js", "ref": "HEAD~1"} - File before the last commit
+{"path": "package.json", "ref": "v1.2.0"} - File at a tag`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'File path relative to the project directory (required)'
+            },
+            ref: {
+              type: 'string',
+              description: 'Branch, tag or commit, default HEAD'
+            },
+            max_bytes: {
+              type: 'number',
+              description: `Maximum bytes of content to return, 0 for no limit, default ${DEFAULT_SHOW_FILE_MAX_BYTES}`
+            }
+          },
+          required: ['path']
+        }
+      },
+      {
+        name: getToolName('git_branch_list'),
+        description: getToolDescription(`List branches with their upstream tracking branch and ahead/behind counts.
+
+USAGE:
+Call this tool to see which branches exist, which one is checked out and how far each branch is ahead of or behind its upstream. The configured LOCAL_BRANCH is "${LOCAL_BRANCH}".
+
+Examples:
+{} - List local branches
+{"include_remote": true} - Also list remote-tracking branches`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            include_remote: {
+              type: 'boolean',
+              description: 'Include remote-tracking branches, default false'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('git_branch_create'),
+        description: getToolDescription(`Create a new branch.
+
+USAGE:
+Call this tool to create a branch from HEAD or from a given start point, optionally switching to it.
+
+Examples:
+{"name": "feature/login"} - Create a branch from HEAD
+{"name": "fix/typo", "start_point": "${REMOTE_NAME}/${REMOTE_BRANCH}", "checkout": true} - Create from a remote branch and switch to it`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Name of the new branch'
+            },
+            start_point: {
+              type: 'string',
+              description: 'Commit, branch or tag to start from, default HEAD'
+            },
+            checkout: {
+              type: 'boolean',
+              description: 'Switch to the new branch after creating it, default false'
+            }
+          },
+          required: ['name']
+        }
+      },
+      {
+        name: getToolName('git_checkout'),
+        description: getToolDescription(`Switch to another branch.
 
-      // Prepare environment variables including proxy settings
-      const env = { ...process.env };
+USAGE:
+Call this tool to check out an existing branch. The switch is refused when tracked files have uncommitted changes, unless allow_dirty is true (the changes are then carried over to the other branch).
 
-      // Apply proxy settings if configured
-      if (HTTP_PROXY) env.HTTP_PROXY = HTTP_PROXY;
-      if (HTTPS_PROXY) env.HTTPS_PROXY = HTTPS_PROXY;
-      if (NO_PROXY) env.NO_PROXY = NO_PROXY;
-      if (ALL_PROXY) env.ALL_PROXY = ALL_PROXY;
-      if (SOCKS_PROXY) env.SOCKS_PROXY = SOCKS_PROXY;
+NOTE: git_push always pushes "${LOCAL_BRANCH}" to "${REMOTE_NAME}/${REMOTE_BRANCH}", regardless of the checked out branch.
 
-      // Also set lowercase versions (some tools prefer these)
-      if (HTTP_PROXY) env.http_proxy = HTTP_PROXY;
-      if (HTTPS_PROXY) env.https_proxy = HTTPS_PROXY;
-      if (NO_PROXY) env.no_proxy = NO_PROXY;
-      if (ALL_PROXY) env.all_proxy = ALL_PROXY;
-      if (SOCKS_PROXY) env.socks_proxy = SOCKS_PROXY;
+Examples:
+{"branch": "develop"} - Switch to develop
+{"branch": "develop", "allow_dirty": true} - Switch and keep uncommitted changes`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            branch: {
+              type: 'string',
+              description: 'Branch to switch to'
+            },
+            allow_dirty: {
+              type: 'boolean',
+              description: 'Switch even if tracked files have uncommitted changes, default false'
+            }
+          },
+          required: ['branch']
+        }
+      },
+      {
+        name: getToolName('git_branch_delete'),
+        description: getToolDescription(`Delete a local branch.
 
-      const child = spawn(command, args, {
-        stdio: ['ignore', 'pipe', 'pipe'],
-        shell: false,
-        cwd: PROJECT_PATH,
-        env: env
-      });
+USAGE:
+Call this tool to delete a local branch. The configured LOCAL_BRANCH "${LOCAL_BRANCH}" can never be deleted. Unmerged branches are only deleted with force: true.
 
-      // Set up timeout
-      const timeoutId = setTimeout(() => {
-        console.error(`Command timed out after ${timeout}ms: ${command} ${args.join(' ')}`);
-        child.kill('SIGTERM');
-        reject(new Error(`Command timed out after ${timeout}ms`));
-      }, timeout);
+Examples:
+{"name": "feature/login"} - Delete a merged branch
+{"name": "experiment", "force": true} - Delete an unmerged branch`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Branch to delete'
+            },
+            force: {
+              type: 'boolean',
+              description: 'Delete even if the branch is not merged (git branch -D), default false'
+            }
+          },
+          required: ['name']
+        }
+      },
+      {
+        name: getToolName('git_stash_save'),
+        description: getToolDescription(`Stash uncommitted changes (git stash push) so the working tree is clean, e.g. before a pull or a branch switch.
+
+Example: {"message": "WIP: login form", "include_untracked": true}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            message: {
+              type: 'string',
+              description: 'Optional description stored with the stash entry'
+            },
+            include_untracked: {
+              type: 'boolean',
+              description: 'Also stash untracked files (git stash push -u), default false'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('git_stash_list'),
+        description: getToolDescription(`List stash entries with their index, commit, branch, date and message.`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+          }
+        }
+      },
+      {
+        name: getToolName('git_stash_show'),
+        description: getToolDescription(`Show the changes recorded in a stash entry as a unified diff, with the list of files.
+
+Example: {"stash": 0}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            stash: {
+              type: ['integer', 'string'],
+              description: 'Stash index (0 = latest) or ref like "stash@{0}", default 0'
+            },
+            include_untracked: {
+              type: 'boolean',
+              description: 'Also show untracked files stored in the entry, default false'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('git_stash_apply'),
+        description: getToolDescription(`Apply a stash entry to the working tree and keep it in the stash list.
+
+Example: {"stash": 0}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            stash: {
+              type: ['integer', 'string'],
+              description: 'Stash index (0 = latest) or ref like "stash@{0}", default 0'
+            },
+            restore_index: {
+              type: 'boolean',
+              description: 'Also restore the staged state (git stash apply --index), default false'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('git_stash_pop'),
+        description: getToolDescription(`Apply a stash entry to the working tree and remove it from the stash list. If applying conflicts, the entry is kept.
+
+Example: {"stash": 0}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            stash: {
+              type: ['integer', 'string'],
+              description: 'Stash index (0 = latest) or ref like "stash@{0}", default 0'
+            },
+            restore_index: {
+              type: 'boolean',
+              description: 'Also restore the staged state (git stash pop --index), default false'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('git_stash_drop'),
+        description: getToolDescription(`Delete a stash entry. The stash parameter is required so entries are never dropped by accident.
+
+Example: {"stash": 1}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            stash: {
+              type: ['integer', 'string'],
+              description: 'Stash index (0 = latest) or ref like "stash@{0}"'
+            }
+          },
+          required: ['stash']
+        }
+      },
+      {
+        name: getToolName('git_commit_amend'),
+        description: getToolDescription(`Amend the last commit: change its message and/or add more files to it. Only allowed while HEAD is not yet on the remote branch (errorCode COMMIT_ALREADY_PUSHED otherwise). The action is recorded in push history.
+
+Example: {"message": "Fix typo in login form", "files": ["src/login.js"]}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            message: {
+              type: 'string',
+              description: 'New commit message; omit to keep the current message'
+            },
+            files: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Files to add to the amended commit'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('git_reset_soft'),
+        description: getToolDescription(`Undo the last commits with git reset --soft, keeping their changes staged. Refused if any of the removed commits is already on the remote branch (errorCode COMMIT_ALREADY_PUSHED). The action is recorded in push history.
+
+Example: {"count": 1}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            count: {
+              type: 'integer',
+              description: 'Number of commits to move HEAD back (1-50), default 1'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('git_revert'),
+        description: getToolDescription(`Create a new commit that undoes a commit which is already on the remote branch. Unpushed commits are refused (errorCode COMMIT_NOT_PUSHED) - use git_reset_soft or git_commit_amend for them. Conflicting reverts are aborted (errorCode REVERT_CONFLICT). The revert commit is not pushed automatically; the action is recorded in push history.
+
+Example: {"commit": "a1b2c3d"}`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            commit: {
+              type: 'string',
+              description: 'Commit hash or ref to revert'
+            },
+            mainline: {
+              type: 'integer',
+              description: 'Parent number to revert to when reverting a merge commit (usually 1)'
+            }
+          },
+          required: ['commit']
+        }
+      },
+      {
+        name: getToolName('git_tag_list'),
+        description: getToolDescription(`List tags, newest first, with the target commit, tagger, date and annotation message (null for lightweight tags). latest_version is the highest semver tag in the result.
 
-      let stdout = '';
-      let stderr = '';
+Examples:
+{} - Latest 50 tags
+{"pattern": "v1.*"} - Tags matching a glob
+{"merged": "HEAD"} - Only tags reachable from HEAD`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pattern: {
+              type: 'string',
+              description: 'Glob to filter tag names, e.g. "v1.*"'
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of tags (1-500), default 50'
+            },
+            merged: {
+              type: 'string',
+              description: 'Only tags reachable from this branch, tag or commit'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('git_tag_create'),
+        description: getToolDescription(`Create a tag at a commit (default HEAD). Pass a name, or bump ("major", "minor", "patch") to name it after the latest semver tag reachable from the commit (v0.0.0 when there is none).
 
-      child.stdout.on('data', (data) => {
-        const output = data.toString();
-        stdout += output;
-        console.error(output);
-      });
+Tags are lightweight unless annotated is true or a message is given; annotated tags without a message get "Release <tag>" plus the changelog. The response includes a changelog of commit subjects since the previous tag. The tag is not pushed; use git_tag_push.
 
-      child.stderr.on('data', (data) => {
-        const output = data.toString();
-        stderr += output;
-        console.error(output);
-      });
+Examples:
+{"bump": "minor"} - v1.2.3 -> v1.3.0 at HEAD
+{"name": "v2.0.0-rc.1", "message": "Release candidate"} - Annotated tag
+{"bump": "patch", "annotated": true} - Annotated tag with the changelog as message`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Tag name (or use bump)'
+            },
+            bump: {
+              type: 'string',
+              description: 'Bump the latest semver tag: "major", "minor" or "patch"'
+            },
+            ref: {
+              type: 'string',
+              description: 'Commit to tag, default HEAD'
+            },
+            message: {
+              type: 'string',
+              description: 'Annotation message (creates an annotated tag)'
+            },
+            annotated: {
+              type: 'boolean',
+              description: 'Create an annotated tag, default false'
+            },
+            sign: {
+              type: 'boolean',
+              description: `Create a signed (and annotated) tag with the configured signing key. Tags are always signed when SIGN_TAGS is "true" (currently ${process.env.SIGN_TAGS === 'true'})`
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('git_tag_push'),
+        description: getToolDescription(`Push a tag (or all tags with all: true) to the remote.
 
-      child.on('close', (code) => {
-        clearTimeout(timeoutId); // Clear timeout on completion
-        if (code === 0) {
-          resolve({
-            success: true,
-            stdout: stdout,
-            stderr: stderr,
-            exitCode: code
-          });
-        } else {
-          reject({
-            success: false,
-            stdout: stdout,
-            stderr: stderr,
-            exitCode: code,
-            error: `Command exited with code ${code}`
-          });
+Examples:
+{"name": "v1.3.0"} - Push one tag
+{"all": true} - Push all tags`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Tag to push'
+            },
+            all: {
+              type: 'boolean',
+              description: 'Push all tags, default false'
+            }
+          }
         }
-      });
+      },
+      {
+        name: getToolName('git_tag_delete'),
+        description: getToolDescription(`Delete a tag locally. Pass remote: true to delete it on the remote as well (for example to withdraw a bad release).
 
-      child.on('error', (err) => {
-        clearTimeout(timeoutId); // Clear timeout on error
-        reject({
-          success: false,
-          error: err.message,
-          stdout: stdout,
-          stderr: stderr
-        });
-      });
-    });
+Examples:
+{"name": "v1.3.0"} - Delete a local tag
+{"name": "v1.3.0", "remote": true} - Delete it locally and on the remote`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Tag to delete'
+            },
+            remote: {
+              type: 'boolean',
+              description: 'Also delete the tag on the remote, default false'
+            }
+          },
+          required: ['name']
+        }
+      },
+      {
+        name: getToolName('suggest_commit_message'),
+        description: getToolDescription(`Propose a Conventional Commits message ("type(scope): subject") for the next git_push, derived from the pending changes (file paths and descriptions saved with save_changes).
+
+The type is guessed from the files (docs, test, ci, build, style) or the descriptions (fix, perf, refactor, feat, ...), and the scope from the directory all files share. Pass your own message to keep its subject and to check it against the commit message policy. Accept or edit the suggestion before calling git_push.
+
+Examples:
+{} - Suggest a message from the pending changes
+{"message": "add login endpoint"} - Keep this subject, add type and scope, and report policy problems`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            message: {
+              type: 'string',
+              description: 'Draft message to use as the subject and to check against the policy'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('get_commit_preview'),
+        description: getToolDescription(`Preview the commit git_push would create, without committing: the exact message (including the body generated from pending changes when commit_body is "pending_changes"), the author and committer identity, and the files that would be committed or left out.
+
+Without a message, the message suggest_commit_message would propose is used. message_problems lists commit message policy problems that would block git_push.
+
+Examples:
+{"message": "feat(api): add login endpoint"} - Preview the commit for this message
+{"message": "feat(api): add login endpoint", "commit_body": "pending_changes"} - Include the pending change descriptions as body`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            message: {
+              type: 'string',
+              description: 'Commit message to preview (default: the suggested message)'
+            },
+            commit_scope: {
+              type: 'string',
+              description: '"all" or "pending_changes", default: the configured COMMIT_SCOPE'
+            },
+            commit_body: {
+              type: 'string',
+              description: '"none" or "pending_changes" (one bullet per pending change with its files), default: the configured COMMIT_BODY'
+            },
+            trailers: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Trailers added to the commit message, e.g. ["Co-authored-by: Name <email>", "Reviewed-by: Name <email>"]'
+            }
+          }
+        }
+      },
+      {
+        name: getToolName('git_verify_commits'),
+        description: getToolDescription(`Report the signature status of commits: by default the unpushed commits (REMOTE_NAME/REMOTE_BRANCH..LOCAL_BRANCH), or a given range. Each commit has signed, verified and status ("good", "good_unknown_validity", "expired_signature", "expired_key", "revoked_key", "unverifiable", "bad" or "unsigned") with the signer and key. Use it before pushing to a branch that requires signed commits.
+
+SSH signatures can only be verified when ALLOWED_SIGNERS_FILE (or gpg.ssh.allowedSignersFile) is configured; otherwise they are reported as "unverifiable".
+
+Examples:
+{} - Check the commits that git_push would push
+{"range": "HEAD~5..HEAD", "limit": 5} - Check the last five commits`),
+        inputSchema: {
+          type: 'object',
+          properties: {
+            range: {
+              type: 'string',
+              description: 'Revision range to check (default: the unpushed commits)'
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of commits (1-1000, default: 100)'
+            }
+          }
+        }
+      }
+    ];
+
+    return tools;
+  }
+
+  isListedTool(methodName) {
+    const prefix = TOOL_PREFIX ? `${TOOL_PREFIX}_` : '';
+    return typeof this[methodName] === 'function' && this.listTools().some(tool => tool.name === `${prefix}${methodName}`);
   }
 
   // Handle JSON-RPC requests
@@ -730,6 +3862,8 @@ class FinalMCPServer {
 
       let result = null;
       let error = null;
+      // Replaces result in the operation log when the response must not be logged in full
+      let loggedResult = null;
 
       try {
         if (method === 'initialize') {
@@ -790,236 +3924,7 @@ class FinalMCPServer {
             }
           };
         } else if (method === 'tools/list') {
-          // Build tool name with prefix
-          const getToolName = (baseName) => {
-            return TOOL_PREFIX ? `${TOOL_PREFIX}_${baseName}` : baseName;
-          };
-
-          // Build tool description with project information
-          const getToolDescription = (baseDescription) => {
-            let description = baseDescription;
-            if (REPO_NAME) {
-              description = `[${REPO_NAME}] ${description}`;
-            }
-            return description;
-          };
-
-          // Build tools array
-          const tools = [
-            {
-              name: getToolName('git_pull'),
-              description: getToolDescription(`Execute git pull command from "${REMOTE_NAME}/${PULL_SOURCE_BRANCH}" to the current branch.
-              
-Pull command: git pull ${REMOTE_NAME} ${PULL_SOURCE_BRANCH}`),
-              inputSchema: {
-                type: 'object',
-                properties: {}
-              }
-            },
-            {
-              name: getToolName('git_push'),
-              description: getToolDescription(`Execute git push command from "${LOCAL_BRANCH}" to "${REMOTE_NAME}/${REMOTE_BRANCH}" in project path "${PROJECT_PATH}".
-
-Push command: git push ${REMOTE_NAME} ${LOCAL_BRANCH}:${REMOTE_BRANCH} --progress
-
-⚠️ REQUIREMENT: You MUST call get_pending_changes to review changes before using this tool.
-
-USAGE:
-1. First call get_pending_changes to review pending changes
-2. Then call this tool with the commit message parameter. Example:
-{message: "${LANGUAGE === 'en' ? 'Update project files' : LANGUAGE === 'zh' || LANGUAGE === 'zh-CN' ? '更新项目文件' : LANGUAGE === 'zh-TW' ? '更新專案檔案' : 'Update project files'}"}
-
-Please provide the commit message in ${LANGUAGE === 'en' ? 'English' : LANGUAGE === 'zh' || LANGUAGE === 'zh-CN' ? 'Chinese' : LANGUAGE === 'zh-TW' ? 'Traditional Chinese' : LANGUAGE} language.
-
-NOTE: If the push result contains a branch merge URL (such as a pull request URL), please output it to the user. If you can open a browser, you may also automatically open the URL.
-
-The review status is reset after each push attempt (success or failure).`),
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  message: {
-                    type: 'string',
-                    description: `Commit message in ${LANGUAGE === 'en' ? 'English' : LANGUAGE === 'zh' || LANGUAGE === 'zh-CN' ? 'Chinese' : LANGUAGE === 'zh-TW' ? 'Traditional Chinese' : LANGUAGE} language. Example: {message: "${LANGUAGE === 'en' ? 'Update project files' : LANGUAGE === 'zh' || LANGUAGE === 'zh-CN' ? '更新项目文件' : LANGUAGE === 'zh-TW' ? '更新專案檔案' : 'Update project files'}"}`
-                  }
-                },
-                required: ['message']
-              }
-            },
-            {
-              name: getToolName('get_push_history'),
-              description: getToolDescription(`Get the last 5 push history records for the git repository. This tool should be called before using ${getToolName('git_push')} to ensure the current changes have not been pushed before.`),
-              inputSchema: {
-                type: 'object',
-                properties: {}
-              }
-            },
-            {
-              name: getToolName('get_operation_logs'),
-              description: getToolDescription('Get operation logs for debugging and monitoring purposes.'),
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  limit: {
-                    type: 'number',
-                    description: 'Limit count, default 50'
-                  },
-                  offset: {
-                    type: 'number',
-                    description: 'Offset, default 0'
-                  }
-                }
-              }
-            },
-            {
-              name: getToolName('save_changes'),
-              description: getToolDescription(`Save pending changes before pushing. This tool records modified files and change content for review before git push.
-
-USAGE:
-Call this tool to save your changes before pushing. The saved changes must be reviewed using get_pending_changes before git_push can proceed.
-
-Please provide the change description in ${LANGUAGE === 'en' ? 'English' : LANGUAGE === 'zh' || LANGUAGE === 'zh-CN' ? 'Chinese' : LANGUAGE === 'zh-TW' ? 'Traditional Chinese' : LANGUAGE} language.
-
-Example:
-{"files": ["src/main.js", "src/utils.js"], "content": "${LANGUAGE === 'en' ? 'Fixed bug in user authentication' : LANGUAGE === 'zh' || LANGUAGE === 'zh-CN' ? '修复用户认证中的bug' : LANGUAGE === 'zh-TW' ? '修復用戶認證中的錯誤' : 'Fixed bug in user authentication'}"}`),
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  files: {
-                    type: 'array',
-                    items: {
-                      type: 'string'
-                    },
-                    description: 'Array of modified file paths'
-                  },
-                  content: {
-                    type: 'string',
-                    description: `Description of the changes made in ${LANGUAGE === 'en' ? 'English' : LANGUAGE === 'zh' || LANGUAGE === 'zh-CN' ? 'Chinese' : LANGUAGE === 'zh-TW' ? 'Traditional Chinese' : LANGUAGE} language`
-                  }
-                },
-                required: ['files', 'content']
-              }
-            },
-            {
-              name: getToolName('get_pending_changes'),
-              description: getToolDescription(`Get pending changes that need to be reviewed before pushing. This tool MUST be called before git_push to enable pushing.
-
-USAGE:
-Call this tool to view and review all pending changes. This will mark changes as reviewed, allowing git_push to proceed. The review status is reset after each push attempt.
-
-By default, this tool returns ALL pending changes (limit=1000). Use smaller limit values for pagination if needed.
-
-Examples:
-{} - View and review ALL changes (default)
-{"limit": 10, "offset": 0} - View and review first 10 changes
-{"limit": 50} - View and review first 50 changes
-
-NOTE: Review status is valid only for the next push attempt. You may need to review again for subsequent pushes.`),
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  limit: {
-                    type: 'number',
-                    description: 'Limit count (1-1000), default 1000 (shows all changes).'
-                  },
-                  offset: {
-                    type: 'number',
-                    description: 'Offset, default 0'
-                  }
-                }
-              }
-            },
-            {
-              name: getToolName('git_status'),
-              description: getToolDescription(`Show the working directory and staging area status.
-
-USAGE:
-Call this tool to see which files have been modified, added, or deleted in your working directory and staging area.
-
-Example:
-{}`),
-              inputSchema: {
-                type: 'object',
-                properties: {}
-              }
-            },
-            {
-              name: getToolName('git_diff'),
-              description: getToolDescription(`Show changes between working directory and HEAD or staging area.
-
-USAGE:
-Call this tool to see the differences between your working directory and the last commit, or between staging area and HEAD.
-
-Examples:
-{} - Show all unstaged changes
-{"staged": true} - Show staged changes
-{"files": ["src/main.js"]} - Show changes for specific file(s)`),
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  staged: {
-                    type: 'boolean',
-                    description: 'Show staged changes instead of unstaged, default false'
-                  },
-                  files: {
-                    type: 'array',
-                    items: {
-                      type: 'string'
-                    },
-                    description: 'Specific files to show diff for'
-                  }
-                }
-              }
-            },
-            {
-              name: getToolName('git_add'),
-              description: getToolDescription(`Add file contents to the staging area.
-
-USAGE:
-Call this tool to stage files for commit. Use "." to add all changes, or specify specific files.
-
-Examples:
-{} - Add all changes (equivalent to "git add .")
-{"files": ["src/main.js", "src/utils.js"]} - Add specific files
-{"files": ["*.js"]} - Add files matching pattern (use shell expansion)`),
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  files: {
-                    type: 'array',
-                    items: {
-                      type: 'string'
-                    },
-                    description: 'Files to add (default: ["."] for all files)'
-                  }
-                }
-              }
-            },
-            {
-              name: getToolName('git_log'),
-              description: getToolDescription(`Show commit history.
-
-USAGE:
-Call this tool to view the commit history of the repository.
-
-Examples:
-{} - Show last 10 commits with full details
-{"limit": 5} - Show last 5 commits
-{"limit": 20, "oneline": true} - Show last 20 commits in oneline format`),
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  limit: {
-                    type: 'number',
-                    description: 'Number of commits to show (1-100), default 10'
-                  },
-                  oneline: {
-                    type: 'boolean',
-                    description: 'Show commits in oneline format, default false'
-                  }
-                }
-              }
-            }
-          ];
+          const tools = this.listTools();
 
           result = {
             tools: tools,
@@ -1029,7 +3934,10 @@ Examples:
               LOCAL_BRANCH: LOCAL_BRANCH,
               REMOTE_BRANCH: REMOTE_BRANCH,
               GIT_PUSH_FLAGS: GIT_PUSH_FLAGS,
+              COMMIT_SCOPE: COMMIT_SCOPE,
+              PRE_PUSH_SYNC: PRE_PUSH_SYNC,
               PULL_SOURCE_BRANCH: PULL_SOURCE_BRANCH,
+              APPROVAL_MODE: APPROVAL_MODE,
               TOOL_PREFIX: TOOL_PREFIX,
               REPO_NAME: REPO_NAME || '',
               LANGUAGE: LANGUAGE,
@@ -1119,8 +4027,8 @@ Examples:
             actualMethodName = name.substring(TOOL_PREFIX.length + 1);
           }
 
-          // Check if method exists
-          if (!this[actualMethodName]) {
+          // Only tools announced in tools/list may be called, never the helper methods of this class
+          if (!this.isListedTool(actualMethodName)) {
             throw new Error(`Unknown tool: ${name}`);
           }
 
@@ -1135,6 +4043,9 @@ Examples:
               }
             ]
           };
+          if (actualMethodName === 'git_show_file') {
+            loggedResult = { content: [{ type: 'text', text: JSON.stringify(omitShowFileContent(toolResult), null, 2) }] };
+          }
         } else if (method === 'ping') {
           logRequest('ping', {}, { status: 'pong' }, null);
           result = { pong: true };
@@ -1161,7 +4072,7 @@ Examples:
       } finally {
         // Record all requests to log, ensure parameters are not undefined
         const safeParams = params || {};
-        logRequest(method, safeParams, result, error);
+        logRequest(method, safeParams, loggedResult || result, error);
       }
 
       // For notification methods, no response is needed
@@ -1197,7 +4108,7 @@ Examples:
         errorCode = -32600; // Invalid Request
       }
       logRequest('error', { error: error.message, stack: error.stack }, null, error.message);
-      return {
+      const errorResponse = {
         jsonrpc: '2.0',
         id: request.id,
         error: {
@@ -1205,6 +4116,14 @@ Examples:
           message: errorMessage
         }
       };
+
+      // Expose the git error classification (git_error_code, hint, stderr) to clients
+      const errorData = error.data || (error instanceof GitCommandError ? error.toData() : null);
+      if (errorData) {
+        errorResponse.error.data = errorData;
+      }
+
+      return errorResponse;
     }
   }
 
@@ -1306,7 +4225,9 @@ async function main() {
   console.error(`Git Push Flags: ${GIT_PUSH_FLAGS}`);
   console.error(`Tool Prefix: ${TOOL_PREFIX || '(none)'}`);
   console.error(`Pending Changes: ${pendingChanges.length}`);
-  console.error(`Unreviewed Changes: ${pendingChanges.filter(c => !c.reviewed).length}`);
+  console.error(`Approval Mode: ${APPROVAL_MODE}`);
+  console.error(`Unapproved Changes: ${pendingChanges.filter(c => c.status !== 'approved').length}`);
+  console.error(`Storage Backend: ${STORAGE_BACKEND}${STORAGE_BACKEND === 'sqlite' ? ` (${getLogConfig().dbFullPath})` : ''}`);
   if (HTTP_PROXY || HTTPS_PROXY || SOCKS_PROXY) {
     console.error(`HTTP Proxy: ${HTTP_PROXY || '(none)'}`);
     console.error(`HTTPS Proxy: ${HTTPS_PROXY || '(none)'}`);
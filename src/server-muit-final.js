@@ -2,19 +2,33 @@ const { spawn, exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
+const { resolveProjectFile, DEFAULT_SHOW_FILE_MAX_BYTES, BINARY_CHECK_BYTES, omitShowFileContent, DRY_RUN_MAX_COMMITS, isValidRef, collectPendingFiles, selectCommitPaths, COMMIT_BODY_MODES, composeCommitMessage, BRANCH_LIST_FORMAT, parseBranchList, STASH_LIST_FORMAT, parseStashList, normalizeStashRef, PUSH_MODES, DEFAULT_FEATURE_BRANCH_TEMPLATE, buildFeatureBranchName, extractMergeRequestUrl } = require('./git-utils');
+const { DEFAULT_POLICY, loadPushPolicy, isCheckEnabled, checkPushPolicy } = require('./push-policy');
+const { validateCommitMessage, suggestCommitMessage } = require('./commit-message');
+const { STATUS_ARGS, parseStatus, isStaged, hasStagedChanges, summarizeStatus } = require('./status-parser');
+const { DEFAULT_MAX_FILE_BYTES, DEFAULT_MAX_TOTAL_BYTES, DIFF_FORMATS, isValidRange, parseDiff, limitRawDiff, parseDiffStat } = require('./diff-parser');
+const { buildLogFormat, parseLog } = require('./log-parser');
+const { resolveSigningConfig, signingConfigArgs, commitSigningArgs, describeSigningConfig, SIGNATURE_LOG_FORMAT, parseSignatureHeaders, parseSignatureLog } = require('./signing');
+const { resolveCommitIdentity, identityConfigArgs, parseIdent, validateTrailers, appendTrailers } = require('./commit-identity');
+const { APPROVAL_MODES, normalizeChangeEntry, verifyApprovalToken, applyReview, summarizeApprovals, checkApproval } = require('./approval');
+const { snapshotFiles, detectDrift } = require('./change-snapshot');
+const { resolveMaxPendingChanges, consolidateChanges, describeCapacity, validateChangeId, validateFiles, validateContent, updateChangeEntry, squashChangeEntries } = require('./pending-changes');
+const { DEFAULT_DB_FILE, nextEntryId, checkStorageBackend, createStorage, resolveQueryFilters } = require('./storage');
+const { parseBlame } = require('./blame-parser');
+const { TAG_BUMPS, TAG_LIST_FORMAT, parseTagList, findLatestSemverTag, bumpSemverTag, buildChangelog } = require('./tag-utils');
+const { SYNC_STRATEGIES, syncWithRemote, isCommitOnRemote, getUnpushedCommits, getConflictedFiles } = require('./remote-sync');
+const { GitCommandError, toToolError } = require('./git-errors');
 
 const execAsync = promisify(exec);
 
 const operationLogs = [];
 const MAX_LOGS = 1000;
 
-const pushHistory = [];
 const MAX_PUSH_HISTORY = 100;
 
-const pendingChanges = [];
-const MAX_PENDING_CHANGES = 50;
-
-let changesReviewed = false;
+// Per-repository state: every REPO_NAME gets its own pending changes,
+// review flag, push history and operation logs
+const repoStores = new Map();
 
 const TOOL_PREFIX = process.env.TOOL_PREFIX || '';
 
@@ -31,10 +45,24 @@ const parseMultiInstance = (value) => {
 
 const MULTI_INSTANCE = parseMultiInstance(process.env.MULTI_INSTANCE);
 
+// MULTI_INSTANCE settings clients may see; APPROVAL_TOKEN, SIGNING_KEY and the like stay on the server
+const PUBLIC_INSTANCE_FIELDS = ['REPO_NAME', 'PROJECT_PATH', 'REMOTE_NAME', 'LOCAL_BRANCH', 'REMOTE_BRANCH', 'PULL_SOURCE_BRANCH', 'APPROVAL_MODE'];
+
+const describeInstance = (instance) => {
+  const described = {};
+  PUBLIC_INSTANCE_FIELDS.filter(field => instance[field] !== undefined).forEach(field => {
+    described[field] = instance[field];
+  });
+  return described;
+};
+
 let CUSTOM_LOG_DIR = null;
 
 const LANGUAGE = process.env.LANGUAGE || 'en';
 
+// 'json' or 'sqlite'; applies to all repositories
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json';
+
 const getLogConfig = (repoName = '') => {
   const logDir = process.env.LOG_DIR || CUSTOM_LOG_DIR;
   if (!logDir) {
@@ -45,6 +73,7 @@ const getLogConfig = (repoName = '') => {
   const logFile = `mcp-git${repoName ? `.${repoName}` : ''}.log`;
   const pushHistoryFile = `push-history${repoName ? `.${repoName}` : ''}.json`;
   const changesFile = `pending-changes${repoName ? `.${repoName}` : ''}.json`;
+  const policyFile = `push-policy${repoName ? `.${repoName}` : ''}.json`;
 
   return {
     dir: logDir,
@@ -53,7 +82,12 @@ const getLogConfig = (repoName = '') => {
     pushHistoryFile: `${prefix}${pushHistoryFile}`,
     pushHistoryFullPath: path.join(logDir, `${prefix}${pushHistoryFile}`),
     changesFile: `${prefix}${changesFile}`,
-    changesFullPath: path.join(logDir, `${prefix}${changesFile}`)
+    changesFullPath: path.join(logDir, `${prefix}${changesFile}`),
+    policyFile: `${prefix}${policyFile}`,
+    policyFullPath: path.join(logDir, `${prefix}${policyFile}`),
+    sharedPolicyFullPath: path.join(logDir, `${prefix}push-policy.json`),
+    // One database for all repositories
+    dbFullPath: path.join(logDir, `${prefix}${DEFAULT_DB_FILE}`)
   };
 };
 
@@ -64,9 +98,56 @@ const ensureLogDir = (repoName = '') => {
   }
 };
 
+const isLogDirConfigured = () => Boolean(process.env.LOG_DIR || CUSTOM_LOG_DIR);
+
+const loadRepoStore = (store) => {
+  if (!isLogDirConfigured()) {
+    return;
+  }
+  store.loaded = true;
+  loadPushHistory(store);
+  loadPendingChanges(store);
+};
+
+const getRepoStore = (repoName = '') => {
+  let store = repoStores.get(repoName);
+  if (!store) {
+    store = {
+      repoName,
+      operationLogs: [],
+      pushHistory: [],
+      pendingChanges: [],
+      changesReviewed: false,
+      loaded: false
+    };
+    repoStores.set(repoName, store);
+  }
+  if (!store.loaded) {
+    loadRepoStore(store);
+  }
+  return store;
+};
+
+// Push history, pending changes and operation logs go to JSON files or SQLite (STORAGE_BACKEND)
+const storage = createStorage(STORAGE_BACKEND, {
+  paths: (repoName) => {
+    const { pushHistoryFullPath, changesFullPath, fullPath } = getLogConfig(repoName);
+    return { pushHistory: pushHistoryFullPath, changes: changesFullPath, log: fullPath };
+  },
+  dbPath: () => getLogConfig().dbFullPath,
+  memory: (kind, repoName) => {
+    if (kind === 'operation_logs') {
+      return repoName ? getRepoStore(repoName).operationLogs : operationLogs;
+    }
+    return kind === 'push_history' ? getRepoStore(repoName).pushHistory : getRepoStore(repoName).pendingChanges;
+  }
+});
+
 const logRequest = (method, params, result, error = null, repoName = '') => {
+  const logs = repoName ? getRepoStore(repoName).operationLogs : operationLogs;
   const logEntry = {
-    id: Date.now(),
+    id: nextEntryId(logs),
+    repo_name: repoName,
     method,
     params: JSON.stringify(params),
     result: result ? JSON.stringify(result) : null,
@@ -74,49 +155,47 @@ const logRequest = (method, params, result, error = null, repoName = '') => {
     created_at: new Date().toISOString()
   };
 
-  operationLogs.unshift(logEntry);
-  if (operationLogs.length > MAX_LOGS) {
-    operationLogs.splice(MAX_LOGS);
+  logs.unshift(logEntry);
+  if (logs.length > MAX_LOGS) {
+    logs.splice(MAX_LOGS);
   }
 
-  const logLine = `${logEntry.created_at} | ${method} | ${logEntry.params} | ${error || 'SUCCESS'} | RESPONSE: ${logEntry.result || 'null'}\n`;
-
   try {
     ensureLogDir(repoName);
-    const { fullPath } = getLogConfig(repoName);
-    fs.appendFileSync(fullPath, logLine, 'utf8');
+    storage.appendOperationLog(repoName, logEntry);
   } catch (err) {
-    console.error('Failed to write log file:', err.message);
+    console.error('Failed to write operation log:', err.message);
   }
 };
 
-const loadPushHistory = (repoName = '') => {
+const loadPushHistory = (store) => {
   try {
-    const { pushHistoryFullPath } = getLogConfig(repoName);
-    if (fs.existsSync(pushHistoryFullPath)) {
-      const data = fs.readFileSync(pushHistoryFullPath, 'utf8');
-      const history = JSON.parse(data);
-      pushHistory.length = 0;
-      pushHistory.push(...history);
+    const state = storage.loadPushHistory(store.repoName, MAX_PUSH_HISTORY);
+    if (state.source === 'backup') {
+      console.error(`Push history for ${store.repoName || '(default)'} restored from ${getLogConfig(store.repoName).pushHistoryFullPath}.bak: ${state.error}`);
     }
+    // Keep anything recorded in memory before the log directory was known
+    store.pushHistory.push(...state.data);
   } catch (err) {
-    console.error('Failed to load push history:', err.message);
+    console.error(`Failed to load push history for ${store.repoName || '(default)'}:`, err.message);
   }
 };
 
-const savePushHistory = (repoName = '') => {
+const savePushHistory = (store) => {
   try {
-    ensureLogDir(repoName);
-    const { pushHistoryFullPath } = getLogConfig(repoName);
-    fs.writeFileSync(pushHistoryFullPath, JSON.stringify(pushHistory, null, 2), 'utf8');
+    ensureLogDir(store.repoName);
+    // Also picks up pushes another server process recorded since the history was loaded
+    const saved = storage.savePushHistory(store.repoName, store.pushHistory, MAX_PUSH_HISTORY);
+    store.pushHistory.splice(0, store.pushHistory.length, ...saved);
   } catch (err) {
-    console.error('Failed to save push history:', err.message);
+    console.error(`Failed to save push history for ${store.repoName || '(default)'}:`, err.message);
   }
 };
 
-const recordPushHistory = (message, result, error = null, repoName = '', toolContext = {}) => {
+const recordPushHistory = (message, result, error = null, repoName = '', toolContext = {}, details = {}) => {
+  const store = getRepoStore(repoName);
   const pushEntry = {
-    id: Date.now(),
+    id: nextEntryId(store.pushHistory),
     timestamp: new Date().toISOString(),
     repo_name: repoName,
     project_path: toolContext.PROJECT_PATH || '',
@@ -126,49 +205,93 @@ const recordPushHistory = (message, result, error = null, repoName = '', toolCon
     message: message,
     success: !error,
     error: error ? error.toString() : null,
-    exit_code: result ? result.exitCode : null
+    exit_code: result ? result.exitCode : null,
+    ...details
   };
 
-  pushHistory.unshift(pushEntry);
-  if (pushHistory.length > MAX_PUSH_HISTORY) {
-    pushHistory.splice(MAX_PUSH_HISTORY);
+  store.pushHistory.unshift(pushEntry);
+  if (store.pushHistory.length > MAX_PUSH_HISTORY) {
+    store.pushHistory.splice(MAX_PUSH_HISTORY);
   }
 
-  savePushHistory(repoName);
+  savePushHistory(store);
 };
 
-loadPushHistory();
-
-const loadPendingChanges = (repoName = '') => {
+const loadPendingChanges = (store) => {
   try {
-    const { changesFullPath } = getLogConfig(repoName);
-    if (fs.existsSync(changesFullPath)) {
-      const data = fs.readFileSync(changesFullPath, 'utf8');
-      const changes = JSON.parse(data);
-      pendingChanges.length = 0;
-      pendingChanges.push(...changes);
+    const state = storage.loadPendingChanges(store.repoName);
+    if (state.source === 'backup') {
+      console.error(`Pending changes for ${store.repoName || '(default)'} restored from ${getLogConfig(store.repoName).changesFullPath}.bak: ${state.error}`);
     }
+    store.pendingChanges.length = 0;
+    store.pendingChanges.push(...state.data.map(normalizeChangeEntry));
   } catch (err) {
-    console.error('Failed to load pending changes:', err.message);
+    console.error(`Failed to load pending changes for ${store.repoName || '(default)'}:`, err.message);
   }
 };
 
-const savePendingChanges = (repoName = '') => {
+// Changes another server process saved since the list was loaded are kept; when both edited
+// the same change, the stored list is reloaded and the tool fails
+const savePendingChanges = (store) => {
   try {
-    ensureLogDir(repoName);
-    const { changesFullPath } = getLogConfig(repoName);
-    fs.writeFileSync(changesFullPath, JSON.stringify(pendingChanges, null, 2), 'utf8');
+    ensureLogDir(store.repoName);
+    const saved = storage.savePendingChanges(store.repoName, store.pendingChanges);
+    store.pendingChanges.splice(0, store.pendingChanges.length, ...saved);
   } catch (err) {
-    console.error('Failed to save pending changes:', err.message);
+    if (err.code === 'PENDING_CHANGES_CONFLICT') {
+      loadPendingChanges(store);
+      const error = new Error(`Pending changes were not saved: ${err.message}. The stored changes were reloaded; check them with get_pending_changes and try again`);
+      error.data = { change_ids: err.change_ids };
+      throw error;
+    }
+    console.error(`Failed to save pending changes for ${store.repoName || '(default)'}:`, err.message);
   }
 };
 
-const clearPendingChanges = (repoName = '') => {
-  pendingChanges.length = 0;
-  savePendingChanges(repoName);
+// A repo-specific push-policy.<repo>.json wins over the shared push-policy.json
+const resolvePolicyPath = (repoName = '') => {
+  if (!isLogDirConfigured()) {
+    return null;
+  }
+  const { policyFullPath, sharedPolicyFullPath } = getLogConfig(repoName);
+  return fs.existsSync(policyFullPath) ? policyFullPath : sharedPolicyFullPath;
 };
 
-loadPendingChanges();
+// Commit and tag signing; a MULTI_INSTANCE entry can set its own key and format
+const getSigningConfig = (toolContext = {}) => resolveSigningConfig({
+  signCommits: toolContext.SIGN_COMMITS || process.env.SIGN_COMMITS,
+  signTags: toolContext.SIGN_TAGS || process.env.SIGN_TAGS,
+  format: toolContext.SIGNING_FORMAT || process.env.SIGNING_FORMAT,
+  key: toolContext.SIGNING_KEY || process.env.SIGNING_KEY,
+  allowedSignersFile: toolContext.ALLOWED_SIGNERS_FILE || process.env.ALLOWED_SIGNERS_FILE
+});
+
+// Author/committer of the commits the server creates; unset values fall back to the git config
+const getCommitIdentity = (toolContext = {}) => resolveCommitIdentity({
+  authorName: toolContext.COMMIT_AUTHOR_NAME || process.env.COMMIT_AUTHOR_NAME,
+  authorEmail: toolContext.COMMIT_AUTHOR_EMAIL || process.env.COMMIT_AUTHOR_EMAIL,
+  committerName: toolContext.COMMIT_COMMITTER_NAME || process.env.COMMIT_COMMITTER_NAME,
+  committerEmail: toolContext.COMMIT_COMMITTER_EMAIL || process.env.COMMIT_COMMITTER_EMAIL
+});
+
+// Pending changes kept before save_changes consolidates them and git_push refuses to run
+const getMaxPendingChanges = (toolContext = {}) => resolveMaxPendingChanges(toolContext.MAX_PENDING_CHANGES || process.env.MAX_PENDING_CHANGES);
+
+// Filters of get_push_history, get_operation_logs and get_pending_changes; repos may name any configured repository
+const getQueryFilters = (params, kind, toolContext = {}) => resolveQueryFilters(params, {
+  kind,
+  repo: toolContext.REPO_NAME || '',
+  availableRepos: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : null
+});
+
+// How git_push decides that the pending changes may be pushed ('review', 'all_approved' or 'token')
+const getApprovalMode = (toolContext = {}) => toolContext.APPROVAL_MODE || process.env.APPROVAL_MODE || 'review';
+
+const clearPendingChanges = (repoName = '') => {
+  const store = getRepoStore(repoName);
+  store.pendingChanges.length = 0;
+  savePendingChanges(store);
+};
 
 class FinalMCPServer {
   constructor() {
@@ -181,27 +304,38 @@ class FinalMCPServer {
     const remoteName = toolContext.REMOTE_NAME || 'origin';
     const pullSourceBranch = toolContext.PULL_SOURCE_BRANCH || toolContext.REMOTE_BRANCH || 'main';
     const projectPath = toolContext.PROJECT_PATH || '';
+    const { autostash = String(toolContext.PULL_AUTOSTASH || process.env.PULL_AUTOSTASH) === 'true' } = params || {};
 
     try {
-      const args = ['pull', remoteName, pullSourceBranch];
+      const args = [...this.commitConfigArgs(toolContext), 'pull', remoteName, pullSourceBranch];
+      if (autostash) {
+        args.push('--autostash');
+      }
       const result = await this.executeGitCommand(args, 'git_pull', 30000, toolContext);
       
       return {
         success: true,
         remote_name: remoteName,
         pull_source_branch: pullSourceBranch,
+        autostash: autostash,
         project_path: projectPath,
         output: result.stdout,
         error_output: result.stderr,
         message: `Successfully pulled from ${remoteName}/${pullSourceBranch}`
       };
     } catch (err) {
-      throw new Error(`Git pull failed: ${err.error || err.message}`);
+      throw toToolError('Git pull failed', err);
     }
   }
 
   async git_push(params, toolContext = {}) {
-    const { message } = params;
+    const {
+      message,
+      commit_scope: commitScope = toolContext.COMMIT_SCOPE || process.env.COMMIT_SCOPE || 'all',
+      commit_body: commitBody = toolContext.COMMIT_BODY || process.env.COMMIT_BODY || 'none',
+      dry_run: dryRun = false,
+      trailers = []
+    } = params;
 
     const remoteName = toolContext.REMOTE_NAME || 'origin';
     const localBranch = toolContext.LOCAL_BRANCH || 'main';
@@ -209,14 +343,67 @@ class FinalMCPServer {
     const projectPath = toolContext.PROJECT_PATH || '';
     const repoName = toolContext.REPO_NAME || '';
     const gitPushFlags = toolContext.GIT_PUSH_FLAGS || '--progress';
+    const pullSourceBranch = toolContext.PULL_SOURCE_BRANCH || remoteBranch;
+    const prePushSync = toolContext.PRE_PUSH_SYNC || process.env.PRE_PUSH_SYNC || 'off';
+    const configuredPushMode = toolContext.PUSH_MODE || process.env.PUSH_MODE || 'direct';
+    const pushMode = params.push_mode || configuredPushMode;
 
     if (!message || typeof message !== 'string') {
       throw new Error('Missing message parameter');
     }
 
+    if (commitScope !== 'all' && commitScope !== 'pending_changes') {
+      throw new Error('commit_scope parameter must be "all" or "pending_changes"');
+    }
+
+    if (!COMMIT_BODY_MODES.includes(commitBody)) {
+      throw new Error(`commit_body parameter must be one of: ${COMMIT_BODY_MODES.join(', ')}`);
+    }
+
+    if (typeof dryRun !== 'boolean') {
+      throw new Error('dry_run parameter must be a boolean');
+    }
+
+    const commitTrailers = validateTrailers(trailers);
+    const signing = getSigningConfig(toolContext);
+    const commitArgs = [...identityConfigArgs(getCommitIdentity(toolContext)), ...commitSigningArgs(signing)];
+
+    if (!SYNC_STRATEGIES.includes(prePushSync)) {
+      throw new Error(`PRE_PUSH_SYNC must be one of: ${SYNC_STRATEGIES.join(', ')}`);
+    }
+
+    if (!PUSH_MODES.includes(pushMode)) {
+      throw new Error(`push_mode parameter must be one of: ${PUSH_MODES.join(', ')}`);
+    }
+
+    // Agents must not bypass a configured feature branch workflow
+    if (configuredPushMode === 'feature_branch' && pushMode !== 'feature_branch') {
+      throw new Error('push_mode "direct" is not allowed: PUSH_MODE is set to "feature_branch"');
+    }
+
+    const approvalMode = getApprovalMode(toolContext);
+    if (!APPROVAL_MODES.includes(approvalMode)) {
+      throw new Error(`APPROVAL_MODE must be one of: ${APPROVAL_MODES.join(', ')}`);
+    }
+
+    const store = getRepoStore(repoName);
     const getPendingChangesToolName = TOOL_PREFIX ? `${TOOL_PREFIX}_get_pending_changes` : 'get_pending_changes';
 
-    if (!changesReviewed && pendingChanges.length > 0) {
+    // Committing on another branch would push nothing; a dry run reports it in blocked_by instead
+    if (!dryRun) {
+      const branchError = await this.localBranchErrorResult('git_push', toolContext);
+      if (branchError) {
+        return branchError;
+      }
+    }
+
+    // Check if changes have been reviewed (APPROVAL_MODE "review") or approved
+    // A dry run changes nothing, so it is allowed before the review and reports the missing review instead
+    const approval = await this.checkPushApproval(store, approvalMode, commitScope, toolContext);
+    if (!dryRun && !approval.allowed && approval.code !== 'CHANGES_NOT_REVIEWED') {
+      return this.approvalErrorResult(approval, store, approvalMode, repoName);
+    }
+    if (!dryRun && !approval.allowed) {
       return {
         content: [
           { type: 'text', text: '⚠️ ERROR: You must review pending changes before pushing code.' },
@@ -226,51 +413,207 @@ class FinalMCPServer {
           { type: 'text', text: `📊 STEP 1: Call "${getPendingChangesToolName}" tool to review all pending changes.` },
           { type: 'text', text: `✅ STEP 2: After reviewing, you can then call git_push tool to proceed with the push.` },
           { type: 'text', text: `⚠️ IMPORTANT: The review status will be reset after push attempt. You may need to review again for subsequent pushes.` },
-          { type: 'text', text: `📈 Current pending changes: ${pendingChanges.length} change(s).` }
+          { type: 'text', text: `📈 Current pending changes: ${store.pendingChanges.length} change(s).` }
         ],
         isError: true,
         errorCode: 'CHANGES_NOT_REVIEWED'
       };
     }
 
+    // Entries are never dropped, so an overlong list blocks the push until it is squashed
+    const maxChanges = getMaxPendingChanges(toolContext);
+    if (!dryRun && store.pendingChanges.length > maxChanges) {
+      return this.toolErrorResult('PENDING_CHANGES_OVERFLOW', [
+        `⛔ ERROR: There are ${store.pendingChanges.length} pending changes, more than MAX_PENDING_CHANGES (${maxChanges}). Nothing was committed or pushed.`,
+        '🔧 REQUIRED ACTION: Merge related entries with squash_changes or remove wrong ones with delete_change, then call git_push again.'
+      ], { capacity: describeCapacity(store.pendingChanges.length, maxChanges) });
+    }
+
+    // With commit_body "pending_changes" the reviewed change descriptions become the commit body
+    const commitMessage = appendTrailers(composeCommitMessage(message, store.pendingChanges, commitBody), commitTrailers);
+
+    // The policy is loaded up front so the commit message is checked before anything is committed
+    const policyPath = resolvePolicyPath(repoName);
+    const policy = loadPushPolicy(policyPath);
+    let messageProblems = [];
+    if (policy && isCheckEnabled(policy, 'commit_message')) {
+      messageProblems = validateCommitMessage(commitMessage, policy.commit_message);
+      if (messageProblems.length > 0 && policy.commit_message.action === 'block' && !dryRun) {
+        const suggestion = suggestCommitMessage(store.pendingChanges, { message, rules: policy.commit_message });
+        return this.toolErrorResult('COMMIT_MESSAGE_INVALID', [
+          '⛔ ERROR: The commit message does not follow the commit message policy. Nothing was committed or pushed.',
+          ...messageProblems.map(problem => `❌ [${problem.rule}] ${problem.message}`),
+          `💡 SUGGESTED MESSAGE: ${suggestion.message}`,
+          '🔧 REQUIRED ACTION: Call git_push again with a corrected message. You can use the suggestion as is or edit it.',
+          `📋 Policy file: ${policyPath}`
+        ], { problems: messageProblems, suggested_message: suggestion.message, suggestion: suggestion });
+      }
+    }
+
+    if (dryRun) {
+      return this.dryRunPush({ message, commitMessage, commitScope, commitBody, pushMode, policy, messageProblems }, toolContext);
+    }
+
+    let featureBranch = null;
+    // Result or error git_push ends with; the finally block adds where the repository was left
+    let outcome = null;
+    const historyDetails = { action: 'push', push_mode: pushMode };
+
     try {
-      console.error('Auto-adding and committing changes before push...');
+      // Identity recorded in the push history, as git resolves it with the configured overrides
+      const identity = await this.readCommitIdentity(commitArgs, toolContext);
+      historyDetails.author = identity.author;
+      historyDetails.committer = identity.committer;
+      historyDetails.trailers = commitTrailers;
+
+      if (pushMode === 'feature_branch') {
+        featureBranch = await this.createFeatureBranch(message, toolContext);
+        historyDetails.feature_branch = featureBranch;
+        console.error(`✓ Created feature branch ${featureBranch}`);
+      }
+      const sourceBranch = featureBranch || localBranch;
+      const targetBranch = featureBranch || remoteBranch;
 
-      try {
-        const statusResult = await this.executeGitCommand(['status', '--porcelain'], 'git_status_check', 30000, toolContext);
-        const hasStagedChanges = statusResult.stdout.split('\n').some(line => line.startsWith('A ') || line.startsWith('M ') || line.startsWith('D '));
+      console.error('Auto-adding and committing changes before push...');
 
-        if (!hasStagedChanges) {
-          await this.executeGitCommand(['add', '.'], 'git_add_auto', 60000, toolContext);
-          console.error('✓ Changes added to staging area');
-        } else {
-          console.error('✓ Staged changes already exist, skipping git add');
+      let selection = null;
+      if (commitScope === 'pending_changes') {
+        selection = await this.commitSelectedFiles(collectPendingFiles(store.pendingChanges), commitMessage, toolContext);
+      } else {
+        try {
+          const statusResult = await this.executeGitCommand(STATUS_ARGS, 'git_status_check', 30000, toolContext);
+          const { entries } = parseStatus(statusResult.stdout);
+
+          if (!hasStagedChanges(entries)) {
+            await this.executeGitCommand(['add', '.'], 'git_add_auto', 60000, toolContext);
+            console.error('✓ Changes added to staging area');
+          } else {
+            console.error('✓ Staged changes already exist, skipping git add');
+          }
+        } catch (statusErr) {
+          console.error('Warning: git status check failed, proceeding with git add:', statusErr.message);
+          try {
+            await this.executeGitCommand(['add', '.'], 'git_add_auto', 30000, toolContext);
+            console.error('✓ Changes added to staging area');
+          } catch (addErr) {
+            console.error('Warning: git add failed, but continuing with push:', addErr.message);
+          }
         }
-      } catch (statusErr) {
-        console.error('Warning: git status check failed, proceeding with git add:', statusErr.message);
+
         try {
-          await this.executeGitCommand(['add', '.'], 'git_add_auto', 30000, toolContext);
-          console.error('✓ Changes added to staging area');
-        } catch (addErr) {
-          console.error('Warning: git add failed, but continuing with push:', addErr.message);
+          await this.executeGitCommand([...commitArgs, 'commit', '-m', commitMessage], 'git_commit_auto', 30000, toolContext);
+          console.error('✓ Changes committed');
+        } catch (commitErr) {
+          if (commitErr.code === 'SIGNING_FAILED') {
+            // Never push the work without the signed commit
+            throw commitErr;
+          }
+          if (commitErr.stderr && commitErr.stderr.includes('nothing to commit')) {
+            console.error('✓ No changes to commit, proceeding with push');
+          } else {
+            console.error('Warning: git commit failed, but continuing with push:', commitErr.message);
+          }
         }
       }
 
-      try {
-        await this.executeGitCommand(['commit', '-m', message], 'git_commit_auto', 30000, toolContext);
-        console.error('✓ Changes committed');
-      } catch (commitErr) {
-        if (commitErr.stderr && commitErr.stderr.includes('nothing to commit')) {
-          console.error('✓ No changes to commit, proceeding with push');
-        } else {
-          console.error('Warning: git commit failed, but continuing with push:', commitErr.message);
+      let syncResult = null;
+      if (prePushSync !== 'off') {
+        syncResult = await syncWithRemote((args, timeout) => this.executeGitCommand([...commitArgs, ...args], 'git_pre_push_sync', timeout, toolContext), {
+          strategy: prePushSync,
+          remoteName,
+          remoteBranch,
+          pullSourceBranch,
+          localBranch: sourceBranch
+        });
+
+        if (syncResult.conflict) {
+          store.changesReviewed = false;
+          const syncError = `Push stopped: ${prePushSync} onto ${syncResult.source_ref} has conflicts in ${syncResult.conflicted_files.length} file(s)`;
+          // The auto-commit was already made and stays on the branch; tell where to find it
+          const localCommit = (await this.executeGitCommand(['rev-parse', sourceBranch], 'git_pre_push_sync', 30000, toolContext)).stdout.trim();
+
+          logRequest('git_push', {
+            repo_name: repoName,
+            project_path: projectPath,
+            remote_name: remoteName,
+            local_branch: localBranch,
+            remote_branch: remoteBranch,
+            git_push_flags: gitPushFlags,
+            push_mode: pushMode,
+            feature_branch: featureBranch,
+            message
+          }, { sync: syncResult }, syncError, repoName);
+
+          recordPushHistory(message, null, syncError, repoName, toolContext, historyDetails);
+
+          outcome = {
+            content: [
+              { type: 'text', text: `⛔ ERROR: ${remoteName}/${remoteBranch} is ${syncResult.behind} commit(s) ahead and the ${prePushSync} onto ${syncResult.source_ref} produced conflicts. Nothing was pushed.` },
+              { type: 'text', text: `📄 Conflicted files: ${syncResult.conflicted_files.join(', ')}` },
+              { type: 'text', text: `↩️ The ${prePushSync} was aborted. The changes were committed locally on ${sourceBranch} as ${localCommit.substring(0, 12)}, but that commit was not pushed.` },
+              { type: 'text', text: '🔧 REQUIRED ACTION: Resolve the conflicts manually (or ask the user), then call git_push again.' }
+            ],
+            isError: true,
+            errorCode: 'SYNC_CONFLICT',
+            sync: syncResult,
+            local_commit: localCommit,
+            feature_branch: featureBranch
+          };
+          return outcome;
+        }
+      }
+
+      let policyResult = null;
+      if (policy) {
+        policyResult = await checkPushPolicy(policy, (args) => this.executeGitCommand(args, 'git_policy_check', 60000, toolContext), {
+          localBranch: sourceBranch,
+          remoteRef: `${remoteName}/${remoteBranch}`
+        });
+
+        if (policyResult.blocked) {
+          store.changesReviewed = false;
+          const policyError = `Push blocked by policy: ${policyResult.violations.length} violation(s)`;
+
+          logRequest('git_push', {
+            repo_name: repoName,
+            project_path: projectPath,
+            remote_name: remoteName,
+            local_branch: localBranch,
+            remote_branch: remoteBranch,
+            git_push_flags: gitPushFlags,
+            push_mode: pushMode,
+            feature_branch: featureBranch,
+            message
+          }, { violations: policyResult.violations }, policyError, repoName);
+
+          recordPushHistory(message, null, policyError, repoName, toolContext, historyDetails);
+
+          outcome = {
+            content: [
+              { type: 'text', text: '⛔ ERROR: Push blocked by the pre-push policy. Changes were committed locally but nothing was pushed.' },
+              ...policyResult.violations.map(v => ({ type: 'text', text: `❌ [${v.check}] ${v.message}` })),
+              ...policyResult.warnings.map(w => ({ type: 'text', text: `⚠️ [${w.check}] ${w.message}` })),
+              { type: 'text', text: '🔧 REQUIRED ACTION: Remove or fix the offending files in a new commit, then call git_push again.' },
+              { type: 'text', text: `📋 Policy file: ${policyPath}` }
+            ],
+            isError: true,
+            errorCode: 'PUSH_POLICY_VIOLATION',
+            violations: policyResult.violations,
+            warnings: policyResult.warnings,
+            feature_branch: featureBranch
+          };
+          return outcome;
         }
       }
 
       const pushFlags = gitPushFlags.trim() ? gitPushFlags.trim().split(/\s+/) : [];
-      const pushArgs = ['push', remoteName, `${localBranch}:${remoteBranch}`].concat(pushFlags);
+      const pushArgs = ['push']
+        .concat(featureBranch ? ['--set-upstream'] : [])
+        .concat([remoteName, `${sourceBranch}:${targetBranch}`], pushFlags);
       
       const result = await this.executeGitCommand(pushArgs, 'git_push_final', 300000, toolContext);
+      const mergeRequestUrl = extractMergeRequestUrl(result.stderr);
+      historyDetails.merge_request_url = mergeRequestUrl;
 
       logRequest('git_push', {
         repo_name: repoName,
@@ -279,31 +622,67 @@ class FinalMCPServer {
         local_branch: localBranch,
         remote_branch: remoteBranch,
         git_push_flags: gitPushFlags,
+        push_mode: pushMode,
+        feature_branch: featureBranch,
         message
       }, result, null, repoName);
 
-      recordPushHistory(message, result, null, repoName, toolContext);
+      recordPushHistory(message, result, null, repoName, toolContext, historyDetails);
 
       clearPendingChanges(repoName);
-      changesReviewed = false;
+      store.changesReviewed = false;
 
-      return {
+      const response = {
         success: true,
         repo_name: repoName,
         project_path: projectPath,
         remote_name: remoteName,
         local_branch: localBranch,
-        remote_branch: remoteBranch,
+        remote_branch: targetBranch,
         git_push_flags: gitPushFlags,
         message: message,
-        cleared_changes: pendingChanges.length,
+        commit_message: commitMessage,
+        commit_scope: commitScope,
+        commit_body: commitBody,
+        signed_commit: signing.sign_commits,
+        author: historyDetails.author,
+        committer: historyDetails.committer,
+        trailers: commitTrailers,
+        push_mode: pushMode,
+        merge_request_url: mergeRequestUrl,
+        cleared_changes: store.pendingChanges.length,
         review_status_reset: true,
         output: result.stdout,
         error_output: result.stderr,
         exit_code: result.exitCode
       };
+
+      if (selection) {
+        response.committed_files = selection.commitPaths;
+        response.excluded_files = selection.excludedFiles;
+        response.unchanged_files = selection.unchangedFiles;
+      }
+
+      if (syncResult) {
+        response.sync = syncResult;
+      }
+
+      if (policyResult) {
+        response.policy_warnings = policyResult.warnings;
+      }
+
+      if (messageProblems.length > 0) {
+        response.commit_message_warnings = messageProblems;
+      }
+
+      if (featureBranch) {
+        response.feature_branch = featureBranch;
+      }
+
+      outcome = response;
+      return response;
     } catch (err) {
-      changesReviewed = false;
+      store.changesReviewed = false;
 
       logRequest('git_push', {
         repo_name: repoName,
@@ -312,24 +691,290 @@ class FinalMCPServer {
         local_branch: localBranch,
         remote_branch: remoteBranch,
         git_push_flags: gitPushFlags,
+        push_mode: pushMode,
+        feature_branch: featureBranch,
         message
       }, null, err.error || err.message, repoName);
 
-      recordPushHistory(message, null, err.error || err.message, repoName, toolContext);
+      recordPushHistory(message, null, err.error || err.message, repoName, toolContext, historyDetails);
+
+      outcome = toToolError(featureBranch ? `Git push of feature branch ${featureBranch} failed` : 'Git push failed', err);
+      throw outcome;
+    } finally {
+      // Every attempt, failed or not, must leave the repository on the local branch again
+      if (featureBranch) {
+        const returnedTo = await this.returnToLocalBranch(featureBranch, toolContext);
+        const branchState = { returned_to_branch: returnedTo };
+        if (!returnedTo) {
+          branchState.left_on_branch = featureBranch;
+        }
+        if (outcome instanceof Error) {
+          outcome.data = { ...(outcome.data || {}), feature_branch: featureBranch, ...branchState };
+        } else if (outcome) {
+          Object.assign(outcome, branchState);
+        }
+      }
+    }
+  }
+
+  // git_push with dry_run: report the files, message and commits a push would involve and
+  // let `git push --dry-run` check the remote. The repository, pending changes and review status are left alone.
+  async dryRunPush({ message, commitMessage, commitScope, commitBody, pushMode, policy, messageProblems }, toolContext = {}) {
+    const prePushSync = toolContext.PRE_PUSH_SYNC || process.env.PRE_PUSH_SYNC || 'off';
+    const remoteName = toolContext.REMOTE_NAME || 'origin';
+    const localBranch = toolContext.LOCAL_BRANCH || 'main';
+    const remoteBranch = toolContext.REMOTE_BRANCH || 'main';
+    const repoName = toolContext.REPO_NAME || '';
+    const gitPushFlags = toolContext.GIT_PUSH_FLAGS || '--progress';
+    const store = getRepoStore(repoName);
+
+    let featureBranch = null;
+    try {
+      const preview = await this.previewCommitFiles(commitScope, store.pendingChanges, toolContext);
+
+      // A feature branch would be created from the current HEAD
+      featureBranch = pushMode === 'feature_branch' ? await this.resolveFeatureBranchName(message, toolContext) : null;
+      const sourceRef = featureBranch ? 'HEAD' : localBranch;
+      const targetBranch = featureBranch || remoteBranch;
+
+      // Commits that are already on the branch but not on the remote (`git log REMOTE/REMOTE_BRANCH..LOCAL_BRANCH`)
+      const remoteRef = `${remoteName}/${remoteBranch}`;
+      const remoteExists = await this.refExists(`refs/remotes/${remoteRef}`, toolContext);
+      const range = remoteExists ? `${remoteRef}..${sourceRef}` : sourceRef;
+      const countResult = await this.executeGitCommand(['rev-list', '--count', range], 'git_push_dry_run', 30000, toolContext);
+      const logResult = await this.executeGitCommand(['log', buildLogFormat(), `--max-count=${DRY_RUN_MAX_COMMITS}`, range, '--'], 'git_push_dry_run', 30000, toolContext);
+      const commits = parseLog(logResult.stdout).map(commit => ({
+        hash: commit.hash,
+        short_hash: commit.short_hash,
+        author: commit.author,
+        date: commit.date,
+        message: commit.message
+      }));
+      const commitCount = parseInt(countResult.stdout.trim(), 10) || 0;
+
+      // The new commit does not exist yet, so the remote only sees the commits above
+      const pushFlags = gitPushFlags.trim() ? gitPushFlags.trim().split(/\s+/) : [];
+      const pushArgs = ['push', '--dry-run', remoteName, `${sourceRef}:${featureBranch ? `refs/heads/${featureBranch}` : targetBranch}`, ...pushFlags];
+      let pushCheck;
+      try {
+        const result = await this.executeGitCommand(pushArgs, 'git_push_dry_run', 300000, toolContext);
+        pushCheck = { success: true, output: result.stdout, error_output: result.stderr };
+      } catch (err) {
+        pushCheck = { success: false, code: err.code || null, hint: err.hint || null, output: err.stdout || '', error_output: err.stderr || err.message };
+      }
+
+      logRequest('git_push', {
+        repo_name: repoName,
+        project_path: toolContext.PROJECT_PATH || '',
+        remote_name: remoteName,
+        local_branch: localBranch,
+        remote_branch: remoteBranch,
+        git_push_flags: gitPushFlags,
+        push_mode: pushMode,
+        feature_branch: featureBranch,
+        dry_run: true,
+        message
+      }, pushCheck, pushCheck.success ? null : pushCheck.error_output, repoName);
+
+      // Everything that would stop the real git_push
+      const blockedBy = [];
+      const approvalMode = getApprovalMode(toolContext);
+      const approval = await this.checkPushApproval(store, approvalMode, commitScope, toolContext);
+      if (!approval.allowed) {
+        blockedBy.push(approval.code);
+      }
+      const currentBranch = await this.readCurrentBranch(toolContext);
+      if (currentBranch !== localBranch) {
+        blockedBy.push('NOT_ON_LOCAL_BRANCH');
+      }
+      if (store.pendingChanges.length > getMaxPendingChanges(toolContext)) {
+        blockedBy.push('PENDING_CHANGES_OVERFLOW');
+      }
+      if (messageProblems.length > 0 && policy.commit_message.action === 'block') {
+        blockedBy.push('COMMIT_MESSAGE_INVALID');
+      }
+      // PRE_PUSH_SYNC would integrate the remote commits before the real push
+      if (!pushCheck.success && !(prePushSync !== 'off' && pushCheck.code === 'NON_FAST_FORWARD')) {
+        blockedBy.push(pushCheck.code || 'PUSH_DRY_RUN_FAILED');
+      }
+
+      const response = {
+        success: true,
+        dry_run: true,
+        repo_name: repoName,
+        project_path: toolContext.PROJECT_PATH || '',
+        remote_name: remoteName,
+        local_branch: localBranch,
+        remote_branch: targetBranch,
+        git_push_flags: gitPushFlags,
+        message: message,
+        commit_message: commitMessage,
+        commit_scope: commitScope,
+        commit_body: commitBody,
+        push_mode: pushMode,
+        runs_git_add: preview.runs_git_add,
+        files: preview.files,
+        excluded_files: preview.excluded_files,
+        unchanged_files: preview.unchanged_files,
+        will_commit: preview.files.length > 0,
+        remote_ref: remoteRef,
+        remote_exists: remoteExists,
+        commits_to_push: commits,
+        commits_to_push_count: commitCount,
+        commits_truncated: commitCount > commits.length,
+        push_check: pushCheck,
+        pre_push_sync: prePushSync,
+        pending_changes: store.pendingChanges.length,
+        changes_reviewed: store.changesReviewed,
+        approval_mode: approvalMode,
+        approvals: summarizeApprovals(store.pendingChanges),
+        would_push: blockedBy.length === 0,
+        current_branch: currentBranch,
+        blocked_by: blockedBy
+      };
+
+      if (featureBranch) {
+        response.feature_branch = featureBranch;
+      }
+
+      if (messageProblems.length > 0) {
+        response.commit_message_warnings = messageProblems;
+      }
+
+      return response;
+    } catch (err) {
+      throw toToolError(featureBranch ? `Git push dry run of feature branch ${featureBranch} failed` : 'Git push dry run failed', err);
+    }
+  }
+
+  // Create and switch to a new branch named after FEATURE_BRANCH_TEMPLATE, carrying over uncommitted changes
+  async createFeatureBranch(message, toolContext = {}) {
+    const name = await this.resolveFeatureBranchName(message, toolContext);
+    await this.executeGitCommand(['checkout', '-b', name], 'git_feature_branch_create', 30000, toolContext);
+    return name;
+  }
+
+  // First free branch name for FEATURE_BRANCH_TEMPLATE ("name", "name-2", ...)
+  async resolveFeatureBranchName(message, toolContext = {}) {
+    const remoteName = toolContext.REMOTE_NAME || 'origin';
+    const template = toolContext.FEATURE_BRANCH_TEMPLATE || process.env.FEATURE_BRANCH_TEMPLATE || DEFAULT_FEATURE_BRANCH_TEMPLATE;
+    const baseName = buildFeatureBranchName(template, { message, repoName: toolContext.REPO_NAME });
+    await this.validateBranchName(baseName, toolContext);
+
+    const branchExists = async (name) => {
+      for (const ref of [`refs/heads/${name}`, `refs/remotes/${remoteName}/${name}`]) {
+        try {
+          await this.executeGitCommand(['rev-parse', '--verify', '--quiet', ref], 'git_branch_exists', 30000, toolContext);
+          return true;
+        } catch (err) {
+          // Ref does not exist
+        }
+      }
+      return false;
+    };
+
+    let name = baseName;
+    for (let i = 2; await branchExists(name); i++) {
+      if (i > 100) {
+        throw new Error(`Could not find a free branch name for ${baseName}`);
+      }
+      name = `${baseName}-${i}`;
+    }
+    return name;
+  }
+
+  // Branch checked out in the project, or null for a detached HEAD
+  async readCurrentBranch(toolContext = {}) {
+    try {
+      const result = await this.executeGitCommand(['symbolic-ref', '--short', '-q', 'HEAD'], 'git_branch_check', 30000, toolContext);
+      return result.stdout.trim() || null;
+    } catch (err) {
+      if (err.exitCode === 1) {
+        return null;
+      }
+      throw toToolError('Git branch check failed', err);
+    }
+  }
+
+  // Tools that commit on or push LOCAL_BRANCH refuse to run while another branch is checked out;
+  // returns null when LOCAL_BRANCH is checked out
+  async localBranchErrorResult(toolName, toolContext = {}) {
+    const localBranch = toolContext.LOCAL_BRANCH || 'main';
+    const currentBranch = await this.readCurrentBranch(toolContext);
+    if (currentBranch === localBranch) {
+      return null;
+    }
+    const checkoutToolName = TOOL_PREFIX ? `${TOOL_PREFIX}_git_checkout` : 'git_checkout';
+    return this.toolErrorResult('NOT_ON_LOCAL_BRANCH', [
+      `⛔ ERROR: ${currentBranch ? `Branch "${currentBranch}"` : 'A detached HEAD'} is checked out, but ${toolName} works on LOCAL_BRANCH "${localBranch}". Nothing was changed.`,
+      `🔧 REQUIRED ACTION: Switch back with "${checkoutToolName}" {"repo": "${toolContext.REPO_NAME || ''}", "branch": "${localBranch}"}, then call ${toolName} again.`
+    ], { current_branch: currentBranch, local_branch: localBranch });
+  }
+
+  // Switch back to LOCAL_BRANCH after a feature branch push so the next push starts from it again
+  async returnToLocalBranch(featureBranch, toolContext = {}) {
+    const localBranch = toolContext.LOCAL_BRANCH || 'main';
+    try {
+      await this.executeGitCommand(['checkout', localBranch], 'git_checkout_local_branch', 30000, toolContext);
+      return localBranch;
+    } catch (err) {
+      console.error(`Warning: could not switch back to ${localBranch}, staying on ${featureBranch}:`, err.message);
+      return null;
+    }
+  }
 
-      throw new Error(`Git push failed: ${err.error || err.message}`);
+  async commitSelectedFiles(selectedFiles, message, toolContext = {}) {
+    const statusResult = await this.executeGitCommand([...STATUS_ARGS, '--untracked-files=all'], 'git_status_check', 30000, toolContext);
+    const selection = selectCommitPaths(parseStatus(statusResult.stdout).entries, selectedFiles);
+
+    if (selection.commitPaths.length === 0) {
+      console.error('✓ No recorded files have changes, proceeding with push');
+      return selection;
+    }
+
+    if (selection.addPaths.length > 0) {
+      await this.executeGitCommand(['add', '-A', '--', ...selection.addPaths], 'git_add_selected', 60000, toolContext);
+    }
+    await this.executeGitCommand([...this.commitConfigArgs(toolContext), 'commit', '-m', message, '--', ...selection.commitPaths], 'git_commit_selected', 30000, toolContext);
+    console.error(`✓ Committed ${selection.commitPaths.length} recorded file(s)`);
+
+    if (selection.excludedFiles.length > 0) {
+      console.error(`✓ Left ${selection.excludedFiles.length} unrecorded modified file(s) out of the commit`);
     }
+
+    return selection;
   }
 
   async get_push_history(params, toolContext = {}) {
-    const last5Records = pushHistory.slice(0, 5);
+    const { limit = 5, offset = 0 } = params || {};
+
+    if (typeof limit !== 'number' || limit < 1 || limit > 1000) {
+      throw new Error('limit parameter must be between 1-1000');
+    }
+
+    if (typeof offset !== 'number' || offset < 0) {
+      throw new Error('offset parameter must be greater than or equal to 0');
+    }
+
+    const filters = getQueryFilters(params, 'push_history', toolContext);
+    const { total, entries: records } = storage.query('push_history', filters, { limit, offset });
+
+    let message;
+    if (records.length > 0) {
+      message = `Found ${records.length} recent push record(s). Please review them to ensure your current changes have not been pushed before. After reviewing, you can proceed with git_push.`;
+    } else if (filters.active) {
+      message = 'No push records match the filters.';
+    } else {
+      message = 'No push history found. This appears to be the first push. You can now proceed with git_push.';
+    }
 
     return {
-      total: pushHistory.length,
-      records: last5Records,
-      message: last5Records.length > 0
-        ? `Found ${last5Records.length} recent push record(s). Please review them to ensure your current changes have not been pushed before. After reviewing, you can proceed with git_push.`
-        : 'No push history found. This appears to be the first push. You can now proceed with git_push.'
+      total: total,
+      records: records,
+      limit: limit,
+      offset: offset,
+      hasMore: offset + limit < total,
+      message: message
     };
   }
 
@@ -344,45 +989,46 @@ class FinalMCPServer {
       throw new Error('offset parameter must be greater than or equal to 0');
     }
 
-    const logs = operationLogs.slice(offset, offset + limit);
+    // From memory with the json backend, from the database with sqlite
+    const filters = getQueryFilters(params, 'operation_logs', toolContext);
+    const { total, entries: logs } = storage.query('operation_logs', filters, { limit, offset });
 
     return {
       logs: logs,
-      total: operationLogs.length,
+      total: total,
       limit: limit,
       offset: offset,
-      hasMore: offset + limit < operationLogs.length
+      hasMore: offset + limit < total
     };
   }
 
   async save_changes(params, toolContext = {}) {
     const { files, content, repo, limit = 1000 } = params;
     const repoName = toolContext.REPO_NAME || '';
+    const store = getRepoStore(repoName);
 
     if (repo && files === undefined && content === undefined) {
-      let filteredChanges = pendingChanges;
-      if (repo && MULTI_INSTANCE.length > 0) {
-        const targetInstance = MULTI_INSTANCE.find(i => i.REPO_NAME === repo);
-        if (targetInstance) {
-          filteredChanges = pendingChanges.filter(c => c.project_path === targetInstance.PROJECT_PATH);
-        }
+      const approvalMode = getApprovalMode(toolContext);
+      if (approvalMode === 'review') {
+        store.changesReviewed = true;
       }
 
-      changesReviewed = true;
-
-      const changes = filteredChanges.slice(0, limit);
+      const changes = store.pendingChanges.slice(0, limit);
 
       logRequest('save_changes', {
         repo: repo,
         limit: limit,
-        total_changes: filteredChanges.length
-      }, { success: true }, null, repo);
+        total_changes: store.pendingChanges.length
+      }, { success: true }, null, repoName);
 
       return {
         success: true,
         changes: changes,
-        total: filteredChanges.length,
-        message: `Found ${filteredChanges.length} pending change(s). Changes have been marked as reviewed. You can now proceed with git_push.`
+        total: store.pendingChanges.length,
+        drift: await this.checkChangeDrift(store.pendingChanges, toolContext),
+        approval_mode: approvalMode,
+        approvals: summarizeApprovals(store.pendingChanges),
+        message: this.pendingChangesMessage(store.pendingChanges, approvalMode)
       };
     }
 
@@ -394,26 +1040,30 @@ class FinalMCPServer {
       throw new Error('content parameter must be a non-empty string');
     }
 
+    const maxChanges = getMaxPendingChanges(toolContext);
+
     if (!files.every(file => typeof file === 'string' && file.trim())) {
       throw new Error('all files must be non-empty strings');
     }
 
-    const changeEntry = {
-      id: Date.now(),
+    const changeEntry = normalizeChangeEntry({
+      id: nextEntryId(store.pendingChanges),
       timestamp: new Date().toISOString(),
       repo_name: repoName,
       project_path: toolContext.PROJECT_PATH || '',
       files: files.map(f => f.trim()),
-      content: content.trim(),
-      reviewed: false
-    };
+      content: content.trim()
+    });
 
-    pendingChanges.unshift(changeEntry);
-    if (pendingChanges.length > MAX_PENDING_CHANGES) {
-      pendingChanges.splice(MAX_PENDING_CHANGES);
-    }
+    // Record what the files look like now so get_pending_changes can detect drift
+    const snapshotError = await this.snapshotChange(changeEntry, toolContext);
+
+    // Over the limit, old pending entries for the same files are merged; nothing is dropped,
+    // and git_push is blocked while the list is still too long.
+    store.pendingChanges.unshift(changeEntry);
+    const consolidated = consolidateChanges(store.pendingChanges, maxChanges);
 
-    savePendingChanges(repoName);
+    savePendingChanges(store);
 
     logRequest('save_changes', {
       files: files,
@@ -421,13 +1071,31 @@ class FinalMCPServer {
       change_id: changeEntry.id
     }, { success: true }, null, repoName);
 
-    return {
+    const unchangedFiles = (changeEntry.snapshots || []).filter(snapshot => !snapshot.changed).map(snapshot => snapshot.file);
+    const response = {
       success: true,
       change_id: changeEntry.id,
-      message: `Successfully saved ${files.length} file changes. Total pending changes: ${pendingChanges.length}`,
+      message: `Successfully saved ${files.length} file changes. Total pending changes: ${store.pendingChanges.length}`,
       files_count: files.length,
-      content_length: content.length
+      content_length: content.length,
+      unchanged_files: unchangedFiles,
+      capacity: describeCapacity(store.pendingChanges.length, maxChanges)
     };
+    if (consolidated.length > 0) {
+      response.consolidated = consolidated;
+    }
+    if (response.capacity.over_limit) {
+      response.limit_warning = `${store.pendingChanges.length} pending changes exceed MAX_PENDING_CHANGES (${maxChanges}) and could not be consolidated. git_push is blocked until you squash_changes or delete_change entries.`;
+    } else if (response.capacity.near_limit) {
+      response.limit_warning = `${store.pendingChanges.length} of ${maxChanges} pending changes used. Squash related entries with squash_changes; further saves merge old pending entries for the same files.`;
+    }
+    if (unchangedFiles.length > 0) {
+      response.warning = `${unchangedFiles.length} file(s) have no changes in the working tree: ${unchangedFiles.join(', ')}. Check that the description matches the actual changes.`;
+    }
+    if (snapshotError) {
+      response.snapshot_error = snapshotError;
+    }
+    return response;
   }
 
   async get_pending_changes(params, toolContext = {}) {
@@ -441,264 +1109,2726 @@ class FinalMCPServer {
       throw new Error('offset parameter must be greater than or equal to 0');
     }
 
-    let filteredChanges = pendingChanges;
-    if (repo && MULTI_INSTANCE.length > 0) {
-      const targetInstance = MULTI_INSTANCE.find(i => i.REPO_NAME === repo);
-      if (targetInstance) {
-        filteredChanges = pendingChanges.filter(c => c.project_path === targetInstance.PROJECT_PATH);
-      }
+    const filters = getQueryFilters(params, 'pending_changes', toolContext);
+    const repoName = toolContext.REPO_NAME || '';
+    const store = getRepoStore(repoName);
+    const { pendingChanges } = store;
+    const approvalMode = getApprovalMode(toolContext);
+
+    // Viewing the changes only counts as the review in APPROVAL_MODE "review";
+    // the other modes need approve_changes
+    if (approvalMode === 'review') {
+      store.changesReviewed = true;
     }
 
-    changesReviewed = true;
-
     logRequest('get_pending_changes', {
       repo: repo,
       limit: limit,
       offset: offset,
-      total_changes: filteredChanges.length
-    }, { success: true }, null, repo);
+      total_changes: pendingChanges.length
+    }, { success: true }, null, repoName);
 
-    const changes = filteredChanges.slice(offset, offset + limit);
+    // The matching pending changes; drift, capacity and approvals cover all of this repository's changes
+    const { total, entries: changes } = storage.query('pending_changes', filters, { limit, offset });
+    const drift = await this.checkChangeDrift(pendingChanges, toolContext);
 
     return {
       changes: changes,
-      total: filteredChanges.length,
+      total: total,
       limit: limit,
       offset: offset,
-      hasMore: offset + limit < filteredChanges.length,
-      message: filteredChanges.length > 0
-        ? `Found ${pendingChanges.length} pending change(s). Changes have been marked as reviewed. You can now proceed with git_push.`
-        : 'No pending changes found.'
+      hasMore: offset + limit < total,
+      drift: drift,
+      capacity: describeCapacity(pendingChanges.length, getMaxPendingChanges(toolContext)),
+      approval_mode: approvalMode,
+      approvals: summarizeApprovals(pendingChanges),
+      message: this.pendingChangesMessage(pendingChanges, approvalMode)
     };
   }
 
-  async git_status(params, toolContext = {}) {
-    const projectPath = toolContext.PROJECT_PATH || '';
+  // Edit the files or description of a pending change; the previous version goes to edit_history
+  async update_change(params, toolContext = {}) {
+    const { change_id, files, content } = params || {};
+    const repoName = toolContext.REPO_NAME || '';
+    const store = getRepoStore(repoName);
+    const id = validateChangeId(change_id);
 
-    try {
-      const result = await this.executeGitCommand(['status', '--porcelain'], 'git_status', 30000, toolContext);
-      return {
-        success: true,
-        status: result.stdout.trim(),
-        has_changes: result.stdout.trim().length > 0,
-        project_path: projectPath,
-        message: result.stdout.trim().length > 0
-          ? 'Working directory has uncommitted changes'
-          : 'Working directory is clean'
-      };
-    } catch (err) {
-      throw new Error(`Git status failed: ${err.error || err.message}`);
+    if (files === undefined && content === undefined) {
+      throw new Error('files or content parameter is required');
     }
-  }
 
-  async git_diff(params, toolContext = {}) {
-    const { staged = false, files = [] } = params || {};
-    const projectPath = toolContext.PROJECT_PATH || '';
+    const [change] = this.findChangesById(store, [id]);
+    updateChangeEntry(change, {
+      files: files === undefined ? undefined : validateFiles(files),
+      content: content === undefined ? undefined : validateContent(content)
+    });
+    const snapshotError = await this.snapshotChange(change, toolContext);
 
-    try {
-      const args = ['diff'];
-      if (staged) {
-        args.push('--cached');
-      }
-      if (files && files.length > 0) {
-        args.push('--', ...files);
-      }
+    // The edited description has to be reviewed again
+    store.changesReviewed = false;
+    savePendingChanges(store);
 
-      const result = await this.executeGitCommand(args, 'git_diff', 30000, toolContext);
-      return {
-        success: true,
-        diff: result.stdout,
-        has_changes: result.stdout.trim().length > 0,
-        staged: staged,
-        files: files || [],
-        project_path: projectPath
-      };
-    } catch (err) {
-      throw new Error(`Git diff failed: ${err.error || err.message}`);
+    logRequest('update_change', {
+      change_id: id,
+      files: change.files,
+      content_length: change.content.length
+    }, { success: true }, null, repoName);
+
+    const response = {
+      success: true,
+      repo_name: repoName,
+      change: change,
+      message: `Updated change ${id}. It has to be reviewed${getApprovalMode(toolContext) !== 'review' ? ' and approved' : ''} again before git_push.`
+    };
+    if (snapshotError) {
+      response.snapshot_error = snapshotError;
     }
+    return response;
   }
 
-  async git_add(params, toolContext = {}) {
-    const { files = ['.'] } = params || {};
-    const projectPath = toolContext.PROJECT_PATH || '';
+  // Remove a pending change; the removed entry is kept in the operation log
+  async delete_change(params, toolContext = {}) {
+    const { change_id, reason, approval_token } = params || {};
+    const repoName = toolContext.REPO_NAME || '';
+    const store = getRepoStore(repoName);
+    const approvalMode = getApprovalMode(toolContext);
+    const approvalToken = toolContext.APPROVAL_TOKEN || process.env.APPROVAL_TOKEN || '';
+    const id = validateChangeId(change_id);
 
-    try {
-      const args = ['add', ...files];
-      const result = await this.executeGitCommand(args, 'git_add', 30000, toolContext);
+    if (reason !== undefined && typeof reason !== 'string') {
+      throw new Error('reason parameter must be a string');
+    }
 
-      return {
-        success: true,
-        files_added: files,
-        output: result.stdout,
-        project_path: projectPath,
-        message: `Successfully added ${files.length} file(s) to staging area`
+    const [change] = this.findChangesById(store, [id]);
+
+    // A reviewed change carries a reviewer's decision (a rejection blocks git_push), so outside the
+    // review mode only the approval token may discard it. Reworked changes are pending again but keep their review_history.
+    if (approvalMode !== 'review' && change.review_history.length > 0 && !verifyApprovalToken(approval_token, approvalToken)) {
+      logRequest('delete_change', { change_id: id, status: change.status, reason: reason || null }, null, 'Approval token required to delete a reviewed change', repoName);
+      return this.toolErrorResult('CHANGE_DELETE_NOT_ALLOWED', [
+        `⛔ ERROR: Change ${id} was reviewed (status ${change.status}, APPROVAL_MODE "${approvalMode}"). Nothing was deleted.`,
+        approvalToken
+          ? '🔧 REQUIRED ACTION: Rework the change with update_change and have it approved again, or ask the user for the approval token to delete it. Do not guess it.'
+          : '🔧 REQUIRED ACTION: Rework the change with update_change and have it approved again. Deleting it needs an APPROVAL_TOKEN for this repository, which only the user can set.'
+      ], { change_id: id, status: change.status });
+    }
+
+    store.pendingChanges.splice(store.pendingChanges.indexOf(change), 1);
+    savePendingChanges(store);
+
+    logRequest('delete_change', {
+      change_id: id,
+      reason: reason || null,
+      deleted_change: change
+    }, { success: true }, null, repoName);
+
+    return {
+      success: true,
+      repo_name: repoName,
+      deleted: change,
+      total: store.pendingChanges.length,
+      message: `Deleted change ${id}. Remaining pending changes: ${store.pendingChanges.length}`
+    };
+  }
+
+  // Merge several pending changes into the newest of them
+  async squash_changes(params, toolContext = {}) {
+    const { change_ids, content } = params || {};
+    const repoName = toolContext.REPO_NAME || '';
+    const store = getRepoStore(repoName);
+
+    if (!Array.isArray(change_ids) || new Set(change_ids.map(id => validateChangeId(id, 'change_ids'))).size < 2) {
+      throw new Error('change_ids parameter must list at least two different change ids');
+    }
+
+    const entries = this.findChangesById(store, change_ids);
+    const merged = squashChangeEntries(entries, content === undefined ? undefined : validateContent(content));
+    const snapshotError = await this.snapshotChange(merged, toolContext);
+
+    const index = store.pendingChanges.indexOf(entries[0]);
+    store.pendingChanges[index] = merged;
+    entries.slice(1).forEach(entry => store.pendingChanges.splice(store.pendingChanges.indexOf(entry), 1));
+
+    store.changesReviewed = false;
+    savePendingChanges(store);
+
+    logRequest('squash_changes', {
+      change_ids: entries.map(entry => entry.id),
+      change_id: merged.id,
+      files: merged.files
+    }, { success: true }, null, repoName);
+
+    const response = {
+      success: true,
+      repo_name: repoName,
+      change: merged,
+      squashed: entries.map(entry => entry.id),
+      total: store.pendingChanges.length,
+      message: `Squashed ${entries.length} changes into change ${merged.id}. It has to be reviewed${getApprovalMode(toolContext) !== 'review' ? ' and approved' : ''} again before git_push.`
+    };
+    if (snapshotError) {
+      response.snapshot_error = snapshotError;
+    }
+    return response;
+  }
+
+  // Attach working tree snapshots to a change entry; returns the error message when git fails
+  async snapshotChange(changeEntry, toolContext = {}) {
+    try {
+      changeEntry.snapshots = await snapshotFiles((args, timeout = 30000) => this.executeGitCommand(args, 'save_changes_snapshot', timeout, toolContext), changeEntry.files);
+      return null;
+    } catch (err) {
+      console.error(`Failed to snapshot changed files for ${toolContext.REPO_NAME || '(default)'}:`, err.message);
+      return err.message;
+    }
+  }
+
+  // Compare the pending changes with the working tree (null when there are none)
+  async checkChangeDrift(changes, toolContext = {}) {
+    if (changes.length === 0) {
+      return null;
+    }
+    try {
+      return await detectDrift((args, timeout = 30000) => this.executeGitCommand(args, 'get_pending_changes_drift', timeout, toolContext), changes);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  pendingChangesMessage(changes, mode) {
+    if (changes.length === 0) {
+      return 'No pending changes found.';
+    }
+    const approval = checkApproval(changes, { mode, reviewed: true });
+    if (approval.allowed) {
+      return mode === 'review'
+        ? `Found ${changes.length} pending change(s). Changes have been marked as reviewed. You can now proceed with git_push.`
+        : `Found ${changes.length} pending change(s). All changes are approved. You can now proceed with git_push.`;
+    }
+    if (approval.code === 'CHANGES_REJECTED') {
+      return `Found ${changes.length} pending change(s). ${approval.change_ids.length} change(s) were rejected or need rework; git_push is blocked until they are approved again.`;
+    }
+    return mode === 'token'
+      ? `Found ${changes.length} pending change(s). ${approval.change_ids.length} change(s) still need approval with approve_changes and the approval token from a human reviewer.`
+      : `Found ${changes.length} pending change(s). ${approval.change_ids.length} change(s) still need approval with approve_changes before git_push.`;
+  }
+
+  // Select change entries of a repository by id; every id must exist
+  findChangesById(store, changeIds) {
+    if (!Array.isArray(changeIds) || changeIds.length === 0) {
+      throw new Error('change_ids parameter must be a non-empty array of change ids');
+    }
+    const ids = changeIds.map(id => Number(id));
+    const missing = changeIds.filter((id, index) => !store.pendingChanges.some(change => change.id === ids[index]));
+    if (missing.length > 0) {
+      throw new Error(`Unknown change id(s): ${missing.join(', ')}`);
+    }
+    return store.pendingChanges.filter(change => ids.includes(change.id));
+  }
+
+  // Approve pending changes; in APPROVAL_MODE "token" the token handed out by a human is required
+  async approve_changes(params, toolContext = {}) {
+    const { change_ids, reviewer, comment, approval_token } = params || {};
+    const repoName = toolContext.REPO_NAME || '';
+    const store = getRepoStore(repoName);
+    const approvalMode = getApprovalMode(toolContext);
+    const approvalToken = toolContext.APPROVAL_TOKEN || process.env.APPROVAL_TOKEN || '';
+
+    if (reviewer !== undefined && (typeof reviewer !== 'string' || !reviewer.trim())) {
+      throw new Error('reviewer parameter must be a non-empty string');
+    }
+
+    if (comment !== undefined && typeof comment !== 'string') {
+      throw new Error('comment parameter must be a string');
+    }
+
+    // Without change_ids every change still waiting for a decision is approved
+    const changes = change_ids === undefined
+      ? store.pendingChanges.filter(change => change.status === 'pending')
+      : this.findChangesById(store, change_ids);
+
+    let tokenVerified = false;
+    if (approvalMode === 'token') {
+      if (!approvalToken) {
+        return this.toolErrorResult('APPROVAL_TOKEN_NOT_CONFIGURED', [
+          `⛔ ERROR: APPROVAL_MODE is "token" but no APPROVAL_TOKEN is configured for ${repoName}. Nothing was approved.`,
+          '🔧 REQUIRED ACTION: Ask the user to set APPROVAL_TOKEN for this repository.'
+        ]);
+      }
+      tokenVerified = verifyApprovalToken(approval_token, approvalToken);
+      if (!tokenVerified) {
+        logRequest('approve_changes', { change_ids: changes.map(change => change.id), reviewer }, null, 'Invalid approval token', repoName);
+        return this.toolErrorResult('APPROVAL_TOKEN_INVALID', [
+          '⛔ ERROR: The approval token is missing or invalid. Nothing was approved.',
+          '🔧 REQUIRED ACTION: Ask the user to review the pending changes and provide the approval token. Do not guess it.'
+        ]);
+      }
+    }
+
+    changes.forEach(change => applyReview(change, { status: 'approved', reviewer: reviewer ? reviewer.trim() : null, comment, tokenVerified }));
+    savePendingChanges(store);
+
+    logRequest('approve_changes', {
+      change_ids: changes.map(change => change.id),
+      reviewer,
+      token_verified: tokenVerified
+    }, { success: true }, null, repoName);
+
+    // push_allowed also reflects working tree changes the approved entries do not cover
+    const approval = await this.checkPushApproval(store, approvalMode, toolContext.COMMIT_SCOPE || process.env.COMMIT_SCOPE || 'all', toolContext);
+    return {
+      success: true,
+      repo_name: repoName,
+      approved: changes.map(change => change.id),
+      approval_mode: approvalMode,
+      approvals: summarizeApprovals(store.pendingChanges),
+      push_allowed: approval.allowed,
+      blocked_by: approval.code,
+      message: changes.length > 0
+        ? `Approved ${changes.length} change(s).${approval.allowed ? ' You can now proceed with git_push.' : ''}`
+        : 'No pending changes to approve.'
+    };
+  }
+
+  // Reject changes or send them back for rework; either blocks git_push until they are approved again
+  async reject_changes(params, toolContext = {}) {
+    const { change_ids, reviewer, comment, status = 'rejected' } = params || {};
+    const repoName = toolContext.REPO_NAME || '';
+    const store = getRepoStore(repoName);
+
+    if (!['rejected', 'needs_rework'].includes(status)) {
+      throw new Error('status parameter must be one of: rejected, needs_rework');
+    }
+
+    if (reviewer !== undefined && (typeof reviewer !== 'string' || !reviewer.trim())) {
+      throw new Error('reviewer parameter must be a non-empty string');
+    }
+
+    if (!comment || typeof comment !== 'string' || !comment.trim()) {
+      throw new Error('comment parameter must be a non-empty string explaining the decision');
+    }
+
+    const changes = this.findChangesById(store, change_ids);
+    changes.forEach(change => applyReview(change, { status, reviewer: reviewer ? reviewer.trim() : null, comment: comment.trim() }));
+    savePendingChanges(store);
+
+    logRequest('reject_changes', {
+      change_ids: changes.map(change => change.id),
+      reviewer,
+      status
+    }, { success: true }, null, repoName);
+
+    return {
+      success: true,
+      repo_name: repoName,
+      status: status,
+      changes: changes.map(change => change.id),
+      approval_mode: getApprovalMode(toolContext),
+      approvals: summarizeApprovals(store.pendingChanges),
+      push_allowed: false,
+      message: `Marked ${changes.length} change(s) as ${status}. git_push is blocked until they are approved again.`
+    };
+  }
+
+  // Identity and signing options for commands that create commits
+  commitConfigArgs(toolContext = {}) {
+    return [...identityConfigArgs(getCommitIdentity(toolContext)), ...commitSigningArgs(getSigningConfig(toolContext))];
+  }
+
+  // Author and committer git would use with the given -c options (null when not configured)
+  async readCommitIdentity(configArgs, toolContext = {}) {
+    const read = async (variable) => {
+      try {
+        const result = await this.executeGitCommand([...configArgs, 'var', variable], 'git_commit_identity', 30000, toolContext);
+        return parseIdent(result.stdout);
+      } catch (err) {
+        // user.name / user.email are not configured
+        return null;
+      }
+    };
+    return { author: await read('GIT_AUTHOR_IDENT'), committer: await read('GIT_COMMITTER_IDENT') };
+  }
+
+  // Work out which files git_push would stage and commit, using the same rules but without touching the index
+  async previewCommitFiles(commitScope, changes, toolContext = {}) {
+    const statusResult = await this.executeGitCommand([...STATUS_ARGS, '--untracked-files=all'], 'git_commit_preview', 30000, toolContext);
+    const { branch, entries } = parseStatus(statusResult.stdout);
+    const preview = { branch: branch.head, runs_git_add: true, excluded_files: [], unchanged_files: [] };
+
+    if (commitScope === 'pending_changes') {
+      const selection = selectCommitPaths(entries, collectPendingFiles(changes));
+      preview.files = selection.commitPaths;
+      preview.excluded_files = selection.excludedFiles;
+      preview.unchanged_files = selection.unchangedFiles;
+    } else if (hasStagedChanges(entries)) {
+      // git_push commits what is already staged and does not run git add
+      preview.runs_git_add = false;
+      preview.files = entries.filter(isStaged).map(entry => entry.path);
+      preview.excluded_files = entries.filter(entry => !preview.files.includes(entry.path) && entry.type !== 'ignored').map(entry => entry.path);
+    } else {
+      preview.files = entries.filter(entry => entry.type !== 'ignored').map(entry => entry.path);
+    }
+    return preview;
+  }
+
+  // Show the message, author and files git_push would commit, without committing anything
+  async get_commit_preview(params, toolContext = {}) {
+    const {
+      message,
+      commit_scope: commitScope = toolContext.COMMIT_SCOPE || process.env.COMMIT_SCOPE || 'all',
+      commit_body: commitBody = toolContext.COMMIT_BODY || process.env.COMMIT_BODY || 'none',
+      trailers = []
+    } = params || {};
+    const repoName = toolContext.REPO_NAME || '';
+    const store = getRepoStore(repoName);
+
+    if (message !== undefined && (typeof message !== 'string' || !message.trim())) {
+      throw new Error('message parameter must be a non-empty string');
+    }
+    if (commitScope !== 'all' && commitScope !== 'pending_changes') {
+      throw new Error('commit_scope parameter must be "all" or "pending_changes"');
+    }
+    if (!COMMIT_BODY_MODES.includes(commitBody)) {
+      throw new Error(`commit_body parameter must be one of: ${COMMIT_BODY_MODES.join(', ')}`);
+    }
+    const commitTrailers = validateTrailers(trailers);
+
+    const policy = loadPushPolicy(resolvePolicyPath(repoName));
+    const policyEnabled = Boolean(policy && isCheckEnabled(policy, 'commit_message'));
+    // Without a message, preview the one suggest_commit_message would propose
+    const subject = message || suggestCommitMessage(store.pendingChanges, { rules: policyEnabled ? policy.commit_message : DEFAULT_POLICY.commit_message }).message;
+    const commitMessage = appendTrailers(composeCommitMessage(subject, store.pendingChanges, commitBody), commitTrailers);
+
+    try {
+      const identity = await this.readCommitIdentity(this.commitConfigArgs(toolContext), toolContext);
+      const preview = await this.previewCommitFiles(commitScope, store.pendingChanges, toolContext);
+
+      return {
+        success: true,
+        message: commitMessage,
+        message_source: message ? 'parameter' : 'suggested',
+        author: identity.author,
+        committer: identity.committer,
+        trailers: commitTrailers,
+        branch: preview.branch,
+        push_mode: (toolContext.PUSH_MODE || process.env.PUSH_MODE || 'direct'),
+        commit_scope: commitScope,
+        commit_body: commitBody,
+        files: preview.files,
+        excluded_files: preview.excluded_files,
+        unchanged_files: preview.unchanged_files,
+        will_commit: preview.files.length > 0,
+        pending_changes: store.pendingChanges.length,
+        changes_reviewed: store.changesReviewed,
+        approval_mode: getApprovalMode(toolContext),
+        approvals: summarizeApprovals(store.pendingChanges),
+        message_problems: policyEnabled ? validateCommitMessage(commitMessage, policy.commit_message) : [],
+      project_path: toolContext.PROJECT_PATH || ''
+      };
+    } catch (err) {
+      throw toToolError('Commit preview failed', err);
+    }
+  }
+
+  // Propose a Conventional Commits message from the pending changes, using the commit_message policy when configured
+  async suggest_commit_message(params, toolContext = {}) {
+    const { message } = params || {};
+    const repoName = toolContext.REPO_NAME || '';
+    const store = getRepoStore(repoName);
+
+    if (message !== undefined && typeof message !== 'string') {
+      throw new Error('message parameter must be a string');
+    }
+
+    const policy = loadPushPolicy(resolvePolicyPath(repoName));
+    const policyEnabled = Boolean(policy && isCheckEnabled(policy, 'commit_message'));
+    const rules = policyEnabled ? policy.commit_message : DEFAULT_POLICY.commit_message;
+    const suggestion = suggestCommitMessage(store.pendingChanges, { message, rules });
+
+    return {
+      success: true,
+      policy_enabled: policyEnabled,
+      suggested_message: suggestion.message,
+      type: suggestion.type,
+      scope: suggestion.scope,
+      subject: suggestion.subject,
+      based_on: suggestion.based_on,
+      // Problems the suggestion still has, e.g. a missing issue reference only the agent can add
+      suggestion_problems: validateCommitMessage(suggestion.message, rules),
+      message_problems: message ? validateCommitMessage(message, rules) : [],
+      project_path: toolContext.PROJECT_PATH || ''
+    };
+  }
+
+  async git_status(params, toolContext = {}) {
+    const { include_untracked = false } = params || {};
+    const projectPath = toolContext.PROJECT_PATH || '';
+
+    try {
+      const result = await this.executeGitCommand([...STATUS_ARGS, `--untracked-files=${include_untracked ? 'all' : 'normal'}`], 'git_status', 30000, toolContext);
+      const { branch, entries } = parseStatus(result.stdout);
+      const summary = summarizeStatus(entries);
+
+      return {
+        success: true,
+        branch: branch,
+        entries: entries,
+        summary: summary,
+        has_changes: entries.length > 0,
+        project_path: projectPath,
+        message: summary.conflicted > 0
+          ? `Working directory has ${summary.conflicted} conflicted file(s)`
+          : entries.length > 0
+            ? 'Working directory has uncommitted changes'
+            : 'Working directory is clean'
       };
     } catch (err) {
-      throw new Error(`Git add failed: ${err.error || err.message}`);
+      throw toToolError('Git status failed', err);
     }
   }
 
-  async git_log(params, toolContext = {}) {
-    const { limit = 10, oneline = false } = params || {};
-    const projectPath = toolContext.PROJECT_PATH || '';
+  async git_diff(params, toolContext = {}) {
+    const {
+      staged = false,
+      files = [],
+      range,
+      format = 'raw',
+      max_file_bytes: maxFileBytes = parseInt(toolContext.DIFF_MAX_FILE_BYTES || process.env.DIFF_MAX_FILE_BYTES || DEFAULT_MAX_FILE_BYTES, 10),
+      max_total_bytes: maxTotalBytes = parseInt(toolContext.DIFF_MAX_TOTAL_BYTES || process.env.DIFF_MAX_TOTAL_BYTES || DEFAULT_MAX_TOTAL_BYTES, 10)
+    } = params || {};
+    const projectPath = toolContext.PROJECT_PATH || '';
+
+    if (!DIFF_FORMATS.includes(format)) {
+      throw new Error(`format parameter must be one of: ${DIFF_FORMATS.join(', ')}`);
+    }
+    if (range !== undefined && !isValidRange(range)) {
+      throw new Error('range parameter must be a revision or range such as "HEAD~3..HEAD" or "origin/main...HEAD"');
+    }
+    if (range && staged) {
+      throw new Error('range and staged cannot be combined');
+    }
+    [maxFileBytes, maxTotalBytes].forEach(limit => {
+      if (!Number.isInteger(limit) || limit < 0) {
+        throw new Error('max_file_bytes and max_total_bytes must be non-negative integers (0 = no limit)');
+      }
+    });
+
+    const buildArgs = (extraArgs) => {
+      const args = ['diff', '--no-color', '--no-ext-diff', ...extraArgs];
+      if (staged) {
+        args.push('--cached');
+      }
+      if (range) {
+        args.push(range);
+      }
+      if (files && files.length > 0) {
+        args.push('--', ...files);
+      }
+      return args;
+    };
+
+    const response = {
+      success: true,
+      format: format,
+      staged: staged,
+      range: range || null,
+      files: files || [],
+      project_path: projectPath
+    };
+
+    try {
+      if (format === 'stat') {
+        const numstat = await this.executeGitCommand(buildArgs(['-M', '--numstat', '-z']), 'git_diff_stat', 60000, toolContext);
+        const nameStatus = await this.executeGitCommand(buildArgs(['-M', '--name-status', '-z']), 'git_diff_stat', 60000, toolContext);
+        const stat = parseDiffStat(numstat.stdout, nameStatus.stdout);
+        return { ...response, has_changes: stat.files.length > 0, changed_files: stat.files, totals: stat.totals };
+      }
+
+      const result = await this.executeGitCommand(buildArgs(format === 'parsed' ? ['-M'] : []), 'git_diff', 60000, toolContext);
+      const limits = { maxFileBytes, maxTotalBytes };
+
+      if (format === 'parsed') {
+        const parsed = parseDiff(result.stdout, limits);
+        return { ...response, has_changes: parsed.files.length > 0, changed_files: parsed.files, totals: parsed.totals, truncated: parsed.truncated };
+      }
+
+      const limited = limitRawDiff(result.stdout, limits);
+      return { ...response, diff: limited.diff, has_changes: result.stdout.trim().length > 0, truncated: limited.truncated };
+    } catch (err) {
+      throw toToolError('Git diff failed', err);
+    }
+  }
+
+  async git_add(params, toolContext = {}) {
+    const { files = ['.'] } = params || {};
+    const projectPath = toolContext.PROJECT_PATH || '';
+
+    try {
+      const args = ['add', ...files];
+      const result = await this.executeGitCommand(args, 'git_add', 30000, toolContext);
+
+      return {
+        success: true,
+        files_added: files,
+        output: result.stdout,
+        project_path: projectPath,
+        message: `Successfully added ${files.length} file(s) to staging area`
+      };
+    } catch (err) {
+      throw toToolError('Git add failed', err);
+    }
+  }
+
+  async git_log(params, toolContext = {}) {
+    const {
+      limit = 10,
+      oneline = false,
+      author,
+      since,
+      until,
+      grep,
+      range,
+      files = [],
+      follow = false,
+      include_files: includeFiles = false,
+      include_body: includeBody = false
+    } = params || {};
+    const projectPath = toolContext.PROJECT_PATH || '';
+
+    if (typeof limit !== 'number' || limit < 1 || limit > 100) {
+      throw new Error('limit parameter must be between 1-100');
+    }
+    if (range !== undefined && !isValidRange(range)) {
+      throw new Error('range parameter must be a revision or range such as "HEAD~3..HEAD" or "origin/main..HEAD"');
+    }
+    for (const [name, value] of Object.entries({ author, since, until, grep })) {
+      if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+        throw new Error(`${name} parameter must be a non-empty string`);
+      }
+    }
+    if (!Array.isArray(files)) {
+      throw new Error('files parameter must be an array of paths');
+    }
+    if (follow && files.length !== 1) {
+      throw new Error('follow requires exactly one path in files');
+    }
+
+    try {
+      // core.quotePath=false keeps non-ASCII paths readable in --numstat output
+      const args = ['-c', 'core.quotePath=false', 'log', `--max-count=${limit}`, buildLogFormat(includeBody && !oneline)];
+      if (includeFiles && !oneline) {
+        args.push('--numstat');
+      }
+      if (author) {
+        args.push(`--author=${author}`);
+      }
+      if (since) {
+        args.push(`--since=${since}`);
+      }
+      if (until) {
+        args.push(`--until=${until}`);
+      }
+      if (grep) {
+        args.push(`--grep=${grep}`, '--regexp-ignore-case');
+      }
+      if (follow) {
+        args.push('--follow');
+      }
+      if (range) {
+        args.push(range);
+      }
+      if (files.length > 0) {
+        args.push('--', ...files);
+      }
+
+      const result = await this.executeGitCommand(args, 'git_log', 30000, toolContext);
+      const parsed = parseLog(result.stdout, { includeBody: includeBody && !oneline, includeFiles: includeFiles && !oneline });
+
+      // Mark commits that are not yet on the configured remote branch
+      const remoteRef = `${toolContext.REMOTE_NAME || 'origin'}/${toolContext.REMOTE_BRANCH || 'main'}`;
+      const { remote_exists: remoteExists, unpushed } = await getUnpushedCommits(this.createGitRunner('git_log_pushed', toolContext), parsed.map(commit => commit.hash), remoteRef);
+
+      const commits = parsed.map(commit => {
+        if (oneline) {
+          return { hash: commit.short_hash, message: commit.message, pushed: !unpushed.has(commit.hash) };
+        }
+        return { ...commit, pushed: !unpushed.has(commit.hash) };
+      });
+
+      return {
+        success: true,
+        commits: commits,
+        total: commits.length,
+        oneline: oneline,
+        remote_ref: remoteRef,
+        remote_exists: remoteExists,
+        unpushed_count: commits.filter(commit => !commit.pushed).length,
+        project_path: projectPath
+      };
+    } catch (err) {
+      throw toToolError('Git log failed', err);
+    }
+  }
+
+  // Show who last changed each line of a file
+  async git_blame(params, toolContext = {}) {
+    const { path: file, start_line: startLine, end_line: endLine, ref } = params || {};
+    const projectPath = toolContext.PROJECT_PATH || '';
+
+    const relativePath = resolveProjectFile(projectPath, file);
+    if (!relativePath) {
+      return this.toolErrorResult('PATH_OUTSIDE_PROJECT', [
+        `⛔ ERROR: path must be a file inside the project directory (${projectPath}).`
+      ], { path: file || null });
+    }
+    for (const value of [startLine, endLine]) {
+      if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+        throw new Error('start_line and end_line must be positive integers');
+      }
+    }
+    if (startLine !== undefined && endLine !== undefined && endLine < startLine) {
+      throw new Error('end_line must be greater than or equal to start_line');
+    }
+    if (ref !== undefined && !isValidRef(ref)) {
+      throw new Error('ref parameter must be a branch, tag or commit such as "HEAD~1" or "v1.2.0"');
+    }
+
+    try {
+      const args = ['blame', '--porcelain'];
+      if (startLine !== undefined || endLine !== undefined) {
+        args.push('-L', `${startLine || 1},${endLine || ''}`);
+      }
+      if (ref) {
+        args.push(ref);
+      }
+      args.push('--', relativePath);
+
+      const result = await this.executeGitCommand(args, 'git_blame', 60000, toolContext);
+      const lines = parseBlame(result.stdout);
+
+      return {
+        success: true,
+        path: relativePath,
+        ref: ref || null,
+        start_line: lines.length > 0 ? lines[0].line : null,
+        end_line: lines.length > 0 ? lines[lines.length - 1].line : null,
+        lines: lines,
+        total: lines.length,
+        project_path: projectPath
+      };
+    } catch (err) {
+      throw toToolError('Git blame failed', err);
+    }
+  }
+
+  // Return the contents of a file at any ref
+  async git_show_file(params, toolContext = {}) {
+    const { path: file, ref = 'HEAD', max_bytes: maxBytes = DEFAULT_SHOW_FILE_MAX_BYTES } = params || {};
+    const projectPath = toolContext.PROJECT_PATH || '';
+
+    const relativePath = resolveProjectFile(projectPath, file);
+    if (!relativePath) {
+      return this.toolErrorResult('PATH_OUTSIDE_PROJECT', [
+        `⛔ ERROR: path must be a file inside the project directory (${projectPath}).`
+      ], { path: file || null });
+    }
+    if (!isValidRef(ref)) {
+      throw new Error('ref parameter must be a branch, tag or commit such as "HEAD~1" or "v1.2.0"');
+    }
+    if (!Number.isInteger(maxBytes) || maxBytes < 0) {
+      throw new Error('max_bytes must be a non-negative integer (0 = no limit)');
+    }
+
+    // "./" makes the path relative to PROJECT_PATH rather than the repository root
+    const object = `${ref}:./${relativePath}`;
+
+    try {
+      const typeResult = await this.executeGitCommand(['cat-file', '-t', object], 'git_show_file', 30000, toolContext);
+      const type = typeResult.stdout.trim();
+      if (type !== 'blob') {
+        return this.toolErrorResult('NOT_A_FILE', [
+          `⛔ ERROR: ${relativePath} is a ${type === 'tree' ? 'directory' : type} at ${ref}, not a file.`
+        ], { path: relativePath, ref: ref, object_type: type });
+      }
+
+      const sizeResult = await this.executeGitCommand(['cat-file', '-s', object], 'git_show_file', 30000, toolContext);
+      const size = parseInt(sizeResult.stdout.trim(), 10) || 0;
+      // Only the bytes that can be shown are read (at least enough for the binary check), and never logged
+      const readLimit = maxBytes > 0 ? Math.max(maxBytes, BINARY_CHECK_BYTES) : 0;
+      const result = await this.executeGitCommand(['cat-file', 'blob', object], 'git_show_file', 60000, toolContext, { rawStdout: true, maxStdoutBytes: readLimit });
+
+      // Same heuristic as git: a NUL byte near the start means binary
+      const binary = result.stdout.subarray(0, BINARY_CHECK_BYTES).includes(0);
+      const truncated = !binary && maxBytes > 0 && size > maxBytes;
+      let content = null;
+      if (!binary) {
+        content = truncated
+          ? result.stdout.subarray(0, maxBytes).toString('utf8').replace(/\uFFFD$/, '')
+          : result.stdout.toString('utf8');
+      }
+
+      return {
+        success: true,
+        path: relativePath,
+        ref: ref,
+        size: size,
+        binary: binary,
+        truncated: truncated,
+        content: content,
+        message: binary
+          ? `${relativePath} is a binary file (${size} bytes); content is not shown`
+          : truncated
+            ? `Showing the first ${maxBytes} of ${size} bytes of ${relativePath} at ${ref}`
+            : `Contents of ${relativePath} at ${ref}`,
+        project_path: projectPath
+      };
+    } catch (err) {
+      throw toToolError('Git show file failed', err);
+    }
+  }
+
+  async set_log_dir(params, toolContext = {}) {
+    const { log_dir } = params;
+
+    if (!log_dir || typeof log_dir !== 'string') {
+      throw new Error('log_dir parameter must be a non-empty string');
+    }
+
+    const resolvedPath = path.resolve(log_dir);
+
+    if (!fs.existsSync(resolvedPath)) {
+      fs.mkdirSync(resolvedPath, { recursive: true });
+    }
+
+    CUSTOM_LOG_DIR = resolvedPath;
+
+    return {
+      success: true,
+      log_dir: resolvedPath,
+      message: `Log directory set to: ${resolvedPath}`
+    };
+  }
+
+  async git_branch_list(params, toolContext = {}) {
+    const { include_remote = false } = params || {};
+
+    try {
+      const refs = include_remote ? ['refs/heads', 'refs/remotes'] : ['refs/heads'];
+      const result = await this.executeGitCommand(['for-each-ref', `--format=${BRANCH_LIST_FORMAT}`, ...refs], 'git_branch_list', 30000, toolContext);
+      const branches = parseBranchList(result.stdout);
+      const current = branches.find(b => b.current);
+
+      return {
+        success: true,
+        current_branch: current ? current.name : null,
+        local_branch: toolContext.LOCAL_BRANCH || '',
+        branches: branches,
+        total: branches.length
+      };
+    } catch (err) {
+      throw toToolError('Git branch list failed', err);
+    }
+  }
+
+  async git_branch_create(params, toolContext = {}) {
+    const { name, start_point, checkout = false } = params || {};
+
+    await this.validateBranchName(name, toolContext);
+    if (start_point !== undefined && (typeof start_point !== 'string' || !start_point.trim() || start_point.startsWith('-'))) {
+      throw new Error('start_point parameter must be a valid ref');
+    }
+
+    try {
+      const args = checkout ? ['checkout', '-b', name] : ['branch', name];
+      if (start_point) {
+        args.push(start_point);
+      }
+      const result = await this.executeGitCommand(args, 'git_branch_create', 30000, toolContext);
+
+      return {
+        success: true,
+        branch: name,
+        start_point: start_point || 'HEAD',
+        checked_out: checkout,
+        output: result.stdout,
+        error_output: result.stderr,
+        message: `Created branch ${name}${checkout ? ' and switched to it' : ''}`
+      };
+    } catch (err) {
+      throw toToolError('Git branch create failed', err);
+    }
+  }
+
+  async git_checkout(params, toolContext = {}) {
+    const { branch, allow_dirty = false } = params || {};
+
+    await this.validateBranchName(branch, toolContext);
+
+    try {
+      const statusResult = await this.executeGitCommand([...STATUS_ARGS, '--untracked-files=no'], 'git_status_check', 30000, toolContext);
+      const dirtyFiles = parseStatus(statusResult.stdout).entries.map(entry => entry.path);
+
+      if (dirtyFiles.length > 0 && !allow_dirty) {
+        return {
+          content: [
+            { type: 'text', text: `⚠️ ERROR: The working tree has ${dirtyFiles.length} uncommitted change(s); refusing to switch to "${branch}".` },
+            { type: 'text', text: `📄 Modified files: ${dirtyFiles.join(', ')}` },
+            { type: 'text', text: '🔧 REQUIRED ACTION: Commit or stash the changes first, or call this tool again with {"allow_dirty": true} to carry them over to the other branch.' }
+          ],
+          isError: true,
+          errorCode: 'WORKING_TREE_DIRTY',
+          dirty_files: dirtyFiles
+        };
+      }
+
+      const result = await this.executeGitCommand(['checkout', branch], 'git_checkout', 30000, toolContext);
+
+      return {
+        success: true,
+        branch: branch,
+        carried_changes: dirtyFiles,
+        output: result.stdout,
+        error_output: result.stderr,
+        message: `Switched to branch ${branch}`
+      };
+    } catch (err) {
+      throw toToolError('Git checkout failed', err);
+    }
+  }
+
+  async git_branch_delete(params, toolContext = {}) {
+    const { name, force = false } = params || {};
+
+    await this.validateBranchName(name, toolContext);
+
+    const localBranch = toolContext.LOCAL_BRANCH || 'main';
+    if (name === localBranch) {
+      throw new Error(`Refusing to delete the configured LOCAL_BRANCH "${localBranch}"`);
+    }
+
+    try {
+      const result = await this.executeGitCommand(['branch', force ? '-D' : '-d', name], 'git_branch_delete', 30000, toolContext);
+
+      return {
+        success: true,
+        branch: name,
+        forced: force,
+        output: result.stdout,
+        message: `Deleted branch ${name}`
+      };
+    } catch (err) {
+      throw toToolError('Git branch delete failed', err);
+    }
+  }
+
+  // Stash uncommitted changes
+  async git_stash_save(params, toolContext = {}) {
+    const { message, include_untracked = false } = params || {};
+
+    if (message !== undefined && typeof message !== 'string') {
+      throw new Error('message parameter must be a string');
+    }
+
+    try {
+      const args = ['stash', 'push'];
+      if (include_untracked) {
+        args.push('--include-untracked');
+      }
+      if (message) {
+        args.push('-m', message);
+      }
+      const result = await this.executeGitCommand(args, 'git_stash_save', 30000, toolContext);
+
+      // git exits with 0 and prints a notice when there is nothing to stash
+      const created = !result.stdout.includes('No local changes to save');
+      let stash = null;
+      if (created) {
+        const listResult = await this.executeGitCommand(['stash', 'list', '-1', `--format=${STASH_LIST_FORMAT}`], 'git_stash_list', 30000, toolContext);
+        stash = parseStashList(listResult.stdout)[0] || null;
+      }
+
+      return {
+        success: true,
+        created: created,
+        stash: stash,
+        include_untracked: include_untracked,
+        output: result.stdout,
+        error_output: result.stderr,
+        message: created ? `Saved working tree changes to ${stash ? stash.ref : 'stash@{0}'}` : 'No local changes to save'
+      };
+    } catch (err) {
+      throw toToolError('Git stash save failed', err);
+    }
+  }
+
+  // List stash entries
+  async git_stash_list(params, toolContext = {}) {
+    try {
+      const result = await this.executeGitCommand(['stash', 'list', `--format=${STASH_LIST_FORMAT}`], 'git_stash_list', 30000, toolContext);
+      const stashes = parseStashList(result.stdout);
+
+      return {
+        success: true,
+        stashes: stashes,
+        total: stashes.length
+      };
+    } catch (err) {
+      throw toToolError('Git stash list failed', err);
+    }
+  }
+
+  // Show the diff recorded in a stash entry
+  async git_stash_show(params, toolContext = {}) {
+    const { stash = 0, include_untracked = false } = params || {};
+    const ref = this.validateStashRef(stash);
+
+    try {
+      const extraArgs = include_untracked ? ['--include-untracked'] : [];
+      const filesResult = await this.executeGitCommand(['stash', 'show', '--name-only', '-z', ...extraArgs, ref], 'git_stash_show', 30000, toolContext);
+      const diffResult = await this.executeGitCommand(['stash', 'show', '-p', '--no-color', ...extraArgs, ref], 'git_stash_show', 30000, toolContext);
+
+      return {
+        success: true,
+        stash: ref,
+        files: filesResult.stdout.split('\0').filter(Boolean),
+        diff: diffResult.stdout
+      };
+    } catch (err) {
+      throw toToolError('Git stash show failed', err);
+    }
+  }
+
+  // Apply a stash entry and keep it in the stash list
+  async git_stash_apply(params, toolContext = {}) {
+    return this.applyStash(params, false, toolContext);
+  }
+
+  // Apply a stash entry and remove it from the stash list
+  async git_stash_pop(params, toolContext = {}) {
+    return this.applyStash(params, true, toolContext);
+  }
+
+  async applyStash(params, pop, toolContext = {}) {
+    const { stash = 0, restore_index = false } = params || {};
+    const ref = this.validateStashRef(stash);
+    const operation = pop ? 'pop' : 'apply';
+
+    try {
+      const args = ['stash', operation];
+      if (restore_index) {
+        args.push('--index');
+      }
+      args.push(ref);
+      const result = await this.executeGitCommand(args, `git_stash_${operation}`, 30000, toolContext);
+
+      return {
+        success: true,
+        stash: ref,
+        dropped: pop,
+        output: result.stdout,
+        error_output: result.stderr,
+        message: pop ? `Applied and dropped ${ref}` : `Applied ${ref}; the entry is kept in the stash list`
+      };
+    } catch (err) {
+      // A conflicting pop keeps the entry, so the agent can retry after resolving
+      throw toToolError(`Git stash ${operation} failed${pop ? ` (${ref} was kept)` : ''}`, err);
+    }
+  }
+
+  // Delete a stash entry
+  async git_stash_drop(params, toolContext = {}) {
+    const { stash } = params || {};
+
+    if (stash === undefined || stash === null || stash === '') {
+      throw new Error('Missing stash parameter');
+    }
+    const ref = this.validateStashRef(stash);
+
+    try {
+      const result = await this.executeGitCommand(['stash', 'drop', ref], 'git_stash_drop', 30000, toolContext);
+
+      return {
+        success: true,
+        stash: ref,
+        output: result.stdout,
+        message: `Dropped ${ref}`
+      };
+    } catch (err) {
+      throw toToolError('Git stash drop failed', err);
+    }
+  }
+
+  validateStashRef(stash) {
+    const ref = normalizeStashRef(stash);
+    if (!ref) {
+      throw new Error('stash parameter must be a stash index (e.g. 0) or a ref like "stash@{0}"');
+    }
+    return ref;
+  }
+
+  // Amend the last commit (message and/or extra files). Refused once HEAD is on the remote branch.
+  async git_commit_amend(params, toolContext = {}) {
+    const { message, files = [] } = params || {};
+    const remoteRef = `${toolContext.REMOTE_NAME || 'origin'}/${toolContext.REMOTE_BRANCH || 'main'}`;
+
+    if (message !== undefined && (typeof message !== 'string' || !message.trim())) {
+      throw new Error('message parameter must be a non-empty string');
+    }
+    if (!Array.isArray(files) || files.some(file => typeof file !== 'string' || !file.trim() || file.startsWith('-'))) {
+      throw new Error('files parameter must be an array of file paths');
+    }
+    if (!message && files.length === 0) {
+      throw new Error('Provide a new message, files to add, or both');
+    }
+
+    const branchError = await this.localBranchErrorResult('git_commit_amend', toolContext);
+    if (branchError) {
+      return branchError;
+    }
+
+    const head = await this.resolveCommit('HEAD', toolContext);
+    const remoteState = await isCommitOnRemote(this.createGitRunner('git_undo_check', toolContext), head.commit, remoteRef);
+    if (remoteState.pushed) {
+      return this.toolErrorResult('COMMIT_ALREADY_PUSHED', [
+        `⛔ ERROR: HEAD ${head.short} ("${head.subject}") is already on ${remoteRef}. Amending it would rewrite published history.`,
+        '🔧 REQUIRED ACTION: Use git_revert to undo a pushed commit, or create a new commit with the fix.'
+      ], { commit: head.commit });
+    }
+
+    try {
+      if (files.length > 0) {
+        await this.executeGitCommand(['add', '-A', '--', ...files], 'git_add_amend', 30000, toolContext);
+      }
+      const args = [...this.commitConfigArgs(toolContext), 'commit', '--amend'].concat(message ? ['-m', message] : ['--no-edit']);
+      const result = await this.executeGitCommand(args, 'git_commit_amend', 30000, toolContext);
+      const amended = await this.resolveCommit('HEAD', toolContext);
+
+      recordPushHistory(amended.subject, result, null, toolContext.REPO_NAME || '', toolContext, {
+        action: 'amend',
+        previous_commit: head.commit,
+        commit: amended.commit
+      });
+
+      return {
+        success: true,
+        previous_commit: head.commit,
+        commit: amended.commit,
+        subject: amended.subject,
+        added_files: files,
+        output: result.stdout,
+        message: `Amended ${head.short} into ${amended.short}`
+      };
+    } catch (err) {
+      throw toToolError('Git commit amend failed', err);
+    }
+  }
+
+  // Move HEAD back by `count` commits, keeping their changes staged. Refused for pushed commits.
+  async git_reset_soft(params, toolContext = {}) {
+    const { count = 1 } = params || {};
+    const remoteRef = `${toolContext.REMOTE_NAME || 'origin'}/${toolContext.REMOTE_BRANCH || 'main'}`;
+
+    if (!Number.isInteger(count) || count < 1 || count > 50) {
+      throw new Error('count parameter must be an integer between 1 and 50');
+    }
+
+    const branchError = await this.localBranchErrorResult('git_reset_soft', toolContext);
+    if (branchError) {
+      return branchError;
+    }
+
+    const head = await this.resolveCommit('HEAD', toolContext);
+    const target = await this.resolveCommit(`HEAD~${count}`, toolContext).catch(() => {
+      throw new Error(`HEAD~${count} does not exist: the branch has fewer than ${count + 1} commits`);
+    });
+
+    // If the oldest removed commit is not on the remote, none of the newer ones are either
+    const oldest = await this.resolveCommit(`HEAD~${count - 1}`, toolContext);
+    const remoteState = await isCommitOnRemote(this.createGitRunner('git_undo_check', toolContext), oldest.commit, remoteRef);
+    if (remoteState.pushed) {
+      return this.toolErrorResult('COMMIT_ALREADY_PUSHED', [
+        `⛔ ERROR: ${oldest.short} ("${oldest.subject}") is already on ${remoteRef}. Resetting past it would rewrite published history.`,
+        '🔧 REQUIRED ACTION: Use git_revert for pushed commits, or reset fewer commits.'
+      ], { commit: oldest.commit });
+    }
+
+    try {
+      const logResult = await this.executeGitCommand(['log', '--format=%H%x00%s', `${target.commit}..${head.commit}`], 'git_log_reset', 30000, toolContext);
+      const removedCommits = logResult.stdout.split('\n').filter(Boolean).map(line => {
+        const [commit, subject] = line.split('\0');
+        return { commit, subject };
+      });
+
+      const result = await this.executeGitCommand(['reset', '--soft', target.commit], 'git_reset_soft', 30000, toolContext);
+
+      recordPushHistory(`Soft reset ${count} commit(s) to ${target.short}`, result, null, toolContext.REPO_NAME || '', toolContext, {
+        action: 'reset_soft',
+        previous_commit: head.commit,
+        commit: target.commit,
+        removed_commits: removedCommits
+      });
+
+      return {
+        success: true,
+        previous_commit: head.commit,
+        commit: target.commit,
+        removed_commits: removedCommits,
+        message: `Moved HEAD back ${count} commit(s) to ${target.short}; their changes are staged`
+      };
+    } catch (err) {
+      throw toToolError('Git reset failed', err);
+    }
+  }
+
+  // Create a commit that undoes a pushed commit. Unpushed commits should use git_reset_soft instead.
+  async git_revert(params, toolContext = {}) {
+    const { commit, mainline } = params || {};
+    const remoteRef = `${toolContext.REMOTE_NAME || 'origin'}/${toolContext.REMOTE_BRANCH || 'main'}`;
+
+    if (!commit || typeof commit !== 'string' || commit.startsWith('-')) {
+      throw new Error('Missing commit parameter');
+    }
+    if (mainline !== undefined && (!Number.isInteger(mainline) || mainline < 1)) {
+      throw new Error('mainline parameter must be a positive integer');
+    }
+
+    const branchError = await this.localBranchErrorResult('git_revert', toolContext);
+    if (branchError) {
+      return branchError;
+    }
+
+    const target = await this.resolveCommit(commit, toolContext);
+    const remoteState = await isCommitOnRemote(this.createGitRunner('git_undo_check', toolContext), target.commit, remoteRef);
+    if (!remoteState.pushed) {
+      return this.toolErrorResult('COMMIT_NOT_PUSHED', [
+        `⚠️ ERROR: ${target.short} ("${target.subject}") is not on ${remoteRef}. Reverting is only needed for pushed commits.`,
+        '🔧 REQUIRED ACTION: Use git_reset_soft (or git_commit_amend for HEAD) to change commits that were not pushed yet.'
+      ], { commit: target.commit });
+    }
+    if (target.parents > 1 && !mainline) {
+      throw new Error(`${target.short} is a merge commit; pass mainline (usually 1) to choose the parent to revert to`);
+    }
+
+    const args = [...this.commitConfigArgs(toolContext), 'revert', '--no-edit'].concat(mainline ? ['-m', String(mainline)] : [], [target.commit]);
+    try {
+      const result = await this.executeGitCommand(args, 'git_revert', 30000, toolContext);
+      const revertCommit = await this.resolveCommit('HEAD', toolContext);
+
+      recordPushHistory(revertCommit.subject, result, null, toolContext.REPO_NAME || '', toolContext, {
+        action: 'revert',
+        reverted_commit: target.commit,
+        commit: revertCommit.commit
+      });
+
+      return {
+        success: true,
+        reverted_commit: target.commit,
+        commit: revertCommit.commit,
+        subject: revertCommit.subject,
+        output: result.stdout,
+        message: `Created ${revertCommit.short} reverting ${target.short}. Call git_push to publish it.`
+      };
+    } catch (err) {
+      const conflictedFiles = await getConflictedFiles(this.createGitRunner('git_revert', toolContext));
+      if (conflictedFiles.length === 0) {
+        throw toToolError('Git revert failed', err);
+      }
+
+      try {
+        await this.executeGitCommand(['revert', '--abort'], 'git_revert_abort', 30000, toolContext);
+      } catch (abortErr) {
+        console.error('Warning: git revert --abort failed:', abortErr.message);
+      }
+
+      return this.toolErrorResult('REVERT_CONFLICT', [
+        `⛔ ERROR: Reverting ${target.short} conflicts with later changes. The revert was aborted; nothing was changed.`,
+        `📄 Conflicted files: ${conflictedFiles.join(', ')}`
+      ], { commit: target.commit, conflicted_files: conflictedFiles });
+    }
+  }
+
+  // List tags with their target commit and annotation message, newest first
+  async git_tag_list(params, toolContext = {}) {
+    const { pattern, limit = 50, merged } = params || {};
+    const projectPath = toolContext.PROJECT_PATH || '';
+
+    if (typeof limit !== 'number' || limit < 1 || limit > 500) {
+      throw new Error('limit parameter must be between 1-500');
+    }
+    if (pattern !== undefined && (typeof pattern !== 'string' || !pattern.trim() || pattern.startsWith('-') || /\s/.test(pattern))) {
+      throw new Error('pattern parameter must be a glob such as "v1.*"');
+    }
+    if (merged !== undefined && !isValidRef(merged)) {
+      throw new Error('merged parameter must be a branch, tag or commit');
+    }
+
+    try {
+      const args = ['for-each-ref', '--sort=-version:refname', '--sort=-creatordate', `--format=${TAG_LIST_FORMAT}`, `--count=${limit}`];
+      if (merged) {
+        args.push(`--merged=${merged}`);
+      }
+      args.push(pattern ? `refs/tags/${pattern}` : 'refs/tags');
+      const result = await this.executeGitCommand(args, 'git_tag_list', 30000, toolContext);
+      const tags = parseTagList(result.stdout);
+      const latest = findLatestSemverTag(tags.map(tag => tag.name));
+
+      return {
+        success: true,
+        tags: tags,
+        total: tags.length,
+        latest_version: latest ? latest.tag : null,
+        project_path: projectPath
+      };
+    } catch (err) {
+      throw toToolError('Git tag list failed', err);
+    }
+  }
+
+  // Create a lightweight or annotated tag, optionally named by bumping the latest semver tag
+  async git_tag_create(params, toolContext = {}) {
+    const signing = getSigningConfig(toolContext);
+    const { name, bump, ref = 'HEAD', message, annotated = false, sign: requestedSign = false } = params || {};
+    const projectPath = toolContext.PROJECT_PATH || '';
+
+    if (!name && !bump) {
+      throw new Error(`Provide a tag name or a bump (${TAG_BUMPS.join(', ')})`);
+    }
+    if (name && bump) {
+      throw new Error('name and bump cannot be combined');
+    }
+    if (bump && !TAG_BUMPS.includes(bump)) {
+      throw new Error(`bump parameter must be one of: ${TAG_BUMPS.join(', ')}`);
+    }
+    if (!isValidRef(ref)) {
+      throw new Error('ref parameter must be a branch, tag or commit');
+    }
+    if (message !== undefined && (typeof message !== 'string' || !message.trim())) {
+      throw new Error('message parameter must be a non-empty string');
+    }
+    if (typeof requestedSign !== 'boolean') {
+      throw new Error('sign parameter must be a boolean');
+    }
+    // SIGN_TAGS is the operator's policy; the parameter can only add signing
+    const sign = signing.sign_tags || requestedSign;
+
+    const target = await this.resolveCommit(ref, toolContext);
+
+    try {
+      // Only tags reachable from the target count as "previous" releases
+      const mergedResult = await this.executeGitCommand(['tag', '--list', '--merged', target.commit], 'git_tag_list', 30000, toolContext);
+      const latest = bump ? findLatestSemverTag(mergedResult.stdout.split('\n').filter(Boolean)) : null;
+      const tagName = bump ? bumpSemverTag(latest, bump) : name;
+
+      await this.validateTagName(tagName, toolContext);
+      if (await this.refExists(`refs/tags/${tagName}`, toolContext)) {
+        return this.toolErrorResult('TAG_EXISTS', [
+          `⛔ ERROR: Tag ${tagName} already exists. Pick another name, or delete it first with git_tag_delete.`
+        ], { tag: tagName });
+      }
+
+      const changelog = await this.buildTagChangelog(target.commit, latest ? latest.tag : null, toolContext);
+      // Signed tags are always annotated
+      const isAnnotated = annotated || sign || Boolean(message);
+      const args = isAnnotated
+        ? [...identityConfigArgs(getCommitIdentity(toolContext)), ...(sign ? signingConfigArgs(signing) : []), 'tag', sign ? '-s' : '-a', tagName, '-m', message || `Release ${tagName}\n\n${changelog.text}`.trim(), target.commit]
+        : ['tag', tagName, target.commit];
+      const result = await this.executeGitCommand(args, 'git_tag_create', 30000, toolContext);
+
+      return {
+        success: true,
+        tag: tagName,
+        annotated: isAnnotated,
+        signed: sign,
+        commit: target.commit,
+        subject: target.subject,
+        bump: bump || null,
+        bumped_from: bump ? (latest ? latest.tag : null) : null,
+        changelog: changelog,
+        pushed: false,
+        output: result.stdout,
+        message: `Created ${sign ? 'signed' : isAnnotated ? 'annotated' : 'lightweight'} tag ${tagName} at ${target.short}. Use git_tag_push to publish it.`,
+        project_path: projectPath
+      };
+    } catch (err) {
+      throw toToolError('Git tag create failed', err);
+    }
+  }
+
+  // Signature status of the unpushed commits (or of a given range)
+  async git_verify_commits(params, toolContext = {}) {
+    const { range, limit = 100 } = params || {};
+    const remoteName = toolContext.REMOTE_NAME || 'origin';
+    const localBranch = toolContext.LOCAL_BRANCH || 'main';
+    const remoteBranch = toolContext.REMOTE_BRANCH || 'main';
+
+    if (range !== undefined && !isValidRange(range)) {
+      throw new Error('range parameter must be a revision range such as "origin/main..HEAD"');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      throw new Error('limit parameter must be an integer between 1 and 1000');
+    }
+
+    const signing = getSigningConfig(toolContext);
+
+    try {
+      let revisions = range;
+      if (!revisions) {
+        // Default: what git_push would send, i.e. REMOTE/REMOTE_BRANCH..LOCAL_BRANCH
+        const remoteRef = `${remoteName}/${remoteBranch}`;
+        revisions = await this.refExists(`refs/remotes/${remoteRef}`, toolContext) ? `${remoteRef}..${localBranch}` : localBranch;
+      }
+
+      // The allowed signers file is needed to verify SSH signatures
+      const result = await this.executeGitCommand([...signingConfigArgs(signing), 'log', SIGNATURE_LOG_FORMAT, `--max-count=${limit}`, revisions, '--'], 'git_verify_commits', 30000, toolContext);
+      const headers = await this.executeGitCommand(['rev-list', '--header', `--max-count=${limit}`, revisions, '--'], 'git_verify_commits', 30000, toolContext);
+      const commits = parseSignatureLog(result.stdout, parseSignatureHeaders(headers.stdout));
+      const summary = {};
+      commits.forEach(commit => {
+        summary[commit.status] = (summary[commit.status] || 0) + 1;
+      });
+
+      return {
+        success: true,
+        range: revisions,
+        commits: commits,
+        total: commits.length,
+        summary: summary,
+        all_signed: commits.every(commit => commit.signed),
+        all_verified: commits.every(commit => commit.verified),
+        unsigned_commits: commits.filter(commit => !commit.signed).map(commit => commit.short_hash),
+        unverified_commits: commits.filter(commit => commit.signed && !commit.verified).map(commit => commit.short_hash),
+        signing: describeSigningConfig(signing)
+      };
+    } catch (err) {
+      throw toToolError('Git verify commits failed', err);
+    }
+  }
+
+  // Push one tag (or all tags) to the remote
+  async git_tag_push(params, toolContext = {}) {
+    const { name, all = false } = params || {};
+    const projectPath = toolContext.PROJECT_PATH || '';
+    const remoteName = toolContext.REMOTE_NAME || 'origin';
+
+    if (!name && !all) {
+      throw new Error('Provide a tag name, or all: true to push every tag');
+    }
+    if (name) {
+      await this.validateTagName(name, toolContext);
+      if (!(await this.refExists(`refs/tags/${name}`, toolContext))) {
+        return this.toolErrorResult('TAG_NOT_FOUND', [
+          `⛔ ERROR: Tag ${name} does not exist locally. Create it with git_tag_create first.`
+        ], { tag: name });
+      }
+    }
+
+    try {
+      const args = name ? ['push', remoteName, `refs/tags/${name}`] : ['push', remoteName, '--tags'];
+      const result = await this.executeGitCommand(args, 'git_tag_push', 300000, toolContext);
+
+      recordPushHistory(name ? `Push tag ${name}` : 'Push all tags', result, null, toolContext.REPO_NAME || '', toolContext, {
+        action: 'tag_push',
+        tag: name || null
+      });
+
+      return {
+        success: true,
+        tag: name || null,
+        all: !name,
+        remote_name: remoteName,
+        output: result.stdout,
+        error_output: result.stderr,
+        message: name ? `Pushed tag ${name} to ${remoteName}` : `Pushed all tags to ${remoteName}`,
+        project_path: projectPath
+      };
+    } catch (err) {
+      recordPushHistory(name ? `Push tag ${name}` : 'Push all tags', null, err.error || err.message, toolContext.REPO_NAME || '', toolContext, {
+        action: 'tag_push',
+        tag: name || null
+      });
+      throw toToolError('Git tag push failed', err);
+    }
+  }
+
+  // Delete a tag locally and, when asked, on the remote
+  async git_tag_delete(params, toolContext = {}) {
+    const { name, remote = false } = params || {};
+    const projectPath = toolContext.PROJECT_PATH || '';
+    const remoteName = toolContext.REMOTE_NAME || 'origin';
+
+    await this.validateTagName(name, toolContext);
+    const localExists = await this.refExists(`refs/tags/${name}`, toolContext);
+    if (!localExists && !remote) {
+      return this.toolErrorResult('TAG_NOT_FOUND', [
+        `⛔ ERROR: Tag ${name} does not exist locally. Pass remote: true to delete it only on ${remoteName}.`
+      ], { tag: name });
+    }
+
+    try {
+      if (localExists) {
+        await this.executeGitCommand(['tag', '-d', name], 'git_tag_delete', 30000, toolContext);
+      }
+
+      let remoteResult = null;
+      if (remote) {
+        remoteResult = await this.executeGitCommand(['push', remoteName, '--delete', `refs/tags/${name}`], 'git_tag_delete_remote', 300000, toolContext);
+        recordPushHistory(`Delete tag ${name}`, remoteResult, null, toolContext.REPO_NAME || '', toolContext, {
+          action: 'tag_delete',
+          tag: name
+        });
+      }
+
+      return {
+        success: true,
+        tag: name,
+        deleted_local: localExists,
+        deleted_remote: remote,
+        remote_name: remote ? remoteName : null,
+        message: `Deleted tag ${name}${localExists ? ' locally' : ''}${localExists && remote ? ' and' : ''}${remote ? ` on ${remoteName}` : ''}`,
+        project_path: projectPath
+      };
+    } catch (err) {
+      throw toToolError('Git tag delete failed', err);
+    }
+  }
+
+  // Resolve a revision to its full hash, subject and parent count
+  async resolveCommit(rev, toolContext = {}) {
+    const result = await this.executeGitCommand(['log', '-1', '--format=%H%x00%h%x00%P%x00%s', `${rev}^{commit}`, '--'], 'git_resolve_commit', 30000, toolContext)
+      .catch(err => {
+        throw toToolError(`Unknown commit ${rev}`, err);
+      });
+    const [commit, short, parents, subject] = result.stdout.replace(/\n$/, '').split('\0');
+    return { commit, short, subject, parents: parents ? parents.split(' ').length : 0 };
+  }
+
+  // Adapter for the helpers that take a runGit(args, timeout) callback
+  createGitRunner(operation, toolContext = {}) {
+    return (args, timeout) => this.executeGitCommand(args, operation, timeout || 30000, toolContext);
+  }
+
+  // Structured tool error in the same shape as the review and policy errors
+  toolErrorResult(errorCode, messages, extra = {}) {
+    return {
+      content: messages.map(text => ({ type: 'text', text })),
+      isError: true,
+      errorCode,
+      ...extra
+    };
+  }
+
+  // checkApproval for git_push. The approval modes also compare the working tree with the pending changes,
+  // so git_push cannot commit files nobody approved; commit_scope "pending_changes" leaves unlisted files out anyway.
+  async checkPushApproval(store, approvalMode, commitScope, toolContext = {}) {
+    let drift = null;
+    if (approvalMode !== 'review') {
+      drift = await detectDrift((args, timeout = 30000) => this.executeGitCommand(args, 'git_push_drift_check', timeout, toolContext), store.pendingChanges);
+      if (commitScope === 'pending_changes') {
+        drift = { ...drift, uncovered_files: [] };
+      }
+    }
+    return checkApproval(store.pendingChanges, { mode: approvalMode, reviewed: store.changesReviewed, drift });
+  }
+
+  // git_push result for changes that are rejected or not approved yet
+  approvalErrorResult(approval, store, approvalMode, repoName) {
+    const approveToolName = TOOL_PREFIX ? `${TOOL_PREFIX}_approve_changes` : 'approve_changes';
+    const extra = { change_ids: approval.change_ids, approval_mode: approvalMode, approvals: summarizeApprovals(store.pendingChanges) };
+    if (approval.code === 'WORKING_TREE_NOT_APPROVED') {
+      return this.toolErrorResult('WORKING_TREE_NOT_APPROVED', [
+        `⛔ ERROR: The working tree of ${repoName} has changes that no approved pending change covers (APPROVAL_MODE "${approvalMode}"). Nothing was committed or pushed.`,
+        ...(approval.uncovered_files.length > 0 ? [`📄 Not listed in any pending change: ${approval.uncovered_files.join(', ')}`] : []),
+        ...(approval.changed_files.length > 0 ? [`📄 Changed since their change was saved: ${approval.changed_files.join(', ')}`] : []),
+        `🔧 REQUIRED ACTION: Record new files with save_changes and edited ones with update_change, then have them approved with "${approveToolName}" {"repo": "${repoName}"}. Or undo the changes that do not belong in this push.`
+      ], { ...extra, uncovered_files: approval.uncovered_files, changed_files: approval.changed_files });
+    }
+    if (approval.code === 'CHANGES_REJECTED') {
+      return this.toolErrorResult('CHANGES_REJECTED', [
+        `⛔ ERROR: ${approval.change_ids.length} pending change(s) in ${repoName} were rejected or need rework. Nothing was committed or pushed.`,
+        `📋 Change ids: ${approval.change_ids.join(', ')}`,
+        `🔧 REQUIRED ACTION: Read the review comments with get_pending_changes, rework the changes, and have them approved again with "${approveToolName}".`
+      ], extra);
+    }
+    return this.toolErrorResult('CHANGES_NOT_APPROVED', [
+      `⛔ ERROR: ${approval.change_ids.length} pending change(s) in ${repoName} are not approved. Nothing was committed or pushed.`,
+      `📋 Change ids: ${approval.change_ids.join(', ')}`,
+      approvalMode === 'token'
+        ? `🔧 REQUIRED ACTION: Ask the user to review the pending changes. Call "${approveToolName}" with {"repo": "${repoName}", "approval_token": "<token>"} using the token they give you.`
+        : `🔧 REQUIRED ACTION: Review the pending changes with get_pending_changes, then call "${approveToolName}" with {"repo": "${repoName}"}.`
+    ], extra);
+  }
+
+  // Subjects of the commits since previousTag, or else the closest earlier tag (at most 200)
+  async buildTagChangelog(commit, previousTag = null, toolContext = {}) {
+    if (!previousTag) {
+      try {
+        const describe = await this.executeGitCommand(['describe', '--tags', '--abbrev=0', commit], 'git_tag_changelog', 30000, toolContext);
+        previousTag = describe.stdout.trim() || null;
+      } catch (err) {
+        // No earlier tag: the changelog covers the whole history
+      }
+    }
+
+    const range = previousTag ? `${previousTag}..${commit}` : commit;
+    const result = await this.executeGitCommand(['log', '--max-count=201', '--format=%H%x1f%h%x1f%s', range, '--'], 'git_tag_changelog', 30000, toolContext);
+    const commits = result.stdout.split('\n').filter(Boolean).map(line => {
+      const [hash, shortHash, subject] = line.split('\x1f');
+      return { hash, short_hash: shortHash, subject };
+    });
+    const truncated = commits.length > 200;
+    if (truncated) {
+      commits.pop();
+    }
+
+    return {
+      previous_tag: previousTag,
+      commits: commits,
+      truncated: truncated,
+      text: buildChangelog(commits)
+    };
+  }
+
+  async refExists(ref, toolContext = {}) {
+    try {
+      await this.executeGitCommand(['rev-parse', '--verify', '--quiet', ref], 'git_ref_exists', 30000, toolContext);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // Reject names git would not accept as a tag (and option-like names)
+  async validateTagName(name, toolContext = {}) {
+    if (!name || typeof name !== 'string' || name.startsWith('-')) {
+      throw new Error('tag name parameter must be a non-empty string');
+    }
+    try {
+      await this.executeGitCommand(['check-ref-format', `refs/tags/${name}`], 'git_check_ref_format', 30000, toolContext);
+    } catch (err) {
+      throw new Error(`Invalid tag name: ${name}`);
+    }
+  }
+
+  async validateBranchName(name, toolContext = {}) {
+    if (!name || typeof name !== 'string' || name.startsWith('-')) {
+      throw new Error('branch name parameter must be a non-empty string');
+    }
+    try {
+      await this.executeGitCommand(['check-ref-format', '--branch', name], 'git_check_ref_format', 30000, toolContext);
+    } catch (err) {
+      throw new Error(`Invalid branch name: ${name}`);
+    }
+  }
+
+  // options.rawStdout: return stdout as a Buffer without echoing it (file contents); options.maxStdoutBytes caps how much is read
+  async executeGitCommand(args, operation, timeout = 30000, toolContext = {}, options = {}) {
+    return new Promise((resolve, reject) => {
+      const command = 'git';
+      const cwdPath = toolContext.PROJECT_PATH || '';
+
+      console.error(`Executing: cd ${cwdPath} && ${command} ${args.map(arg => arg.includes(' ') ? `"${arg}"` : arg).join(' ')}`);
+
+      const env = { ...process.env };
+
+      const httpProxy = process.env.HTTP_PROXY || '';
+      const httpsProxy = process.env.HTTPS_PROXY || '';
+      const socksProxy = process.env.SOCKS_PROXY || '';
+      const noProxy = process.env.NO_PROXY || '';
+      const allProxy = process.env.ALL_PROXY || '';
+
+      if (httpProxy) {
+        env.HTTP_PROXY = httpProxy;
+        env.http_proxy = httpProxy;
+      }
+      if (httpsProxy) {
+        env.HTTPS_PROXY = httpsProxy;
+        env.https_proxy = httpsProxy;
+      }
+      if (socksProxy) {
+        env.SOCKS_PROXY = socksProxy;
+        env.socks_proxy = socksProxy;
+      }
+      if (noProxy) {
+        env.NO_PROXY = noProxy;
+        env.no_proxy = noProxy;
+      }
+      if (allProxy) {
+        env.ALL_PROXY = allProxy;
+        env.all_proxy = allProxy;
+      }
+
+      const child = spawn(command, args, {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        shell: false,
+        cwd: cwdPath,
+        env: env
+      });
+
+      const timeoutId = setTimeout(() => {
+        console.error(`Command timed out after ${timeout}ms: ${command} ${args.join(' ')}`);
+        child.kill('SIGTERM');
+        reject(new GitCommandError({
+          args,
+          code: 'TIMEOUT',
+          hint: 'The git command took too long. Check the network/proxy settings or retry; large repositories may need more time.',
+          message: `Command timed out after ${timeout}ms`
+        }));
+      }, timeout);
+
+      let stdout = '';
+      let stderr = '';
+      // Used instead of stdout with options.rawStdout
+      const stdoutChunks = [];
+      let stdoutBytes = 0;
+      let stdoutCapped = false;
+
+      child.stdout.on('data', (data) => {
+        if (options.rawStdout) {
+          if (stdoutCapped) {
+            return;
+          }
+          const chunk = options.maxStdoutBytes > 0 ? data.subarray(0, options.maxStdoutBytes - stdoutBytes) : data;
+          stdoutChunks.push(chunk);
+          stdoutBytes += chunk.length;
+          if (options.maxStdoutBytes > 0 && stdoutBytes >= options.maxStdoutBytes) {
+            // Enough read; the rest is not needed
+            stdoutCapped = true;
+            child.kill('SIGTERM');
+          }
+          return;
+        }
+        const output = data.toString();
+        stdout += output;
+        console.error(output);
+      });
+
+      child.stderr.on('data', (data) => {
+        const output = data.toString();
+        stderr += output;
+        console.error(output);
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timeoutId);
+        if (code === 0 || stdoutCapped) {
+          resolve({
+            success: true,
+            stdout: options.rawStdout ? Buffer.concat(stdoutChunks) : stdout,
+            stderr: stderr,
+            exitCode: code
+          });
+        } else {
+          // Classify stderr into a machine-readable error code
+          reject(new GitCommandError({
+            args,
+            stdout: stdout,
+            stderr: stderr,
+            exitCode: code
+          }));
+        }
+      });
+
+      child.on('error', (err) => {
+        clearTimeout(timeoutId);
+        reject(new GitCommandError({
+          args,
+          stdout: stdout,
+          stderr: stderr,
+          code: 'SPAWN_FAILED',
+          hint: 'The git executable could not be started. Make sure git is installed and on PATH, and that PROJECT_PATH exists.',
+          message: err.message
+        }));
+      });
+    });
+  }
+
+  // Tool definitions announced by tools/list; tools/call dispatches only these
+  listTools() {
+    const getToolName = (baseName) => {
+      return TOOL_PREFIX ? `${TOOL_PREFIX}_${baseName}` : baseName;
+    };
+
+    const tools = [
+      {
+        name: getToolName('git_pull'),
+        description: `Execute git pull command from remote repository to current branch.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}"}
+
+With autostash: true, uncommitted changes are stashed before the pull and re-applied afterwards. If re-applying conflicts, the changes stay in the stash list (see git_stash_list).`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            autostash: {
+              type: 'boolean',
+              description: 'Stash uncommitted changes before pulling and re-apply them afterwards (git pull --autostash). Default: the repository PULL_AUTOSTASH setting, or false'
+            },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_push'),
+        description: `Execute git push command to remote repository.
+
+⚠️ REQUIREMENT: You MUST call get_pending_changes to review changes before using this tool. When APPROVAL_MODE is "all_approved" or "token" every pending change must also be approved with approve_changes; rejected changes block the push (errorCode CHANGES_REJECTED).
+
+USAGE:
+1. First call get_pending_changes to review pending changes
+2. Then call this tool with the commit message parameter.
+
+Please provide the commit message in ${LANGUAGE === 'en' ? 'English' : 'Chinese'} language.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {message: "${LANGUAGE === 'zh' || LANGUAGE === 'zh-CN' ? '更新项目文件' : 'Update project files'}", "repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}"}
+
+SYNC: When a repository sets PRE_PUSH_SYNC to "rebase" or "merge", the server fetches the remote first and integrates new remote commits before pushing. On conflicts the operation is aborted and the conflicted files are returned (errorCode SYNC_CONFLICT).
+
+COMMIT SCOPE: With commit_scope "pending_changes" only the files recorded through save_changes are committed; other modified files are left out and listed in excluded_files.
+
+DRY RUN: With dry_run true nothing is committed or pushed: the response lists the files that would be staged, the commit message, the unpushed commits and the result of git push --dry-run, and blocked_by names anything that would stop the real push. It can be called before reviewing the pending changes.
+
+COMMIT BODY: With commit_body "pending_changes" the pending change descriptions are appended as the commit body, one bullet per change with its files. Use get_commit_preview to see the exact message and files before pushing.
+
+PUSH MODE: With push_mode "feature_branch" (or a repository PUSH_MODE of "feature_branch") the changes are committed to a new branch named from FEATURE_BRANCH_TEMPLATE (default "${DEFAULT_FEATURE_BRANCH_TEMPLATE}"), that branch is pushed with upstream tracking, and the server switches back to LOCAL_BRANCH afterwards. Direct pushes are refused for repositories configured with "feature_branch".
+
+NOTE: If the result has a merge_request_url (the pull/merge request link printed by the remote), please output it to the user.
+
+The review status is reset after each push attempt (success or failure).`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            message: {
+              type: 'string',
+              description: `Commit message in ${LANGUAGE === 'en' ? 'English' : 'Chinese'} language`
+            },
+            commit_scope: {
+              type: 'string',
+              enum: ['all', 'pending_changes'],
+              description: 'Which files to commit: "all" stages every change (git add .), "pending_changes" commits only the files recorded through save_changes. Default: the repository COMMIT_SCOPE setting, or "all"'
+            },
+            commit_body: {
+              type: 'string',
+              enum: COMMIT_BODY_MODES,
+              description: '"none" adds no body, "pending_changes" adds one bullet per pending change description with its files. Default: the repository COMMIT_BODY setting, or "none"'
+            },
+            push_mode: {
+              type: 'string',
+              enum: PUSH_MODES,
+              description: '"direct" pushes LOCAL_BRANCH to REMOTE_BRANCH, "feature_branch" commits to a new branch and pushes that instead. Default: the repository PUSH_MODE setting, or "direct"'
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'Only report the files that would be staged, the commit message and the commits that would be pushed, and run git push --dry-run. Nothing is committed or pushed and pending changes and the review status are kept. Default: false'
+            },
+            trailers: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Trailers added to the commit message, e.g. ["Co-authored-by: Name <email>", "Reviewed-by: Name <email>"]'
+            },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['message', 'repo']
+        }
+      },
+      {
+        name: getToolName('get_push_history'),
+        description: `Get the last 5 push history records for the git repository. This tool should be called before using git_push to ensure the current changes have not been pushed before.
+
+Older records can be searched with since/until, success, search and repos. With STORAGE_BACKEND "sqlite" the whole history is kept; the JSON backend keeps the last 100 records per repository.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "since": "2026-01-01", "success": false, "limit": 20}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: { type: 'number', description: 'Limit count (1-1000), default 5' },
+            offset: { type: 'number', description: 'Offset, default 0' },
+            since: { type: 'string', description: 'Only entries at or after this date or ISO timestamp, e.g. "2026-01-01"' },
+            until: { type: 'string', description: 'Only entries at or before this date (the whole day) or ISO timestamp' },
+            repos: { type: 'array', items: { type: 'string' }, description: `Repositories to include instead of repo alone. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}` },
+            success: { type: 'boolean', description: 'Only successful (true) or failed (false) operations' },
+            search: { type: 'string', description: 'Case-insensitive text to look for in the record (message, error, branches, commits)' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('get_operation_logs'),
+        description: `Get operation logs for debugging and monitoring purposes.
+
+Logs can be filtered with since/until, success, search and repos. With STORAGE_BACKEND "sqlite" all logs are kept; the JSON backend only returns the last 1000 entries per repository since the server started.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "limit": 50, "offset": 0, "success": false}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: { type: 'number', description: 'Limit count, default 50' },
+            offset: { type: 'number', description: 'Offset, default 0' },
+            since: { type: 'string', description: 'Only entries at or after this date or ISO timestamp, e.g. "2026-01-01"' },
+            until: { type: 'string', description: 'Only entries at or before this date (the whole day) or ISO timestamp' },
+            repos: { type: 'array', items: { type: 'string' }, description: `Repositories to include instead of repo alone. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}` },
+            success: { type: 'boolean', description: 'Only requests that succeeded (true) or failed (false)' },
+            search: { type: 'string', description: 'Case-insensitive text to look for in the method, parameters, response and error' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('save_changes'),
+        description: `Save pending changes before pushing. This tool records modified files and change content for review before git push.
+
+The working tree state of each file (blob hash and diff) is recorded with the entry; files without changes are reported in unchanged_files.
+
+Entries are never dropped. Above MAX_PENDING_CHANGES, old pending entries for the same files are merged automatically; if that is not enough, git_push is blocked (errorCode PENDING_CHANGES_OVERFLOW) until you squash_changes or delete_change entries. Watch capacity and limit_warning in the response.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Please provide the change description in Chinese language.
+Example: {"files": ["src/main.js"], "content": "修复用户认证中的bug", "repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            files: { type: 'array', items: { type: 'string' }, description: 'Array of modified file paths' },
+            content: { type: 'string', description: 'Description of the changes made in Chinese language' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            },
+            limit: {
+              type: 'number',
+              description: 'Limit count (1-1000), default 1000'
+            }
+          },
+          required: ['files', 'content', 'repo']
+        }
+      },
+      {
+        name: getToolName('get_pending_changes'),
+        description: `Get pending changes that need to be reviewed before pushing. This tool MUST be called before git_push to enable pushing.
+
+The drift field compares the entries with the working tree: unchanged_files (saved files without changes), changed_since_save (files changed after their description was saved) and uncovered_files (modified files no entry lists). Check it before approving.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "limit": 1000, "offset": 0}
+
+Filter with since/until, status, search and repos, e.g. {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "search": "login", "status": "needs_rework"}.
+
+NOTE: Review status is valid only for the next push attempt. When APPROVAL_MODE is "all_approved" or "token", viewing the changes is not enough: approve them with approve_changes. Each change has a status (pending, approved, rejected, needs_rework), reviewer and review_comment.`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: { type: 'number', description: 'Limit count (1-1000), default 1000' },
+            offset: { type: 'number', description: 'Offset, default 0' },
+            since: { type: 'string', description: 'Only entries at or after this date or ISO timestamp, e.g. "2026-01-01"' },
+            until: { type: 'string', description: 'Only entries at or before this date (the whole day) or ISO timestamp' },
+            repos: { type: 'array', items: { type: 'string' }, description: `Repositories to include instead of repo alone. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}` },
+            status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'needs_rework'], description: 'Only changes with this approval status' },
+            search: { type: 'string', description: 'Case-insensitive text to look for in the description and file paths' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('approve_changes'),
+        description: `Approve pending changes so git_push can proceed when APPROVAL_MODE is "all_approved" or "token".
+
+Without change_ids every change with status "pending" is approved. Rejected changes and changes that need rework must be listed in change_ids explicitly.
+
+⚠️ With APPROVAL_MODE "token", approval_token must be the token a human reviewer gives you after reviewing the changes. Never guess it; ask the user.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "reviewer": "alice", "comment": "Looks good"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            change_ids: { type: 'array', items: { type: 'number' }, description: 'Ids of the changes to approve (see get_pending_changes). Default: all changes with status "pending"' },
+            reviewer: { type: 'string', description: 'Name of the reviewer' },
+            comment: { type: 'string', description: 'Review comment' },
+            approval_token: { type: 'string', description: 'Approval token supplied by a human reviewer (required when APPROVAL_MODE is "token")' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('reject_changes'),
+        description: `Reject pending changes or send them back for rework. git_push is blocked (errorCode CHANGES_REJECTED) until the changes are approved again.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "change_ids": [1700000000000], "status": "needs_rework", "comment": "Add tests for the new parser"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            change_ids: { type: 'array', items: { type: 'number' }, description: 'Ids of the changes to reject (see get_pending_changes)' },
+            status: { type: 'string', enum: ['rejected', 'needs_rework'], description: 'New status of the changes. Default: "rejected"' },
+            reviewer: { type: 'string', description: 'Name of the reviewer' },
+            comment: { type: 'string', description: 'Reason for the decision' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['change_ids', 'comment', 'repo']
+        }
+      },
+      {
+        name: getToolName('update_change'),
+        description: `Edit the files or description of a pending change, e.g. after saving a wrong description. The previous version is kept in the edit_history of the entry, the files are snapshotted again and the change has to be reviewed (and approved, depending on APPROVAL_MODE) again.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "change_id": 1700000000000, "content": "Fix token refresh in the login flow"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            change_id: { type: 'number', description: 'Id of the change (see get_pending_changes)' },
+            files: { type: 'array', items: { type: 'string' }, description: 'New list of modified file paths' },
+            content: { type: 'string', description: 'New description of the changes' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['change_id', 'repo']
+        }
+      },
+      {
+        name: getToolName('delete_change'),
+        description: `Delete a pending change that was saved by mistake. The deleted entry is returned and kept in the operation log. Unless APPROVAL_MODE is "review", a change that was already reviewed (approved, rejected or reworked) can only be deleted with the approval_token from the user.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "change_id": 1700000000000, "reason": "Saved twice"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            change_id: { type: 'number', description: 'Id of the change (see get_pending_changes)' },
+            reason: { type: 'string', description: 'Why the change is deleted' },
+            approval_token: { type: 'string', description: 'Token from a human reviewer; required to delete a change that was already reviewed unless APPROVAL_MODE is "review"' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['change_id', 'repo']
+        }
+      },
+      {
+        name: getToolName('squash_changes'),
+        description: `Merge several pending changes (e.g. the same file saved five times) into one. The result keeps the id of the newest change, the files of all of them and their descriptions joined oldest first (or the given content); the squashed entries are kept in edit_history.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "change_ids": [1700000000000, 1700000005000], "content": "Rewrite the config loader"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            change_ids: { type: 'array', items: { type: 'number' }, description: 'Ids of the changes to merge (at least two)' },
+            content: { type: 'string', description: 'Description of the merged change. Default: the descriptions joined oldest first' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['change_ids', 'repo']
+        }
+      },
+      {
+        name: getToolName('git_status'),
+        description: `Show the working directory and staging area status.
+
+The result contains the current branch (head, upstream, ahead/behind) and one entry per file with path, orig_path (renames/copies), index_status, worktree_status, submodule and conflict information.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            include_untracked: { type: 'boolean', description: 'List every untracked file instead of collapsing untracked directories, default false' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_diff'),
+        description: `Show changes between working directory and HEAD or staging area, or between commits.
+
+FORMATS: "raw" (default) returns unified diff text, "parsed" returns one object per file with path, old_path, change_type, binary, additions, deletions and hunks, "stat" returns only per-file additions/deletions and totals - use it first on large changes.
+
+Large diffs are cut at max_file_bytes per file and max_total_bytes overall (repository DIFF_MAX_FILE_BYTES / DIFF_MAX_TOTAL_BYTES, default ${DEFAULT_MAX_FILE_BYTES} / ${DEFAULT_MAX_TOTAL_BYTES}); truncated output is marked (truncated: true). Use 0 for no limit.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "staged": false, "files": ["src/main.js"]}
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "range": "origin/main...HEAD", "format": "stat"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            staged: { type: 'boolean', description: 'Show staged changes instead of unstaged, default false' },
+            files: { type: 'array', items: { type: 'string' }, description: 'Specific files to show diff for' },
+            range: { type: 'string', description: 'Commit or range to diff, e.g. "HEAD~3..HEAD" or "origin/main...HEAD". Cannot be combined with staged' },
+            format: { type: 'string', enum: DIFF_FORMATS, description: 'Output format: "raw", "parsed" or "stat", default "raw"' },
+            max_file_bytes: { type: 'integer', description: 'Maximum diff bytes per file, 0 for no limit' },
+            max_total_bytes: { type: 'integer', description: 'Maximum diff bytes in total, 0 for no limit' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_add'),
+        description: `Add file contents to the staging area.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "files": ["."]}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            files: { type: 'array', items: { type: 'string' }, description: 'Files to add (default: ["."] for all files)' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_log'),
+        description: `Show commit history with optional filters, ranges and per-file stats.
+
+Each commit includes hash, short_hash, parents, author, email, date (ISO 8601), committer, message (subject) and "pushed" (whether it is already on the configured remote branch).
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "limit": 10, "range": "origin/main..HEAD", "include_files": true}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: { type: 'number', description: 'Number of commits to show (1-100), default 10' },
+            oneline: { type: 'boolean', description: 'Only return short hash, subject and pushed flag, default false' },
+            author: { type: 'string', description: 'Only commits whose author name or email matches this pattern' },
+            since: { type: 'string', description: 'Only commits after this date (e.g. "2024-01-31", "2 weeks ago")' },
+            until: { type: 'string', description: 'Only commits before this date' },
+            grep: { type: 'string', description: 'Only commits whose message matches this pattern (case-insensitive)' },
+            range: { type: 'string', description: 'Revision or range to list, e.g. "v1.0..HEAD" or "origin/main..HEAD" (default: HEAD)' },
+            files: { type: 'array', items: { type: 'string' }, description: 'Only commits touching these paths' },
+            follow: { type: 'boolean', description: 'Follow renames (requires exactly one path in files), default false' },
+            include_files: { type: 'boolean', description: 'Include changed files with additions/deletions per commit, default false' },
+            include_body: { type: 'boolean', description: 'Include the full commit message body, default false' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_blame'),
+        description: `Show who last changed each line of a file (git blame), optionally for a line range or at an older ref.
+
+Each line includes line number, commit, short_hash, author, email, date (ISO 8601), summary (commit subject), uncommitted flag and content. Paths are relative to the project directory and must stay inside it.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "path": "src/app.js", "start_line": 10, "end_line": 30}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', description: 'File path relative to the project directory (required)' },
+            start_line: { type: 'number', description: 'First line to blame (1-based)' },
+            end_line: { type: 'number', description: 'Last line to blame' },
+            ref: { type: 'string', description: 'Blame the file as of this branch, tag or commit (default: working tree)' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['path', 'repo']
+        }
+      },
+      {
+        name: getToolName('git_show_file'),
+        description: `Return the contents of a file at any branch, tag or commit (default HEAD), e.g. to see what it looked like before a change.
+
+Paths are relative to the project directory and must stay inside it. Binary files are reported without content; large files are cut at max_bytes (truncated: true).
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "path": "src/app.js", "ref": "HEAD~1"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', description: 'File path relative to the project directory (required)' },
+            ref: { type: 'string', description: 'Branch, tag or commit, default HEAD' },
+            max_bytes: { type: 'number', description: `Maximum bytes of content to return, 0 for no limit, default ${DEFAULT_SHOW_FILE_MAX_BYTES}` },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['path', 'repo']
+        }
+      },
+      {
+        name: getToolName('git_branch_list'),
+        description: `List branches with their upstream tracking branch and ahead/behind counts.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "include_remote": false}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            include_remote: { type: 'boolean', description: 'Include remote-tracking branches, default false' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_branch_create'),
+        description: `Create a new branch from HEAD or from a start point, optionally switching to it.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "name": "feature/login", "start_point": "origin/main", "checkout": true}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Name of the new branch' },
+            start_point: { type: 'string', description: 'Commit, branch or tag to start from, default HEAD' },
+            checkout: { type: 'boolean', description: 'Switch to the new branch after creating it, default false' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['name', 'repo']
+        }
+      },
+      {
+        name: getToolName('git_checkout'),
+        description: `Switch to another branch.
+
+The switch is refused when tracked files have uncommitted changes, unless allow_dirty is true (the changes are then carried over to the other branch).
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "branch": "develop"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            branch: { type: 'string', description: 'Branch to switch to' },
+            allow_dirty: { type: 'boolean', description: 'Switch even if tracked files have uncommitted changes, default false' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['branch', 'repo']
+        }
+      },
+      {
+        name: getToolName('git_branch_delete'),
+        description: `Delete a local branch.
+
+The repository's configured LOCAL_BRANCH can never be deleted. Unmerged branches are only deleted with force: true.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "name": "feature/login"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Branch to delete' },
+            force: { type: 'boolean', description: 'Delete even if the branch is not merged (git branch -D), default false' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['name', 'repo']
+        }
+      },
+      {
+        name: getToolName('git_stash_save'),
+        description: `Stash uncommitted changes (git stash push) so the working tree is clean, e.g. before a pull or a branch switch.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "message": "WIP: login form", "include_untracked": true}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', description: 'Optional description stored with the stash entry' },
+            include_untracked: { type: 'boolean', description: 'Also stash untracked files (git stash push -u), default false' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_stash_list'),
+        description: `List stash entries with their index, commit, branch, date and message.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_stash_show'),
+        description: `Show the changes recorded in a stash entry as a unified diff, with the list of files.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "stash": 0}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            stash: { type: ['integer', 'string'], description: 'Stash index (0 = latest) or ref like "stash@{0}", default 0' },
+            include_untracked: { type: 'boolean', description: 'Also show untracked files stored in the entry, default false' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_stash_apply'),
+        description: `Apply a stash entry to the working tree and keep it in the stash list.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "stash": 0}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            stash: { type: ['integer', 'string'], description: 'Stash index (0 = latest) or ref like "stash@{0}", default 0' },
+            restore_index: { type: 'boolean', description: 'Also restore the staged state (git stash apply --index), default false' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_stash_pop'),
+        description: `Apply a stash entry to the working tree and remove it from the stash list. If applying conflicts, the entry is kept.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "stash": 0}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            stash: { type: ['integer', 'string'], description: 'Stash index (0 = latest) or ref like "stash@{0}", default 0' },
+            restore_index: { type: 'boolean', description: 'Also restore the staged state (git stash pop --index), default false' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_stash_drop'),
+        description: `Delete a stash entry. The stash parameter is required so entries are never dropped by accident.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "stash": 1}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            stash: { type: ['integer', 'string'], description: 'Stash index (0 = latest) or ref like "stash@{0}"' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['stash', 'repo']
+        }
+      },
+      {
+        name: getToolName('git_commit_amend'),
+        description: `Amend the last commit: change its message and/or add more files to it. Only allowed while HEAD is not yet on the remote branch (errorCode COMMIT_ALREADY_PUSHED otherwise). The action is recorded in push history.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
 
-    if (typeof limit !== 'number' || limit < 1 || limit > 100) {
-      throw new Error('limit parameter must be between 1-100');
-    }
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "message": "Fix typo in login form", "files": ["src/login.js"]}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', description: 'New commit message; omit to keep the current message' },
+            files: { type: 'array', items: { type: 'string' }, description: 'Files to add to the amended commit' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_reset_soft'),
+        description: `Undo the last commits with git reset --soft, keeping their changes staged. Refused if any of the removed commits is already on the remote branch (errorCode COMMIT_ALREADY_PUSHED). The action is recorded in push history.
 
-    try {
-      const args = ['log', `--max-count=${limit}`];
-      if (oneline) {
-        args.push('--oneline');
-      } else {
-        args.push('--pretty=format:%H|%an|%ae|%ad|%s', '--date=short');
-      }
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
 
-      const result = await this.executeGitCommand(args, 'git_log', 30000, toolContext);
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "count": 1}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            count: { type: 'integer', description: 'Number of commits to move HEAD back (1-50), default 1' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_revert'),
+        description: `Create a new commit that undoes a commit which is already on the remote branch. Unpushed commits are refused (errorCode COMMIT_NOT_PUSHED) - use git_reset_soft or git_commit_amend for them. Conflicting reverts are aborted (errorCode REVERT_CONFLICT). The revert commit is not pushed automatically; the action is recorded in push history.
 
-      const commits = result.stdout.trim().split('\n').filter(line => line.trim()).map(line => {
-        if (oneline) {
-          const match = line.match(/^(\w+)\s+(.+)$/);
-          return match ? { hash: match[1], message: match[2] } : { hash: '', message: line };
-        } else {
-          const parts = line.split('|');
-          return {
-            hash: parts[0] || '',
-            author: parts[1] || '',
-            email: parts[2] || '',
-            date: parts[3] || '',
-            message: parts[4] || ''
-          };
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
+
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "commit": "a1b2c3d"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            commit: { type: 'string', description: 'Commit hash or ref to revert' },
+            mainline: { type: 'integer', description: 'Parent number to revert to when reverting a merge commit (usually 1)' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['commit', 'repo']
         }
-      });
+      },
+      {
+        name: getToolName('git_tag_list'),
+        description: `List tags, newest first, with the target commit, tagger, date and annotation message (null for lightweight tags). latest_version is the highest semver tag in the result.
 
-      return {
-        success: true,
-        commits: commits,
-        total: commits.length,
-        oneline: oneline
-      };
-    } catch (err) {
-      throw new Error(`Git log failed: ${err.error || err.message}`);
-    }
-  }
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
 
-  async set_log_dir(params, toolContext = {}) {
-    const { log_dir } = params;
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "pattern": "v1.*"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pattern: { type: 'string', description: 'Glob to filter tag names, e.g. "v1.*"' },
+            limit: { type: 'number', description: 'Maximum number of tags (1-500), default 50' },
+            merged: { type: 'string', description: 'Only tags reachable from this branch, tag or commit' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_tag_create'),
+        description: `Create a tag at a commit (default HEAD). Pass a name, or bump ("major", "minor", "patch") to name it after the latest semver tag reachable from the commit (v0.0.0 when there is none).
 
-    if (!log_dir || typeof log_dir !== 'string') {
-      throw new Error('log_dir parameter must be a non-empty string');
-    }
+Tags are lightweight unless annotated is true or a message is given; annotated tags without a message get "Release <tag>" plus the changelog. The response includes a changelog of commit subjects since the previous tag. The tag is not pushed; use git_tag_push.
 
-    const resolvedPath = path.resolve(log_dir);
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
 
-    if (!fs.existsSync(resolvedPath)) {
-      fs.mkdirSync(resolvedPath, { recursive: true });
-    }
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "bump": "minor"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Tag name (or use bump)' },
+            bump: { type: 'string', description: 'Bump the latest semver tag: "major", "minor" or "patch"' },
+            ref: { type: 'string', description: 'Commit to tag, default HEAD' },
+            message: { type: 'string', description: 'Annotation message (creates an annotated tag)' },
+            annotated: { type: 'boolean', description: 'Create an annotated tag, default false' },
+            sign: { type: 'boolean', description: 'Create a signed (and annotated) tag with the repository signing key. Tags are always signed when the repository SIGN_TAGS setting is "true"' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_tag_push'),
+        description: `Push a tag (or all tags with all: true) to the remote.
 
-    CUSTOM_LOG_DIR = resolvedPath;
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
 
-    return {
-      success: true,
-      log_dir: resolvedPath,
-      message: `Log directory set to: ${resolvedPath}`
-    };
-  }
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "name": "v1.3.0"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Tag to push' },
+            all: { type: 'boolean', description: 'Push all tags, default false' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_tag_delete'),
+        description: `Delete a tag locally. Pass remote: true to delete it on the remote as well (for example to withdraw a bad release).
 
-  async executeGitCommand(args, operation, timeout = 30000, toolContext = {}) {
-    return new Promise((resolve, reject) => {
-      const command = 'git';
-      const cwdPath = toolContext.PROJECT_PATH || '';
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
 
-      console.error(`Executing: cd ${cwdPath} && ${command} ${args.map(arg => arg.includes(' ') ? `"${arg}"` : arg).join(' ')}`);
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "name": "v1.3.0", "remote": true}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Tag to delete' },
+            remote: { type: 'boolean', description: 'Also delete the tag on the remote, default false' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['name', 'repo']
+        }
+      },
+      {
+        name: getToolName('suggest_commit_message'),
+        description: `Propose a Conventional Commits message ("type(scope): subject") for the next git_push, derived from the pending changes (file paths and descriptions saved with save_changes).
 
-      const env = { ...process.env };
+The type is guessed from the files (docs, test, ci, build, style) or the descriptions (fix, perf, refactor, feat, ...), and the scope from the directory all files share. Pass your own message to keep its subject and to check it against the commit message policy. Accept or edit the suggestion before calling git_push.
 
-      const httpProxy = process.env.HTTP_PROXY || '';
-      const httpsProxy = process.env.HTTPS_PROXY || '';
-      const socksProxy = process.env.SOCKS_PROXY || '';
-      const noProxy = process.env.NO_PROXY || '';
-      const allProxy = process.env.ALL_PROXY || '';
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
 
-      if (httpProxy) {
-        env.HTTP_PROXY = httpProxy;
-        env.http_proxy = httpProxy;
-      }
-      if (httpsProxy) {
-        env.HTTPS_PROXY = httpsProxy;
-        env.https_proxy = httpsProxy;
-      }
-      if (socksProxy) {
-        env.SOCKS_PROXY = socksProxy;
-        env.socks_proxy = socksProxy;
-      }
-      if (noProxy) {
-        env.NO_PROXY = noProxy;
-        env.no_proxy = noProxy;
-      }
-      if (allProxy) {
-        env.ALL_PROXY = allProxy;
-        env.all_proxy = allProxy;
-      }
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "message": "add login endpoint"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', description: 'Draft message to use as the subject and to check against the policy' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('get_commit_preview'),
+        description: `Preview the commit git_push would create, without committing: the exact message (including the body generated from pending changes when commit_body is "pending_changes"), the author and committer identity, and the files that would be committed or left out.
 
-      const child = spawn(command, args, {
-        stdio: ['ignore', 'pipe', 'pipe'],
-        shell: false,
-        cwd: cwdPath,
-        env: env
-      });
+Without a message, the message suggest_commit_message would propose is used. message_problems lists commit message policy problems that would block git_push.
 
-      const timeoutId = setTimeout(() => {
-        console.error(`Command timed out after ${timeout}ms: ${command} ${args.join(' ')}`);
-        child.kill('SIGTERM');
-        reject(new Error(`Command timed out after ${timeout}ms`));
-      }, timeout);
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
 
-      let stdout = '';
-      let stderr = '';
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "message": "feat(api): add login endpoint", "commit_body": "pending_changes"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', description: 'Commit message to preview (default: the suggested message)' },
+            commit_scope: { type: 'string', description: '"all" or "pending_changes", default: the configured COMMIT_SCOPE' },
+            commit_body: { type: 'string', description: '"none" or "pending_changes" (one bullet per pending change with its files), default: the configured COMMIT_BODY' },
+            trailers: { type: 'array', items: { type: 'string' }, description: 'Trailers added to the commit message, e.g. ["Co-authored-by: Name <email>", "Reviewed-by: Name <email>"]' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
+        }
+      },
+      {
+        name: getToolName('git_verify_commits'),
+        description: `Report the signature status of commits: by default the unpushed commits (REMOTE_NAME/REMOTE_BRANCH..LOCAL_BRANCH), or a given range. Each commit has signed, verified and status ("good", "good_unknown_validity", "expired_signature", "expired_key", "revoked_key", "unverifiable", "bad" or "unsigned") with the signer and key. Use it before pushing to a branch that requires signed commits.
 
-      child.stdout.on('data', (data) => {
-        const output = data.toString();
-        stdout += output;
-        console.error(output);
-      });
+SSH signatures can only be verified when ALLOWED_SIGNERS_FILE (or gpg.ssh.allowedSignersFile) is configured; otherwise they are reported as "unverifiable".
 
-      child.stderr.on('data', (data) => {
-        const output = data.toString();
-        stderr += output;
-        console.error(output);
-      });
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
 
-      child.on('close', (code) => {
-        clearTimeout(timeoutId);
-        if (code === 0) {
-          resolve({
-            success: true,
-            stdout: stdout,
-            stderr: stderr,
-            exitCode: code
-          });
-        } else {
-          reject({
-            success: false,
-            stdout: stdout,
-            stderr: stderr,
-            exitCode: code,
-            error: `Command exited with code ${code}`
-          });
+Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "range": "HEAD~5..HEAD"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            range: { type: 'string', description: 'Revision range to check (default: the unpushed commits)' },
+            limit: { type: 'number', description: 'Maximum number of commits (1-1000, default: 100)' },
+            repo: {
+              type: 'string',
+              description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
+              enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
+            }
+          },
+          required: ['repo']
         }
-      });
+      }
+    ];
 
-      child.on('error', (err) => {
-        clearTimeout(timeoutId);
-        reject({
-          success: false,
-          error: err.message,
-          stdout: stdout,
-          stderr: stderr
-        });
+    if (!process.env.LOG_DIR) {
+      tools.push({
+        name: getToolName('set_log_dir'),
+        description: `Set the log directory path for storing git operation logs.
+
+⚠️ This tool is required when LOG_DIR environment variable is not set.
+
+Example: {"log_dir": "./logs"}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            log_dir: {
+              type: 'string',
+              description: 'Absolute path to the log directory (e.g., "D:/logs" or "/var/logs")'
+            }
+          },
+          required: ['log_dir']
+        }
       });
-    });
+    }
+
+    return tools;
+  }
+
+  isListedTool(methodName) {
+    const prefix = TOOL_PREFIX ? `${TOOL_PREFIX}_` : '';
+    return typeof this[methodName] === 'function' && this.listTools().some(tool => tool.name === `${prefix}${methodName}`);
   }
 
   async handleRequest(request) {
@@ -712,6 +3842,9 @@ class FinalMCPServer {
 
       let result = null;
       let error = null;
+      // Replaces result in the operation log when the response must not be logged in full
+      let loggedResult = null;
+      let logRepoName = '';
 
       try {
         if (method === 'initialize') {
@@ -751,280 +3884,25 @@ class FinalMCPServer {
             }
           };
         } else if (method === 'tools/list') {
-          const getToolName = (baseName) => {
-            return TOOL_PREFIX ? `${TOOL_PREFIX}_${baseName}` : baseName;
-          };
-
-          const tools = [
-            {
-              name: getToolName('git_pull'),
-              description: `Execute git pull command from remote repository to current branch.
-
-Available repositories:
-${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
-
-Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}"}`,
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  repo: {
-                    type: 'string',
-                    description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
-                    enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
-                  }
-                },
-                required: ['repo']
-              }
-            },
-            {
-              name: getToolName('git_push'),
-              description: `Execute git push command to remote repository.
-
-⚠️ REQUIREMENT: You MUST call get_pending_changes to review changes before using this tool.
-
-USAGE:
-1. First call get_pending_changes to review pending changes
-2. Then call this tool with the commit message parameter.
-
-Please provide the commit message in ${LANGUAGE === 'en' ? 'English' : 'Chinese'} language.
-
-Available repositories:
-${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
-
-Example: {message: "${LANGUAGE === 'zh' || LANGUAGE === 'zh-CN' ? '更新项目文件' : 'Update project files'}", "repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}"}
-
-NOTE: If the push result contains a branch merge URL, please output it to the user.
-
-The review status is reset after each push attempt (success or failure).`,
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  message: {
-                    type: 'string',
-                    description: `Commit message in ${LANGUAGE === 'en' ? 'English' : 'Chinese'} language`
-                  },
-                  repo: {
-                    type: 'string',
-                    description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
-                    enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
-                  }
-                },
-                required: ['message', 'repo']
-              }
-            },
-            {
-              name: getToolName('get_push_history'),
-              description: `Get the last 5 push history records for the git repository. This tool should be called before using git_push to ensure the current changes have not been pushed before.
-
-Available repositories:
-${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
-
-Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}"}`,
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  repo: {
-                    type: 'string',
-                    description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
-                    enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
-                  }
-                },
-                required: ['repo']
-              }
-            },
-            {
-              name: getToolName('get_operation_logs'),
-              description: `Get operation logs for debugging and monitoring purposes.
-
-Available repositories:
-${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
-
-Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "limit": 50, "offset": 0}`,
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  limit: { type: 'number', description: 'Limit count, default 50' },
-                  offset: { type: 'number', description: 'Offset, default 0' },
-                  repo: {
-                    type: 'string',
-                    description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
-                    enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
-                  }
-                },
-                required: ['repo']
-              }
-            },
-            {
-              name: getToolName('save_changes'),
-              description: `Save pending changes before pushing. This tool records modified files and change content for review before git push.
-
-Available repositories:
-${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
-
-Please provide the change description in Chinese language.
-Example: {"files": ["src/main.js"], "content": "修复用户认证中的bug", "repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}"}`,
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  files: { type: 'array', items: { type: 'string' }, description: 'Array of modified file paths' },
-                  content: { type: 'string', description: 'Description of the changes made in Chinese language' },
-                  repo: {
-                    type: 'string',
-                    description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
-                    enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
-                  },
-                  limit: {
-                    type: 'number',
-                    description: 'Limit count (1-1000), default 1000'
-                  }
-                },
-                required: ['files', 'content', 'repo']
-              }
-            },
-            {
-              name: getToolName('get_pending_changes'),
-              description: `Get pending changes that need to be reviewed before pushing. This tool MUST be called before git_push to enable pushing.
-
-Available repositories:
-${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
-
-Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "limit": 1000, "offset": 0}
-
-NOTE: Review status is valid only for the next push attempt.`,
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  limit: { type: 'number', description: 'Limit count (1-1000), default 1000' },
-                  offset: { type: 'number', description: 'Offset, default 0' },
-                  repo: {
-                    type: 'string',
-                    description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
-                    enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
-                  }
-                },
-                required: ['repo']
-              }
-            },
-            {
-              name: getToolName('git_status'),
-              description: `Show the working directory and staging area status.
-
-Available repositories:
-${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
-
-Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}"}`,
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  repo: {
-                    type: 'string',
-                    description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
-                    enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
-                  }
-                },
-                required: ['repo']
-              }
-            },
-            {
-              name: getToolName('git_diff'),
-              description: `Show changes between working directory and HEAD or staging area.
-
-Available repositories:
-${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
-
-Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "staged": false, "files": ["src/main.js"]}`,
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  staged: { type: 'boolean', description: 'Show staged changes instead of unstaged, default false' },
-                  files: { type: 'array', items: { type: 'string' }, description: 'Specific files to show diff for' },
-                  repo: {
-                    type: 'string',
-                    description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
-                    enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
-                  }
-                },
-                required: ['repo']
-              }
-            },
-            {
-              name: getToolName('git_add'),
-              description: `Add file contents to the staging area.
-
-Available repositories:
-${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
-
-Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "files": ["."]}`,
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  files: { type: 'array', items: { type: 'string' }, description: 'Files to add (default: ["."] for all files)' },
-                  repo: {
-                    type: 'string',
-                    description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
-                    enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
-                  }
-                },
-                required: ['repo']
-              }
-            },
-            {
-              name: getToolName('git_log'),
-              description: `Show commit history.
-
-Available repositories:
-${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.PROJECT_PATH}`).join('\n')}
-
-Example: {"repo": "${MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE[0].REPO_NAME : ''}", "limit": 10, "oneline": false}`,
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  limit: { type: 'number', description: 'Number of commits to show (1-100), default 10' },
-                  oneline: { type: 'boolean', description: 'Show commits in oneline format, default false' },
-                  repo: {
-                    type: 'string',
-                    description: `Repository name, required. Available values: ${MULTI_INSTANCE.map(i => i.REPO_NAME).join(', ')}`,
-                    enum: MULTI_INSTANCE.length > 0 ? MULTI_INSTANCE.map(i => i.REPO_NAME) : undefined
-                  }
-                },
-                required: ['repo']
-              }
-            }
-          ];
-
-          if (!process.env.LOG_DIR) {
-            tools.push({
-              name: getToolName('set_log_dir'),
-              description: `Set the log directory path for storing git operation logs.
-
-⚠️ This tool is required when LOG_DIR environment variable is not set.
-
-Example: {"log_dir": "./logs"}`,
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  log_dir: {
-                    type: 'string',
-                    description: 'Absolute path to the log directory (e.g., "D:/logs" or "/var/logs")'
-                  }
-                },
-                required: ['log_dir']
-              }
-            });
-          }
+          const tools = this.listTools();
 
           result = {
             tools: tools,
             environment: {
               TOOL_PREFIX: TOOL_PREFIX,
               LANGUAGE: LANGUAGE,
-              pending_changes_count: pendingChanges.length,
-              changes_reviewed: changesReviewed,
-              multi_instance: MULTI_INSTANCE,
-              repo_list: MULTI_INSTANCE.map(i => ({
-                repo_name: i.REPO_NAME || '',
-                project_path: i.PROJECT_PATH || ''
-              })),
+              pending_changes_count: MULTI_INSTANCE.reduce((sum, i) => sum + getRepoStore(i.REPO_NAME).pendingChanges.length, 0),
+              multi_instance: MULTI_INSTANCE.map(describeInstance),
+              repo_list: MULTI_INSTANCE.map(i => {
+                const store = getRepoStore(i.REPO_NAME);
+                return {
+                  repo_name: i.REPO_NAME || '',
+                  project_path: i.PROJECT_PATH || '',
+                  pending_changes_count: store.pendingChanges.length,
+                  changes_reviewed: store.changesReviewed,
+                  approval_mode: getApprovalMode(i)
+                };
+              }),
               serverInfo: {
                 name: this.name,
                 version: this.version
@@ -1061,7 +3939,8 @@ Example: {"log_dir": "./logs"}`,
             actualMethodName = name.substring(TOOL_PREFIX.length + 1);
           }
 
-          if (!this[actualMethodName]) {
+          // Only tools announced in tools/list may be called, never the helper methods of this class
+          if (!this.isListedTool(actualMethodName)) {
             throw new Error(`Unknown tool: ${name}`);
           }
 
@@ -1069,11 +3948,9 @@ Example: {"log_dir": "./logs"}`,
           if (args && args.repo && MULTI_INSTANCE.length > 0) {
             const targetInstance = MULTI_INSTANCE.find(i => i.REPO_NAME === args.repo);
             if (targetInstance) {
+              // Pass every per-repo setting (REMOTE_NAME, COMMIT_SCOPE, ...) through to the tool
               toolContext = {
-                PROJECT_PATH: targetInstance.PROJECT_PATH,
-                REPO_NAME: targetInstance.REPO_NAME,
-                LOCAL_BRANCH: targetInstance.LOCAL_BRANCH,
-                REMOTE_BRANCH: targetInstance.REMOTE_BRANCH,
+                ...targetInstance,
                 LANGUAGE: targetInstance.LANGUAGE || 'en'
               };
             } else {
@@ -1081,11 +3958,15 @@ Example: {"log_dir": "./logs"}`,
             }
           }
 
+          logRepoName = toolContext.REPO_NAME || '';
           const toolResult = await this[actualMethodName](args || {}, toolContext);
 
           result = {
             content: [{ type: 'text', text: JSON.stringify(toolResult, null, 2) }]
           };
+          if (actualMethodName === 'git_show_file') {
+            loggedResult = { content: [{ type: 'text', text: JSON.stringify(omitShowFileContent(toolResult), null, 2) }] };
+          }
         } else if (method === 'ping') {
           logRequest('ping', {}, { status: 'pong' }, null);
           result = { pong: true };
@@ -1105,7 +3986,7 @@ Example: {"log_dir": "./logs"}`,
         throw err;
       } finally {
         const safeParams = params || {};
-        logRequest(method, safeParams, result, error);
+        logRequest(method, safeParams, loggedResult || result, error, logRepoName);
       }
 
       if (method === 'notifications/initialized' || method === 'notifications/exit') {
@@ -1129,11 +4010,18 @@ Example: {"log_dir": "./logs"}`,
         errorCode = -32600;
       }
       logRequest('error', { error: error.message, stack: error.stack }, null, error.message);
-      return {
+      const errorResponse = {
         jsonrpc: '2.0',
         id: request.id,
         error: { code: errorCode, message: errorMessage }
       };
+
+      const errorData = error.data || (error instanceof GitCommandError ? error.toData() : null);
+      if (errorData) {
+        errorResponse.error.data = errorData;
+      }
+
+      return errorResponse;
     }
   }
 
@@ -1181,18 +4069,26 @@ Example: {"log_dir": "./logs"}`,
 }
 
 async function main() {
+  try {
+    checkStorageBackend(STORAGE_BACKEND);
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    process.exit(1);
+  }
+
   console.error('================================');
   console.error(`Time: ${new Date().toISOString()}`);
   console.error(`Language: ${LANGUAGE}`);
   console.error(`Tool Prefix: ${TOOL_PREFIX || '(none)'}`);
   console.error(`Multi Instance: ${MULTI_INSTANCE.length} instance(s)`);
+  console.error(`Storage Backend: ${STORAGE_BACKEND}`);
   if (MULTI_INSTANCE.length > 0) {
     console.error(`Instances:`);
     MULTI_INSTANCE.forEach((instance, index) => {
-      console.error(`  ${index + 1}. ${instance.REPO_NAME}: ${instance.PROJECT_PATH}`);
+      const store = getRepoStore(instance.REPO_NAME);
+      console.error(`  ${index + 1}. ${instance.REPO_NAME}: ${instance.PROJECT_PATH} (pending changes: ${store.pendingChanges.length})`);
     });
   }
-  console.error(`Pending Changes: ${pendingChanges.length}`);
   console.error('================================');
 
   const server = new FinalMCPServer();
@@ -0,0 +1,116 @@
+// Commit and tag signing (GPG, SSH or X.509 keys) and signature status parsing
+
+const SIGNING_FORMATS = ['openpgp', 'ssh', 'x509'];
+
+// Settings come from env vars or a MULTI_INSTANCE entry; "gpg" is accepted for openpgp.
+// An unset format or key falls back to the git configuration (gpg.format, user.signingKey).
+const resolveSigningConfig = ({ signCommits, signTags, format, key, allowedSignersFile } = {}) => {
+  const signingFormat = format === 'gpg' ? 'openpgp' : (format || null);
+  if (signingFormat && !SIGNING_FORMATS.includes(signingFormat)) {
+    throw new Error(`SIGNING_FORMAT must be one of: gpg, ${SIGNING_FORMATS.join(', ')}`);
+  }
+  return {
+    sign_commits: String(signCommits) === 'true',
+    sign_tags: String(signTags) === 'true',
+    format: signingFormat,
+    key: key || null,
+    allowed_signers_file: allowedSignersFile || null
+  };
+};
+
+// `-c` options placed before the git subcommand
+const signingConfigArgs = (config) => {
+  const args = [];
+  if (config.format) {
+    args.push('-c', `gpg.format=${config.format}`);
+  }
+  if (config.key) {
+    args.push('-c', `user.signingKey=${config.key}`);
+  }
+  if (config.allowed_signers_file) {
+    args.push('-c', `gpg.ssh.allowedSignersFile=${config.allowed_signers_file}`);
+  }
+  return args;
+};
+
+// Prefix for commands that create commits (commit, merge, rebase, revert); empty when signing is off
+const commitSigningArgs = (config) => {
+  return config.sign_commits ? [...signingConfigArgs(config), '-c', 'commit.gpgSign=true'] : [];
+};
+
+// Summary for tool responses, without the key itself
+const describeSigningConfig = (config) => ({
+  sign_commits: config.sign_commits,
+  sign_tags: config.sign_tags,
+  format: config.format || 'git config',
+  key_configured: Boolean(config.key)
+});
+
+// `%G?` codes of git log
+const SIGNATURE_STATUSES = {
+  G: 'good',
+  U: 'good_unknown_validity',
+  X: 'expired_signature',
+  Y: 'expired_key',
+  R: 'revoked_key',
+  E: 'unverifiable',
+  B: 'bad',
+  N: 'unsigned'
+};
+
+const SIGNATURE_LOG_FORMAT = '--format=%x1e%H%x1f%h%x1f%an%x1f%aI%x1f%s%x1f%G?%x1f%GS%x1f%GK%x1f%GF';
+
+const SIGNATURE_HEADER_FORMATS = {
+  'PGP SIGNATURE': 'openpgp',
+  'SSH SIGNATURE': 'ssh',
+  'SIGNED MESSAGE': 'x509'
+};
+
+// Signature format per commit from `git rev-list --header` (NUL separated raw commits)
+const parseSignatureHeaders = (stdout) => {
+  const formats = new Map();
+  stdout.split('\0').forEach(record => {
+    const raw = record.replace(/^\s+/, '');
+    const signature = raw.match(/^gpgsig(?:-sha256)? -----BEGIN ([A-Z0-9 ]+?)-----/m);
+    if (signature) {
+      formats.set(raw.split('\n')[0], SIGNATURE_HEADER_FORMATS[signature[1]] || 'unknown');
+    }
+  });
+  return formats;
+};
+
+// git reports "N" for signatures it cannot check at all (e.g. SSH signatures without an
+// allowed signers file), so the raw headers decide whether a commit is signed.
+const parseSignatureLog = (stdout, signatureFormats = new Map()) => {
+  return stdout.split('\x1e').filter(record => record.trim()).map(record => {
+    const [hash, shortHash, author, date, message, logCode, signer, key, fingerprint] = record.replace(/\n$/, '').split('\x1f');
+    const code = logCode === 'N' && signatureFormats.has(hash) ? 'E' : logCode;
+    return {
+      hash,
+      short_hash: shortHash,
+      author,
+      date,
+      message,
+      signed: code !== 'N',
+      // "U" is a good signature from a key without a trust level (common for SSH keys)
+      verified: code === 'G' || code === 'U',
+      status: SIGNATURE_STATUSES[code] || 'unknown',
+      status_code: code,
+      signature_format: signatureFormats.get(hash) || null,
+      signer: signer || null,
+      key: key || null,
+      fingerprint: fingerprint || null
+    };
+  });
+};
+
+module.exports = {
+  SIGNING_FORMATS,
+  resolveSigningConfig,
+  signingConfigArgs,
+  commitSigningArgs,
+  describeSigningConfig,
+  SIGNATURE_LOG_FORMAT,
+  parseSignatureHeaders,
+  parseSignatureLog
+};
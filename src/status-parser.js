@@ -0,0 +1,153 @@
+// Parser for `git status --porcelain=v2 --branch -z`
+
+const STATUS_ARGS = ['status', '--porcelain=v2', '--branch', '-z'];
+
+const CONFLICT_TYPES = {
+  DD: 'both_deleted',
+  AU: 'added_by_us',
+  UD: 'deleted_by_them',
+  UA: 'added_by_them',
+  DU: 'deleted_by_us',
+  AA: 'both_added',
+  UU: 'both_modified'
+};
+
+// v2 uses "." for "unmodified"; report a space like the v1 format does
+const toStatusChar = (char) => (char === '.' ? ' ' : char);
+
+// "N..." for regular files, "S<c><m><u>" for submodules
+const parseSubmodule = (field) => {
+  if (!field || field[0] !== 'S') {
+    return { submodule: false, submodule_state: null };
+  }
+  return {
+    submodule: true,
+    submodule_state: {
+      commit_changed: field[1] === 'C',
+      has_modifications: field[2] === 'M',
+      has_untracked: field[3] === 'U'
+    }
+  };
+};
+
+// Split a record into `count` space separated fields followed by the path (which may contain spaces)
+const splitRecord = (record, count) => {
+  const fields = [];
+  let rest = record;
+  for (let i = 0; i < count; i++) {
+    const index = rest.indexOf(' ');
+    fields.push(rest.substring(0, index));
+    rest = rest.substring(index + 1);
+  }
+  fields.push(rest);
+  return fields;
+};
+
+const createEntry = (type, xy, subField, filePath, origPath = null) => {
+  const conflict = type === 'unmerged';
+  return {
+    path: filePath,
+    orig_path: origPath,
+    type,
+    index_status: toStatusChar(xy[0]),
+    worktree_status: toStatusChar(xy[1]),
+    ...parseSubmodule(subField),
+    conflict,
+    conflict_type: conflict ? (CONFLICT_TYPES[xy] || 'unknown') : null
+  };
+};
+
+const parseStatus = (stdout) => {
+  const branch = {
+    head: null,
+    oid: null,
+    detached: false,
+    upstream: null,
+    ahead: null,
+    behind: null
+  };
+  const entries = [];
+  const records = stdout.split('\0');
+
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    if (!record) {
+      continue;
+    }
+
+    if (record.startsWith('# ')) {
+      const [key, ...values] = record.substring(2).split(' ');
+      const value = values.join(' ');
+      if (key === 'branch.oid') {
+        branch.oid = value === '(initial)' ? null : value;
+      } else if (key === 'branch.head') {
+        branch.detached = value === '(detached)';
+        branch.head = branch.detached ? null : value;
+      } else if (key === 'branch.upstream') {
+        branch.upstream = value;
+      } else if (key === 'branch.ab') {
+        const match = value.match(/^\+(\d+) -(\d+)$/);
+        if (match) {
+          branch.ahead = parseInt(match[1], 10);
+          branch.behind = parseInt(match[2], 10);
+        }
+      }
+      continue;
+    }
+
+    switch (record[0]) {
+      case '1': {
+        // 1 <XY> <sub> <mH> <mI> <mW> <hH> <hI> <path>
+        const fields = splitRecord(record, 8);
+        entries.push(createEntry('changed', fields[1], fields[2], fields[8]));
+        break;
+      }
+      case '2': {
+        // 2 <XY> <sub> <mH> <mI> <mW> <hH> <hI> <X><score> <path>, followed by the original path
+        const fields = splitRecord(record, 9);
+        const entry = createEntry(fields[8][0] === 'C' ? 'copied' : 'renamed', fields[1], fields[2], fields[9], records[++i] || null);
+        entry.similarity = parseInt(fields[8].substring(1), 10);
+        entries.push(entry);
+        break;
+      }
+      case 'u': {
+        // u <XY> <sub> <m1> <m2> <m3> <mW> <h1> <h2> <h3> <path>
+        const fields = splitRecord(record, 10);
+        entries.push(createEntry('unmerged', fields[1], fields[2], fields[10]));
+        break;
+      }
+      case '?':
+        entries.push(createEntry('untracked', '??', null, record.substring(2)));
+        break;
+      case '!':
+        entries.push(createEntry('ignored', '!!', null, record.substring(2)));
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { branch, entries };
+};
+
+const isStaged = (entry) => !entry.conflict && ![' ', '?', '!'].includes(entry.index_status);
+
+const isUnstaged = (entry) => !entry.conflict && ![' ', '?', '!'].includes(entry.worktree_status);
+
+// True when something is already in the index (including renames and copies)
+const hasStagedChanges = (entries) => entries.some(isStaged);
+
+const summarizeStatus = (entries) => ({
+  staged: entries.filter(isStaged).length,
+  unstaged: entries.filter(isUnstaged).length,
+  untracked: entries.filter(entry => entry.type === 'untracked').length,
+  conflicted: entries.filter(entry => entry.conflict).length
+});
+
+module.exports = {
+  STATUS_ARGS,
+  parseStatus,
+  isStaged,
+  hasStagedChanges,
+  summarizeStatus
+};
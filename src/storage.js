@@ -0,0 +1,442 @@
+// Storage of push history, pending changes and operation logs (STORAGE_BACKEND).
+//
+// json:   the JSON state files of json-store and the text log file (the original layout).
+//         Queries run over the entries the server holds in memory: the last MAX_PUSH_HISTORY
+//         pushes and the last MAX_LOGS operation log entries since the server started.
+// sqlite: one SQLite database per log directory, shared by all repositories (node:sqlite).
+//         Keeps the whole push history and operation log and answers queries with SQL.
+//         The JSON state of a repository is imported the first time it is loaded.
+
+const fs = require('fs');
+const path = require('path');
+const { readJsonState, writeJsonState, mergeEntriesById, mergeEditedEntries } = require('./json-store');
+const { CHANGE_STATUSES } = require('./approval');
+
+const STORAGE_BACKENDS = ['json', 'sqlite'];
+const DEFAULT_DB_FILE = 'mcp-git.sqlite';
+const MAX_SEARCH_LENGTH = 200;
+
+// Field the date range applies to
+const TIMESTAMP_FIELDS = {
+  push_history: 'timestamp',
+  pending_changes: 'timestamp',
+  operation_logs: 'created_at'
+};
+
+const loadSqliteModule = () => {
+  try {
+    return require('node:sqlite');
+  } catch (err) {
+    throw new Error(`STORAGE_BACKEND "sqlite" needs the built-in node:sqlite module of Node.js 22.13 or later (running ${process.version})`);
+  }
+};
+
+// Fails for an unknown backend or a Node.js without SQLite support, so the server can refuse to start
+const checkStorageBackend = (backend) => {
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+  if (backend === 'sqlite') {
+    loadSqliteModule();
+  }
+};
+
+// Id for a new entry of a list: time ordered like the timestamps, and always above the ids
+// already in the list, so two entries made in the same millisecond never share an id
+const nextEntryId = (entries) => entries.reduce((max, entry) => Math.max(max, (Number(entry.id) || 0) + 1), Date.now());
+
+const formatLogLine = (entry) => `${entry.created_at} | ${entry.method} | ${entry.params} | ${entry.error || 'SUCCESS'} | RESPONSE: ${entry.result || 'null'}\n`;
+
+// "2026-01-31" or an ISO timestamp; a bare date as the end of the range includes the whole day
+const parseQueryTime = (value, name, endOfDay) => {
+  if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+    throw new Error(`${name} parameter must be a date or ISO timestamp, e.g. "2026-01-31" or "2026-01-31T12:00:00Z"`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return `${value}T23:59:59.999Z`;
+  }
+  return new Date(value).toISOString();
+};
+
+// Filters of get_push_history (success), get_operation_logs (success) and get_pending_changes (status).
+// repos defaults to the current repository; availableRepos, when given, lists the names allowed.
+const resolveQueryFilters = (params, { kind, repo, availableRepos = null }) => {
+  const { since, until, repos, success, status, search } = params || {};
+  const filters = { repos: [repo], since: null, until: null, success: null, status: null, search: null, active: false };
+
+  if (repos !== undefined) {
+    if (!Array.isArray(repos) || repos.length === 0 || !repos.every(name => typeof name === 'string')) {
+      throw new Error('repos parameter must be a non-empty array of repository names');
+    }
+    const unknown = availableRepos ? repos.filter(name => !availableRepos.includes(name)) : [];
+    if (unknown.length > 0) {
+      throw new Error(`Repository not found: ${unknown.join(', ')}`);
+    }
+    filters.repos = Array.from(new Set(repos));
+  }
+  if (since !== undefined) {
+    filters.since = parseQueryTime(since, 'since', false);
+  }
+  if (until !== undefined) {
+    filters.until = parseQueryTime(until, 'until', true);
+  }
+  if (filters.since && filters.until && filters.since > filters.until) {
+    throw new Error('since must not be later than until');
+  }
+  if (kind !== 'pending_changes' && success !== undefined) {
+    if (typeof success !== 'boolean') {
+      throw new Error('success parameter must be a boolean');
+    }
+    filters.success = success;
+  }
+  if (kind === 'pending_changes' && status !== undefined) {
+    if (!CHANGE_STATUSES.includes(status)) {
+      throw new Error(`status parameter must be one of: ${CHANGE_STATUSES.join(', ')}`);
+    }
+    filters.status = status;
+  }
+  if (search !== undefined) {
+    if (typeof search !== 'string' || !search.trim() || search.length > MAX_SEARCH_LENGTH) {
+      throw new Error(`search parameter must be a non-empty string of at most ${MAX_SEARCH_LENGTH} characters`);
+    }
+    filters.search = search.trim();
+  }
+
+  filters.active = repos !== undefined || [filters.since, filters.until, filters.success, filters.status, filters.search].some(value => value !== null);
+  return filters;
+};
+
+// Text the search filter looks in (case-insensitive)
+const searchText = {
+  push_history: (entry) => JSON.stringify(entry),
+  operation_logs: (entry) => [entry.method, entry.params, entry.result, entry.error].join('\n'),
+  pending_changes: (entry) => [entry.content, JSON.stringify(entry.files || [])].join('\n')
+};
+
+const matchesFilters = (kind, entry, filters) => {
+  const time = entry[TIMESTAMP_FIELDS[kind]] || '';
+  if ((filters.since && time < filters.since) || (filters.until && time > filters.until)) {
+    return false;
+  }
+  if (filters.success !== null) {
+    const succeeded = kind === 'operation_logs' ? !entry.error : Boolean(entry.success);
+    if (succeeded !== filters.success) {
+      return false;
+    }
+  }
+  if (filters.status !== null && entry.status !== filters.status) {
+    return false;
+  }
+  return filters.search === null || searchText[kind](entry).toLowerCase().includes(filters.search.toLowerCase());
+};
+
+// Filter in-memory lists (newest first, one per repository) and return one page
+const queryEntries = (kind, lists, filters, { limit, offset }) => {
+  const field = TIMESTAMP_FIELDS[kind];
+  const entries = lists.length === 1
+    ? lists[0]
+    : [].concat(...lists).sort((a, b) => String(b[field] || '').localeCompare(String(a[field] || '')));
+  const matching = entries.filter(entry => matchesFilters(kind, entry, filters));
+  return { total: matching.length, entries: matching.slice(offset, offset + limit) };
+};
+
+// The pending changes as this process last read or wrote them, per file and repository, so a
+// save keeps what other server processes changed in the meantime (mergeEditedEntries)
+const createChangeBases = () => {
+  const bases = new Map();
+  const keyOf = (location, repoName) => `${location}\0${repoName}`;
+  return {
+    remember: (location, repoName, entries) => {
+      bases.set(keyOf(location, repoName), JSON.parse(JSON.stringify(entries)));
+      return entries;
+    },
+    merge: (location, repoName, stored, current) => mergeEditedEntries(bases.get(keyOf(location, repoName)) || [], stored, current)
+  };
+};
+
+// paths(repoName) -> { pushHistory, changes, log }; memory(kind, repoName) -> the server's list
+const createJsonStorage = ({ paths, memory }) => {
+  const bases = createChangeBases();
+  return {
+    backend: 'json',
+
+    loadPushHistory: (repoName) => readJsonState(paths(repoName).pushHistory, 'push_history'),
+
+    // Another server process may have recorded pushes in the same file since it was loaded
+    savePushHistory: (repoName, entries, limit) => writeJsonState(paths(repoName).pushHistory, 'push_history', entries, {
+      merge: (stored, current) => mergeEntriesById(stored, current, limit)
+    }),
+
+    loadPendingChanges: (repoName) => {
+      const filePath = paths(repoName).changes;
+      const state = readJsonState(filePath, 'pending_changes');
+      bases.remember(filePath, repoName, state.data);
+      return state;
+    },
+
+    // Returns the entries written, including what other server processes changed since the last load or save
+    savePendingChanges: (repoName, entries) => {
+      const filePath = paths(repoName).changes;
+      const saved = writeJsonState(filePath, 'pending_changes', entries, {
+        merge: (stored, current) => bases.merge(filePath, repoName, stored, current)
+      });
+      return bases.remember(filePath, repoName, saved);
+    },
+
+    appendOperationLog: (repoName, entry) => {
+      fs.appendFileSync(paths(repoName).log, formatLogLine(entry), 'utf8');
+    },
+
+    query: (kind, filters, page) => queryEntries(kind, filters.repos.map(repoName => memory(kind, repoName)), filters, page)
+  };
+};
+
+// Statements that bring the database from version N to N + 1 (PRAGMA user_version)
+const SQLITE_MIGRATIONS = [
+  `CREATE TABLE push_history (
+     repo_name TEXT NOT NULL,
+     id INTEGER NOT NULL,
+     timestamp TEXT NOT NULL,
+     success INTEGER NOT NULL,
+     entry TEXT NOT NULL,
+     PRIMARY KEY (repo_name, id)
+   );
+   CREATE INDEX push_history_timestamp ON push_history (repo_name, timestamp);
+   CREATE TABLE pending_changes (
+     repo_name TEXT NOT NULL,
+     id INTEGER NOT NULL,
+     position INTEGER NOT NULL,
+     timestamp TEXT NOT NULL,
+     status TEXT NOT NULL,
+     files TEXT NOT NULL,
+     content TEXT NOT NULL,
+     entry TEXT NOT NULL,
+     PRIMARY KEY (repo_name, id)
+   );
+   CREATE TABLE operation_logs (
+     seq INTEGER PRIMARY KEY AUTOINCREMENT,
+     id INTEGER NOT NULL,
+     repo_name TEXT NOT NULL,
+     method TEXT NOT NULL,
+     params TEXT,
+     result TEXT,
+     error TEXT,
+     created_at TEXT NOT NULL
+   );
+   CREATE INDEX operation_logs_created_at ON operation_logs (repo_name, created_at);
+   CREATE TABLE json_imports (
+     repo_name TEXT NOT NULL,
+     kind TEXT NOT NULL,
+     entries INTEGER NOT NULL,
+     imported_at TEXT NOT NULL,
+     PRIMARY KEY (repo_name, kind)
+   );`
+];
+
+const transaction = (db, fn) => {
+  db.exec('BEGIN IMMEDIATE');
+  try {
+    const result = fn();
+    db.exec('COMMIT');
+    return result;
+  } catch (err) {
+    db.exec('ROLLBACK');
+    throw err;
+  }
+};
+
+const openDatabase = (dbPath) => {
+  const { DatabaseSync } = loadSqliteModule();
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new DatabaseSync(dbPath);
+  // Several server processes may use the same database
+  db.exec('PRAGMA busy_timeout = 5000; PRAGMA journal_mode = WAL;');
+  try {
+    transaction(db, () => {
+      const { user_version: version } = db.prepare('PRAGMA user_version').get();
+      if (version > SQLITE_MIGRATIONS.length) {
+        throw new Error(`${dbPath}: schema version ${version} was written by a newer server (supported: ${SQLITE_MIGRATIONS.length})`);
+      }
+      SQLITE_MIGRATIONS.slice(version).forEach(migration => db.exec(migration));
+      db.exec(`PRAGMA user_version = ${SQLITE_MIGRATIONS.length}`);
+    });
+  } catch (err) {
+    db.close();
+    throw err;
+  }
+  return db;
+};
+
+const likePattern = (search) => `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+
+// Table, search columns and order of each kind of entry
+const SQLITE_QUERIES = {
+  push_history: {
+    table: 'push_history',
+    columns: 'entry',
+    search: ['entry'],
+    success: (value) => (value ? 'success = 1' : 'success = 0'),
+    order: 'timestamp DESC, id DESC',
+    toEntry: (row) => JSON.parse(row.entry)
+  },
+  pending_changes: {
+    table: 'pending_changes',
+    columns: 'entry',
+    search: ['content', 'files'],
+    order: 'timestamp DESC, id DESC',
+    toEntry: (row) => JSON.parse(row.entry)
+  },
+  operation_logs: {
+    table: 'operation_logs',
+    columns: 'id, repo_name, method, params, result, error, created_at',
+    search: ['method', 'params', 'result', 'error'],
+    success: (value) => (value ? 'error IS NULL' : 'error IS NOT NULL'),
+    order: 'created_at DESC, seq DESC',
+    toEntry: (row) => ({ ...row })
+  }
+};
+
+// paths(repoName) -> the JSON files to import; dbPath() -> the database file
+const createSqliteStorage = ({ paths, dbPath }) => {
+  // The log directory of the multi-instance server can change with set_log_dir
+  const databases = new Map();
+  const bases = createChangeBases();
+  const db = () => {
+    const file = dbPath();
+    if (!databases.has(file)) {
+      databases.set(file, openDatabase(file));
+    }
+    return databases.get(file);
+  };
+
+  // Pushes already in the database are skipped; a different entry under a stored id is a
+  // collision and fails on the primary key instead of overwriting the recorded push
+  const insertPushHistory = (database, repoName, entries) => {
+    const stored = database.prepare('SELECT entry FROM push_history WHERE repo_name = ? AND id = ?');
+    const insert = database.prepare('INSERT INTO push_history (repo_name, id, timestamp, success, entry) VALUES (?, ?, ?, ?, ?)');
+    entries.forEach(entry => {
+      const json = JSON.stringify(entry);
+      const row = stored.get(repoName, entry.id);
+      if (row && row.entry === json) {
+        return;
+      }
+      insert.run(repoName, entry.id, entry.timestamp || '', entry.success ? 1 : 0, json);
+    });
+  };
+
+  const replacePendingChanges = (database, repoName, entries) => {
+    database.prepare('DELETE FROM pending_changes WHERE repo_name = ?').run(repoName);
+    const insert = database.prepare('INSERT INTO pending_changes (repo_name, id, position, timestamp, status, files, content, entry) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+    entries.forEach((entry, position) => insert.run(repoName, entry.id, position, entry.timestamp || '', entry.status || 'pending',
+      JSON.stringify(entry.files || []), entry.content || '', JSON.stringify(entry)));
+  };
+
+  // Take over what the JSON backend stored for the repository, once
+  const importJsonState = (database, repoName, kind, filePath, insert) => {
+    transaction(database, () => {
+      if (database.prepare('SELECT 1 FROM json_imports WHERE repo_name = ? AND kind = ?').get(repoName, kind)) {
+        return;
+      }
+      const { data } = readJsonState(filePath, kind);
+      insert(database, repoName, data);
+      database.prepare('INSERT INTO json_imports (repo_name, kind, entries, imported_at) VALUES (?, ?, ?, ?)')
+        .run(repoName, kind, data.length, new Date().toISOString());
+    });
+  };
+
+  const storedPendingChanges = (database, repoName) => database
+    .prepare('SELECT entry FROM pending_changes WHERE repo_name = ? ORDER BY position')
+    .all(repoName)
+    .map(row => JSON.parse(row.entry));
+
+  const recentPushHistory = (database, repoName, limit) => database
+    .prepare('SELECT entry FROM push_history WHERE repo_name = ? ORDER BY timestamp DESC, id DESC LIMIT ?')
+    .all(repoName, limit)
+    .map(row => JSON.parse(row.entry));
+
+  return {
+    backend: 'sqlite',
+
+    loadPushHistory: (repoName, limit) => {
+      const database = db();
+      importJsonState(database, repoName, 'push_history', paths(repoName).pushHistory, insertPushHistory);
+      return { data: recentPushHistory(database, repoName, limit), source: 'database', error: null };
+    },
+
+    // Returns the newest `limit` entries, including those other server processes recorded
+    savePushHistory: (repoName, entries, limit) => {
+      const database = db();
+      transaction(database, () => insertPushHistory(database, repoName, entries));
+      return recentPushHistory(database, repoName, limit);
+    },
+
+    loadPendingChanges: (repoName) => {
+      const database = db();
+      importJsonState(database, repoName, 'pending_changes', paths(repoName).changes, replacePendingChanges);
+      const data = storedPendingChanges(database, repoName);
+      bases.remember(dbPath(), repoName, data);
+      return { data, source: 'database', error: null };
+    },
+
+    // Like the JSON file, the changes other server processes made since the last load or save are kept
+    savePendingChanges: (repoName, entries) => {
+      const database = db();
+      const saved = transaction(database, () => {
+        const merged = bases.merge(dbPath(), repoName, storedPendingChanges(database, repoName), entries);
+        replacePendingChanges(database, repoName, merged);
+        return merged;
+      });
+      return bases.remember(dbPath(), repoName, saved);
+    },
+
+    appendOperationLog: (repoName, entry) => {
+      db().prepare('INSERT INTO operation_logs (id, repo_name, method, params, result, error, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)')
+        .run(entry.id, repoName, entry.method, entry.params || null, entry.result || null, entry.error || null, entry.created_at);
+    },
+
+    query: (kind, filters, { limit, offset }) => {
+      const spec = SQLITE_QUERIES[kind];
+      const field = TIMESTAMP_FIELDS[kind];
+      const where = [`repo_name IN (${filters.repos.map(() => '?').join(', ')})`];
+      const args = [...filters.repos];
+      if (filters.since) {
+        where.push(`${field} >= ?`);
+        args.push(filters.since);
+      }
+      if (filters.until) {
+        where.push(`${field} <= ?`);
+        args.push(filters.until);
+      }
+      if (filters.success !== null && spec.success) {
+        where.push(spec.success(filters.success));
+      }
+      if (filters.status !== null) {
+        where.push('status = ?');
+        args.push(filters.status);
+      }
+      if (filters.search !== null) {
+        // LIKE ignores the case of ASCII letters
+        where.push(`(${spec.search.map(column => `${column} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+        args.push(...spec.search.map(() => likePattern(filters.search)));
+      }
+
+      const database = db();
+      const clause = where.join(' AND ');
+      const { total } = database.prepare(`SELECT COUNT(*) AS total FROM ${spec.table} WHERE ${clause}`).get(...args);
+      const rows = database.prepare(`SELECT ${spec.columns} FROM ${spec.table} WHERE ${clause} ORDER BY ${spec.order} LIMIT ? OFFSET ?`)
+        .all(...args, limit, offset);
+      return { total, entries: rows.map(spec.toEntry) };
+    }
+  };
+};
+
+const createStorage = (backend, options) => (backend === 'sqlite' ? createSqliteStorage(options) : createJsonStorage(options));
+
+module.exports = {
+  STORAGE_BACKENDS,
+  DEFAULT_DB_FILE,
+  nextEntryId,
+  checkStorageBackend,
+  createStorage,
+  resolveQueryFilters
+};
@@ -0,0 +1,114 @@
+// Helpers for the tag and release tools
+
+const TAG_BUMPS = ['major', 'minor', 'patch'];
+
+const TAG_LIST_FORMAT = [
+  '%(refname:short)',
+  '%(objecttype)',
+  '%(objectname)',
+  '%(*objectname)',
+  '%(creatordate:iso-strict)',
+  '%(taggername)',
+  '%(taggeremail)',
+  '%(contents)'
+].join('%1f') + '%1e';
+
+// Annotated tags point to a tag object; the commit is the peeled (*) object
+const parseTagList = (stdout) => {
+  return stdout.split('\x1e').map(record => record.replace(/^\n/, '')).filter(Boolean).map(record => {
+    const [name, type, object, peeled, date, tagger, taggerEmail, contents] = record.split('\x1f');
+    const annotated = type === 'tag';
+    return {
+      name,
+      annotated,
+      commit: annotated ? peeled : object,
+      tag_object: annotated ? object : null,
+      date: date || null,
+      tagger: annotated ? tagger : null,
+      tagger_email: annotated ? (taggerEmail || '').replace(/^<|>$/g, '') : null,
+      message: annotated ? (contents || '').trim() : null
+    };
+  });
+};
+
+// "v1.2.3", "1.2.3" or "release-1.2.3-rc.1"; the prefix is kept when bumping
+const SEMVER_TAG_REGEX = /^(.*?)(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+const parseSemverTag = (tag) => {
+  const match = String(tag).match(SEMVER_TAG_REGEX);
+  if (!match || /\d$/.test(match[1])) {
+    return null;
+  }
+  return {
+    tag,
+    prefix: match[1],
+    major: parseInt(match[2], 10),
+    minor: parseInt(match[3], 10),
+    patch: parseInt(match[4], 10),
+    prerelease: match[5] || null
+  };
+};
+
+// Semver precedence, ignoring prerelease ordering beyond "release > prerelease"
+const compareSemver = (a, b) => {
+  for (const key of ['major', 'minor', 'patch']) {
+    if (a[key] !== b[key]) {
+      return a[key] - b[key];
+    }
+  }
+  if (a.prerelease === b.prerelease) {
+    return 0;
+  }
+  if (!a.prerelease) {
+    return 1;
+  }
+  if (!b.prerelease) {
+    return -1;
+  }
+  return a.prerelease.localeCompare(b.prerelease, undefined, { numeric: true });
+};
+
+const findLatestSemverTag = (tagNames) => {
+  return tagNames
+    .map(parseSemverTag)
+    .filter(Boolean)
+    .sort(compareSemver)
+    .pop() || null;
+};
+
+// Next version after `latest` (a parsed tag, or null when there is none yet)
+const bumpSemverTag = (latest, bump, defaultPrefix = 'v') => {
+  const base = latest || { prefix: defaultPrefix, major: 0, minor: 0, patch: 0, prerelease: null };
+  let { major, minor, patch } = base;
+
+  if (bump === 'major') {
+    // 2.0.0-rc.1 -> 2.0.0
+    if (!(base.prerelease && minor === 0 && patch === 0)) {
+      major += 1;
+    }
+    minor = 0;
+    patch = 0;
+  } else if (bump === 'minor') {
+    if (!(base.prerelease && patch === 0)) {
+      minor += 1;
+    }
+    patch = 0;
+  } else if (!base.prerelease) {
+    patch += 1;
+  }
+
+  return `${base.prefix}${major}.${minor}.${patch}`;
+};
+
+// Markdown list of commit subjects, newest first like `git log`
+const buildChangelog = (commits) => commits.map(commit => `- ${commit.subject} (${commit.short_hash})`).join('\n');
+
+module.exports = {
+  TAG_BUMPS,
+  TAG_LIST_FORMAT,
+  parseTagList,
+  parseSemverTag,
+  findLatestSemverTag,
+  bumpSemverTag,
+  buildChangelog
+};